@@ -42,7 +42,7 @@ class NFCHandler extends HTMLElement {
         
         // Listen for NFC write requests
         this.eventBus.subscribe('nfc-write-url', (data) => {
-            this.writeToNfcTag(data.url);
+            this.writeToNfcTag(data.url, data.tagSecret, data.serial);
         });
         
         // Listen for state changes to update status
@@ -198,7 +198,8 @@ class NFCHandler extends HTMLElement {
         // Don't make decisions here - State Manager knows the current app mode
         this.eventBus.publish('nfc-tag-scanned', { 
             url: data.url || null, 
-            serial: validatedSerial  // Use validated serial
+            serial: validatedSerial,  // Use validated serial
+            tagSecret: data.tagSecret || null
         });
         
         debugLog(`✅ NFC EVENT PUBLISHED: nfc-tag-scanned with serial: ${validatedSerial}`, 'success');
@@ -209,7 +210,7 @@ class NFCHandler extends HTMLElement {
         this.statusIndicator.textContent = `🔒 NFC Error: ${errorMessage}`;
     }
 
-    async writeToNfcTag(url) {
+    async writeToNfcTag(url, tagSecret = null, serial = null) {
         debugLog(`🔒 NFC: Starting write process for URL: ${url.substring(0, 50)}...`);
         
         const support = this.nfcService.isSupported();
@@ -224,13 +225,13 @@ class NFCHandler extends HTMLElement {
             this.statusIndicator.textContent = '🔒 Writing secure URL...';
             debugLog('🔒 NFC: Calling nfcService.writeUrl()...');
             
-            await this.nfcService.writeUrl(url);
+            await this.nfcService.writeUrl(url, { tagSecret });
             
             debugLog('🔒 SECURITY: Secure URL written to NFC tag successfully.', 'success');
             this.statusIndicator.textContent = '🔒 Write successful!';
             
             // Publish success event
-            this.eventBus.publish('nfc-write-complete');
+            this.eventBus.publish('nfc-write-complete', { serial });
             
         } catch (error) {
             debugLog(`🔒 SECURITY: Failed to write secure URL: ${error.message}`, 'error');
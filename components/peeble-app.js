@@ -1,6 +1,14 @@
 // components/peeble-app.js
 
-import { debugLog } from '../services/utils.js';
+import { debugLog, URLParser } from '../services/utils.js';
+import { encodeQr, qrToSvg } from '../services/qr.js';
+
+// Sender names come from other people's cards and packages, so they are escaped before rendering
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
 
 /**
  * The main application Web Component - now purely reactive.
@@ -13,6 +21,10 @@ class PeebleApp extends HTMLElement {
         this.stateManager = null;
         this.eventBus = null;
         this.unsubscribe = null;
+        this.unsubscribeProgress = null;
+        this.progress = null; // Last 'progress-update' payload, kept across re-renders
+        this.recoveryCodeDraft = ''; // Typed recovery code, kept across re-renders of the recover step only
+        this.countdownTimer = null; // Ticks the countdown of a time-locked message in place
         this.render();
     }
 
@@ -174,6 +186,96 @@ class PeebleApp extends HTMLElement {
                 .error-state h3 { color: #c53030; margin-bottom: 10px; }
                 .error-state p { color: #666; margin-bottom: 15px; }
                 audio { width: 100%; margin: 10px 0; }
+                .cleanup-controls {
+                    display: flex;
+                    gap: 10px;
+                    align-items: center;
+                    margin: 15px 0;
+                }
+                .cleanup-controls select {
+                    padding: 10px;
+                    border: 2px solid var(--light-gray);
+                    border-radius: 8px;
+                }
+                .pin-controls {
+                    display: flex;
+                    gap: 10px;
+                    flex-wrap: wrap;
+                    justify-content: center;
+                    margin: 15px 0;
+                }
+                .pin-controls p {
+                    width: 100%;
+                    font-size: 0.9em;
+                    color: var(--secondary-color);
+                }
+                .pin-controls input {
+                    flex: 1;
+                    min-width: 120px;
+                    padding: 10px;
+                    border: 2px solid var(--light-gray);
+                    border-radius: 8px;
+                }
+                .save-option {
+                    display: block;
+                    margin: 10px 0;
+                    font-size: 0.9em;
+                    color: var(--secondary-color);
+                }
+                .countdown {
+                    font-size: 2em;
+                    font-weight: bold;
+                    text-align: center;
+                    margin: 20px 0;
+                    font-variant-numeric: tabular-nums;
+                }
+                .recovery-words {
+                    font-family: monospace;
+                    font-size: 1.1em;
+                    background: white;
+                    padding: 10px 10px 10px 40px;
+                    border-radius: 8px;
+                    columns: 2;
+                    text-align: left;
+                }
+                .recovery-controls textarea,
+                .recovery-controls input {
+                    width: 100%;
+                    box-sizing: border-box;
+                    margin: 5px 0;
+                    padding: 10px;
+                    border: 2px solid var(--light-gray);
+                    border-radius: 8px;
+                }
+                .identity-controls {
+                    display: flex;
+                    gap: 10px;
+                    flex-wrap: wrap;
+                    align-items: center;
+                    margin: 15px 0;
+                }
+                .identity-controls input[type="text"] {
+                    flex: 1;
+                    min-width: 120px;
+                    padding: 10px;
+                    border: 2px solid var(--light-gray);
+                    border-radius: 8px;
+                }
+                .sender-qr {
+                    width: 220px;
+                    margin: 10px auto;
+                }
+                .sender-qr svg { width: 100%; height: auto; display: block; }
+                .fingerprint {
+                    font-family: monospace;
+                    letter-spacing: 1px;
+                }
+                .message-sender {
+                    font-weight: bold;
+                    margin: 10px 0;
+                    text-align: center;
+                }
+                .message-sender.invalid { color: #c53030; }
                 .success-display {
                     text-align: center;
                     padding: 20px;
@@ -195,6 +297,36 @@ class PeebleApp extends HTMLElement {
                     padding: 10px;
                     border-radius: 5px;
                 }
+                .progress-container {
+                    margin: 15px 0;
+                }
+                .progress-track {
+                    width: 100%;
+                    height: 10px;
+                    background: var(--light-gray);
+                    border-radius: 5px;
+                    overflow: hidden;
+                }
+                .progress-fill {
+                    height: 100%;
+                    background: var(--primary-color);
+                    transition: width 0.2s ease;
+                }
+                .progress-fill.indeterminate {
+                    width: 30%;
+                    animation: indeterminate 1.2s infinite ease-in-out;
+                }
+                /* Transform-only, so the browser can keep it moving while the main thread is busy */
+                @keyframes indeterminate {
+                    0% { transform: translateX(-100%); }
+                    100% { transform: translateX(334%); }
+                }
+                .progress-label {
+                    margin-top: 6px;
+                    color: var(--secondary-color);
+                    font-size: 0.85em;
+                    text-align: center;
+                }
             </style>
             <div class="app-content-wrapper">
                 <div class="status-container">
@@ -216,9 +348,25 @@ class PeebleApp extends HTMLElement {
         this.unsubscribe = this.eventBus.subscribe('state-change', (state) => {
             this.handleStateChange(state);
         });
+
+        if (this.unsubscribeProgress) {
+            this.unsubscribeProgress();
+        }
+
+        this.unsubscribeProgress = this.eventBus.subscribe('progress-update', (progress) => {
+            this.handleProgressUpdate(progress);
+        });
     }
 
     handleStateChange(state) {
+        clearInterval(this.countdownTimer);
+        this.countdownTimer = null;
+
+        // Progress only applies while saving or loading
+        if (!state.isProcessing && state.currentStep !== 'loading') {
+            this.progress = null;
+        }
+
         // Update status display
         this.showStatus(state.statusMessage, state.statusType);
         
@@ -231,8 +379,9 @@ class PeebleApp extends HTMLElement {
     }
 
     renderCreatorMode(state) {
-        const { currentStep, tagSerial, isRecording, isProcessing, recordingDuration, 
-                currentTranscript, messageId, ipfsHash } = state;
+        const { currentStep, tagSerial, recipientSerials, addingRecipient, isRecording, isProcessing, recordingDuration, 
+                currentTranscript, messageId, ipfsHash, pendingMessages, outboxEntries, managedMessages, storageService,
+                senderIdentityInfo, trustedSenders, pendingTrustedSender, messageTransfer, recoveryCode } = state;
         
         switch (currentStep) {
             case 'waiting':
@@ -246,6 +395,11 @@ class PeebleApp extends HTMLElement {
                         <div class="waiting-state">
                             ${tagSerial ? `
                                 <p>✅ Physical key secured: ${tagSerial}</p>
+                                ${recipientSerials.map(serial => `
+                                    <p>✅ Also opens with: ${serial}
+                                        <button class="btn btn-small btn-secondary" data-remove-recipient="${serial}">✕</button>
+                                    </p>
+                                `).join('')}
                                 <p>Ready to record your secure message!</p>
                             ` : `
                                 <p>Please scan a blank NFC tag to begin.</p>
@@ -258,7 +412,15 @@ class PeebleApp extends HTMLElement {
                                     <span>Press to Record</span>
                                 </button>
                             </div>
+                            <button class="btn btn-secondary" id="addRecipientBtn">
+                                ${addingRecipient ? '✕ Cancel - tap another blank Peeble to add it' : '➕ Also open with another Peeble'}
+                            </button>
                         ` : ''}
+                        ${this.renderPendingMessages(pendingMessages, outboxEntries)}
+                        <button class="btn btn-secondary" id="precacheBtn">📥 Keep my Peebles available offline</button>
+                        <button class="btn btn-secondary" id="manageMessagesBtn">🗂️ Manage stored messages</button>
+                        <button class="btn btn-secondary" id="senderIdentityBtn">🪪 My sender card & trusted senders</button>
+                        <button class="btn btn-secondary" id="openRecoveryBtn">🧩 Open a message with a recovery code</button>
                     </div>
                 `;
                 break;
@@ -290,6 +452,31 @@ class PeebleApp extends HTMLElement {
                                 <span id="charCount">${currentTranscript.length}</span>/500 characters
                             </div>
                         </div>
+                        <div class="pin-controls">
+                            <p>🔢 Optional PIN: the listener will need it after tapping the Peeble.</p>
+                            <input type="password" id="messagePin" inputmode="numeric" autocomplete="new-password" placeholder="PIN (optional)" ${isProcessing ? 'disabled' : ''}>
+                            <input type="password" id="messagePinConfirm" inputmode="numeric" autocomplete="new-password" placeholder="Repeat PIN" ${isProcessing ? 'disabled' : ''}>
+                        </div>
+                        <label class="save-option">
+                            <input type="checkbox" id="recoveryCodeOpt" ${isProcessing ? 'disabled' : ''}>
+                            🧩 Also create a recovery code to print, in case every Peeble is lost
+                        </label>
+                        <div class="pin-controls">
+                            <p>🎁 Optional unlock date: the message will not play before it (birthdays, "open when you're 10"...).</p>
+                            <input type="datetime-local" id="unlockAtInput" ${isProcessing ? 'disabled' : ''}>
+                        </div>
+                        ${state.timeLock?.isConfigured() ? `
+                            <label class="save-option">
+                                <input type="checkbox" id="enforceUnlockOpt" ${isProcessing ? 'disabled' : ''}>
+                                🔐 Enforce the date with the time-lock server, so changing a phone's clock does not open it early
+                            </label>
+                        ` : ''}
+                        <div class="pin-controls">
+                            <p>⌛ Optional expiry: the message stops playing after this date, or after this many plays on each phone.</p>
+                            <input type="datetime-local" id="expiresAtInput" ${isProcessing ? 'disabled' : ''}>
+                            <input type="number" id="maxPlaysInput" min="1" max="1000" step="1" inputmode="numeric" placeholder="Plays per phone (optional)" ${isProcessing ? 'disabled' : ''}>
+                        </div>
+                        ${isProcessing ? this.renderProgress() : this.renderRecoveryAction(state.recoveryAction)}
                         <button class="btn" id="saveBtn" ${isProcessing ? 'disabled' : ''}>
                             ${isProcessing ? '🔒 Encrypting...' : '🔒 Encrypt & Save Securely'}
                         </button>
@@ -301,7 +488,8 @@ class PeebleApp extends HTMLElement {
                 break;
                 
             case 'success':
-                const secureUrl = `${window.location.origin}${window.location.pathname}#messageId=${messageId}&ipfsHash=${ipfsHash}`;
+                const urlParams = new URLSearchParams({ messageId, ...storageService.getPackageUrlParams(ipfsHash) });
+                const secureUrl = `${window.location.origin}${window.location.pathname}#${urlParams}`;
                 this.appContent.innerHTML = `
                     <div class="creator-container">
                         <div class="success-display">
@@ -310,7 +498,9 @@ class PeebleApp extends HTMLElement {
                                 <h4>🔐 Security Status</h4>
                                 <p>Your message is encrypted. Only the physical Peeble can decrypt it.</p>
                             </div>
-                            <p><strong>Now, tap your blank Peeble stone to write the secure URL.</strong></p>
+                            <p><strong>${recipientSerials.length > 0
+                                ? `Now, tap each of your ${recipientSerials.length + 1} blank Peebles to write the secure URL.`
+                                : 'Now, tap your blank Peeble stone to write the secure URL.'}</strong></p>
                             <div class="url-display">
                                 <p><strong>Secure URL (no encryption key):</strong></p>
                                 <p>${secureUrl}</p>
@@ -319,19 +509,100 @@ class PeebleApp extends HTMLElement {
                                     ⚠️ This URL is safe to share - it cannot decrypt your message without the physical Peeble
                                 </p>
                             </div>
+                            ${this.renderRecoveryCode(recoveryCode, messageId, true)}
+                            <button class="btn" id="createAnotherBtn">Create Another Message</button>
+                        </div>
+                    </div>
+                `;
+                break;
+                
+            case 'pending':
+                this.appContent.innerHTML = `
+                    <div class="creator-container">
+                        <div class="success-display">
+                            <h2>⏳ Message Saved on This Device</h2>
+                            <div class="security-notice">
+                                <h4>🔐 Security Status</h4>
+                                <p>Your message is encrypted. Only the physical Peeble can decrypt it.</p>
+                            </div>
+                            <p>The upload failed, so the encrypted message is waiting in the outbox.</p>
+                            <p>It will be retried automatically. Once it is uploaded, you'll be asked to tap the Peeble to write it.</p>
+                            <p><strong>Message ID:</strong> ${messageId}</p>
+                            ${this.renderRecoveryCode(recoveryCode, messageId, false)}
                             <button class="btn" id="createAnotherBtn">Create Another Message</button>
                         </div>
                     </div>
                 `;
                 break;
+                
+            case 'manage':
+                this.appContent.innerHTML = `
+                    <div class="creator-container">
+                        <h2>🗂️ Stored Messages</h2>
+                        <p>Deleted messages are removed from storage and can no longer be played, even with their Peeble.</p>
+                        ${this.renderRecoveryAction(state.recoveryAction)}
+                        ${this.renderManagedMessages(managedMessages, isProcessing)}
+                        <div class="cleanup-controls">
+                            <select id="retentionDays" ${isProcessing ? 'disabled' : ''}>
+                                <option value="30">older than 30 days</option>
+                                <option value="90">older than 90 days</option>
+                                <option value="180">older than 6 months</option>
+                                <option value="365" selected>older than 1 year</option>
+                            </select>
+                            <button class="btn btn-secondary" id="cleanupBtn" ${isProcessing ? 'disabled' : ''}>🧹 Delete old messages</button>
+                        </div>
+                        <button class="btn" id="closeManagerBtn" ${isProcessing ? 'disabled' : ''}>Done</button>
+                    </div>
+                `;
+                break;
+                
+            case 'transfer':
+                this.appContent.innerHTML = `
+                    <div class="creator-container">
+                        <h2>🔁 Move to a New Peeble</h2>
+                        <p>The message is encrypted again for the new Peeble and its old copy is deleted from storage, so the old Peeble can no longer download it. A phone that already played the message keeps a copy for offline use, and the old Peeble still plays it there. When the old Peeble can be tapped, any other Peeble sharing this message keeps working too: tap it after the new one to write the new URL. A printed recovery card stops working; a new recovery code is shown after the move.</p>
+                        ${this.renderMessageTransfer(messageTransfer, isProcessing)}
+                        ${isProcessing ? '' : this.renderRecoveryAction(state.recoveryAction)}
+                        <button class="btn btn-secondary" id="cancelTransferBtn" ${isProcessing ? 'disabled' : ''}>Cancel</button>
+                    </div>
+                `;
+                break;
+                
+            case 'identity':
+                this.appContent.innerHTML = `
+                    <div class="creator-container">
+                        <h2>🪪 Sender Identity</h2>
+                        ${this.renderPendingTrustedSender(pendingTrustedSender)}
+                        ${senderIdentityInfo ? `
+                            <p>Your messages are signed with this device's key. Readers who trust your card see them as verified.</p>
+                            <div class="identity-controls">
+                                <input type="text" id="senderName" maxlength="40" placeholder="Your name, e.g. Mom" value="${escapeHtml(senderIdentityInfo.name)}">
+                                <button class="btn btn-small" id="saveSenderNameBtn">Save name</button>
+                            </div>
+                            <p>Fingerprint: <span class="fingerprint">${senderIdentityInfo.fingerprint}</span></p>
+                            <div class="sender-qr">${qrToSvg(encodeQr(senderIdentityInfo.trustUrl))}</div>
+                            <p>Let the reader scan this code with their phone camera, or send them your card as a file.</p>
+                            <button class="btn btn-secondary" id="downloadSenderCardBtn">💾 Save my card as a file</button>
+                        ` : ''}
+                        <h3>Trusted senders</h3>
+                        ${this.renderTrustedSenders(trustedSenders)}
+                        <div class="identity-controls">
+                            <label class="btn btn-secondary" for="senderCardFile">📂 Trust a sender from a file</label>
+                            <input type="file" id="senderCardFile" accept=".json,application/json" hidden>
+                        </div>
+                        <button class="btn" id="closeIdentityBtn">Done</button>
+                    </div>
+                `;
+                break;
         }
         
+        this.updateProgressBar();
         this.setupCreatorEventListeners(state);
     }
 
     renderReaderMode(state) {
         const { currentStep, tagSerial, messageId, ipfsHash, decryptedTranscript, 
-                audioUrl, isPlaying, errorMessage } = state;
+                audioUrl, isPlaying, errorMessage, errorType, recoveryAction, statusMessage } = state;
         
         switch (currentStep) {
             case 'waiting':
@@ -346,10 +617,11 @@ class PeebleApp extends HTMLElement {
                             <h3>🔄 Waiting for Physical Peeble</h3>
                             <p>This message is encrypted and requires the original Peeble stone to decrypt.</p>
                             <p><strong>Tap the Peeble to your phone to continue...</strong></p>
+                            <button class="btn btn-secondary" id="openRecoveryBtn">🧩 Lost the Peeble? Use a recovery code</button>
                             <div style="margin-top: 30px; padding: 15px; background: #f5f5f5; border-radius: 10px;">
                                 <p style="font-size: 0.9em; color: #333;">
                                     <strong>Message ID:</strong> ${messageId || 'Loading...'}<br>
-                                    <strong>IPFS Hash:</strong> ${ipfsHash ? ipfsHash.substring(0, 20) + '...' : 'Loading...'}
+                                    <strong>${URLParser.getParams().objectKey ? 'Object Key' : 'IPFS Hash'}:</strong> ${ipfsHash ? ipfsHash.substring(0, 20) + '...' : 'Loading...'}
                                 </p>
                             </div>
                         </div>
@@ -357,13 +629,91 @@ class PeebleApp extends HTMLElement {
                 `;
                 break;
                 
+            case 'pin-required':
+                this.appContent.innerHTML = `
+                    <div class="reader-container">
+                        <h2>🔢 PIN Required</h2>
+                        <div class="security-notice">
+                            <h4>🔒 Second Factor</h4>
+                            <p>Peeble ${messageId} also needs the PIN chosen by its sender.</p>
+                        </div>
+                        ${errorType === 'wrong-pin' ? `
+                            <div class="error-state">
+                                <p>❌ Wrong PIN. This is the right Peeble - check the PIN and try again.</p>
+                            </div>
+                        ` : ''}
+                        <div class="pin-controls">
+                            <input type="password" id="pinInput" inputmode="numeric" autocomplete="off" placeholder="Enter PIN">
+                            <button class="btn" id="pinSubmitBtn">🔓 Unlock</button>
+                        </div>
+                        <button class="btn btn-secondary" id="closePlayerBtn">Close Player</button>
+                    </div>
+                `;
+                break;
+                
+            case 'locked':
+                this.appContent.innerHTML = `
+                    <div class="reader-container">
+                        <h2>🎁 Not Yet!</h2>
+                        <div class="security-notice">
+                            <h4>⏳ Time-Locked Message</h4>
+                            <p>Peeble ${messageId} opens on ${new Date(state.lockedUntil).toLocaleString()}.</p>
+                        </div>
+                        <div class="countdown" id="unlockCountdown">${this.formatCountdown(Date.parse(state.lockedUntil) - Date.now())}</div>
+                        <p>Keep this page open and the message plays when the time comes, or tap the Peeble again then.</p>
+                        <button class="btn btn-secondary" id="closePlayerBtn">Close Player</button>
+                    </div>
+                `;
+                break;
+                
+            case 'expired':
+                this.appContent.innerHTML = `
+                    <div class="reader-container">
+                        <h2>⌛ This Message Has Expired</h2>
+                        <div class="security-notice">
+                            <h4>${state.expiredReason === 'date' ? '📅 Past Its Expiry Date' : '🔥 No Plays Left'}</h4>
+                            <p>${state.expiredReason === 'date'
+                                ? `Peeble ${messageId} stopped playing on ${new Date(state.messagePackage.metadata.expiresAt).toLocaleString()}.`
+                                : `Peeble ${messageId} could be played ${state.messagePackage.metadata.maxPlays} times on this device, and all of them have been used.`}</p>
+                        </div>
+                        <p>Its sender chose to let this message disappear. Ask them to record a new one.</p>
+                        <button class="btn btn-secondary" id="closePlayerBtn">Close Player</button>
+                    </div>
+                `;
+                break;
+                
+            case 'recover':
+                this.appContent.innerHTML = `
+                    <div class="reader-container">
+                        <h2>🧩 Open With a Recovery Code</h2>
+                        <div class="security-notice">
+                            <h4>🔒 No Peeble Needed</h4>
+                            <p>Enter the words from the recovery card printed when the message was saved.</p>
+                        </div>
+                        ${errorType === 'recovery-code' ? `
+                            <div class="error-state">
+                                <p>❌ ${escapeHtml(errorMessage)}</p>
+                            </div>
+                        ` : ''}
+                        <div class="recovery-controls">
+                            ${URLParser.getParams().messageId ? `<p><strong>Message ID:</strong> ${messageId}</p>` : `
+                                <input type="url" id="recoveryUrl" autocomplete="off" placeholder="Message URL from the card" value="${messageId && ipfsHash && state.storageService ? escapeHtml(`${window.location.origin}${window.location.pathname}#${new URLSearchParams({ messageId, ...state.storageService.getPackageUrlParams(ipfsHash) })}`) : ''}">
+                            `}
+                            <textarea id="recoveryCodeInput" rows="3" autocomplete="off" autocapitalize="none" spellcheck="false" placeholder="Recovery code words">${escapeHtml(this.recoveryCodeDraft)}</textarea>
+                        </div>
+                        <button class="btn" id="recoverBtn">🔓 Unlock</button>
+                        <button class="btn btn-secondary" id="closeRecoveryBtn">Cancel</button>
+                    </div>
+                `;
+                break;
+                
             case 'loading':
                 this.appContent.innerHTML = `
                     <div class="reader-container">
                         <h2>🔒 Decrypting Message</h2>
                         <div class="security-notice">
                             <h4>🛡️ Physical Security Verification</h4>
-                            <p>Decryption using physical key: ${tagSerial}</p>
+                            <p>${tagSerial ? `Decryption using physical key: ${tagSerial}` : 'Decryption using the recovery code'}</p>
                         </div>
                         <div class="playback-controls">
                             <div class="play-button" style="cursor: not-allowed; background: #cbd5e0;">
@@ -374,6 +724,7 @@ class PeebleApp extends HTMLElement {
                                 <p>🔓 Downloading and decrypting...</p>
                             </div>
                         </div>
+                        ${this.renderProgress()}
                     </div>
                 `;
                 break;
@@ -384,7 +735,7 @@ class PeebleApp extends HTMLElement {
                         <h2>🔒 Secure Message Ready</h2>
                         <div class="security-notice">
                             <h4>🛡️ Successfully Decrypted</h4>
-                            <p>Message unlocked with physical key: ${tagSerial}</p>
+                            <p>${tagSerial ? `Message unlocked with physical key: ${tagSerial}` : 'Message unlocked with its recovery code'}</p>
                         </div>
                         <div class="playback-controls">
                             <button class="play-button" id="playButton">
@@ -395,6 +746,8 @@ class PeebleApp extends HTMLElement {
                                 <p>✅ Ready to play!</p>
                             </div>
                         </div>
+                        ${this.renderMessageSender(state.messageSender)}
+                        ${this.renderExpiryNotice(state)}
                         <audio id="playbackAudio" src="${audioUrl}" style="display: none;"></audio>
                         <div class="transcript-display">"${decryptedTranscript}"</div>
                         <button class="btn btn-secondary" id="closePlayerBtn">Close Player</button>
@@ -403,6 +756,49 @@ class PeebleApp extends HTMLElement {
                 break;
                 
             case 'error':
+                if (errorType === 'integrity') {
+                    this.appContent.innerHTML = `
+                        <div class="reader-container">
+                            <div class="error-state">
+                                <h3>🚨 Message Integrity Check Failed</h3>
+                                <p>The downloaded message does not match its fingerprint, so it was not played.</p>
+                                <p>Error: ${errorMessage}</p>
+                                <p>A storage gateway may be misbehaving. Please try again later.</p>
+                                ${this.renderRecoveryAction(recoveryAction)}
+                                <button class="btn btn-secondary" id="closePlayerBtn">Close Player</button>
+                            </div>
+                        </div>
+                    `;
+                    break;
+                }
+                if (errorType === 'unsupported-crypto') {
+                    this.appContent.innerHTML = `
+                        <div class="reader-container">
+                            <div class="error-state">
+                                <h3>⬆️ Update Required</h3>
+                                <p>This message was made with a newer version of Peeble and cannot be opened here.</p>
+                                <p>Error: ${errorMessage}</p>
+                                <p>Reload the page to get the latest version, then scan the Peeble again.</p>
+                                <button class="btn btn-secondary" id="closePlayerBtn">Close Player</button>
+                            </div>
+                        </div>
+                    `;
+                    break;
+                }
+                if (errorType !== 'decryption') {
+                    this.appContent.innerHTML = `
+                        <div class="reader-container">
+                            <div class="error-state">
+                                <h3>📡 Message Could Not Be Downloaded</h3>
+                                <p>${statusMessage}</p>
+                                <p>Error: ${errorMessage}</p>
+                                ${this.renderRecoveryAction(recoveryAction)}
+                                <button class="btn btn-secondary" id="closePlayerBtn">Close Player</button>
+                            </div>
+                        </div>
+                    `;
+                    break;
+                }
                 this.appContent.innerHTML = `
                     <div class="reader-container">
                         <div class="error-state">
@@ -417,6 +813,7 @@ class PeebleApp extends HTMLElement {
                 break;
         }
         
+        this.updateProgressBar();
         this.setupReaderEventListeners(state);
     }
 
@@ -425,8 +822,21 @@ class PeebleApp extends HTMLElement {
         const saveBtn = this.shadowRoot.getElementById('saveBtn');
         const retryBtn = this.shadowRoot.getElementById('retryBtn');
         const createAnotherBtn = this.shadowRoot.getElementById('createAnotherBtn');
+        const addRecipientBtn = this.shadowRoot.getElementById('addRecipientBtn');
+        const precacheBtn = this.shadowRoot.getElementById('precacheBtn');
+        const manageMessagesBtn = this.shadowRoot.getElementById('manageMessagesBtn');
+        const cleanupBtn = this.shadowRoot.getElementById('cleanupBtn');
+        const closeManagerBtn = this.shadowRoot.getElementById('closeManagerBtn');
+        const senderIdentityBtn = this.shadowRoot.getElementById('senderIdentityBtn');
+        const useEscrowBtn = this.shadowRoot.getElementById('useEscrowBtn');
+        const confirmTransferBtn = this.shadowRoot.getElementById('confirmTransferBtn');
+        const cancelTransferBtn = this.shadowRoot.getElementById('cancelTransferBtn');
+        const openRecoveryBtn = this.shadowRoot.getElementById('openRecoveryBtn');
+        const printRecoveryCardBtn = this.shadowRoot.getElementById('printRecoveryCardBtn');
         const transcriptText = this.shadowRoot.getElementById('transcriptText');
         
+        this.setupRecoveryActionListener(state);
+        
         if (recordBtn) {
             recordBtn.addEventListener('click', () => {
                 if (state.isRecording) {
@@ -437,10 +847,40 @@ class PeebleApp extends HTMLElement {
             });
         }
         
+        if (addRecipientBtn) {
+            addRecipientBtn.addEventListener('click', () => {
+                this.eventBus.publish(state.addingRecipient ? 'cancel-add-recipient-tag' : 'add-recipient-tag');
+            });
+        }
+        
+        this.shadowRoot.querySelectorAll('[data-remove-recipient]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.eventBus.publish('remove-recipient-tag', button.dataset.removeRecipient);
+            });
+        });
+        
         if (saveBtn) {
             saveBtn.addEventListener('click', () => {
                 const transcript = transcriptText ? transcriptText.value.trim() : '';
-                this.eventBus.publish('save-secure-message', transcript);
+                const pin = this.shadowRoot.getElementById('messagePin').value;
+                if (pin !== this.shadowRoot.getElementById('messagePinConfirm').value) {
+                    this.showStatus('🔢 The two PINs do not match.', 'warning');
+                    return;
+                }
+                // datetime-local values are in this device's time zone; new Date() reads them as such
+                const unlockAt = this.shadowRoot.getElementById('unlockAtInput').value;
+                const enforceUnlockOpt = this.shadowRoot.getElementById('enforceUnlockOpt');
+                const expiresAt = this.shadowRoot.getElementById('expiresAtInput').value;
+                const maxPlays = this.shadowRoot.getElementById('maxPlaysInput').value;
+                this.eventBus.publish('save-secure-message', {
+                    transcript,
+                    pin: pin || null,
+                    withRecoveryCode: this.shadowRoot.getElementById('recoveryCodeOpt').checked,
+                    unlockAt: unlockAt ? new Date(unlockAt).toISOString() : null,
+                    enforceUnlock: !!enforceUnlockOpt?.checked,
+                    expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+                    maxPlays: maxPlays ? Number(maxPlays) : null
+                });
             });
         }
         
@@ -456,6 +896,109 @@ class PeebleApp extends HTMLElement {
             });
         }
         
+        if (printRecoveryCardBtn && state.recoveryCode) {
+            printRecoveryCardBtn.addEventListener('click', () => {
+                const { messageId, ipfsHash, storageService } = state;
+                this.printRecoveryCard(state.recoveryCode, URLParser.createSecureNfcUrl({
+                    messageId,
+                    ...storageService.getPackageUrlParams(ipfsHash)
+                }));
+            });
+        }
+        
+        if (openRecoveryBtn) {
+            openRecoveryBtn.addEventListener('click', () => {
+                this.eventBus.publish('open-recovery');
+            });
+        }
+        
+        this.shadowRoot.querySelectorAll('[data-write-message]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.eventBus.publish('write-pending-message', button.dataset.writeMessage);
+            });
+        });
+        this.shadowRoot.querySelectorAll('[data-retry-upload]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.eventBus.publish('retry-pending-upload', button.dataset.retryUpload);
+            });
+        });
+        
+        if (precacheBtn) {
+            precacheBtn.addEventListener('click', () => {
+                this.eventBus.publish('precache-messages');
+            });
+        }
+        
+        if (manageMessagesBtn) {
+            manageMessagesBtn.addEventListener('click', () => {
+                this.eventBus.publish('open-message-manager');
+            });
+        }
+        
+        this.shadowRoot.querySelectorAll('[data-delete-message]').forEach(button => {
+            button.addEventListener('click', () => {
+                if (confirm('Delete this message from storage? Its Peeble will no longer play it.')) {
+                    this.eventBus.publish('delete-stored-message', button.dataset.deleteMessage);
+                }
+            });
+        });
+        
+        this.shadowRoot.querySelectorAll('[data-transfer-message]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.eventBus.publish('start-message-transfer', button.dataset.transferMessage);
+            });
+        });
+        
+        if (useEscrowBtn) {
+            useEscrowBtn.addEventListener('click', () => {
+                this.eventBus.publish('use-escrowed-key');
+            });
+        }
+        
+        if (confirmTransferBtn) {
+            confirmTransferBtn.addEventListener('click', () => {
+                const pin = this.shadowRoot.getElementById('transferPin').value;
+                const pinConfirm = this.shadowRoot.getElementById('transferPinConfirm');
+                if (pinConfirm && pin !== pinConfirm.value) {
+                    this.showStatus('🔢 The two PINs do not match.', 'warning');
+                    return;
+                }
+                this.eventBus.publish('confirm-message-transfer', {
+                    pin: pin || null,
+                    acceptLosses: confirmTransferBtn.hasAttribute('data-accept-losses')
+                });
+            });
+        }
+        
+        if (cancelTransferBtn) {
+            cancelTransferBtn.addEventListener('click', () => {
+                this.eventBus.publish('cancel-message-transfer');
+            });
+        }
+        
+        if (cleanupBtn) {
+            cleanupBtn.addEventListener('click', () => {
+                const retentionDays = parseInt(this.shadowRoot.getElementById('retentionDays').value, 10);
+                if (confirm(`Delete every stored message older than ${retentionDays} days? Their Peebles will no longer play them.`)) {
+                    this.eventBus.publish('cleanup-stored-messages', retentionDays);
+                }
+            });
+        }
+        
+        if (closeManagerBtn) {
+            closeManagerBtn.addEventListener('click', () => {
+                this.eventBus.publish('close-message-manager');
+            });
+        }
+        
+        this.setupIdentityEventListeners(state);
+        
+        if (senderIdentityBtn) {
+            senderIdentityBtn.addEventListener('click', () => {
+                this.eventBus.publish('open-sender-identity');
+            });
+        }
+        
         if (transcriptText) {
             transcriptText.addEventListener('input', () => {
                 const charCount = this.shadowRoot.getElementById('charCount');
@@ -470,6 +1013,63 @@ class PeebleApp extends HTMLElement {
         const playButton = this.shadowRoot.getElementById('playButton');
         const closePlayerBtn = this.shadowRoot.getElementById('closePlayerBtn');
         const playbackAudio = this.shadowRoot.getElementById('playbackAudio');
+        const pinInput = this.shadowRoot.getElementById('pinInput');
+        const pinSubmitBtn = this.shadowRoot.getElementById('pinSubmitBtn');
+        const openRecoveryBtn = this.shadowRoot.getElementById('openRecoveryBtn');
+        const recoveryCodeInput = this.shadowRoot.getElementById('recoveryCodeInput');
+        const recoverBtn = this.shadowRoot.getElementById('recoverBtn');
+        const closeRecoveryBtn = this.shadowRoot.getElementById('closeRecoveryBtn');
+        
+        this.setupRecoveryActionListener(state);
+        
+        if (openRecoveryBtn) {
+            openRecoveryBtn.addEventListener('click', () => {
+                this.eventBus.publish('open-recovery');
+            });
+        }
+        
+        if (state.currentStep !== 'recover') {
+            this.recoveryCodeDraft = '';
+        }
+        
+        const unlockCountdown = this.shadowRoot.getElementById('unlockCountdown');
+        if (unlockCountdown) {
+            const unlockTime = Date.parse(state.lockedUntil);
+            this.countdownTimer = setInterval(() => {
+                unlockCountdown.textContent = this.formatCountdown(unlockTime - Date.now());
+            }, 1000);
+        }
+        
+        if (recoveryCodeInput && recoverBtn) {
+            recoveryCodeInput.addEventListener('input', () => {
+                this.recoveryCodeDraft = recoveryCodeInput.value;
+            });
+            recoverBtn.addEventListener('click', () => {
+                const recoveryUrl = this.shadowRoot.getElementById('recoveryUrl');
+                this.eventBus.publish('submit-recovery-code', {
+                    code: recoveryCodeInput.value,
+                    url: recoveryUrl ? recoveryUrl.value : null
+                });
+            });
+            recoveryCodeInput.focus();
+        }
+        
+        if (closeRecoveryBtn) {
+            closeRecoveryBtn.addEventListener('click', () => {
+                this.eventBus.publish('close-recovery');
+            });
+        }
+        
+        if (pinInput && pinSubmitBtn) {
+            const submitPin = () => {
+                if (pinInput.value) this.eventBus.publish('submit-message-pin', pinInput.value);
+            };
+            pinSubmitBtn.addEventListener('click', submitPin);
+            pinInput.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter') submitPin();
+            });
+            pinInput.focus();
+        }
         
         if (playButton) {
             playButton.addEventListener('click', () => {
@@ -510,6 +1110,404 @@ class PeebleApp extends HTMLElement {
         }
     }
 
+    /**
+     * Renders messages that are still waiting to be uploaded or written to a Peeble.
+     * @param {object[]} pendingMessages - Local history entries with a pending status.
+     * @param {object[]} outboxEntries - Retry info from the upload outbox.
+     * @returns {string} The pending list markup.
+     */
+    renderPendingMessages(pendingMessages = [], outboxEntries = []) {
+        if (pendingMessages.length === 0) return '';
+
+        const items = pendingMessages.map(message => {
+            if (message.status === 'awaiting-nfc-write') {
+                return `
+                    <div class="message-card">
+                        <h4>✅ ${message.messageId} - uploaded</h4>
+                        <p>Ready to write to its Peeble.</p>
+                        <button class="btn btn-small" data-write-message="${message.messageId}">✍️ Write to Peeble</button>
+                    </div>
+                `;
+            }
+
+            const outboxEntry = outboxEntries.find(entry => entry.messageId === message.messageId);
+            if (outboxEntry?.failed) {
+                return `
+                    <div class="message-card">
+                        <h4>❌ ${message.messageId} - upload failed</h4>
+                        <p>Not retried automatically. Error: ${outboxEntry.lastError || outboxEntry.errorCode}</p>
+                        <button class="btn btn-small" data-retry-upload="${message.messageId}">🔁 Try again</button>
+                    </div>
+                `;
+            }
+            const retryIn = outboxEntry ? Math.max(0, Math.round((outboxEntry.nextAttemptAt - Date.now()) / 1000)) : null;
+            return `
+                <div class="message-card">
+                    <h4>⏳ ${message.messageId} - pending upload</h4>
+                    <p>${outboxEntry
+                        ? `Attempt ${outboxEntry.attempts}, next retry in ${retryIn}s. Last error: ${outboxEntry.lastError || 'none'}`
+                        : 'Waiting to upload...'}</p>
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <div class="saved-messages">
+                <h3>📤 Pending Peebles (${pendingMessages.length})</h3>
+                ${items}
+            </div>
+        `;
+    }
+
+    /**
+     * Renders uploaded messages from the local history, with a delete button for each.
+     * @param {object[]} managedMessages - Entries with `stored` true, false or null (not checked yet).
+     * @param {boolean} isProcessing - Disables the buttons while a deletion runs.
+     * @returns {string} The message list markup.
+     */
+    renderManagedMessages(managedMessages = [], isProcessing = false) {
+        if (managedMessages.length === 0) {
+            return '<p>No uploaded messages from this device.</p>';
+        }
+
+        const items = managedMessages.map(message => {
+            const storedLabel = message.stored === null ? '' : message.stored ? '☁️ stored' : '⚠️ no longer stored';
+            return `
+                <div class="message-card">
+                    <h4>${new Date(message.timestamp).toLocaleDateString()} - ${message.messageId}</h4>
+                    <p>"${message.originalTranscript || ''}"</p>
+                    <p>${message.status === 'written' ? '🪨 On a Peeble' : '✍️ Not written to a Peeble'} ${storedLabel ? `· ${storedLabel}` : ''}</p>
+                    ${message.stored !== false ? `
+                        <button class="btn btn-small btn-secondary" data-transfer-message="${message.messageId}" ${isProcessing ? 'disabled' : ''}>🔁 Move to a new Peeble</button>
+                    ` : ''}
+                    <button class="btn btn-small btn-secondary" data-delete-message="${message.messageId}" ${isProcessing ? 'disabled' : ''}>🗑️ Delete</button>
+                </div>
+            `;
+        }).join('');
+
+        return `<div class="saved-messages">${items}</div>`;
+    }
+
+    /**
+     * Renders who signed the message being played.
+     * @param {{status: string, name: string|null}|null} messageSender - From SenderIdentityService.verifyPackage.
+     * @returns {string} The sender line markup.
+     */
+    renderMessageSender(messageSender) {
+        if (!messageSender) return '';
+        const name = messageSender.name ? escapeHtml(messageSender.name) : null;
+        switch (messageSender.status) {
+            case 'verified':
+                return `<div class="message-sender">✅ From ${name} (verified)</div>`;
+            case 'self':
+                return `<div class="message-sender">🪪 From you</div>`;
+            case 'unknown':
+                return `<div class="message-sender">❔ Signed by an unknown sender${name ? ` calling themselves "${name}"` : ''}</div>`;
+            case 'invalid':
+                return `<div class="message-sender invalid">⚠️ Signature invalid - the sender cannot be confirmed</div>`;
+            default:
+                return `<div class="message-sender">Unsigned</div>`;
+        }
+    }
+
+    /**
+     * Renders the confirmation for a sender card opened from a QR link or file.
+     * @param {{publicKey: string, name: string}|null} pendingTrustedSender
+     * @returns {string} The confirmation markup, or nothing.
+     */
+    renderPendingTrustedSender(pendingTrustedSender) {
+        if (!pendingTrustedSender) return '';
+        return `
+            <div class="security-notice">
+                <h4>Trust ${pendingTrustedSender.name ? `"${escapeHtml(pendingTrustedSender.name)}"` : 'this sender'}?</h4>
+                <p>Only trust cards you got directly from the sender. Their messages will show as verified.</p>
+                <div class="identity-controls">
+                    <input type="text" id="trustedSenderName" maxlength="40" placeholder="Name to show, e.g. Mom" value="${escapeHtml(pendingTrustedSender.name)}">
+                    <button class="btn btn-small" id="trustSenderBtn">Trust</button>
+                    <button class="btn btn-small btn-secondary" id="dismissTrustBtn">Cancel</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Renders the trusted senders, with a remove button for each.
+     * @param {object[]} trustedSenders - Trusted sender records with a `fingerprint`.
+     * @returns {string} The list markup.
+     */
+    renderTrustedSenders(trustedSenders = []) {
+        if (trustedSenders.length === 0) {
+            return '<p>No trusted senders yet.</p>';
+        }
+
+        const items = trustedSenders.map(sender => `
+            <div class="message-card">
+                <h4>${escapeHtml(sender.name)}</h4>
+                <p class="fingerprint">${sender.fingerprint}</p>
+                <button class="btn btn-small btn-secondary" data-remove-sender="${sender.keyId}">✕ Remove</button>
+            </div>
+        `).join('');
+
+        return `<div class="saved-messages">${items}</div>`;
+    }
+
+    setupIdentityEventListeners(state) {
+        const saveSenderNameBtn = this.shadowRoot.getElementById('saveSenderNameBtn');
+        const downloadSenderCardBtn = this.shadowRoot.getElementById('downloadSenderCardBtn');
+        const senderCardFile = this.shadowRoot.getElementById('senderCardFile');
+        const trustSenderBtn = this.shadowRoot.getElementById('trustSenderBtn');
+        const dismissTrustBtn = this.shadowRoot.getElementById('dismissTrustBtn');
+        const closeIdentityBtn = this.shadowRoot.getElementById('closeIdentityBtn');
+
+        if (saveSenderNameBtn) {
+            saveSenderNameBtn.addEventListener('click', () => {
+                this.eventBus.publish('save-sender-name', this.shadowRoot.getElementById('senderName').value);
+            });
+        }
+
+        if (downloadSenderCardBtn && state.senderIdentityInfo) {
+            downloadSenderCardBtn.addEventListener('click', () => {
+                const { card } = state.senderIdentityInfo;
+                const url = URL.createObjectURL(new Blob([JSON.stringify(card, null, 2)], { type: 'application/json' }));
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = `peeble-sender-${(card.name || 'card').replace(/[^\w-]+/g, '-')}.json`;
+                link.click();
+                setTimeout(() => URL.revokeObjectURL(url), 0);
+            });
+        }
+
+        if (senderCardFile) {
+            senderCardFile.addEventListener('change', async () => {
+                const file = senderCardFile.files[0];
+                if (file) this.eventBus.publish('import-sender-card', await file.text());
+            });
+        }
+
+        if (trustSenderBtn && state.pendingTrustedSender) {
+            trustSenderBtn.addEventListener('click', () => {
+                this.eventBus.publish('trust-sender', {
+                    card: state.pendingTrustedSender,
+                    name: this.shadowRoot.getElementById('trustedSenderName').value
+                });
+            });
+        }
+
+        if (dismissTrustBtn) {
+            dismissTrustBtn.addEventListener('click', () => {
+                this.eventBus.publish('dismiss-trusted-sender');
+            });
+        }
+
+        this.shadowRoot.querySelectorAll('[data-remove-sender]').forEach(button => {
+            button.addEventListener('click', () => {
+                if (confirm('Stop trusting this sender? Their messages will no longer show as verified.')) {
+                    this.eventBus.publish('remove-trusted-sender', button.dataset.removeSender);
+                }
+            });
+        });
+
+        if (closeIdentityBtn) {
+            closeIdentityBtn.addEventListener('click', () => {
+                this.eventBus.publish('close-sender-identity');
+            });
+        }
+    }
+
+    /**
+     * Renders the steps of moving a message to a new Peeble.
+     * @param {object|null} messageTransfer - From the state manager.
+     * @param {boolean} isProcessing - Shows progress while the message is re-encrypted.
+     * @returns {string} The transfer steps markup.
+     */
+    renderMessageTransfer(messageTransfer, isProcessing = false) {
+        if (!messageTransfer) return '';
+        const { stage, canUseEscrow, oldTag, newSerial, lostPeebles } = messageTransfer;
+
+        let oldStep;
+        if (oldTag) {
+            oldStep = `✅ Old Peeble: ${oldTag.serial}`;
+        } else if (stage === 'old-tag') {
+            oldStep = '1️⃣ Tap the old Peeble of this message.';
+        } else {
+            oldStep = '✅ Using the key saved on this device';
+        }
+
+        return `
+            <div class="waiting-state">
+                <p>${oldStep}</p>
+                <p>${newSerial ? `✅ New Peeble: ${newSerial}` : '2️⃣ Then tap the new Peeble.'}</p>
+            </div>
+            ${stage === 'old-tag' ? (canUseEscrow
+                ? '<button class="btn btn-secondary" id="useEscrowBtn">🗝️ The old Peeble is lost - use the key saved on this device</button>'
+                : '<p>No key for this message is saved on this device, so its old Peeble is needed.</p>') : ''}
+            ${stage === 'ready' ? `
+                <div class="pin-controls">
+                    <p>🔢 If the message has a PIN, enter it. The new Peeble keeps the same PIN.</p>
+                    <input type="password" id="transferPin" inputmode="numeric" autocomplete="off" placeholder="PIN (if any)" ${isProcessing ? 'disabled' : ''}>
+                    ${oldTag ? '' : `<input type="password" id="transferPinConfirm" inputmode="numeric" autocomplete="off" placeholder="Repeat PIN" ${isProcessing ? 'disabled' : ''}>`}
+                </div>
+                ${lostPeebles ? `<p>⚠️ ${lostPeebles} other Peeble(s) sharing this message will stop playing it, because without the old Peeble its entry cannot be told apart from theirs.</p>` : ''}
+                ${isProcessing ? this.renderProgress() : ''}
+                <button class="btn" id="confirmTransferBtn" ${lostPeebles ? 'data-accept-losses' : ''} ${isProcessing ? 'disabled' : ''}>
+                    ${isProcessing ? '🔁 Moving...' : lostPeebles ? '🔁 Move anyway' : '🔁 Move message'}
+                </button>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Renders the recovery code of the message just saved, shown only this once.
+     * @param {{messageId: string, code: string}|null} recoveryCode - From the state manager.
+     * @param {string} messageId - The message on screen; a code saved for another message is not shown.
+     * @param {boolean} canPrint - Whether the message URL is known yet (it is not while the upload is pending).
+     * @returns {string} The recovery code markup, or nothing if the message has none.
+     */
+    renderRecoveryCode(recoveryCode, messageId, canPrint) {
+        if (!recoveryCode || recoveryCode.messageId !== messageId) return '';
+        return `
+            <div class="security-notice">
+                <h4>🧩 Recovery Code</h4>
+                <p>With these words and the message URL, the message plays without any Peeble. Keep them somewhere safe: they are not shown again.</p>
+                <ol class="recovery-words">
+                    ${recoveryCode.code.split(' ').map(word => `<li>${word}</li>`).join('')}
+                </ol>
+                ${canPrint
+                    ? '<button class="btn btn-secondary" id="printRecoveryCardBtn">🖨️ Print recovery card</button>'
+                    : '<p>Write them down now. The card can be printed once the message is uploaded.</p>'}
+            </div>
+        `;
+    }
+
+    /**
+     * Opens a printable card with the message URL (as text and QR code) and its recovery code.
+     * @param {{messageId: string, code: string}} recoveryCode
+     * @param {string} secureUrl - The message URL.
+     */
+    printRecoveryCard({ messageId, code }, secureUrl) {
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            this.showStatus('🖨️ Allow pop-ups for this page to print the recovery card.', 'warning');
+            return;
+        }
+        printWindow.document.write(`<!DOCTYPE html>
+            <html>
+            <head>
+                <meta charset="utf-8">
+                <title>Peeble recovery card - ${messageId}</title>
+                <style>
+                    body { font-family: sans-serif; max-width: 600px; margin: 20px auto; }
+                    .card { border: 2px dashed #333; border-radius: 12px; padding: 20px; }
+                    .qr { width: 180px; float: right; margin-left: 15px; }
+                    .qr svg { width: 100%; height: auto; display: block; }
+                    .url { font-family: monospace; font-size: 0.8em; word-break: break-all; }
+                    ol { font-family: monospace; font-size: 1.3em; columns: 2; clear: both; padding-top: 10px; }
+                    .note { font-size: 0.85em; color: #444; }
+                </style>
+            </head>
+            <body>
+                <div class="card">
+                    <div class="qr">${qrToSvg(encodeQr(secureUrl))}</div>
+                    <h2>🧩 Peeble recovery card</h2>
+                    <p><strong>Message:</strong> ${messageId}<br><strong>Saved:</strong> ${new Date().toLocaleDateString()}</p>
+                    <p class="url">${escapeHtml(secureUrl)}</p>
+                    <ol>${code.split(' ').map(word => `<li>${word}</li>`).join('')}</ol>
+                    <p class="note">If the Peeble is lost: open the link above (or scan the code), choose
+                        "Lost the Peeble? Use a recovery code" and enter the words in order.</p>
+                    <p class="note">Anyone holding this card can play the message. Keep it somewhere safe.</p>
+                </div>
+            </body>
+            </html>`);
+        printWindow.document.close();
+        printWindow.focus();
+        printWindow.print();
+    }
+
+    /**
+     * Renders the recovery button offered after a storage failure.
+     * @param {{label: string, event: string}|null} recoveryAction - From the state manager.
+     * @returns {string} The button markup, or nothing if there is no action.
+     */
+    renderRecoveryAction(recoveryAction) {
+        if (!recoveryAction) return '';
+        return `<button class="btn" id="recoveryBtn">${recoveryAction.label}</button>`;
+    }
+
+    setupRecoveryActionListener(state) {
+        const recoveryBtn = this.shadowRoot.getElementById('recoveryBtn');
+        if (recoveryBtn && state.recoveryAction) {
+            recoveryBtn.addEventListener('click', () => {
+                const { event, payload } = state.recoveryAction;
+                this.eventBus.publish(event, payload);
+            });
+        }
+    }
+
+    /**
+     * Renders the progress bar for the current save/load stage.
+     * @returns {string} The progress bar markup.
+     */
+    renderProgress() {
+        return `
+            <div class="progress-container">
+                <div class="progress-track">
+                    <div class="progress-fill" id="progressFill"></div>
+                </div>
+                <div class="progress-label" id="progressLabel"></div>
+            </div>
+        `;
+    }
+
+    /**
+     * Stores the latest progress and updates the bar in place, without a full re-render.
+     * @param {{stage: string, loaded: number|null, total: number|null, percent: number|null}} progress
+     */
+    handleProgressUpdate(progress) {
+        this.progress = progress;
+        this.updateProgressBar();
+    }
+
+    updateProgressBar() {
+        const fill = this.shadowRoot.getElementById('progressFill');
+        const label = this.shadowRoot.getElementById('progressLabel');
+        if (!fill || !label) return;
+
+        const stageLabels = {
+            'deriving-key': '🔑 Deriving key...',
+            'encrypting': '🔒 Encrypting...',
+            'uploading': '⬆️ Uploading',
+            'downloading': '⬇️ Downloading',
+            'decrypting': '🔓 Decrypting...'
+        };
+
+        if (!this.progress) {
+            fill.className = 'progress-fill indeterminate';
+            fill.style.width = '';
+            label.textContent = 'Preparing...';
+            return;
+        }
+
+        const { stage, loaded, total, percent } = this.progress;
+        let text = stageLabels[stage] || stage;
+
+        if (percent !== null && percent !== undefined) {
+            fill.className = 'progress-fill';
+            fill.style.width = `${percent}%`;
+            text += ` ${percent}% (${this.formatBytes(loaded)} / ${this.formatBytes(total)})`;
+        } else {
+            fill.className = 'progress-fill indeterminate';
+            fill.style.width = '';
+            if (loaded) text += ` ${this.formatBytes(loaded)}`;
+        }
+        label.textContent = text;
+    }
+
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
     showStatus(message, type = 'info') {
         if (this.statusDiv && message) {
             this.statusDiv.textContent = message;
@@ -523,10 +1521,41 @@ class PeebleApp extends HTMLElement {
         return `${minutes.toString().padStart(2, '0')}:${remainingSeconds.toString().padStart(2, '0')}`;
     }
 
+    // Tells the reader how much longer a self-destructing message plays
+    renderExpiryNotice({ playsLeft, messagePackage }) {
+        const expiresAt = messagePackage?.metadata?.expiresAt;
+        const notes = [];
+        if (playsLeft !== null) {
+            notes.push(playsLeft === 0 ? '🔥 This is the last time this message opens on this device.'
+                : `🔥 This message opens ${playsLeft} more time${playsLeft === 1 ? '' : 's'} on this device.`);
+        }
+        if (expiresAt) {
+            notes.push(`⌛ It expires on ${new Date(expiresAt).toLocaleString()}.`);
+        }
+        return notes.length ? `<div class="security-notice"><p>${notes.join(' ')}</p></div>` : '';
+    }
+
+    /**
+     * @param {number} ms - Time left until a message unlocks.
+     * @returns {string} e.g. "12 days 03:04:05", or "00:00:00" once it is due.
+     */
+    formatCountdown(ms) {
+        const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+        const days = Math.floor(totalSeconds / 86400);
+        const clock = [Math.floor(totalSeconds / 3600) % 24, Math.floor(totalSeconds / 60) % 60, totalSeconds % 60]
+            .map(part => part.toString().padStart(2, '0'))
+            .join(':');
+        return days > 0 ? `${days} day${days === 1 ? '' : 's'} ${clock}` : clock;
+    }
+
     disconnectedCallback() {
         if (this.unsubscribe) {
             this.unsubscribe();
         }
+        if (this.unsubscribeProgress) {
+            this.unsubscribeProgress();
+        }
+        clearInterval(this.countdownTimer);
     }
 }
 
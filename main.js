@@ -1,7 +1,13 @@
 // main.js
 
 import { debugLog } from './services/utils.js';
-import { StorageService } from './services/storage.js';
+import { StorageService, createStorageBackend } from './services/storage.js';
+import { PackageCache } from './services/package-cache.js';
+import { UploadOutbox } from './services/upload-outbox.js';
+import { CredentialVault } from './services/credential-vault.js';
+import { SenderIdentityService } from './services/sender-identity.js';
+import { KeyEscrowService } from './services/key-escrow.js';
+import { TimeLockService } from './services/time-lock.js';
 import { stateManager } from './services/state-manager.js';
 import { eventBus } from './services/pubsub.js';
 import { AudioServiceAdapter } from './services/audio-service-adapter.js';
@@ -12,75 +18,192 @@ import './components/peeble-app.js';
 import './components/nfc-handler.js';
 
 // =======================================================
-// === DEVELOPMENT SETUP: PINATA CREDENTIALS ===
+// === STORAGE BACKEND SELECTION ===
 // =======================================================
-// Hardcoded for development/testing - fill these in:
-const DEFAULT_PINATA_API_KEY = '54e63158b8fd4788f2ef'; // <-- Paste your API Key here
-const DEFAULT_PINATA_SECRET = '9586c0caa8bc183e8023f7e3b34c5b1e5a4672ca94f0d4d4bdddf8b4fe50e906'; // <-- Paste your Secret here
+// 'pinata'     - Pinata IPFS pinning (credentials are kept in the encrypted vault)
+// 'memory'     - In-memory store, for offline testing (lost on reload)
+// 'local-http' - Local HTTP package store at localHttpUrl
+// 'kubo'       - Self-hosted IPFS node through the Kubo RPC API at kuboApiUrl
+// 's3'         - S3-compatible object storage (AWS S3, MinIO, R2...); NFC URLs carry objectKey
+const STORAGE_CONFIG = {
+    backend: 'pinata',
+    localHttpUrl: 'http://localhost:8787',
+    kuboApiUrl: 'http://127.0.0.1:5001',
+    kuboBasicAuth: false, // true when the RPC API is behind basic auth (credentials go in the vault)
+    s3: {
+        endpoint: 'https://s3.us-east-1.amazonaws.com',
+        bucket: 'peeble-messages',
+        region: 'us-east-1',
+        pathStyle: false, // true for MinIO and other endpoint/bucket style servers
+        prefix: 'peeble/',
+        publicUrl: null, // Base URL readers download from (e.g. a CDN); null = the bucket URL
+        presignExpiresSec: 900
+    },
+    // Upload relay (see relay/server.mjs): provider secrets stay on the relay and the
+    // credential vault only holds the relay token. null = the browser talks to the provider directly.
+    relayUrl: null,
+    // IPFS gateways raced for downloads; reordered over time by success/latency score
+    gateways: [
+        'https://ipfs.io/ipfs/',
+        'https://cloudflare-ipfs.com/ipfs/',
+        'https://gateway.pinata.cloud/ipfs/'
+    ],
+    gatewayTimeoutMs: 15000,
+    gatewayStaggerMs: 500, // 0 = start all gateways at once
+    // Downloaded (still encrypted) packages kept in IndexedDB for offline playback; 0 disables
+    cacheMaxBytes: 50 * 1024 * 1024
+};
 
-// Set to true to force use hardcoded keys (ignore localStorage)
-const FORCE_USE_HARDCODED_KEYS = true;
+// Time-lock server for unlock dates that a phone's clock cannot get around (see tools/timelock-stub.mjs).
+// null = unlock dates are checked against the reader's clock only. Readers use the server named in each package.
+const TIME_LOCK_SERVER_URL = null;
 // =======================================================
 
+// Credential forms in #vaultSetup; each input id is also the credential's name in the vault
+const CREDENTIAL_TYPES = {
+    'jwt': { backend: 'pinata', fieldsId: 'pinataJwtFields', fields: ['pinataJwt'] },
+    'keys': { backend: 'pinata', fieldsId: 'pinataKeyFields', fields: ['pinataApiKey', 'pinataSecret'] },
+    'kubo-basic': { backend: 'kubo', fieldsId: 'kuboBasicFields', fields: ['kuboUsername', 'kuboPassword'] },
+    's3-keys': { backend: 's3', fieldsId: 's3KeyFields', fields: ['s3AccessKeyId', 's3SecretAccessKey'] },
+    'relay-token': { backend: 'relay', fieldsId: 'relayTokenFields', fields: ['relayToken'] }
+};
+
 let storageService; // Global instance of StorageService
 let audioServiceAdapter; // Audio service adapter
+let credentialVault; // Encrypted storage credentials
+let uploadOutbox; // Offline upload queue
 
 /**
- * Initializes the Pinata API credentials and tests the connection.
- * This function is exposed globally for the HTML button.
- * Note: In development mode with hardcoded keys, this may not be needed.
- * @global
+ * Shows the credential setup or unlock form, or hides the section once uploads are possible.
+ * @param {object} [options]
+ * @param {boolean} [options.rejected=false] - The provider rejected the unlocked credentials; ask for new ones.
  */
-window.testPinataConnection = async function() {
-    if (FORCE_USE_HARDCODED_KEYS) {
-        debugLog('🔧 Development mode active - using hardcoded credentials. Test skipped.', 'info');
-        document.getElementById('apiSetup').style.display = 'none';
+function updateCredentialSetupUI({ rejected = false } = {}) {
+    const apiSetup = document.getElementById('apiSetup');
+    if (!apiSetup) return;
+
+    if (storageService.isReadyToUpload() && !rejected) {
+        apiSetup.style.display = 'none';
         return;
     }
 
-    debugLog('Initiating Pinata connection test from main.js...');
-    const apiKeyInput = document.getElementById('pinataApiKey');
-    const secretInput = document.getElementById('pinataSecret');
-    
-    const apiKey = apiKeyInput.value.trim();
-    const secret = secretInput.value.trim();
+    apiSetup.style.display = 'block';
+    const hasVault = credentialVault.exists() && !rejected;
+    document.getElementById('vaultSetup').style.display = hasVault ? 'none' : 'block';
+    document.getElementById('vaultUnlock').style.display = hasVault ? 'block' : 'none';
+    window.updateCredentialFields();
+}
 
-    if (!apiKey || !secret) {
-        debugLog('Pinata credentials missing.', 'error');
+/**
+ * Hands unlocked credentials to the storage service and retries anything waiting in the outbox,
+ * including uploads that failed because credentials were missing or rejected.
+ * @param {object} credentials - Decrypted vault credentials.
+ */
+function applyCredentials(credentials) {
+    storageService.setCredentials(credentials);
+    updateCredentialSetupUI();
+    eventBus.publish('credentials-unlocked');
+    uploadOutbox.processQueue({ force: true, retryFailed: true });
+}
+
+/**
+ * Offers only the credential types of the configured backend, and shows the selected type's fields.
+ * @global
+ */
+window.updateCredentialFields = function() {
+    const select = document.getElementById('credentialType');
+    const backend = STORAGE_CONFIG.relayUrl ? 'relay' : STORAGE_CONFIG.backend;
+    for (const option of select.options) {
+        option.hidden = CREDENTIAL_TYPES[option.value].backend !== backend;
+    }
+    if (select.selectedOptions[0]?.hidden) {
+        select.value = Array.from(select.options).find(option => !option.hidden)?.value;
+    }
+
+    for (const [type, { fieldsId }] of Object.entries(CREDENTIAL_TYPES)) {
+        document.getElementById(fieldsId).style.display = type === select.value ? 'flex' : 'none';
+    }
+};
+
+/**
+ * Tests the entered storage credentials, then saves them encrypted with the passphrase.
+ * This function is exposed globally for the HTML button.
+ * @global
+ */
+window.saveCredentialVault = async function() {
+    const { fields } = CREDENTIAL_TYPES[document.getElementById('credentialType').value];
+    const passphrase = document.getElementById('vaultPassphrase').value;
+    const passphraseConfirm = document.getElementById('vaultPassphraseConfirm').value;
+
+    const credentials = Object.fromEntries(
+        fields.map(field => [field, document.getElementById(field).value.trim()])
+    );
+
+    if (fields.some(field => !credentials[field])) {
+        debugLog('Storage credentials missing.', 'error');
+        return;
+    }
+    if (passphrase !== passphraseConfirm) {
+        debugLog('Passphrases do not match.', 'error');
         return;
     }
 
-    const testButton = document.querySelector('.api-input .btn-small');
-    const originalButtonText = testButton.textContent;
-    testButton.textContent = 'Testing...';
-    testButton.disabled = true;
+    const saveButton = document.getElementById('vaultSaveBtn');
+    const originalButtonText = saveButton.textContent;
+    saveButton.textContent = 'Testing...';
+    saveButton.disabled = true;
 
     try {
-        storageService.setCredentials(apiKey, secret);
+        storageService.setCredentials(credentials);
         const success = await storageService.testConnection();
-        if (success) {
-            // Update state and localStorage
-            stateManager.setState({ pinataApiKey: apiKey, pinataSecret: secret });
-            localStorage.setItem('pinataApiKey', apiKey);
-            localStorage.setItem('pinataSecret', secret);
-            
-            // Set the storage service in state manager
-            stateManager.setStorageService(storageService);
-            
-            document.getElementById('apiSetup').style.display = 'none';
-            debugLog('Pinata connection successful!', 'success');
-            debugLog('Pinata credentials saved and connection verified.', 'success');
-        } else {
-            debugLog('Pinata connection failed during test.', 'error');
+        if (!success) {
+            storageService.setCredentials(null);
+            debugLog('Storage connection failed during test. Credentials not saved.', 'error');
+            return;
         }
+
+        await credentialVault.save(credentials, passphrase);
+        document.getElementById('vaultPassphrase').value = '';
+        document.getElementById('vaultPassphraseConfirm').value = '';
+        debugLog('Storage connection verified and credentials saved encrypted.', 'success');
+        applyCredentials(credentials);
     } catch (error) {
-        debugLog(`Pinata test error: ${error.message}`, 'error');
+        storageService.setCredentials(null);
+        debugLog(`Credential setup error: ${error.message}`, 'error');
     } finally {
-        testButton.textContent = originalButtonText;
-        testButton.disabled = false;
+        saveButton.textContent = originalButtonText;
+        saveButton.disabled = false;
     }
 };
 
+/**
+ * Unlocks the credential vault with the entered passphrase.
+ * This function is exposed globally for the HTML button.
+ * @global
+ */
+window.unlockCredentialVault = async function() {
+    const passphraseInput = document.getElementById('vaultUnlockPassphrase');
+    try {
+        const credentials = await credentialVault.unlock(passphraseInput.value);
+        passphraseInput.value = '';
+        applyCredentials(credentials);
+    } catch (error) {
+        debugLog(`🔑 Unlock failed: ${error.message}`, 'error');
+    }
+};
+
+/**
+ * Deletes the stored vault so credentials can be entered again.
+ * This function is exposed globally for the HTML button.
+ * @global
+ */
+window.resetCredentialVault = function() {
+    if (!confirm('Delete the saved credentials from this device? You will need to enter them again.')) return;
+    credentialVault.clear();
+    storageService.setCredentials(null);
+    updateCredentialSetupUI();
+};
+
 /**
  * Debug function to manually trigger NFC tag scan simulation
  * @global
@@ -135,106 +258,45 @@ document.addEventListener('DOMContentLoaded', () => {
         debugLog(`   URL: ${data.url || 'NULL'}`, 'info');
     });
 
-    // Determine which credentials to use
-    let pinataApiKey, pinataSecret;
-    
-    if (FORCE_USE_HARDCODED_KEYS && DEFAULT_PINATA_API_KEY && DEFAULT_PINATA_SECRET) {
-        // Use hardcoded keys for development
-        pinataApiKey = DEFAULT_PINATA_API_KEY;
-        pinataSecret = DEFAULT_PINATA_SECRET;
-        debugLog('🔧 DEVELOPMENT MODE: Using hardcoded Pinata credentials.', 'warning');
-    } else {
-        // Use stored credentials or fallback to defaults
-        const state = stateManager.getState();
-        pinataApiKey = state.pinataApiKey || DEFAULT_PINATA_API_KEY;
-        pinataSecret = state.pinataSecret || DEFAULT_PINATA_SECRET;
-    }
+    // Initialize StorageService with the configured backend
+    const backend = createStorageBackend(STORAGE_CONFIG);
+    const cache = STORAGE_CONFIG.cacheMaxBytes > 0 ? new PackageCache({ maxBytes: STORAGE_CONFIG.cacheMaxBytes }) : null;
+    storageService = new StorageService(backend, { cache });
+
+    // Failed or offline saves are kept in the outbox and retried automatically
+    uploadOutbox = new UploadOutbox({ storageService, eventBus });
+    stateManager.setUploadOutbox(uploadOutbox);
+    uploadOutbox.start();
+
+    // Saved packages are signed with this device's key; loaded ones are checked against trusted senders.
+    // Set before the storage service so an auto-load already has it.
+    stateManager.setSenderIdentity(new SenderIdentityService());
 
-    // Initialize StorageService
-    storageService = new StorageService(pinataApiKey, pinataSecret);
+    // Content keys are also escrowed on this device, so messages can be moved to a new Peeble if one is lost
+    stateManager.setKeyEscrow(new KeyEscrowService());
+    stateManager.setTimeLock(new TimeLockService({ serverUrl: TIME_LOCK_SERVER_URL }));
 
     // Initialize Audio Service Adapter
     audioServiceAdapter = new AudioServiceAdapter(eventBus);
 
-    // Auto-configure storage service if we have valid credentials
-    if (pinataApiKey && pinataSecret && pinataApiKey !== 'YOUR_PINATA_API_KEY_HERE') {
-        // Update state manager with the credentials
-        stateManager.setState({ 
-            pinataApiKey: pinataApiKey, 
-            pinataSecret: pinataSecret 
-        });
-        
-        debugLog('🔧 MAIN: Setting StorageService in StateManager...', 'info');
-        stateManager.setStorageService(storageService);
-        debugLog('✅ StorageService automatically configured.', 'success');
-        
-        // Auto-hide API setup if using hardcoded keys
-        if (FORCE_USE_HARDCODED_KEYS) {
-            document.getElementById('apiSetup').style.display = 'none';
-            debugLog('🔧 API setup hidden - using development credentials.', 'info');
-        }
-    } else {
-        debugLog('⚠️ MAIN: StorageService not configured - missing credentials', 'warning');
-    }
-
-    // Populate API key inputs (for UI display, even if using hardcoded)
-    const apiKeyInput = document.getElementById('pinataApiKey');
-    const secretInput = document.getElementById('pinataSecret');
-    if (apiKeyInput) apiKeyInput.value = pinataApiKey;
-    if (secretInput) secretInput.value = pinataSecret;
+    // Downloads work without credentials, so the storage service is available right away
+    debugLog('🔧 MAIN: Setting StorageService in StateManager...', 'info');
+    stateManager.setStorageService(storageService);
+    debugLog(`✅ StorageService configured with '${STORAGE_CONFIG.backend}' backend.`, 'success');
 
-    // Hide API setup if credentials are configured
-    const hasCredentials = pinataApiKey && pinataSecret && pinataApiKey !== 'YOUR_PINATA_API_KEY_HERE';
-    if (hasCredentials) {
+    // Uploads need unlocked credentials; readers only see the prompt if they try to save
+    credentialVault = new CredentialVault(stateManager.getState().encryptionService);
+    if (stateManager.getState().appMode === 'READER') {
         document.getElementById('apiSetup').style.display = 'none';
-        debugLog('Pinata credentials configured and ready.', 'success');
     } else {
-        debugLog('⚠️ Pinata credentials needed. Please fill in DEFAULT_PINATA_API_KEY and DEFAULT_PINATA_SECRET in main.js', 'warning');
+        updateCredentialSetupUI();
     }
+    eventBus.subscribe('credentials-required', (options) => updateCredentialSetupUI(options));
 
-    // Add event listeners for API key input changes (only if not forcing hardcoded)
-    if (!FORCE_USE_HARDCODED_KEYS) {
-        if (apiKeyInput) {
-            apiKeyInput.addEventListener('change', (e) => {
-                const newApiKey = e.target.value;
-                stateManager.setState({ pinataApiKey: newApiKey });
-                localStorage.setItem('pinataApiKey', newApiKey);
-                storageService.setCredentials(newApiKey, storageService.secret);
-                
-                // Update storage service in state if both credentials are present
-                if (newApiKey && stateManager.getState().pinataSecret) {
-                    stateManager.setStorageService(storageService);
-                }
-                
-                debugLog('Pinata API Key updated.', 'info');
-            });
-        }
-        
-        if (secretInput) {
-            secretInput.addEventListener('change', (e) => {
-                const newSecret = e.target.value;
-                stateManager.setState({ pinataSecret: newSecret });
-                localStorage.setItem('pinataSecret', newSecret);
-                storageService.setCredentials(storageService.apiKey, newSecret);
-                
-                // Update storage service in state if both credentials are present
-                if (newSecret && stateManager.getState().pinataApiKey) {
-                    stateManager.setStorageService(storageService);
-                }
-                
-                debugLog('Pinata Secret updated.', 'info');
-            });
-        }
-    } else {
-        // Disable inputs when using hardcoded keys
-        if (apiKeyInput) {
-            apiKeyInput.disabled = true;
-            apiKeyInput.style.opacity = '0.6';
-        }
-        if (secretInput) {
-            secretInput.disabled = true;
-            secretInput.style.opacity = '0.6';
-        }
+    if (!storageService.isReadyToUpload()) {
+        debugLog(credentialVault.exists()
+            ? '🔑 Storage credentials are locked. Enter your passphrase to enable uploads.'
+            : '🔑 No storage credentials yet. Set them up to enable uploads.', 'warning');
     }
 
     // Initialize the main PeebleApp component
@@ -255,11 +317,6 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     debugLog('🎉 Reactive Peeble App initialization complete!');
-    
-    // Log current credential status
-    if (FORCE_USE_HARDCODED_KEYS) {
-        debugLog(`🔧 DEVELOPMENT MODE ACTIVE - API Key: ${pinataApiKey.substring(0, 8)}...`, 'warning');
-    }
 
     // FIX: Add a helpful message for debugging NFC
     setTimeout(() => {
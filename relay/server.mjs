@@ -0,0 +1,440 @@
+// relay/server.mjs
+
+/**
+ * Reference upload relay for self-hosted Peeble.
+ * Serves the app and accepts already encrypted packages on the same origin, then forwards
+ * them to the storage provider with secrets that never reach the browser.
+ * Uses only Node built-ins (Node 18+):
+ *
+ *   RELAY_TOKEN=$(openssl rand -hex 32) PINATA_JWT=... node relay/server.mjs
+ *   RELAY_TOKEN=... RELAY_BACKEND=disk node relay/server.mjs
+ *
+ * Phones must be able to reach the relay, so everything but downloads needs RELAY_TOKEN as a
+ * bearer token (`Authorization: Bearer <token>`); the app keeps it in its credential vault.
+ *
+ * Environment:
+ *   PORT                - Listen port (default 8787)
+ *   RELAY_TOKEN         - Shared secret for uploads, deletes and listing (required, 16+ characters)
+ *   RELAY_PREFIX        - URL prefix of the relay endpoints (default /relay)
+ *   RELAY_BACKEND       - 'pinata' (default) or 'disk'
+ *   PINATA_JWT          - Pinata JWT, or PINATA_API_KEY + PINATA_SECRET
+ *   PINATA_GATEWAY      - Gateway used for GET /packages/:id (default https://gateway.pinata.cloud/ipfs/)
+ *   DISK_STORE_DIR      - Package directory for the disk backend (default relay/data)
+ *   STATIC_DIR          - Directory served for non-relay paths (default: the app files of the repository, '' to disable)
+ *   RELAY_ALLOW_ORIGIN  - Access-Control-Allow-Origin value, only needed when the app is served elsewhere
+ *
+ * Endpoints (under RELAY_PREFIX), all but GET /packages/:id behind the token:
+ *   POST   /packages        -> { id }
+ *   GET    /packages/:id    -> raw package bytes
+ *   DELETE /packages/:id
+ *   GET    /packages?k=v    -> { packages: [{ id, name, size, createdAt, keyvalues }] }, filtered by metadata
+ *   GET    /health
+ * These match the local-http backend, so a disk relay also works as backend: 'local-http' for downloads.
+ * Dotfiles and the disk store are never served as static files.
+ */
+
+import { createServer } from 'node:http';
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { mkdir, readFile, readdir, writeFile, unlink, stat } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+const REPO_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// What is served from the repository root when STATIC_DIR is not set: the app, not the whole checkout
+const APP_PATHS = ['/index.html', '/style.css', '/main.js', '/components/', '/services/'];
+
+const config = {
+    port: parseInt(process.env.PORT || '8787', 10),
+    token: process.env.RELAY_TOKEN || null,
+    prefix: (process.env.RELAY_PREFIX || '/relay').replace(/\/+$/, ''),
+    backend: process.env.RELAY_BACKEND || 'pinata',
+    pinataJwt: process.env.PINATA_JWT || null,
+    pinataApiKey: process.env.PINATA_API_KEY || null,
+    pinataSecret: process.env.PINATA_SECRET || null,
+    pinataGateway: process.env.PINATA_GATEWAY || 'https://gateway.pinata.cloud/ipfs/',
+    diskStoreDir: process.env.DISK_STORE_DIR || path.join(REPO_ROOT, 'relay', 'data'),
+    staticDir: process.env.STATIC_DIR ?? REPO_ROOT,
+    staticPaths: process.env.STATIC_DIR === undefined ? APP_PATHS : null, // null = the whole STATIC_DIR
+    allowOrigin: process.env.RELAY_ALLOW_ORIGIN || null
+};
+
+// Packages are capped at 25MB of audio by the app; allow room for the transcript and header
+const MAX_PACKAGE_BYTES = 26 * 1024 * 1024;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.webmanifest': 'application/manifest+json'
+};
+
+class HttpError extends Error {
+    constructor(status, message, { retryAfter = null } = {}) {
+        super(message);
+        this.status = status;
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * Pinata pinning, authenticated with the relay's own credentials.
+ */
+const pinataStore = {
+    authHeaders() {
+        if (config.pinataJwt) {
+            return { 'Authorization': `Bearer ${config.pinataJwt}` };
+        }
+        return {
+            'pinata_api_key': config.pinataApiKey,
+            'pinata_secret_api_key': config.pinataSecret
+        };
+    },
+
+    async health() {
+        const response = await fetch('https://api.pinata.cloud/data/testAuthentication', {
+            headers: this.authHeaders()
+        });
+        return response.ok;
+    },
+
+    async put(bytes, { name, contentType, keyvalues }) {
+        const formData = new FormData();
+        formData.append('file', new Blob([bytes], { type: contentType }), name);
+        formData.append('pinataMetadata', JSON.stringify({ name, keyvalues }));
+        formData.append('pinataOptions', JSON.stringify({ cidVersion: 0 }));
+
+        const response = await fetch('https://api.pinata.cloud/pinning/pinFileToIPFS', {
+            method: 'POST',
+            headers: this.authHeaders(),
+            body: formData
+        });
+        if (!response.ok) {
+            // Pass the provider status through so the client can tell auth/quota/rate limits apart
+            throw new HttpError(response.status, `Pinata upload failed: ${await response.text()}`, {
+                retryAfter: response.headers.get('Retry-After')
+            });
+        }
+        const result = await response.json();
+        return result.IpfsHash;
+    },
+
+    async list(keyvalues) {
+        const metadataFilter = Object.fromEntries(
+            Object.entries(keyvalues).map(([key, value]) => [key, { value, op: 'eq' }])
+        );
+        const pageLimit = 1000;
+        const packages = [];
+
+        for (let pageOffset = 0; ; pageOffset += pageLimit) {
+            const query = new URLSearchParams({ status: 'pinned', pageLimit, pageOffset });
+            if (Object.keys(metadataFilter).length > 0) {
+                query.set('metadata[keyvalues]', JSON.stringify(metadataFilter));
+            }
+            const response = await fetch(`https://api.pinata.cloud/data/pinList?${query}`, {
+                headers: this.authHeaders()
+            });
+            if (!response.ok) {
+                throw new HttpError(response.status, `Pinata pin list failed: ${await response.text()}`, {
+                    retryAfter: response.headers.get('Retry-After')
+                });
+            }
+            const { rows } = await response.json();
+            for (const row of rows) {
+                packages.push({
+                    id: row.ipfs_pin_hash,
+                    name: row.metadata?.name || null,
+                    size: row.size,
+                    createdAt: Date.parse(row.date_pinned),
+                    keyvalues: row.metadata?.keyvalues || {}
+                });
+            }
+            if (rows.length < pageLimit) return packages;
+        }
+    },
+
+    async get(id) {
+        const response = await fetch(`${config.pinataGateway}${encodeURIComponent(id)}`);
+        if (!response.ok) {
+            throw new HttpError(response.status === 404 ? 404 : 502, `Gateway returned HTTP ${response.status}`);
+        }
+        return Buffer.from(await response.arrayBuffer());
+    },
+
+    async delete(id) {
+        const response = await fetch(`https://api.pinata.cloud/pinning/unpin/${encodeURIComponent(id)}`, {
+            method: 'DELETE',
+            headers: this.authHeaders()
+        });
+        if (!response.ok) {
+            throw new HttpError(response.status, `Pinata unpin failed: ${await response.text()}`);
+        }
+    }
+};
+
+/**
+ * Content-addressed files on local disk, for testing without a provider.
+ */
+const diskStore = {
+    filePath(id) {
+        if (!/^[0-9a-f]{64}$/.test(id)) {
+            throw new HttpError(404, 'Unknown package id');
+        }
+        return path.join(config.diskStoreDir, `${id}.peeble`);
+    },
+
+    async health() {
+        await mkdir(config.diskStoreDir, { recursive: true });
+        return true;
+    },
+
+    async put(bytes, { name, keyvalues }) {
+        const id = createHash('sha256').update(bytes).digest('hex');
+        await mkdir(config.diskStoreDir, { recursive: true });
+        await writeFile(this.filePath(id), bytes);
+        await writeFile(this.filePath(id).replace(/\.peeble$/, '.json'), JSON.stringify({
+            id,
+            name,
+            size: bytes.length,
+            createdAt: Date.now(),
+            keyvalues
+        }));
+        return id;
+    },
+
+    async list(keyvalues) {
+        const files = await readdir(config.diskStoreDir).catch(() => []);
+        const packages = [];
+        for (const file of files.filter(file => file.endsWith('.json'))) {
+            const entry = JSON.parse(await readFile(path.join(config.diskStoreDir, file), 'utf8'));
+            if (Object.entries(keyvalues).every(([key, value]) => String(entry.keyvalues[key]) === value)) {
+                packages.push(entry);
+            }
+        }
+        return packages;
+    },
+
+    async get(id) {
+        try {
+            return await readFile(this.filePath(id));
+        } catch (error) {
+            if (error.code === 'ENOENT') throw new HttpError(404, 'Package not found');
+            throw error;
+        }
+    },
+
+    async delete(id) {
+        try {
+            await unlink(this.filePath(id));
+            await unlink(this.filePath(id).replace(/\.peeble$/, '.json')).catch(() => {});
+        } catch (error) {
+            if (error.code === 'ENOENT') throw new HttpError(404, 'Package not found');
+            throw error;
+        }
+    }
+};
+
+const store = { pinata: pinataStore, disk: diskStore }[config.backend];
+if (!store) {
+    console.error(`Unknown RELAY_BACKEND: ${config.backend}`);
+    process.exit(1);
+}
+if (!config.token || config.token.length < 16) {
+    console.error('Set RELAY_TOKEN to a shared secret of at least 16 characters, e.g. $(openssl rand -hex 32).');
+    process.exit(1);
+}
+if (config.backend === 'pinata' && !config.pinataJwt && !(config.pinataApiKey && config.pinataSecret)) {
+    console.error('The pinata relay needs PINATA_JWT or PINATA_API_KEY + PINATA_SECRET.');
+    process.exit(1);
+}
+
+// Hashing first makes both sides the same length, so the comparison leaks nothing about the token
+const tokenDigest = createHash('sha256').update(config.token).digest();
+
+function requireToken(request) {
+    const [scheme, token] = (request.headers['authorization'] || '').split(' ');
+    const digest = createHash('sha256').update(token || '').digest();
+    if (scheme !== 'Bearer' || !timingSafeEqual(digest, tokenDigest)) {
+        throw new HttpError(401, 'Missing or wrong relay token');
+    }
+}
+
+// decodeURIComponent throws on malformed escapes such as '%E0%A4%A'
+function decodePath(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        if (error instanceof URIError) throw new HttpError(400, 'Malformed URL');
+        throw error;
+    }
+}
+
+async function readRequestBody(request) {
+    const declaredLength = parseInt(request.headers['content-length'] || '0', 10);
+    if (declaredLength > MAX_PACKAGE_BYTES) {
+        throw new HttpError(413, 'Package too large');
+    }
+
+    const chunks = [];
+    let received = 0;
+    for await (const chunk of request) {
+        received += chunk.length;
+        if (received > MAX_PACKAGE_BYTES) {
+            throw new HttpError(413, 'Package too large');
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+function parseKeyvalues(header) {
+    if (!header) return {};
+    let keyvalues;
+    try {
+        keyvalues = JSON.parse(header);
+    } catch {
+        throw new HttpError(400, 'X-Package-Keyvalues is not valid JSON');
+    }
+    if (typeof keyvalues !== 'object' || keyvalues === null || Array.isArray(keyvalues)
+        || Object.values(keyvalues).some(value => typeof value !== 'string' && typeof value !== 'number')) {
+        throw new HttpError(400, 'X-Package-Keyvalues must be an object of strings or numbers');
+    }
+    return keyvalues;
+}
+
+function sendJson(response, status, body) {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+}
+
+async function handleRelay(request, response, route) {
+    // Only downloads are public: readers fetch packages without any secret
+    const isDownload = request.method === 'GET' && /^\/packages\/[^/]+$/.test(route);
+    if (!isDownload) {
+        requireToken(request);
+    }
+
+    if (route === '/health' && request.method === 'GET') {
+        const healthy = await store.health().catch(() => false);
+        return sendJson(response, healthy ? 200 : 502, { backend: config.backend, healthy });
+    }
+
+    if (route === '/packages' && request.method === 'POST') {
+        const bytes = await readRequestBody(request);
+        if (bytes.length === 0) {
+            throw new HttpError(400, 'Empty package');
+        }
+        const name = (request.headers['x-package-name'] || 'peeble-package').replace(/[^\w.-]/g, '_').slice(0, 100);
+        const id = await store.put(bytes, {
+            name,
+            contentType: request.headers['content-type'] || 'application/octet-stream',
+            keyvalues: parseKeyvalues(request.headers['x-package-keyvalues'])
+        });
+        console.log(`Stored ${name} (${bytes.length} bytes) as ${id}`);
+        return sendJson(response, 201, { id });
+    }
+
+    if (route === '/packages' && request.method === 'GET') {
+        const { searchParams } = new URL(request.url, 'http://relay.local');
+        return sendJson(response, 200, { packages: await store.list(Object.fromEntries(searchParams)) });
+    }
+
+    const match = route.match(/^\/packages\/([^/]+)$/);
+    if (match) {
+        const id = decodePath(match[1]);
+        if (request.method === 'GET') {
+            const bytes = await store.get(id);
+            response.writeHead(200, {
+                'Content-Type': 'application/octet-stream',
+                'Content-Length': bytes.length,
+                'Cache-Control': 'public, max-age=31536000, immutable'
+            });
+            return response.end(bytes);
+        }
+        if (request.method === 'DELETE') {
+            await store.delete(id);
+            console.log(`Deleted ${id}`);
+            response.writeHead(204);
+            return response.end();
+        }
+    }
+
+    throw new HttpError(404, 'Not found');
+}
+
+function isInside(filePath, directory) {
+    return filePath === directory || filePath.startsWith(directory + path.sep);
+}
+
+async function handleStatic(request, response, pathname) {
+    if (!config.staticDir || (request.method !== 'GET' && request.method !== 'HEAD')) {
+        throw new HttpError(404, 'Not found');
+    }
+
+    const decodedPath = decodePath(pathname);
+    if (decodedPath.split('/').some(segment => segment.startsWith('.'))) {
+        throw new HttpError(404, 'Not found');
+    }
+
+    const root = path.resolve(config.staticDir);
+    let filePath = path.resolve(root, '.' + decodedPath);
+    if (!isInside(filePath, root) || isInside(filePath, path.resolve(config.diskStoreDir))) {
+        throw new HttpError(404, 'Not found');
+    }
+    if ((await stat(filePath).catch(() => null))?.isDirectory()) {
+        filePath = path.join(filePath, 'index.html');
+    }
+    const servedPath = '/' + path.relative(root, filePath).split(path.sep).join('/');
+    if (config.staticPaths && !config.staticPaths.some(allowed => servedPath.startsWith(allowed))) {
+        throw new HttpError(404, 'Not found');
+    }
+
+    const body = await readFile(filePath).catch(() => {
+        throw new HttpError(404, 'Not found');
+    });
+    response.writeHead(200, {
+        'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream',
+        'Content-Length': body.length
+    });
+    response.end(request.method === 'HEAD' ? undefined : body);
+}
+
+const server = createServer(async (request, response) => {
+    if (config.allowOrigin) {
+        response.setHeader('Access-Control-Allow-Origin', config.allowOrigin);
+        response.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, X-Package-Name, X-Package-Keyvalues');
+        response.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE');
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204);
+            return response.end();
+        }
+    }
+
+    const { pathname } = new URL(request.url, 'http://relay.local');
+    try {
+        if (pathname === config.prefix || pathname.startsWith(config.prefix + '/')) {
+            await handleRelay(request, response, pathname.slice(config.prefix.length) || '/');
+        } else {
+            await handleStatic(request, response, pathname);
+        }
+    } catch (error) {
+        const status = error instanceof HttpError ? error.status : 500;
+        if (status >= 500) console.error(`${request.method} ${pathname} failed:`, error);
+        if (!response.headersSent) {
+            if (error.retryAfter) response.setHeader('Retry-After', error.retryAfter);
+            sendJson(response, status, { error: error.message });
+        } else {
+            response.destroy();
+        }
+    }
+});
+
+server.listen(config.port, () => {
+    console.log(`Peeble relay (${config.backend}) listening on http://localhost:${config.port}${config.prefix}`);
+    if (config.staticDir) console.log(`Serving ${config.staticPaths ? 'the app' : 'static files'} from ${path.resolve(config.staticDir)}`);
+});
@@ -0,0 +1,200 @@
+// services/backends/kubo.js
+
+import { debugLog, bytesToBase64 } from '../utils.js';
+import { requestWithUploadProgress, readBodyWithProgress } from '../http.js';
+import { verifyCid } from '../cid.js';
+import { AuthError, IntegrityError, NotFoundError, TimeoutError, storageErrorFromStatus, toStorageError } from '../errors.js';
+
+/**
+ * Storage backend for a self-hosted IPFS node, through the Kubo RPC API.
+ *   POST /api/v0/add?pin=true   - upload and pin (multipart 'file')
+ *   POST /api/v0/cat?arg=<cid>  - download
+ *   POST /api/v0/pin/rm?arg=<cid>
+ *   POST /api/v0/version        - health check
+ * The node must allow the app's origin: set API.HTTPHeaders.Access-Control-Allow-Origin
+ * (and Access-Control-Allow-Methods: POST) in the Kubo config.
+ * When the RPC API sits behind basic auth, the username and password come from the credential vault.
+ */
+export class KuboBackend {
+    /**
+     * @param {object} options
+     * @param {string} options.apiUrl - Base URL of the Kubo RPC API (e.g. http://127.0.0.1:5001).
+     * @param {boolean} [options.basicAuth=false] - Whether the RPC API requires basic auth credentials.
+     * @param {number} [options.timeoutMs=30000] - Download timeout; a node may search the network indefinitely for a missing CID.
+     */
+    constructor({ apiUrl, basicAuth = false, timeoutMs = 30000 }) {
+        this.name = 'kubo';
+        this.apiUrl = apiUrl.replace(/\/+$/, '');
+        this.requiresCredentials = basicAuth;
+        this.timeoutMs = timeoutMs;
+        this.username = null;
+        this.password = null;
+    }
+
+    /**
+     * Sets the basic auth credentials. Pass null to forget them.
+     * @param {{kuboUsername?: string, kuboPassword?: string}|null} credentials
+     */
+    setCredentials(credentials) {
+        this.username = credentials?.kuboUsername || null;
+        this.password = credentials?.kuboPassword || null;
+    }
+
+    /**
+     * @returns {boolean} True if both username and password are present.
+     */
+    hasCredentials() {
+        return !!(this.username && this.password);
+    }
+
+    /**
+     * @returns {object} The Authorization header, when basic auth is configured.
+     */
+    getAuthHeaders() {
+        if (!this.requiresCredentials) return {};
+        if (!this.hasCredentials()) {
+            throw new AuthError('Kubo RPC credentials are required.');
+        }
+        const token = bytesToBase64(new TextEncoder().encode(`${this.username}:${this.password}`));
+        return { 'Authorization': `Basic ${token}` };
+    }
+
+    /**
+     * Builds the StorageError for a failed RPC call. Kubo reports most failures as HTTP 500
+     * with a JSON { Message } body, so missing content is recognized by its message.
+     * @param {number} status - The HTTP status.
+     * @param {string} errorText - The response body.
+     * @param {string} operation - What was attempted, for the message.
+     * @returns {import('../errors.js').StorageError}
+     */
+    createRpcError(status, errorText, operation) {
+        let message = errorText;
+        try {
+            message = JSON.parse(errorText).Message || errorText;
+        } catch {
+            // Not JSON; keep the raw text
+        }
+
+        if (/not found|no link named|invalid path/i.test(message)) {
+            return new NotFoundError(`Kubo ${operation} failed: ${message}`, { status });
+        }
+        return storageErrorFromStatus(status, `Kubo ${operation} failed: HTTP ${status} - ${message}`);
+    }
+
+    /**
+     * @returns {Promise<boolean>} True if the node answered with its version.
+     */
+    async healthCheck() {
+        try {
+            const response = await fetch(`${this.apiUrl}/api/v0/version`, {
+                method: 'POST',
+                headers: this.getAuthHeaders()
+            });
+            if (!response.ok) {
+                debugLog(`Kubo health check failed: HTTP ${response.status}`, 'error');
+                return false;
+            }
+            const { Version } = await response.json();
+            debugLog(`Connected to Kubo ${Version} at ${this.apiUrl}`, 'success');
+            return true;
+        } catch (error) {
+            debugLog(`Kubo health check failed: ${error.message}`, 'error');
+            throw toStorageError(error);
+        }
+    }
+
+    /**
+     * Adds and pins a package on the node, as CIDv0 so the hash matches other IPFS backends.
+     * @param {Blob} blob - The serialized package.
+     * @param {object} options
+     * @param {string} options.name - File name of the package.
+     * @param {function(number, number|null): void} [options.onProgress] - Upload progress callback (loaded, total bytes).
+     * @returns {Promise<string>} The IPFS hash (CID).
+     */
+    async uploadPackage(blob, { name, onProgress }) {
+        const formData = new FormData();
+        formData.append('file', blob, name);
+
+        const response = await requestWithUploadProgress(`${this.apiUrl}/api/v0/add?pin=true&cid-version=0`, {
+            method: 'POST',
+            headers: this.getAuthHeaders(),
+            body: formData,
+            onUploadProgress: onProgress
+        });
+
+        const responseText = await response.text();
+        if (!response.ok) {
+            debugLog(`Kubo add failed: ${responseText}`, 'error');
+            throw this.createRpcError(response.status, responseText, 'add');
+        }
+
+        // The add endpoint streams one JSON object per line; the last one describes the file
+        const lines = responseText.trim().split('\n');
+        const { Hash } = JSON.parse(lines[lines.length - 1]);
+        return Hash;
+    }
+
+    /**
+     * Downloads a package from the node and verifies it against its CID.
+     * @param {string} ipfsHash - The IPFS hash (CID) of the package.
+     * @param {object} [options]
+     * @param {function(number, number|null): void} [options.onProgress] - Download progress callback (loaded, total bytes).
+     * @returns {Promise<ArrayBuffer>} The raw package bytes.
+     * @throws {IntegrityError} If the content does not hash to ipfsHash.
+     */
+    async downloadPackage(ipfsHash, { onProgress } = {}) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+        let bytes;
+        try {
+            const response = await fetch(`${this.apiUrl}/api/v0/cat?arg=${encodeURIComponent(ipfsHash)}`, {
+                method: 'POST',
+                headers: this.getAuthHeaders(),
+                signal: controller.signal
+            });
+            if (!response.ok) {
+                throw this.createRpcError(response.status, await response.text(), 'cat');
+            }
+            bytes = await readBodyWithProgress(response, onProgress);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new TimeoutError(`Kubo cat timed out after ${this.timeoutMs}ms`, { cause: error });
+            }
+            throw toStorageError(error);
+        } finally {
+            clearTimeout(timer);
+        }
+
+        const { valid, computedCid } = await verifyCid(new Uint8Array(bytes), ipfsHash);
+        if (!valid) {
+            debugLog(`🚨 INTEGRITY FAILURE: Kubo node served content hashing to ${computedCid}, expected ${ipfsHash}`, 'error');
+            throw new IntegrityError(`Content from ${this.apiUrl} does not match its IPFS hash`, {
+                expectedCid: ipfsHash,
+                computedCid,
+                source: this.apiUrl
+            });
+        }
+        debugLog(`✅ Content verified against CID ${ipfsHash}`, 'success');
+
+        return bytes;
+    }
+
+    /**
+     * Unpins a package. The node frees the blocks on its next garbage collection.
+     * @param {string} ipfsHash - The IPFS hash (CID) to unpin.
+     * @returns {Promise<void>}
+     */
+    async deletePackage(ipfsHash) {
+        const response = await fetch(`${this.apiUrl}/api/v0/pin/rm?arg=${encodeURIComponent(ipfsHash)}`, {
+            method: 'POST',
+            headers: this.getAuthHeaders()
+        });
+        if (!response.ok) {
+            const errorText = await response.text();
+            // Unpinning something that is not pinned is not an error for our purposes
+            if (/not pinned/i.test(errorText)) return;
+            throw this.createRpcError(response.status, errorText, 'pin/rm');
+        }
+    }
+}
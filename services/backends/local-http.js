@@ -0,0 +1,109 @@
+// services/backends/local-http.js
+
+import { debugLog } from '../utils.js';
+import { requestWithUploadProgress, readBodyWithProgress } from '../http.js';
+import { storageErrorFromStatus } from '../errors.js';
+
+/**
+ * Storage backend for a simple local HTTP package store.
+ * Expected endpoints, relative to the configured base URL:
+ *   POST   /packages        -> { id }   (X-Package-Name, X-Package-Keyvalues headers)
+ *   GET    /packages/:id    -> raw package bytes
+ *   DELETE /packages/:id
+ *   GET    /packages?k=v    -> { packages: [{ id, name, size, createdAt, keyvalues }] }
+ *   GET    /health          -> 200 when the store is up
+ */
+export class LocalHttpBackend {
+    /**
+     * @param {object} options
+     * @param {string} options.baseUrl - Base URL of the package store (e.g. http://localhost:8787).
+     */
+    constructor({ baseUrl }) {
+        this.name = 'local-http';
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+    }
+
+    /**
+     * @returns {Promise<boolean>} True if the store answered the health check.
+     */
+    async healthCheck() {
+        try {
+            const response = await fetch(`${this.baseUrl}/health`);
+            return response.ok;
+        } catch (error) {
+            debugLog(`Local store health check failed: ${error.message}`, 'error');
+            return false;
+        }
+    }
+
+    /**
+     * @param {Blob} blob - The serialized package.
+     * @param {object} options
+     * @param {string} options.name - File name of the package.
+     * @param {object} [options.keyvalues] - Metadata stored with the package, used by listPackages.
+     * @param {function(number, number|null): void} [options.onProgress] - Upload progress callback (loaded, total bytes).
+     * @returns {Promise<string>} The identifier assigned by the store.
+     */
+    async uploadPackage(blob, { name, keyvalues = {}, onProgress }) {
+        const response = await requestWithUploadProgress(`${this.baseUrl}/packages`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': blob.type || 'application/octet-stream',
+                'X-Package-Name': name,
+                'X-Package-Keyvalues': JSON.stringify(keyvalues)
+            },
+            body: blob,
+            onUploadProgress: onProgress
+        });
+
+        if (!response.ok) {
+            throw storageErrorFromStatus(response.status, `Local store upload failed: HTTP ${response.status}`, {
+                retryAfter: response.headers.get('Retry-After')
+            });
+        }
+
+        const result = await response.json();
+        return result.id;
+    }
+
+    /**
+     * @param {string} id - The package identifier.
+     * @param {object} [options]
+     * @param {function(number, number|null): void} [options.onProgress] - Download progress callback (loaded, total bytes).
+     * @returns {Promise<ArrayBuffer>} The raw package bytes.
+     */
+    async downloadPackage(id, { onProgress } = {}) {
+        const response = await fetch(`${this.baseUrl}/packages/${encodeURIComponent(id)}`);
+        if (!response.ok) {
+            throw storageErrorFromStatus(response.status, `Local store download failed: HTTP ${response.status}`);
+        }
+        return readBodyWithProgress(response, onProgress);
+    }
+
+    /**
+     * @param {object} [options]
+     * @param {object} [options.keyvalues] - Only list packages whose metadata has these values.
+     * @returns {Promise<Array<{id: string, name: string|null, size: number, createdAt: number, keyvalues: object}>>}
+     */
+    async listPackages({ keyvalues = {} } = {}) {
+        const response = await fetch(`${this.baseUrl}/packages?${new URLSearchParams(keyvalues)}`);
+        if (!response.ok) {
+            throw storageErrorFromStatus(response.status, `Local store list failed: HTTP ${response.status}`);
+        }
+        const { packages } = await response.json();
+        return packages;
+    }
+
+    /**
+     * @param {string} id - The package identifier.
+     * @returns {Promise<void>}
+     */
+    async deletePackage(id) {
+        const response = await fetch(`${this.baseUrl}/packages/${encodeURIComponent(id)}`, {
+            method: 'DELETE'
+        });
+        if (!response.ok && response.status !== 404) {
+            throw storageErrorFromStatus(response.status, `Local store delete failed: HTTP ${response.status}`);
+        }
+    }
+}
@@ -0,0 +1,80 @@
+// services/backends/memory.js
+
+import { debugLog } from '../utils.js';
+import { NotFoundError } from '../errors.js';
+
+/**
+ * In-memory storage backend for offline development and testing.
+ * Packages live only as long as the page; nothing leaves the browser.
+ */
+export class MemoryBackend {
+    constructor() {
+        this.name = 'memory';
+        this.packages = new Map();
+    }
+
+    /**
+     * @returns {Promise<boolean>} Always true - memory is always reachable.
+     */
+    async healthCheck() {
+        return true;
+    }
+
+    /**
+     * Stores a package under an identifier derived from its SHA-256 digest.
+     * @param {Blob} blob - The serialized package.
+     * @param {object} [options]
+     * @param {string} [options.name] - File name of the package.
+     * @param {object} [options.keyvalues] - Metadata returned by listPackages.
+     * @param {function(number, number|null): void} [options.onProgress] - Upload progress callback (loaded, total bytes).
+     * @returns {Promise<string>} The package identifier.
+     */
+    async uploadPackage(blob, { name = null, keyvalues = {}, onProgress } = {}) {
+        const bytes = await blob.arrayBuffer();
+        const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+        const id = 'mem-' + Array.from(digest.slice(0, 16), b => b.toString(16).padStart(2, '0')).join('');
+        this.packages.set(id, { bytes, name, keyvalues, createdAt: Date.now() });
+        if (onProgress) onProgress(bytes.byteLength, bytes.byteLength);
+        debugLog(`Package stored in memory backend: ${id} (${bytes.byteLength} bytes)`);
+        return id;
+    }
+
+    /**
+     * @param {string} id - The package identifier.
+     * @param {object} [options]
+     * @param {function(number, number|null): void} [options.onProgress] - Download progress callback (loaded, total bytes).
+     * @returns {Promise<ArrayBuffer>} The raw package bytes.
+     */
+    async downloadPackage(id, { onProgress } = {}) {
+        const entry = this.packages.get(id);
+        if (!entry) {
+            throw new NotFoundError(`Package not found in memory backend: ${id}`);
+        }
+        const { bytes } = entry;
+        if (onProgress) onProgress(bytes.byteLength, bytes.byteLength);
+        return bytes.slice(0);
+    }
+
+    /**
+     * @param {object} [options]
+     * @param {object} [options.keyvalues] - Only list packages whose metadata has these values.
+     * @returns {Promise<Array<{id: string, name: string|null, size: number, createdAt: number, keyvalues: object}>>}
+     */
+    async listPackages({ keyvalues = {} } = {}) {
+        return Array.from(this.packages, ([id, entry]) => ({
+            id,
+            name: entry.name,
+            size: entry.bytes.byteLength,
+            createdAt: entry.createdAt,
+            keyvalues: entry.keyvalues
+        })).filter(entry => Object.entries(keyvalues).every(([key, value]) => entry.keyvalues[key] === value));
+    }
+
+    /**
+     * @param {string} id - The package identifier.
+     * @returns {Promise<void>}
+     */
+    async deletePackage(id) {
+        this.packages.delete(id);
+    }
+}
@@ -0,0 +1,277 @@
+// services/backends/pinata.js
+
+import { debugLog } from '../utils.js';
+import { requestWithUploadProgress } from '../http.js';
+import { GatewayPool } from '../gateways.js';
+import { verifyCid } from '../cid.js';
+import { IntegrityError, AuthError, storageErrorFromStatus, toStorageError } from '../errors.js';
+
+/**
+ * Storage backend for Pinata's IPFS pinning service.
+ * Uploads go through the Pinata REST API; downloads race a Pinata signed URL
+ * against the configured public IPFS gateways.
+ */
+export class PinataBackend {
+    /**
+     * Credentials are not passed here; they are set once the credential vault is unlocked.
+     * @param {object} [options]
+     * @param {string[]} [options.gateways] - Public gateway base URLs to race.
+     * @param {number} [options.gatewayTimeoutMs] - Per-gateway request timeout.
+     * @param {number} [options.gatewayStaggerMs] - Delay between starting gateway attempts.
+     */
+    constructor({ gateways, gatewayTimeoutMs, gatewayStaggerMs } = {}) {
+        this.name = 'pinata';
+        this.requiresCredentials = true;
+        this.jwt = null;
+        this.apiKey = null;
+        this.secret = null;
+        this.pinataApiUrl = 'https://api.pinata.cloud/pinning/pinFileToIPFS';
+        this.gatewayPool = new GatewayPool({
+            gateways,
+            timeoutMs: gatewayTimeoutMs,
+            staggerMs: gatewayStaggerMs
+        });
+    }
+
+    /**
+     * Sets the Pinata API credentials. A JWT takes precedence over key/secret.
+     * Pass null to forget them.
+     * @param {{pinataJwt?: string, pinataApiKey?: string, pinataSecret?: string}|null} credentials
+     */
+    setCredentials(credentials) {
+        this.jwt = credentials?.pinataJwt || null;
+        this.apiKey = credentials?.pinataApiKey || null;
+        this.secret = credentials?.pinataSecret || null;
+    }
+
+    /**
+     * @returns {boolean} True if a JWT or both key and secret are present.
+     */
+    hasCredentials() {
+        return !!(this.jwt || (this.apiKey && this.secret));
+    }
+
+    /**
+     * @returns {object} The authentication headers expected by the Pinata API.
+     */
+    getAuthHeaders() {
+        if (this.jwt) {
+            return { 'Authorization': `Bearer ${this.jwt}` };
+        }
+        return {
+            'pinata_api_key': this.apiKey,
+            'pinata_secret_api_key': this.secret
+        };
+    }
+
+    /**
+     * Tests the connection to the Pinata API.
+     * @returns {Promise<boolean>} True if connection is successful, false otherwise.
+     */
+    async healthCheck() {
+        if (!this.hasCredentials()) {
+            debugLog('Pinata API credentials are not set.', 'error');
+            throw new AuthError('Pinata API credentials are required.');
+        }
+
+        try {
+            const response = await fetch('https://api.pinata.cloud/data/testAuthentication', {
+                headers: this.getAuthHeaders()
+            });
+
+            const data = await response.json();
+            if (response.ok && data.message === 'Congratulations! You are communicating with the Pinata API!') {
+                debugLog('Pinata API authentication successful.', 'success');
+                return true;
+            } else {
+                debugLog(`Pinata API authentication failed: ${data.error || data.message || 'Unknown error'}`, 'error');
+                return false;
+            }
+        } catch (error) {
+            debugLog(`Error testing Pinata API connection: ${error.message}`, 'error');
+            throw toStorageError(error);
+        }
+    }
+
+    /**
+     * Pins a file to IPFS through Pinata.
+     * @param {Blob} blob - The serialized package.
+     * @param {object} options
+     * @param {string} options.name - File name stored with the pin.
+     * @param {object} [options.keyvalues] - Pinata metadata key/values.
+     * @param {function(number, number|null): void} [options.onProgress] - Upload progress callback (loaded, total bytes).
+     * @returns {Promise<string>} The IPFS hash (CID).
+     */
+    async uploadPackage(blob, { name, keyvalues = {}, onProgress }) {
+        if (!this.hasCredentials()) {
+            debugLog('Pinata API credentials are not set. Cannot upload.', 'error');
+            throw new AuthError('Pinata API credentials are required for upload.');
+        }
+
+        const formData = new FormData();
+        formData.append('file', blob, name);
+        formData.append('pinataMetadata', JSON.stringify({ name, keyvalues }));
+        formData.append('pinataOptions', JSON.stringify({ cidVersion: 0 }));
+
+        const response = await requestWithUploadProgress(this.pinataApiUrl, {
+            method: 'POST',
+            headers: this.getAuthHeaders(),
+            body: formData,
+            onUploadProgress: onProgress
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            debugLog(`Pinata package upload failed: ${errorText}`, 'error');
+            let errorMessage;
+            try {
+                const errorJson = JSON.parse(errorText);
+                errorMessage = errorJson.error || errorJson.message || `HTTP ${response.status}`;
+            } catch {
+                errorMessage = `HTTP ${response.status}: ${errorText}`;
+            }
+            throw storageErrorFromStatus(response.status, `Pinata upload failed: ${errorMessage}`, {
+                retryAfter: response.headers.get('Retry-After')
+            });
+        }
+
+        const result = await response.json();
+        return result.IpfsHash;
+    }
+
+    /**
+     * Requests a temporary, signed URL from Pinata for a specific IPFS hash.
+     * This URL can bypass CORS issues and is a more reliable way to download content.
+     * @param {string} ipfsHash - The IPFS hash (CID) of the package to download.
+     * @returns {Promise<string>} A promise that resolves to the signed URL.
+     */
+    async getSignedDownloadUrl(ipfsHash) {
+        if (!this.hasCredentials()) {
+            throw new AuthError('Pinata API credentials are required to get a signed URL.');
+        }
+
+        try {
+            const response = await fetch('https://api.pinata.cloud/signed-url', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...this.getAuthHeaders()
+                },
+                body: JSON.stringify({ ipfsPinHash: ipfsHash })
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw storageErrorFromStatus(response.status, `Pinata signed URL failed: HTTP ${response.status} - ${errorText}`);
+            }
+
+            const result = await response.json();
+            return result.signedUrl;
+        } catch (error) {
+            debugLog(`Error getting signed URL from Pinata: ${error.message}`, 'error');
+            throw toStorageError(error);
+        }
+    }
+
+    /**
+     * Downloads raw package bytes by racing a signed URL and the public gateways,
+     * then verifies them against the requested CID.
+     * @param {string} ipfsHash - The IPFS hash (CID) of the package.
+     * @param {object} [options]
+     * @param {function(number, number|null): void} [options.onProgress] - Download progress callback (loaded, total bytes).
+     * @returns {Promise<ArrayBuffer>} The raw package bytes.
+     * @throws {IntegrityError} If the content does not hash to ipfsHash.
+     */
+    async downloadPackage(ipfsHash, { onProgress } = {}) {
+        const extraCandidates = this.hasCredentials()
+            ? [{ name: 'pinata-signed-url', resolveUrl: () => this.getSignedDownloadUrl(ipfsHash) }]
+            : [];
+
+        const { bytes, gateway } = await this.gatewayPool.fetch(ipfsHash, { extraCandidates, onProgress });
+
+        // Gateways are untrusted: the content must hash to the CID we asked for
+        const { valid, computedCid } = await verifyCid(new Uint8Array(bytes), ipfsHash);
+        if (!valid) {
+            this.gatewayPool.recordResult(gateway, false);
+            debugLog(`🚨 INTEGRITY FAILURE: ${gateway} served content hashing to ${computedCid}, expected ${ipfsHash}`, 'error');
+            throw new IntegrityError(`Content from ${gateway} does not match its IPFS hash`, {
+                expectedCid: ipfsHash,
+                computedCid,
+                source: gateway
+            });
+        }
+        debugLog(`✅ Content verified against CID ${ipfsHash}`, 'success');
+
+        return bytes;
+    }
+
+    /**
+     * Lists pinned packages, filtered by pin metadata. Pages through the Pinata pin list.
+     * @param {object} [options]
+     * @param {object} [options.keyvalues] - Only list pins whose metadata has these values.
+     * @returns {Promise<Array<{id: string, name: string|null, size: number, createdAt: number, keyvalues: object}>>}
+     */
+    async listPackages({ keyvalues = {} } = {}) {
+        if (!this.hasCredentials()) {
+            throw new AuthError('Pinata API credentials are required to list pins.');
+        }
+
+        const metadataFilter = Object.fromEntries(
+            Object.entries(keyvalues).map(([key, value]) => [key, { value, op: 'eq' }])
+        );
+        const pageLimit = 1000;
+        const packages = [];
+
+        for (let pageOffset = 0; ; pageOffset += pageLimit) {
+            const query = new URLSearchParams({ status: 'pinned', pageLimit, pageOffset });
+            if (Object.keys(metadataFilter).length > 0) {
+                query.set('metadata[keyvalues]', JSON.stringify(metadataFilter));
+            }
+
+            const response = await fetch(`https://api.pinata.cloud/data/pinList?${query}`, {
+                headers: this.getAuthHeaders()
+            });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw storageErrorFromStatus(response.status, `Pinata pin list failed: HTTP ${response.status} - ${errorText}`, {
+                    retryAfter: response.headers.get('Retry-After')
+                });
+            }
+
+            const { rows } = await response.json();
+            for (const row of rows) {
+                packages.push({
+                    id: row.ipfs_pin_hash,
+                    name: row.metadata?.name || null,
+                    size: row.size,
+                    createdAt: Date.parse(row.date_pinned),
+                    keyvalues: row.metadata?.keyvalues || {}
+                });
+            }
+            if (rows.length < pageLimit) break;
+        }
+
+        return packages;
+    }
+
+    /**
+     * Unpins a package from Pinata.
+     * @param {string} ipfsHash - The IPFS hash (CID) to unpin.
+     * @returns {Promise<void>}
+     */
+    async deletePackage(ipfsHash) {
+        if (!this.hasCredentials()) {
+            throw new AuthError('Pinata API credentials are required to unpin.');
+        }
+
+        const response = await fetch(`https://api.pinata.cloud/pinning/unpin/${ipfsHash}`, {
+            method: 'DELETE',
+            headers: this.getAuthHeaders()
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw storageErrorFromStatus(response.status, `Pinata unpin failed: HTTP ${response.status} - ${errorText}`);
+        }
+    }
+}
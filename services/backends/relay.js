@@ -0,0 +1,151 @@
+// services/backends/relay.js
+
+import { debugLog } from '../utils.js';
+import { requestWithUploadProgress } from '../http.js';
+import { AuthError, storageErrorFromStatus } from '../errors.js';
+
+/**
+ * Storage backend that uploads through a self-hosted relay (see relay/server.mjs).
+ * The relay holds the provider secrets, so the browser only ever sends the already
+ * encrypted package. Downloads need no secrets and go to the wrapped backend directly,
+ * which keeps gateway racing and CID verification on the client.
+ * Every relay request carries the relay's shared token (RELAY_TOKEN) from the credential vault.
+ * Relay endpoints, relative to the configured URL:
+ *   POST   /packages        -> { id }   (X-Package-Name, X-Package-Keyvalues headers)
+ *   DELETE /packages/:id
+ *   GET    /packages?k=v    -> { packages: [{ id, name, size, createdAt, keyvalues }] }
+ *   GET    /health          -> 200 when the relay and its backend are reachable
+ */
+export class RelayBackend {
+    /**
+     * @param {object} options
+     * @param {string} options.relayUrl - Relay URL, normally same-origin (e.g. /relay).
+     * @param {object} options.downloadBackend - Backend used for downloads (e.g. a PinataBackend without credentials).
+     */
+    constructor({ relayUrl, downloadBackend }) {
+        this.name = `relay:${downloadBackend.name}`;
+        this.packageIdParam = downloadBackend.packageIdParam;
+        this.relayUrl = relayUrl.replace(/\/+$/, '');
+        this.downloadBackend = downloadBackend;
+        this.requiresCredentials = true;
+        this.token = null;
+    }
+
+    /**
+     * Sets the relay token. Pass null to forget it.
+     * @param {{relayToken?: string}|null} credentials
+     */
+    setCredentials(credentials) {
+        this.token = credentials?.relayToken || null;
+    }
+
+    /**
+     * @returns {boolean} True if the relay token is present.
+     */
+    hasCredentials() {
+        return !!this.token;
+    }
+
+    /**
+     * @returns {object} The Authorization header for the relay.
+     */
+    getAuthHeaders() {
+        if (!this.hasCredentials()) {
+            throw new AuthError('The relay token is required.');
+        }
+        return { 'Authorization': `Bearer ${this.token}` };
+    }
+
+    /**
+     * @returns {Promise<boolean>} True if the relay accepts the token and reports its backend as reachable.
+     */
+    async healthCheck() {
+        try {
+            const response = await fetch(`${this.relayUrl}/health`, { headers: this.getAuthHeaders() });
+            if (!response.ok) {
+                debugLog(`Relay health check failed: HTTP ${response.status}`, 'error');
+            }
+            return response.ok;
+        } catch (error) {
+            debugLog(`Relay health check failed: ${error.message}`, 'error');
+            return false;
+        }
+    }
+
+    /**
+     * @param {Blob} blob - The serialized, encrypted package.
+     * @param {object} options
+     * @param {string} options.name - File name stored with the package.
+     * @param {object} [options.keyvalues] - Metadata forwarded to the provider.
+     * @param {function(number, number|null): void} [options.onProgress] - Upload progress callback (loaded, total bytes).
+     * @returns {Promise<string>} The identifier (CID) returned by the relay.
+     */
+    async uploadPackage(blob, { name, keyvalues = {}, onProgress }) {
+        const response = await requestWithUploadProgress(`${this.relayUrl}/packages`, {
+            method: 'POST',
+            headers: {
+                ...this.getAuthHeaders(),
+                'Content-Type': blob.type || 'application/octet-stream',
+                'X-Package-Name': name,
+                'X-Package-Keyvalues': JSON.stringify(keyvalues)
+            },
+            body: blob,
+            onUploadProgress: onProgress
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            debugLog(`Relay upload failed: ${errorText}`, 'error');
+            throw storageErrorFromStatus(response.status, `Relay upload failed: HTTP ${response.status}`, {
+                retryAfter: response.headers.get('Retry-After')
+            });
+        }
+
+        const result = await response.json();
+        return result.id;
+    }
+
+    /**
+     * @param {string} id - The package identifier.
+     * @param {object} [options]
+     * @param {function(number, number|null): void} [options.onProgress] - Download progress callback (loaded, total bytes).
+     * @returns {Promise<ArrayBuffer>} The raw package bytes.
+     */
+    async downloadPackage(id, options) {
+        return this.downloadBackend.downloadPackage(id, options);
+    }
+
+    /**
+     * Lists stored packages through the relay, which holds the provider credentials.
+     * @param {object} [options]
+     * @param {object} [options.keyvalues] - Only list packages whose metadata has these values.
+     * @returns {Promise<Array<{id: string, name: string|null, size: number, createdAt: number, keyvalues: object}>>}
+     */
+    async listPackages({ keyvalues = {} } = {}) {
+        const response = await fetch(`${this.relayUrl}/packages?${new URLSearchParams(keyvalues)}`, {
+            headers: this.getAuthHeaders()
+        });
+        if (!response.ok) {
+            throw storageErrorFromStatus(response.status, `Relay list failed: HTTP ${response.status}`, {
+                retryAfter: response.headers.get('Retry-After')
+            });
+        }
+        const { packages } = await response.json();
+        return packages;
+    }
+
+    /**
+     * Asks the relay to delete (unpin) a package.
+     * @param {string} id - The package identifier.
+     * @returns {Promise<void>}
+     */
+    async deletePackage(id) {
+        const response = await fetch(`${this.relayUrl}/packages/${encodeURIComponent(id)}`, {
+            method: 'DELETE',
+            headers: this.getAuthHeaders()
+        });
+        if (!response.ok && response.status !== 404) {
+            throw storageErrorFromStatus(response.status, `Relay delete failed: HTTP ${response.status}`);
+        }
+    }
+}
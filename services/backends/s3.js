@@ -0,0 +1,253 @@
+// services/backends/s3.js
+
+import { debugLog } from '../utils.js';
+import { requestWithUploadProgress, readBodyWithProgress } from '../http.js';
+import { signRequest, presignUrl, sha256Hex, encodeRfc3986 } from '../sigv4.js';
+import { AuthError, NotFoundError, storageErrorFromStatus, toStorageError } from '../errors.js';
+
+// Hex digits of the package's SHA-256 at the start of its object key (128 bits)
+const CONTENT_HASH_LENGTH = 32;
+
+/**
+ * Storage backend for S3-compatible object storage (AWS S3, MinIO, Cloudflare R2, Backblaze B2...).
+ * Requests are signed in the browser with SigV4 using the access key from the credential vault:
+ *   PUT    <object>  - upload, with the package metadata as x-amz-meta-* headers
+ *   GET    <object>  - download through a presigned URL
+ *   DELETE <object>
+ *   HEAD   <bucket>  - health check
+ * Package ids are object keys, so NFC URLs carry `objectKey` instead of `ipfsHash`. Keys start with a hash
+ * of the package, so like a CID a key always names the same bytes: a message uploaded again (e.g. moved
+ * to a new Peeble) gets a new key instead of overwriting the one other devices may have cached.
+ * Readers have no credentials: they download from publicUrl (or the plain object URL), which
+ * needs public read access on the prefix. Packages are encrypted, so this exposes no more than IPFS.
+ * The bucket's CORS rules must allow the app's origin for PUT, GET, DELETE and HEAD with any header.
+ */
+export class S3Backend {
+    /**
+     * @param {object} options
+     * @param {string} options.endpoint - Service endpoint (e.g. https://s3.eu-west-1.amazonaws.com).
+     * @param {string} options.bucket - Bucket name.
+     * @param {string} options.region - Signing region ('auto' for R2, any value for most MinIO setups).
+     * @param {boolean} [options.pathStyle=false] - Address the bucket as endpoint/bucket instead of bucket.endpoint (MinIO).
+     * @param {string} [options.prefix='peeble/'] - Key prefix for packages.
+     * @param {string|null} [options.publicUrl=null] - Base URL readers download keys from without credentials (e.g. a CDN).
+     * @param {number} [options.presignExpiresSec=900] - Validity of presigned download URLs.
+     */
+    constructor({ endpoint, bucket, region, pathStyle = false, prefix = 'peeble/', publicUrl = null, presignExpiresSec = 900 }) {
+        this.name = 's3';
+        this.packageIdParam = 'objectKey';
+        this.requiresCredentials = true;
+        this.endpoint = new URL(endpoint);
+        this.bucket = bucket;
+        this.region = region;
+        this.pathStyle = pathStyle;
+        this.prefix = prefix;
+        this.publicUrl = publicUrl ? publicUrl.replace(/\/+$/, '') : null;
+        this.presignExpiresSec = presignExpiresSec;
+        this.accessKeyId = null;
+        this.secretAccessKey = null;
+    }
+
+    /**
+     * Sets the access key. Pass null to forget it.
+     * @param {{s3AccessKeyId?: string, s3SecretAccessKey?: string}|null} credentials
+     */
+    setCredentials(credentials) {
+        this.accessKeyId = credentials?.s3AccessKeyId || null;
+        this.secretAccessKey = credentials?.s3SecretAccessKey || null;
+    }
+
+    /**
+     * @returns {boolean} True if both the access key id and secret are present.
+     */
+    hasCredentials() {
+        return !!(this.accessKeyId && this.secretAccessKey);
+    }
+
+    /**
+     * @returns {{accessKeyId: string, secretAccessKey: string}} The signing credentials.
+     * @throws {AuthError} If no access key is set.
+     */
+    getSigningCredentials() {
+        if (!this.hasCredentials()) {
+            throw new AuthError('S3 access key credentials are required.');
+        }
+        return { accessKeyId: this.accessKeyId, secretAccessKey: this.secretAccessKey };
+    }
+
+    /**
+     * @returns {string} The bucket URL, without a trailing slash.
+     */
+    getBucketUrl() {
+        const { protocol, host, pathname } = this.endpoint;
+        const basePath = pathname.replace(/\/+$/, '');
+        return this.pathStyle
+            ? `${protocol}//${host}${basePath}/${encodeRfc3986(this.bucket)}`
+            : `${protocol}//${this.bucket}.${host}${basePath}`;
+    }
+
+    /**
+     * @param {string} key - The object key.
+     * @returns {string} The object URL, with each key segment encoded as SigV4 expects.
+     */
+    getObjectUrl(key) {
+        return `${this.getBucketUrl()}/${this.encodeKey(key)}`;
+    }
+
+    /**
+     * @param {string} key
+     * @returns {string} The key with each path segment percent-encoded.
+     */
+    encodeKey(key) {
+        return key.split('/').map(encodeRfc3986).join('/');
+    }
+
+    /**
+     * Builds the StorageError for a failed request from the S3 XML error body.
+     * @param {number} status - The HTTP status.
+     * @param {string} errorText - The response body (empty for HEAD requests).
+     * @param {string} operation - What was attempted, for the message.
+     * @param {string|null} [retryAfter] - The Retry-After header.
+     * @returns {import('../errors.js').StorageError}
+     */
+    createS3Error(status, errorText, operation, retryAfter = null) {
+        const code = /<Code>([^<]+)<\/Code>/.exec(errorText)?.[1] || null;
+        const message = /<Message>([^<]+)<\/Message>/.exec(errorText)?.[1] || '';
+        const description = `S3 ${operation} failed: HTTP ${status}${code ? ` ${code}` : ''}${message ? ` - ${message}` : ''}`;
+
+        if (code === 'NoSuchKey' || code === 'NoSuchBucket') {
+            return new NotFoundError(description, { status });
+        }
+        if (code === 'SlowDown') {
+            return storageErrorFromStatus(429, description, { retryAfter });
+        }
+        return storageErrorFromStatus(status, description, { retryAfter });
+    }
+
+    /**
+     * Checks that the bucket exists and the access key may use it.
+     * @returns {Promise<boolean>} True if the signed HEAD request succeeds.
+     */
+    async healthCheck() {
+        const url = `${this.getBucketUrl()}/`;
+        try {
+            const headers = await signRequest({
+                method: 'HEAD',
+                url,
+                payloadHash: await sha256Hex(''),
+                credentials: this.getSigningCredentials(),
+                region: this.region
+            });
+            const response = await fetch(url, { method: 'HEAD', headers });
+            if (!response.ok) {
+                debugLog(`S3 health check failed: HTTP ${response.status}`, 'error');
+                return false;
+            }
+            debugLog(`Connected to S3 bucket '${this.bucket}'.`, 'success');
+            return true;
+        } catch (error) {
+            debugLog(`S3 health check failed: ${error.message}`, 'error');
+            throw toStorageError(error);
+        }
+    }
+
+    /**
+     * Uploads a package with a signed PUT. The body hash is part of the signature.
+     * @param {Blob} blob - The serialized package.
+     * @param {object} options
+     * @param {string} options.name - File name of the package; the object key is prefix + content hash + '-' + name.
+     * @param {object} [options.keyvalues] - Metadata stored as x-amz-meta-* headers.
+     * @param {function(number, number|null): void} [options.onProgress] - Upload progress callback (loaded, total bytes).
+     * @returns {Promise<string>} The object key.
+     */
+    async uploadPackage(blob, { name, keyvalues = {}, onProgress }) {
+        const payloadHash = await sha256Hex(await blob.arrayBuffer());
+        const key = `${this.prefix}${payloadHash.slice(0, CONTENT_HASH_LENGTH)}-${name}`;
+        const url = this.getObjectUrl(key);
+
+        const metadataHeaders = Object.fromEntries(
+            Object.entries(keyvalues).map(([metaKey, value]) => [`x-amz-meta-${metaKey.toLowerCase()}`, String(value)])
+        );
+        const headers = await signRequest({
+            method: 'PUT',
+            url,
+            headers: { 'Content-Type': blob.type || 'application/octet-stream', ...metadataHeaders },
+            payloadHash,
+            credentials: this.getSigningCredentials(),
+            region: this.region
+        });
+
+        const response = await requestWithUploadProgress(url, {
+            method: 'PUT',
+            headers,
+            body: blob,
+            onUploadProgress: onProgress
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            debugLog(`S3 upload failed: ${errorText}`, 'error');
+            throw this.createS3Error(response.status, errorText, 'PUT', response.headers.get('Retry-After'));
+        }
+
+        return key;
+    }
+
+    /**
+     * Returns the URL a package is downloaded from: presigned when an access key is unlocked,
+     * otherwise the public URL.
+     * @param {string} key - The object key.
+     * @returns {Promise<string>}
+     */
+    async getDownloadUrl(key) {
+        if (this.hasCredentials()) {
+            return presignUrl({
+                url: this.getObjectUrl(key),
+                credentials: this.getSigningCredentials(),
+                region: this.region,
+                expiresIn: this.presignExpiresSec
+            });
+        }
+        return this.publicUrl ? `${this.publicUrl}/${this.encodeKey(key)}` : this.getObjectUrl(key);
+    }
+
+    /**
+     * Downloads a package. There is no content hash to verify; AES-GCM authenticates the payload.
+     * @param {string} key - The object key.
+     * @param {object} [options]
+     * @param {function(number, number|null): void} [options.onProgress] - Download progress callback (loaded, total bytes).
+     * @returns {Promise<ArrayBuffer>} The raw package bytes.
+     */
+    async downloadPackage(key, { onProgress } = {}) {
+        try {
+            const response = await fetch(await this.getDownloadUrl(key));
+            if (!response.ok) {
+                throw this.createS3Error(response.status, await response.text(), 'GET', response.headers.get('Retry-After'));
+            }
+            return await readBodyWithProgress(response, onProgress);
+        } catch (error) {
+            throw toStorageError(error);
+        }
+    }
+
+    /**
+     * Deletes a package. S3 reports success for keys that do not exist.
+     * @param {string} key - The object key.
+     * @returns {Promise<void>}
+     */
+    async deletePackage(key) {
+        const url = this.getObjectUrl(key);
+        const headers = await signRequest({
+            method: 'DELETE',
+            url,
+            payloadHash: await sha256Hex(''),
+            credentials: this.getSigningCredentials(),
+            region: this.region
+        });
+
+        const response = await fetch(url, { method: 'DELETE', headers });
+        if (!response.ok && response.status !== 404) {
+            throw this.createS3Error(response.status, await response.text(), 'DELETE');
+        }
+    }
+}
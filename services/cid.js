@@ -0,0 +1,295 @@
+// services/cid.js
+
+/**
+ * Local IPFS CID computation, used to verify that gateway content matches its hash.
+ *
+ * Reproduces the UnixFS file DAG built by `ipfs add` / Pinata with default settings:
+ * fixed-size 256 KiB chunks, balanced layout, at most 174 links per node.
+ *   - CIDv0: every node is dag-pb, leaves wrap their chunk in UnixFS File data.
+ *   - CIDv1: leaves are raw blocks; a single-chunk file is just a raw block.
+ * Only sha2-256 multihashes are supported.
+ */
+
+const CHUNK_SIZE = 262144;
+const MAX_LINKS = 174;
+
+const CODEC_RAW = 0x55;
+const CODEC_DAG_PB = 0x70;
+const MULTIHASH_SHA2_256 = 0x12;
+const UNIXFS_TYPE_FILE = 2;
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+// --- Encodings ---
+
+function base58Encode(bytes) {
+    const digits = [0];
+    for (const byte of bytes) {
+        let carry = byte;
+        for (let i = 0; i < digits.length; i++) {
+            carry += digits[i] << 8;
+            digits[i] = carry % 58;
+            carry = (carry / 58) | 0;
+        }
+        while (carry > 0) {
+            digits.push(carry % 58);
+            carry = (carry / 58) | 0;
+        }
+    }
+    let result = '';
+    for (let i = 0; i < bytes.length && bytes[i] === 0; i++) result += '1';
+    for (let i = digits.length - 1; i >= 0; i--) result += BASE58_ALPHABET[digits[i]];
+    return result;
+}
+
+function base58Decode(text) {
+    const bytes = [0];
+    for (const char of text) {
+        let carry = BASE58_ALPHABET.indexOf(char);
+        if (carry < 0) throw new Error(`Invalid base58 character: ${char}`);
+        for (let i = 0; i < bytes.length; i++) {
+            carry += bytes[i] * 58;
+            bytes[i] = carry & 0xff;
+            carry >>= 8;
+        }
+        while (carry > 0) {
+            bytes.push(carry & 0xff);
+            carry >>= 8;
+        }
+    }
+    for (let i = 0; i < text.length && text[i] === '1'; i++) bytes.push(0);
+    return new Uint8Array(bytes.reverse());
+}
+
+function base32Encode(bytes) {
+    let result = '';
+    let buffer = 0;
+    let bits = 0;
+    for (const byte of bytes) {
+        buffer = (buffer << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            result += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) result += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+    return result;
+}
+
+function base32Decode(text) {
+    const result = [];
+    let buffer = 0;
+    let bits = 0;
+    for (const char of text.toLowerCase()) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value < 0) throw new Error(`Invalid base32 character: ${char}`);
+        buffer = (buffer << 5) | value;
+        bits += 5;
+        if (bits >= 8) {
+            result.push((buffer >>> (bits - 8)) & 0xff);
+            bits -= 8;
+        }
+    }
+    return new Uint8Array(result);
+}
+
+function encodeVarint(value) {
+    const bytes = [];
+    while (value >= 0x80) {
+        bytes.push((value % 0x80) | 0x80);
+        value = Math.floor(value / 0x80);
+    }
+    bytes.push(value);
+    return bytes;
+}
+
+function decodeVarint(bytes, offset) {
+    let value = 0;
+    let shift = 0;
+    while (true) {
+        if (offset >= bytes.length) throw new Error('Truncated varint');
+        const byte = bytes[offset++];
+        value += (byte & 0x7f) * 2 ** shift;
+        if (byte < 0x80) return [value, offset];
+        shift += 7;
+    }
+}
+
+function concatBytes(parts) {
+    const total = parts.reduce((sum, part) => sum + part.length, 0);
+    const result = new Uint8Array(total);
+    let offset = 0;
+    for (const part of parts) {
+        result.set(part, offset);
+        offset += part.length;
+    }
+    return result;
+}
+
+// --- Protobuf (just enough for dag-pb and UnixFS) ---
+
+function protoVarintField(field, value) {
+    return new Uint8Array([...encodeVarint(field << 3), ...encodeVarint(value)]);
+}
+
+function protoBytesField(field, bytes) {
+    return concatBytes([new Uint8Array([...encodeVarint((field << 3) | 2), ...encodeVarint(bytes.length)]), bytes]);
+}
+
+function encodeUnixfsFile({ data, filesize, blocksizes = [] }) {
+    const parts = [protoVarintField(1, UNIXFS_TYPE_FILE)];
+    if (data && data.length) parts.push(protoBytesField(2, data));
+    parts.push(protoVarintField(3, filesize));
+    for (const size of blocksizes) parts.push(protoVarintField(4, size));
+    return concatBytes(parts);
+}
+
+function encodeDagPbNode({ links = [], data }) {
+    const parts = [];
+    for (const link of links) {
+        const encodedLink = concatBytes([
+            protoBytesField(1, link.cid),
+            protoBytesField(2, new Uint8Array(0)),
+            protoVarintField(3, link.tsize)
+        ]);
+        parts.push(protoBytesField(2, encodedLink));
+    }
+    parts.push(protoBytesField(1, data));
+    return concatBytes(parts);
+}
+
+// --- CIDs ---
+
+async function sha256Multihash(bytes) {
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+    return concatBytes([new Uint8Array([MULTIHASH_SHA2_256, digest.length]), digest]);
+}
+
+function cidBytes(version, codec, multihash) {
+    if (version === 0) return multihash;
+    return concatBytes([new Uint8Array([...encodeVarint(1), ...encodeVarint(codec)]), multihash]);
+}
+
+/**
+ * Formats CID bytes as a string: base58btc for CIDv0, base32 ('b' prefix) for CIDv1.
+ * @param {Uint8Array} bytes - Binary CID.
+ * @param {number} version - 0 or 1.
+ * @returns {string}
+ */
+function formatCid(bytes, version) {
+    return version === 0 ? base58Encode(bytes) : 'b' + base32Encode(bytes);
+}
+
+/**
+ * Parses a CID string.
+ * @param {string} cid - A CIDv0 (Qm...) or base32/base58 CIDv1 string.
+ * @returns {{version: number, codec: number, hashCode: number, digest: Uint8Array}}
+ */
+export function parseCid(cid) {
+    if (cid.length === 46 && cid.startsWith('Qm')) {
+        const multihash = base58Decode(cid);
+        return { version: 0, codec: CODEC_DAG_PB, hashCode: multihash[0], digest: multihash.slice(2) };
+    }
+
+    let bytes;
+    if (cid[0] === 'b' || cid[0] === 'B') {
+        bytes = base32Decode(cid.slice(1));
+    } else if (cid[0] === 'z') {
+        bytes = base58Decode(cid.slice(1));
+    } else {
+        throw new Error(`Unsupported CID encoding: ${cid}`);
+    }
+
+    let offset = 0;
+    let version, codec, hashCode, digestLength;
+    [version, offset] = decodeVarint(bytes, offset);
+    [codec, offset] = decodeVarint(bytes, offset);
+    [hashCode, offset] = decodeVarint(bytes, offset);
+    [digestLength, offset] = decodeVarint(bytes, offset);
+
+    if (version !== 1) throw new Error(`Unsupported CID version: ${version}`);
+    return { version, codec, hashCode, digest: bytes.slice(offset, offset + digestLength) };
+}
+
+/**
+ * Computes the CID `ipfs add` would assign to a file with default chunking.
+ * @param {Uint8Array} bytes - The file contents.
+ * @param {object} [options]
+ * @param {0|1} [options.version=0] - CID version; v1 uses raw leaves.
+ * @returns {Promise<string>} The CID string.
+ */
+export async function computeCid(bytes, { version = 0 } = {}) {
+    const rawLeaves = version === 1;
+
+    // Build the leaf layer
+    let layer = [];
+    const chunkCount = Math.max(1, Math.ceil(bytes.length / CHUNK_SIZE));
+    for (let i = 0; i < chunkCount; i++) {
+        const chunk = bytes.subarray(i * CHUNK_SIZE, (i + 1) * CHUNK_SIZE);
+        if (rawLeaves) {
+            layer.push({
+                cid: cidBytes(1, CODEC_RAW, await sha256Multihash(chunk)),
+                tsize: chunk.length,
+                filesize: chunk.length
+            });
+        } else {
+            const block = encodeDagPbNode({ data: encodeUnixfsFile({ data: chunk, filesize: chunk.length }) });
+            layer.push({
+                cid: cidBytes(0, CODEC_DAG_PB, await sha256Multihash(block)),
+                tsize: block.length,
+                filesize: chunk.length
+            });
+        }
+    }
+
+    // Group into parents until a single root remains
+    while (layer.length > 1) {
+        const parents = [];
+        for (let i = 0; i < layer.length; i += MAX_LINKS) {
+            const children = layer.slice(i, i + MAX_LINKS);
+            const filesize = children.reduce((sum, child) => sum + child.filesize, 0);
+            const block = encodeDagPbNode({
+                links: children,
+                data: encodeUnixfsFile({ filesize, blocksizes: children.map(child => child.filesize) })
+            });
+            parents.push({
+                cid: cidBytes(version, CODEC_DAG_PB, await sha256Multihash(block)),
+                tsize: block.length + children.reduce((sum, child) => sum + child.tsize, 0),
+                filesize
+            });
+        }
+        layer = parents;
+    }
+
+    return formatCid(layer[0].cid, version);
+}
+
+/**
+ * Checks whether bytes hash to the given CID.
+ * @param {Uint8Array} bytes - The downloaded contents.
+ * @param {string} expectedCid - The CID the content was requested by.
+ * @returns {Promise<{valid: boolean, computedCid: string}>}
+ */
+export async function verifyCid(bytes, expectedCid) {
+    const expected = parseCid(expectedCid);
+    if (expected.hashCode !== MULTIHASH_SHA2_256) {
+        throw new Error(`Unsupported multihash for verification: 0x${expected.hashCode.toString(16)}`);
+    }
+
+    let computedBytes;
+    if (expected.version === 1 && expected.codec === CODEC_RAW) {
+        computedBytes = cidBytes(1, CODEC_RAW, await sha256Multihash(bytes));
+    } else {
+        const computed = await computeCid(bytes, { version: expected.version });
+        computedBytes = expected.version === 0 ? base58Decode(computed) : base32Decode(computed.slice(1));
+    }
+
+    const expectedBytes = cidBytes(expected.version, expected.codec,
+        concatBytes([new Uint8Array([expected.hashCode, expected.digest.length]), expected.digest]));
+    const valid = computedBytes.length === expectedBytes.length &&
+        computedBytes.every((byte, i) => byte === expectedBytes[i]);
+
+    return { valid, computedCid: formatCid(computedBytes, expected.version) };
+}
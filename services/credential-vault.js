@@ -0,0 +1,124 @@
+// services/credential-vault.js
+
+import { debugLog, bytesToBase64, base64ToBytes } from './utils.js';
+
+const VAULT_STORAGE_KEY = 'peebleCredentialVault';
+const VAULT_VERSION = 1;
+const PBKDF2_ITERATIONS = 310000;
+
+/**
+ * Stores storage-provider credentials in localStorage, encrypted with a user passphrase
+ * (PBKDF2-SHA256 + AES-GCM via EncryptionService). Decrypted credentials only live in memory
+ * while the vault is unlocked.
+ *
+ * Supported credential shapes:
+ *   { pinataJwt }                    - Pinata JWT (sent as a Bearer token)
+ *   { pinataApiKey, pinataSecret }   - Pinata key/secret headers
+ *   { kuboUsername, kuboPassword }   - Basic auth for a Kubo RPC API
+ */
+export class CredentialVault {
+    /**
+     * @param {import('./encryption.js').EncryptionService} encryptionService
+     */
+    constructor(encryptionService) {
+        this.encryptionService = encryptionService;
+        this.credentials = null;
+    }
+
+    /**
+     * @returns {boolean} True if an encrypted vault has been saved on this device.
+     */
+    exists() {
+        return localStorage.getItem(VAULT_STORAGE_KEY) !== null;
+    }
+
+    /**
+     * @returns {boolean} True if credentials are decrypted and available.
+     */
+    isUnlocked() {
+        return this.credentials !== null;
+    }
+
+    /**
+     * @returns {object|null} The decrypted credentials, or null while locked.
+     */
+    getCredentials() {
+        return this.credentials;
+    }
+
+    /**
+     * Encrypts and saves credentials, replacing any existing vault. Leaves the vault unlocked.
+     * Also removes plaintext credentials left in localStorage by older versions.
+     * @param {object} credentials - The credentials to protect.
+     * @param {string} passphrase - The passphrase protecting the vault.
+     * @returns {Promise<void>}
+     */
+    async save(credentials, passphrase) {
+        if (!passphrase || passphrase.length < 8) {
+            throw new Error('Passphrase must be at least 8 characters.');
+        }
+
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const key = await this.encryptionService.derivePassphraseKey(passphrase, salt, PBKDF2_ITERATIONS);
+        const encrypted = await this.encryptionService.encryptDataToBinary(
+            new TextEncoder().encode(JSON.stringify(credentials)),
+            key
+        );
+
+        localStorage.setItem(VAULT_STORAGE_KEY, JSON.stringify({
+            version: VAULT_VERSION,
+            kdf: 'PBKDF2-SHA256',
+            iterations: PBKDF2_ITERATIONS,
+            salt: bytesToBase64(salt),
+            data: bytesToBase64(encrypted)
+        }));
+        localStorage.removeItem('pinataApiKey');
+        localStorage.removeItem('pinataSecret');
+
+        this.credentials = credentials;
+        debugLog('🔑 Credential vault saved and unlocked.', 'success');
+    }
+
+    /**
+     * Decrypts the vault with a passphrase.
+     * @param {string} passphrase - The passphrase protecting the vault.
+     * @returns {Promise<object>} The decrypted credentials.
+     */
+    async unlock(passphrase) {
+        const stored = localStorage.getItem(VAULT_STORAGE_KEY);
+        if (!stored) {
+            throw new Error('No credential vault found on this device.');
+        }
+
+        const vault = JSON.parse(stored);
+        const key = await this.encryptionService.derivePassphraseKey(passphrase, base64ToBytes(vault.salt), vault.iterations);
+
+        let decrypted;
+        try {
+            decrypted = await this.encryptionService.decryptFromBinary(base64ToBytes(vault.data), key);
+        } catch {
+            throw new Error('Wrong passphrase.');
+        }
+
+        this.credentials = JSON.parse(new TextDecoder().decode(decrypted));
+        debugLog('🔑 Credential vault unlocked.', 'success');
+        return this.credentials;
+    }
+
+    /**
+     * Forgets the decrypted credentials.
+     */
+    lock() {
+        this.credentials = null;
+        debugLog('🔑 Credential vault locked.');
+    }
+
+    /**
+     * Deletes the vault from this device.
+     */
+    clear() {
+        localStorage.removeItem(VAULT_STORAGE_KEY);
+        this.credentials = null;
+        debugLog('🔑 Credential vault deleted.', 'warning');
+    }
+}
@@ -0,0 +1,123 @@
+// services/crypto-worker-client.js
+
+import { debugLog } from './utils.js';
+
+/**
+ * Main-thread side of the crypto worker (crypto-worker.js).
+ * Calls are posted to the worker and answered by id. Arguments are copied, since callers keep
+ * using them (e.g. a downloaded package is decrypted again after a wrong PIN); result buffers
+ * are transferred back instead of copied. Where workers are unavailable, or the worker fails to
+ * start, calls run in this thread instead.
+ */
+export class CryptoWorkerClient {
+    /**
+     * @param {URL|string} workerUrl - The worker module (crypto-worker.js).
+     * @param {object} [options]
+     * @param {Object<string, function(new: Error, string)>} [options.errorTypes] - Error classes to rebuild by name,
+     *   so callers can still use instanceof on errors thrown in the worker.
+     */
+    constructor(workerUrl, { errorTypes = {} } = {}) {
+        this.workerUrl = workerUrl;
+        this.errorTypes = errorTypes;
+        this.worker = null;
+        this.unavailable = typeof Worker === 'undefined';
+        this.nextId = 1;
+        this.pending = new Map(); // id -> { resolve, reject, onProgress, args, runInThread }
+    }
+
+    /**
+     * Runs a method in the worker, or in this thread if there is no worker.
+     * An argument object with an onProgress function keeps receiving progress from the worker.
+     * @param {string} method - The EncryptionService method name.
+     * @param {Array} args - Its arguments.
+     * @param {function(...*): Promise<*>} runInThread - The same method, bound to an in-thread instance.
+     * @returns {Promise<*>} The method's result.
+     */
+    call(method, args, runInThread) {
+        if (this.unavailable) {
+            return runInThread(...args);
+        }
+
+        let worker;
+        try {
+            worker = this.getWorker();
+        } catch (error) {
+            this.disable(`Crypto worker unavailable (${error.message}), running crypto in this thread`);
+            return runInThread(...args);
+        }
+
+        const id = this.nextId++;
+        let onProgress = null;
+        const workerArgs = args.map(arg => {
+            if (typeof arg?.onProgress !== 'function') return arg;
+            onProgress = arg.onProgress;
+            return { ...arg, onProgress: true };
+        });
+
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject, onProgress, args, runInThread });
+            try {
+                worker.postMessage({ id, method, args: workerArgs });
+            } catch (error) {
+                this.pending.delete(id);
+                reject(error);
+            }
+        });
+    }
+
+    getWorker() {
+        if (!this.worker) {
+            this.worker = new Worker(this.workerUrl, { type: 'module' });
+            this.worker.onmessage = (event) => this.handleMessage(event.data);
+            // Fires when the module cannot load, e.g. browsers without module workers
+            this.worker.onerror = (event) => {
+                event.preventDefault?.();
+                this.disable(`Crypto worker failed (${event.message || 'load error'}), running crypto in this thread`);
+            };
+            debugLog('🧵 Crypto worker started');
+        }
+        return this.worker;
+    }
+
+    handleMessage({ id, result, error, progress, log }) {
+        if (log) {
+            // Show the worker's debugLog output in the page's debug console
+            window.dispatchEvent(new CustomEvent('debug-log', { detail: log }));
+            return;
+        }
+
+        const call = this.pending.get(id);
+        if (!call) return;
+        if (progress) {
+            call.onProgress?.(...progress);
+            return;
+        }
+
+        this.pending.delete(id);
+        if (error) {
+            const ErrorType = this.errorTypes[error.name] || Error;
+            const rebuilt = new ErrorType(error.message);
+            rebuilt.name = error.name;
+            call.reject(rebuilt);
+        } else {
+            call.resolve(result);
+        }
+    }
+
+    /**
+     * Stops using the worker and reruns the calls it had not answered in this thread.
+     * @param {string} reason - Logged once.
+     */
+    disable(reason) {
+        debugLog(`🧵 ${reason}`, 'warning');
+        this.unavailable = true;
+        this.worker?.terminate();
+        this.worker = null;
+
+        const calls = [...this.pending.values()];
+        this.pending.clear();
+        for (const { resolve, reject, args, runInThread } of calls) {
+            runInThread(...args).then(resolve, reject);
+        }
+    }
+}
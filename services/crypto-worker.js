@@ -0,0 +1,36 @@
+// services/crypto-worker.js
+
+import { EncryptionService, WORKER_METHODS } from './encryption.js';
+
+/**
+ * Crypto worker: runs EncryptionService methods for CryptoWorkerClient, off the main thread,
+ * so key derivation and encryption do not freeze recording, playback or the progress bar.
+ *   request  { id, method, args } - an argument { onProgress: true } gets a callback that posts progress
+ *   response { id, result } | { id, error: { name, message } } | { id, progress: [loaded, total] }
+ *            | { log: { message, type } } for debugLog output, shown in the page's debug console
+ */
+const encryptionService = new EncryptionService();
+
+self.addEventListener('debug-log', (event) => self.postMessage({ log: event.detail }));
+
+self.onmessage = async ({ data: { id, method, args } }) => {
+    try {
+        if (!WORKER_METHODS.includes(method)) {
+            throw new Error(`Unknown crypto worker method: ${method}`);
+        }
+        const callArgs = args.map(arg => arg?.onProgress === true
+            ? { ...arg, onProgress: (loaded, total) => self.postMessage({ id, progress: [loaded, total] }) }
+            : arg);
+        const result = await encryptionService[method](...callArgs);
+        self.postMessage({ id, result }, getTransferables(result));
+    } catch (error) {
+        self.postMessage({ id, error: { name: error.name, message: error.message } });
+    }
+};
+
+// Results are fresh buffers, so they are moved to the main thread rather than copied
+function getTransferables(result) {
+    if (result instanceof ArrayBuffer) return [result];
+    if (ArrayBuffer.isView(result)) return [result.buffer];
+    return [];
+}
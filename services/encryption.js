@@ -1,62 +1,695 @@
 // services/encryption.js
 
-import { debugLog } from './utils.js';
+import { debugLog, bytesToBase64, base64ToBytes } from './utils.js';
+import { CryptoWorkerClient } from './crypto-worker-client.js';
+
+/**
+ * Crypto header stored in every package, describing how its key was derived and its data encrypted:
+ *   version  - Header version (0 = implied for packages written before the header existed)
+ *   kdf      - { name: 'PBKDF2', hash, iterations, salt, tagSecret }; salt is Base64 random bytes
+ *              appended to the tag serial, or null for the serial alone. tagSecret (v2) means the
+ *              key material also includes the random secret stored in the tag's key record.
+ *              pin (v2) means a PIN is stretched over the tag key; tagCheck then lets readers
+ *              verify the tag before blaming the PIN
+ *   cipher   - { name: 'AES-GCM', keyLength, ivLength, tagLength, ivLayout, aad, chunkSize }; ivLayout 'prefix'
+ *              means each encrypted field is IV followed by ciphertext and tag. aad (v4) 'package-header'
+ *              means each section is authenticated together with the package header (see package-format.js).
+ *              chunkSize (v5) means the audio section is encrypted in chunks of that many plaintext bytes
+ *              (see encryptDataToChunks); other fields keep the ivLayout
+ *   recipients (v3) - [{ salt, tagCheck, wrappedKey }], one per tag that can open the message.
+ *              The data is encrypted with a random content key; each entry holds that key wrapped
+ *              with the key derived from one tag (kdf.salt is then per recipient, not in kdf)
+ *   recovery (v6) - { salt, wrappedKey }: the content key wrapped with a key derived from a printed
+ *              recovery code (see recovery-code.js) with the kdf hash and iterations, for when every tag is lost
+ *   timeLock (v7) - { server, lockId, unlockAt }: the key that recipients, recovery and escrow wrap is
+ *              XORed with a share the time-lock server releases after unlockAt (see time-lock.js)
+ * Readers derive keys from the header, so new packages can use stronger parameters while
+ * tags written with older ones keep working.
+ */
+export const CRYPTO_HEADER_VERSION = 7;
+
+// Bytes of random secret written to the tag next to the URL (kept small for NTAG213-class tags)
+export const TAG_SECRET_LENGTH = 16;
+
+// Parameters of packages that predate the crypto header
+export const LEGACY_CRYPTO_HEADER = {
+    version: 0,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: 100000, salt: null },
+    cipher: { name: 'AES-GCM', keyLength: 256, ivLength: 12, tagLength: 128, ivLayout: 'prefix' }
+};
+
+// Additional authenticated data modes (cipher.aad)
+export const AAD_PACKAGE_HEADER = 'package-header';
+
+// Parameters for new packages
+const DEFAULT_KDF = { name: 'PBKDF2', hash: 'SHA-256', iterations: 310000, saltLength: 16 };
+const DEFAULT_CIPHER = { name: 'AES-GCM', keyLength: 256, ivLength: 12, tagLength: 128, ivLayout: 'prefix' };
+const DEFAULT_CHUNK_SIZE = 64 * 1024;
+
+// Chunk nonces: random prefix (stored once per section) || uint32 chunk index || final flag
+const CHUNK_NONCE_PREFIX_LENGTH = 7;
+const CHUNK_NONCE_LENGTH = CHUNK_NONCE_PREFIX_LENGTH + 4 + 1;
+const MIN_CHUNK_SIZE = 1024;
+const MAX_CHUNK_SIZE = 16 * 1024 * 1024;
+
+const SUPPORTED_KDF_HASHES = ['SHA-256', 'SHA-384', 'SHA-512'];
+const SUPPORTED_KEY_LENGTHS = [128, 192, 256];
+const SUPPORTED_TAG_LENGTHS = [96, 104, 112, 120, 128];
+// Upper bounds so a crafted package cannot stall the reader (each recipient costs one key derivation)
+const MAX_KDF_ITERATIONS = 5000000;
+export const MAX_RECIPIENTS = 8;
+
+// Methods run in the crypto worker when there is one: key derivation and whole-buffer encryption
+export const WORKER_METHODS = [
+    'createMessageKey',
+    'transferMessageKey',
+    'deriveMessageKey',
+    'unwrapRecoveryKey',
+    'derivePassphraseKey',
+    'encryptDataToBinary',
+    'encryptDataToBase64',
+    'encryptDataToChunks',
+    'decryptFromBinary',
+    'decryptFromBase64',
+    'decryptFromChunks'
+];
+
+/**
+ * Thrown when a package's crypto header names parameters this version cannot handle,
+ * typically because the message was made by a newer Peeble.
+ */
+export class UnsupportedCryptoError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UnsupportedCryptoError';
+    }
+}
+
+/**
+ * Thrown when the tag matches a PIN-protected message but its key does not open with the PIN.
+ */
+export class WrongPinError extends Error {
+    constructor(message = 'Wrong PIN.') {
+        super(message);
+        this.name = 'WrongPinError';
+    }
+}
 
 /**
  * Handles all encryption and decryption operations for Peeble messages.
  */
 export class EncryptionService {
     /**
-     * Derives an encryption key from a tag serial and timestamp using PBKDF2.
+     * @param {object} [options]
+     * @param {URL|string|null} [options.workerUrl=null] - The crypto worker (crypto-worker.js). When set, the
+     *   WORKER_METHODS run in that worker, or in this thread where workers are unavailable.
+     */
+    constructor({ workerUrl = null } = {}) {
+        this.cryptoWorker = null;
+        if (workerUrl) {
+            this.cryptoWorker = new CryptoWorkerClient(workerUrl, { errorTypes: { UnsupportedCryptoError, WrongPinError } });
+            for (const method of WORKER_METHODS) {
+                const runInThread = this[method].bind(this);
+                this[method] = (...args) => this.cryptoWorker.call(method, args, runInThread);
+            }
+        }
+    }
+
+    /**
+     * Creates the crypto header for a new package, with a fresh random salt.
+     * @param {object} [options]
+     * @param {boolean} [options.tagSecret=false] - Whether the key also depends on a tag secret (see generateTagSecret).
+     * @returns {object} The crypto header (see CRYPTO_HEADER_VERSION).
+     */
+    createCryptoHeader({ tagSecret = false } = {}) {
+        const { saltLength, ...kdf } = DEFAULT_KDF;
+        return {
+            version: CRYPTO_HEADER_VERSION,
+            kdf: { ...kdf, salt: bytesToBase64(crypto.getRandomValues(new Uint8Array(saltLength))), tagSecret },
+            cipher: { ...DEFAULT_CIPHER }
+        };
+    }
+
+    /**
+     * Generates the random per-message secret that is written to the tag, never to the URL or package.
+     * @returns {string} The secret, Base64 encoded.
+     */
+    generateTagSecret() {
+        return bytesToBase64(crypto.getRandomValues(new Uint8Array(TAG_SECRET_LENGTH)));
+    }
+
+    /**
+     * Returns the header to decrypt a package with, checking that this version supports it.
+     * @param {object|null} cryptoHeader - The package's crypto header; null for packages that predate it.
+     * @returns {object} The crypto header.
+     * @throws {UnsupportedCryptoError} If the header uses unknown algorithms or parameters.
+     */
+    resolveCryptoHeader(cryptoHeader) {
+        if (!cryptoHeader) {
+            debugLog('No crypto header in package, using legacy parameters.', 'info');
+            return LEGACY_CRYPTO_HEADER;
+        }
+
+        const { version, kdf, cipher } = cryptoHeader;
+        if (!Number.isInteger(version) || version > CRYPTO_HEADER_VERSION) {
+            throw new UnsupportedCryptoError(`Unsupported crypto header version: ${version}`);
+        }
+        if (kdf?.name !== 'PBKDF2' || !SUPPORTED_KDF_HASHES.includes(kdf.hash)) {
+            throw new UnsupportedCryptoError(`Unsupported key derivation: ${kdf?.name}/${kdf?.hash}`);
+        }
+        if (!Number.isInteger(kdf.iterations) || kdf.iterations < 1 || kdf.iterations > MAX_KDF_ITERATIONS) {
+            throw new UnsupportedCryptoError(`Unsupported key derivation iterations: ${kdf.iterations}`);
+        }
+        if ((kdf.tagSecret !== undefined && typeof kdf.tagSecret !== 'boolean') ||
+            (kdf.pin !== undefined && typeof kdf.pin !== 'boolean') ||
+            (kdf.tagCheck !== undefined && typeof kdf.tagCheck !== 'string')) {
+            throw new UnsupportedCryptoError(`Unsupported key derivation options: ${JSON.stringify(kdf)}`);
+        }
+        if (cipher?.name !== 'AES-GCM' || cipher.ivLayout !== 'prefix' ||
+            !SUPPORTED_KEY_LENGTHS.includes(cipher.keyLength) ||
+            !SUPPORTED_TAG_LENGTHS.includes(cipher.tagLength) ||
+            !Number.isInteger(cipher.ivLength) || cipher.ivLength < 12 ||
+            (cipher.aad !== undefined && cipher.aad !== AAD_PACKAGE_HEADER) ||
+            (cipher.chunkSize !== undefined && (cipher.ivLength !== CHUNK_NONCE_LENGTH ||
+                !Number.isInteger(cipher.chunkSize) || cipher.chunkSize < MIN_CHUNK_SIZE || cipher.chunkSize > MAX_CHUNK_SIZE))) {
+            throw new UnsupportedCryptoError(`Unsupported cipher: ${JSON.stringify(cipher)}`);
+        }
+        const { recipients } = cryptoHeader;
+        if (recipients !== undefined && (!Array.isArray(recipients) ||
+            recipients.length < 1 || recipients.length > MAX_RECIPIENTS ||
+            !recipients.every(recipient => typeof recipient?.salt === 'string' &&
+                typeof recipient.wrappedKey === 'string' &&
+                (recipient.tagCheck === undefined || typeof recipient.tagCheck === 'string')))) {
+            throw new UnsupportedCryptoError(`Unsupported recipient list: ${JSON.stringify(recipients)}`);
+        }
+        const { recovery } = cryptoHeader;
+        if (recovery !== undefined && (!recipients ||
+            typeof recovery?.salt !== 'string' || typeof recovery.wrappedKey !== 'string')) {
+            throw new UnsupportedCryptoError(`Unsupported recovery entry: ${JSON.stringify(recovery)}`);
+        }
+        const { timeLock } = cryptoHeader;
+        if (timeLock !== undefined && (!recipients ||
+            typeof timeLock?.server !== 'string' || !/^https?:\/\//.test(timeLock.server) ||
+            typeof timeLock.lockId !== 'string' || Number.isNaN(Date.parse(timeLock.unlockAt)))) {
+            throw new UnsupportedCryptoError(`Unsupported time lock: ${JSON.stringify(timeLock)}`);
+        }
+
+        debugLog(`Crypto header v${version}: ${kdf.name}-${kdf.hash} x${kdf.iterations}${kdf.tagSecret ? ' + tag secret' : ''}${kdf.pin ? ' + PIN' : ''}, ${cipher.name}-${cipher.keyLength}${recipients ? `, ${recipients.length} recipient(s)` : ''}${recovery ? ' + recovery code' : ''}${timeLock ? `, time-locked until ${timeLock.unlockAt}` : ''}`);
+        return cryptoHeader;
+    }
+
+    /**
+     * Creates the crypto header for a new message and its random content key, wrapped for each tag.
+     * Any one of the tags (with its secret, and the PIN if there is one) can unwrap the content key.
+     * Sections encrypted under the header must pass the package header as additional data (cipher.aad),
+     * and the audio section must be encrypted in chunks (cipher.chunkSize, see encryptDataToChunks).
+     * With a PIN, each recipient entry records a short check of its tag factors so readers can tell
+     * a wrong PIN from a wrong tag.
+     * @param {Array<{serial: string, tagSecret: string|null}>} tags - The recipient tags, with the secret for each tag's key record (see generateTagSecret).
+     * @param {number} timestamp - The message timestamp.
+     * @param {object} [options]
+     * @param {string|null} [options.pin=null] - Optional PIN or passphrase required to play the message.
+     * @param {CryptoKey|null} [options.escrowKey=null] - Device key to also wrap the content key with (see KeyEscrowService).
+     * @param {string|null} [options.recoveryCode=null] - Recovery code to also wrap the content key with (see generateRecoveryCode).
+     * @param {object|null} [options.timeLock=null] - A lock from TimeLockService.createLock; its share becomes part of the content key.
+     * @returns {Promise<{key: CryptoKey, cryptoHeader: object, escrowedKey: string|null}>} The content key, the header
+     *   to store in the package, and the content key wrapped with escrowKey (Base64), kept on the sender's device only.
+     */
+    async createMessageKey(tags, timestamp, { pin = null, escrowKey = null, recoveryCode = null, timeLock = null } = {}) {
+        if (tags.length < 1 || tags.length > MAX_RECIPIENTS) {
+            throw new Error(`A message needs between 1 and ${MAX_RECIPIENTS} Peebles.`);
+        }
+
+        const { saltLength, ...kdf } = DEFAULT_KDF;
+        const cipher = { ...DEFAULT_CIPHER, aad: AAD_PACKAGE_HEADER, chunkSize: DEFAULT_CHUNK_SIZE };
+        const cryptoHeader = {
+            version: CRYPTO_HEADER_VERSION,
+            kdf: { ...kdf, tagSecret: tags.every(tag => !!tag.tagSecret), ...(pin ? { pin: true } : {}) },
+            cipher,
+            recipients: []
+        };
+        if (timeLock) {
+            const { server, lockId, unlockAt } = timeLock;
+            cryptoHeader.timeLock = { server, lockId, unlockAt };
+        }
+
+        // Without a time lock this is the content key itself
+        const contentKeyBytes = crypto.getRandomValues(new Uint8Array(cipher.keyLength / 8));
+        for (const tag of tags) {
+            cryptoHeader.recipients.push(await this.wrapKeyForRecipient(contentKeyBytes, tag, timestamp, cryptoHeader, pin));
+        }
+
+        if (recoveryCode) {
+            cryptoHeader.recovery = await this.wrapKeyForRecoveryCode(contentKeyBytes, recoveryCode, cryptoHeader);
+        }
+
+        const escrowedKey = escrowKey
+            ? bytesToBase64(await this.encryptDataToBinary(contentKeyBytes, escrowKey, DEFAULT_CIPHER))
+            : null;
+
+        const key = await this.importContentKey(contentKeyBytes, cryptoHeader, timeLock?.share);
+        debugLog(`Content key wrapped for ${tags.length} Peeble(s)${recoveryCode ? ', a recovery code' : ''}${escrowedKey ? ' and escrowed' : ''}.`, 'success');
+        return { key, cryptoHeader, escrowedKey };
+    }
+
+    /**
+     * Creates the recipient entry that lets one tag (with the PIN, if the header has one) unwrap the content key.
+     * @param {Uint8Array} contentKeyBytes - The key as wrapped for recipients (before any time-lock share).
+     * @param {{serial: string, tagSecret: string|null}} tag - The recipient tag.
+     * @param {number} timestamp - The message timestamp.
+     * @param {object} cryptoHeader - The header the entry is for; its kdf must not carry a salt.
+     * @param {string|null} pin - The PIN, when the header has kdf.pin.
+     * @returns {Promise<{salt: string, tagCheck?: string, wrappedKey: string}>}
+     */
+    async wrapKeyForRecipient(contentKeyBytes, { serial, tagSecret }, timestamp, { kdf, cipher }, pin) {
+        const salt = bytesToBase64(crypto.getRandomValues(new Uint8Array(DEFAULT_KDF.saltLength)));
+        const recipientHeader = { kdf: { ...kdf, salt }, cipher };
+        const tagKeyBits = await this.deriveTagKeyBits(serial, timestamp, recipientHeader, tagSecret);
+        const wrappingKey = await this.importMessageKey(tagKeyBits, recipientHeader, pin);
+        const wrappedKey = await this.encryptDataToBinary(contentKeyBytes, wrappingKey, cipher);
+        return {
+            salt,
+            ...(pin ? { tagCheck: await this.computeTagCheck(tagKeyBits) } : {}),
+            wrappedKey: bytesToBase64(wrappedKey)
+        };
+    }
+
+    /**
+     * Creates the recovery entry that lets a recovery code unwrap the content key.
+     * @param {Uint8Array} contentKeyBytes - The key as wrapped for recipients (before any time-lock share).
+     * @param {string} recoveryCode - From generateRecoveryCode.
+     * @param {object} cryptoHeader - The header the entry is for.
+     * @returns {Promise<{salt: string, wrappedKey: string}>}
+     */
+    async wrapKeyForRecoveryCode(contentKeyBytes, recoveryCode, cryptoHeader) {
+        const salt = bytesToBase64(crypto.getRandomValues(new Uint8Array(DEFAULT_KDF.saltLength)));
+        const recoveryKey = await this.deriveRecoveryKey(recoveryCode, salt, cryptoHeader);
+        const wrappedKey = await this.encryptDataToBinary(contentKeyBytes, recoveryKey, cryptoHeader.cipher);
+        return { salt, wrappedKey: bytesToBase64(wrappedKey) };
+    }
+
+    /**
+     * Builds the crypto header of a message moved to a replacement Peeble. The content key stays the same,
+     * so whatever else opens the message keeps working: its other Peebles, the key escrowed on this device
+     * and its time lock. A recovery entry is replaced when a new recovery code is given. The lost Peeble's entry is removed when the old tag
+     * identifies it; recipient entries are not labelled, so with the escrowed key instead every old
+     * entry is removed and only the new Peeble (and the recovery code) opens the message.
+     * The cipher is brought up to date (header as additional data, chunked audio), so every section
+     * must be encrypted again under the returned header.
+     * @param {object} cryptoHeader - The old package's header, from resolveCryptoHeader(); it must have recipients.
+     * @param {number} timestamp - The message timestamp.
+     * @param {{serial: string, tagSecret: string}} newTag - The replacement tag and its new secret.
+     * @param {object} options
+     * @param {{serial: string, tagSecret: string|null}|null} [options.oldTag=null] - The old tag, when it can still be read.
+     * @param {string|null} [options.escrowedKey=null] - Otherwise, the content key escrowed by createMessageKey...
+     * @param {CryptoKey|null} [options.escrowKey=null] - ...and the device key it was wrapped with.
+     * @param {string|null} [options.pin=null] - The message's PIN. When no old entry is kept, the PIN the new Peeble will need.
+     * @param {string|null} [options.timeLockShare=null] - The share released by the time-lock server, for time-locked messages.
+     * @param {string|null} [options.recoveryCode=null] - New recovery code to wrap the content key with, in place of the old one.
+     * @returns {Promise<{key: CryptoKey, cryptoHeader: object, keptRecipients: number}>} The content key, the new
+     *   header, and how many of the old recipient entries it kept.
+     * @throws {WrongPinError} If the old tag matches but the PIN does not.
+     * @throws {Error} If the old tag or the escrowed key does not open the message.
+     */
+    async transferMessageKey(cryptoHeader, timestamp, newTag, { oldTag = null, escrowedKey = null, escrowKey = null, pin = null, timeLockShare = null, recoveryCode = null } = {}) {
+        if (!cryptoHeader.recipients) {
+            throw new Error('This message predates recipient entries and cannot keep its key.');
+        }
+
+        let contentKeyBytes;
+        let keptRecipients = [];
+        if (oldTag) {
+            if (cryptoHeader.kdf.pin && !pin) {
+                throw new Error('This message is protected with a PIN.');
+            }
+            const unwrapped = await this.unwrapContentKeyBytes(oldTag.serial, timestamp, cryptoHeader, { tagSecret: oldTag.tagSecret, pin });
+            contentKeyBytes = unwrapped.contentKeyBytes;
+            keptRecipients = cryptoHeader.recipients.filter((recipient, index) => index !== unwrapped.recipientIndex);
+        } else {
+            contentKeyBytes = await this.unwrapEscrowedKeyBytes(escrowedKey, escrowKey);
+        }
+
+        // Kept entries fix the tag secret and PIN settings; without them the new Peeble sets its own
+        let kdf = cryptoHeader.kdf;
+        if (keptRecipients.length === 0) {
+            const { pin: oldPin, ...rest } = cryptoHeader.kdf;
+            kdf = { ...rest, tagSecret: !!newTag.tagSecret, ...(pin ? { pin: true } : {}) };
+        }
+        const newHeader = {
+            ...cryptoHeader,
+            version: CRYPTO_HEADER_VERSION,
+            kdf,
+            cipher: { ...cryptoHeader.cipher, aad: AAD_PACKAGE_HEADER, chunkSize: cryptoHeader.cipher.chunkSize || DEFAULT_CHUNK_SIZE }
+        };
+        newHeader.recipients = [
+            ...keptRecipients,
+            await this.wrapKeyForRecipient(contentKeyBytes, newTag, timestamp, newHeader, kdf.pin ? pin : null)
+        ];
+        if (recoveryCode) {
+            newHeader.recovery = await this.wrapKeyForRecoveryCode(contentKeyBytes, recoveryCode, newHeader);
+        }
+
+        const key = await this.importContentKey(contentKeyBytes, newHeader, timeLockShare);
+        debugLog(`Content key moved to the new Peeble, keeping ${keptRecipients.length} other Peeble(s)${recoveryCode ? ', with a new recovery code' : ''}.`, 'success');
+        return { key, cryptoHeader: newHeader, keptRecipients: keptRecipients.length };
+    }
+
+    /**
+     * Recovers a content key escrowed by createMessageKey, without any of the message's tags.
+     * @param {string} escrowedKey - The Base64 wrapped content key.
+     * @param {CryptoKey} escrowKey - The device key it was wrapped with.
+     * @param {object} [options]
+     * @param {object|null} [options.cryptoHeader=null] - The package's header, needed for time-locked messages.
+     * @param {string|null} [options.timeLockShare=null] - The share released by the time-lock server.
+     * @returns {Promise<CryptoKey>} The content key.
+     * @throws {Error} If the key was escrowed on another device (or the escrow key was reset).
+     */
+    async unwrapEscrowedKey(escrowedKey, escrowKey, { cryptoHeader = null, timeLockShare = null } = {}) {
+        const contentKeyBytes = await this.unwrapEscrowedKeyBytes(escrowedKey, escrowKey);
+        return this.importContentKey(contentKeyBytes, cryptoHeader || { cipher: DEFAULT_CIPHER }, timeLockShare);
+    }
+
+    /**
+     * @returns {Promise<Uint8Array>} The escrowed key as wrapped for recipients (before any time-lock share).
+     */
+    async unwrapEscrowedKeyBytes(escrowedKey, escrowKey) {
+        let contentKeyBytes;
+        try {
+            contentKeyBytes = await this.decryptFromBinary(base64ToBytes(escrowedKey), escrowKey, DEFAULT_CIPHER);
+        } catch (error) {
+            throw new Error('The key saved on this device no longer opens this message.');
+        }
+        debugLog('Content key recovered from escrow.', 'success');
+        return new Uint8Array(contentKeyBytes);
+    }
+
+    /**
+     * Recovers a content key wrapped with a recovery code by createMessageKey, without any of the message's tags.
+     * @param {string} recoveryCode - The code, normalized (see normalizeRecoveryCode).
+     * @param {object} cryptoHeader - A header from resolveCryptoHeader().
+     * @param {object} [options]
+     * @param {string|null} [options.timeLockShare=null] - The share released by the time-lock server, for time-locked messages.
+     * @returns {Promise<CryptoKey>} The content key.
+     * @throws {Error} If the message has no recovery code, or the code does not open it.
+     */
+    async unwrapRecoveryKey(recoveryCode, cryptoHeader, { timeLockShare = null } = {}) {
+        const { cipher, recovery } = cryptoHeader;
+        if (!recovery) {
+            throw new Error('This message was saved without a recovery code.');
+        }
+
+        const recoveryKey = await this.deriveRecoveryKey(recoveryCode, recovery.salt, cryptoHeader);
+        let contentKeyBytes;
+        try {
+            contentKeyBytes = await this.decryptFromBinary(base64ToBytes(recovery.wrappedKey), recoveryKey, cipher);
+        } catch (error) {
+            debugLog('Recovery code does not unwrap the content key.', 'error');
+            throw new Error('Wrong recovery code.');
+        }
+        debugLog('Content key recovered with the recovery code.', 'success');
+        return this.importContentKey(contentKeyBytes, cryptoHeader, timeLockShare);
+    }
+
+    /**
+     * Stretches a recovery code into the key that wraps the content key, with the header's kdf parameters.
+     * @returns {Promise<CryptoKey>}
+     */
+    async deriveRecoveryKey(recoveryCode, salt, { kdf, cipher }) {
+        debugLog('Deriving recovery key...');
+        const codeMaterial = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(recoveryCode),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: base64ToBytes(salt), iterations: kdf.iterations, hash: kdf.hash },
+            codeMaterial,
+            { name: cipher.name, length: cipher.keyLength },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Derives a message key from a tag serial and timestamp, with the parameters in a crypto header.
+     * For headers with recipients, this unwraps the content key with the first recipient the tag opens.
+     * @param {string} serial - The NFC tag's serial number, used (with the header salt) as PBKDF2 salt.
+     * @param {number} timestamp - The timestamp, used as key material.
+     * @param {object} cryptoHeader - A header from createCryptoHeader() or resolveCryptoHeader().
+     * @param {object} [options]
+     * @param {string|null} [options.tagSecret=null] - The Base64 secret from the tag's key record, when the header requires one.
+     * @param {string|null} [options.pin=null] - The PIN, when the header requires one.
+     * @param {string|null} [options.timeLockShare=null] - The share released by the time-lock server, when the header has a time lock.
+     * @returns {Promise<CryptoKey>} A promise that resolves to the derived CryptoKey.
+     * @throws {WrongPinError} If the tag matches a recipient but the PIN does not.
+     * @throws {Error} If a required tag secret or PIN is missing, or the tag does not match the message.
+     */
+    async deriveMessageKey(serial, timestamp, cryptoHeader, { tagSecret = null, pin = null, timeLockShare = null } = {}) {
+        const { kdf } = cryptoHeader;
+        if (kdf.pin && !pin) {
+            throw new Error('This message is protected with a PIN.');
+        }
+        if (cryptoHeader.recipients) {
+            return this.unwrapContentKey(serial, timestamp, cryptoHeader, { tagSecret, pin, timeLockShare });
+        }
+
+        const tagKeyBits = await this.deriveTagKeyBits(serial, timestamp, cryptoHeader, tagSecret);
+        if (kdf.pin && kdf.tagCheck && await this.computeTagCheck(tagKeyBits) !== kdf.tagCheck) {
+            debugLog('Tag check failed: this Peeble did not create the message.', 'error');
+            throw new Error('This Peeble does not match the message.');
+        }
+        return this.importMessageKey(tagKeyBits, cryptoHeader, kdf.pin ? pin : null);
+    }
+
+    /**
+     * Tries each recipient entry with the tag until one unwraps the content key.
+     * @returns {Promise<CryptoKey>} The content key.
+     */
+    async unwrapContentKey(serial, timestamp, cryptoHeader, { tagSecret, pin, timeLockShare }) {
+        const { contentKeyBytes } = await this.unwrapContentKeyBytes(serial, timestamp, cryptoHeader, { tagSecret, pin });
+        return this.importContentKey(contentKeyBytes, cryptoHeader, timeLockShare);
+    }
+
+    /**
+     * The entries are not labelled, so a tag costs one key derivation per recipient it is tried against.
+     * @returns {Promise<{contentKeyBytes: Uint8Array, recipientIndex: number}>} The key as wrapped, and the entry that opened.
+     */
+    async unwrapContentKeyBytes(serial, timestamp, cryptoHeader, { tagSecret, pin }) {
+        const { kdf, cipher, recipients } = cryptoHeader;
+        for (const [index, recipient] of recipients.entries()) {
+            const recipientHeader = { kdf: { ...kdf, salt: recipient.salt }, cipher };
+            const tagKeyBits = await this.deriveTagKeyBits(serial, timestamp, recipientHeader, tagSecret);
+            if (kdf.pin && recipient.tagCheck && await this.computeTagCheck(tagKeyBits) !== recipient.tagCheck) {
+                continue;
+            }
+
+            const wrappingKey = await this.importMessageKey(tagKeyBits, recipientHeader, kdf.pin ? pin : null);
+            const wrappedKey = base64ToBytes(recipient.wrappedKey);
+            let contentKeyBytes;
+            try {
+                contentKeyBytes = await crypto.subtle.decrypt(
+                    { name: cipher.name, iv: wrappedKey.slice(0, cipher.ivLength), tagLength: cipher.tagLength },
+                    wrappingKey,
+                    wrappedKey.slice(cipher.ivLength)
+                );
+            } catch (error) {
+                // The tag check passed, so only the PIN can be wrong
+                if (kdf.pin && recipient.tagCheck) {
+                    throw new WrongPinError();
+                }
+                continue;
+            }
+            debugLog(`Content key unwrapped with recipient ${index + 1} of ${recipients.length}.`, 'success');
+            return { contentKeyBytes: new Uint8Array(contentKeyBytes), recipientIndex: index };
+        }
+
+        debugLog('No recipient entry opens with this Peeble.', 'error');
+        throw new Error('This Peeble does not match the message.');
+    }
+
+    /**
+     * Imports an unwrapped content key, first mixing in the time-lock share when the header has a time lock.
+     * @param {ArrayBuffer|Uint8Array} keyBytes - The key as wrapped for recipients, recovery and escrow.
+     * @param {object} cryptoHeader - The header (only cipher and timeLock are used).
+     * @param {string|null} timeLockShare - The Base64 share from the time-lock server.
+     * @returns {Promise<CryptoKey>}
+     * @throws {Error} If the header has a time lock and the share is missing.
+     */
+    async importContentKey(keyBytes, { cipher, timeLock }, timeLockShare) {
+        let contentKeyBytes = new Uint8Array(keyBytes);
+        if (timeLock) {
+            const share = timeLockShare ? base64ToBytes(timeLockShare) : new Uint8Array(0);
+            if (share.length < contentKeyBytes.length) {
+                throw new Error('This message is time-locked and its time-lock key was not released.');
+            }
+            contentKeyBytes = contentKeyBytes.map((byte, index) => byte ^ share[index]);
+        }
+        return crypto.subtle.importKey('raw', contentKeyBytes, { name: cipher.name }, false, ['encrypt', 'decrypt']);
+    }
+
+    /**
+     * Runs PBKDF2 over the tag factors: timestamp (and tag secret) as key material, serial (and header salt) as salt.
+     * Without a PIN these bits are the AES key itself.
+     * @returns {Promise<ArrayBuffer>} keyLength bits.
+     */
+    async deriveTagKeyBits(serial, timestamp, { kdf, cipher }, tagSecret) {
+        debugLog('Deriving encryption key...');
+        if (kdf.tagSecret && !tagSecret) {
+            debugLog('Crypto header requires a tag secret, but none was read from the tag.', 'error');
+            throw new Error('This message needs the key stored on its Peeble, but the tag has no key record.');
+        }
+        try {
+            // Timestamp as raw key material, followed by the tag secret when the header requires it
+            const timestampBytes = new TextEncoder().encode(timestamp.toString());
+            const secretBytes = kdf.tagSecret ? base64ToBytes(tagSecret) : new Uint8Array(0);
+            const password = new Uint8Array(timestampBytes.length + secretBytes.length);
+            password.set(timestampBytes);
+            password.set(secretBytes, timestampBytes.length);
+
+            const keyMaterial = await crypto.subtle.importKey(
+                'raw',
+                password,
+                'PBKDF2',
+                false,
+                ['deriveBits']
+            );
+
+            // Tag serial as salt, followed by the header's random salt when there is one
+            const serialBytes = new TextEncoder().encode(serial);
+            const headerSalt = kdf.salt ? base64ToBytes(kdf.salt) : new Uint8Array(0);
+            const salt = new Uint8Array(serialBytes.length + headerSalt.length);
+            salt.set(serialBytes);
+            salt.set(headerSalt, serialBytes.length);
+
+            return await crypto.subtle.deriveBits(
+                { name: 'PBKDF2', salt, iterations: kdf.iterations, hash: kdf.hash },
+                keyMaterial,
+                cipher.keyLength
+            );
+        } catch (error) {
+            debugLog(`Error deriving encryption key: ${error.message}`, 'error');
+            throw new Error('Failed to derive encryption key.');
+        }
+    }
+
+    /**
+     * Turns the tag key bits into the AES key, stretching the PIN over them when there is one.
+     * @returns {Promise<CryptoKey>}
+     */
+    async importMessageKey(tagKeyBits, { kdf, cipher }, pin) {
+        try {
+            let key;
+            if (!pin) {
+                key = await crypto.subtle.importKey('raw', tagKeyBits, { name: cipher.name }, false, ['encrypt', 'decrypt']);
+            } else {
+                // PIN as key material, the tag key bits as salt: the PIN alone is useless without the tag
+                const pinMaterial = await crypto.subtle.importKey(
+                    'raw',
+                    new TextEncoder().encode(pin.normalize('NFC')),
+                    'PBKDF2',
+                    false,
+                    ['deriveKey']
+                );
+                key = await crypto.subtle.deriveKey(
+                    { name: 'PBKDF2', salt: tagKeyBits, iterations: kdf.iterations, hash: kdf.hash },
+                    pinMaterial,
+                    { name: cipher.name, length: cipher.keyLength },
+                    false,
+                    ['encrypt', 'decrypt']
+                );
+            }
+            debugLog('Encryption key derived successfully.', 'success');
+            return key;
+        } catch (error) {
+            debugLog(`Error deriving encryption key: ${error.message}`, 'error');
+            throw new Error('Failed to derive encryption key.');
+        }
+    }
+
+    /**
+     * @param {ArrayBuffer} tagKeyBits - Output of deriveTagKeyBits.
+     * @returns {Promise<string>} Base64 of the first 8 bytes of SHA-256('peeble-tag-check' || bits).
+     */
+    async computeTagCheck(tagKeyBits) {
+        const label = new TextEncoder().encode('peeble-tag-check');
+        const input = new Uint8Array(label.length + tagKeyBits.byteLength);
+        input.set(label);
+        input.set(new Uint8Array(tagKeyBits), label.length);
+        const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', input));
+        return bytesToBase64(digest.slice(0, 8));
+    }
+
+    /**
+     * Derives an encryption key with the legacy parameters (packages without a crypto header).
      * @param {string} serial - The NFC tag's serial number, used as salt for key derivation.
      * @param {number} timestamp - The timestamp, used as key material.
      * @returns {Promise<CryptoKey>} A promise that resolves to the derived CryptoKey.
      */
     async deriveEncryptionKey(serial, timestamp) {
-        debugLog('Deriving encryption key...');
+        return this.deriveMessageKey(serial, timestamp, LEGACY_CRYPTO_HEADER);
+    }
+
+    /**
+     * Derives an AES-GCM key from a user passphrase using PBKDF2.
+     * Used to protect locally stored secrets such as storage credentials.
+     * @param {string} passphrase - The user's passphrase.
+     * @param {Uint8Array} salt - Random salt stored alongside the encrypted data.
+     * @param {number} iterations - PBKDF2 iteration count.
+     * @returns {Promise<CryptoKey>} A promise that resolves to the derived CryptoKey.
+     */
+    async derivePassphraseKey(passphrase, salt, iterations) {
+        debugLog('Deriving key from passphrase...');
         try {
-            // Use timestamp as raw key material
             const keyMaterial = await crypto.subtle.importKey(
                 'raw',
-                new TextEncoder().encode(timestamp.toString()),
+                new TextEncoder().encode(passphrase),
                 'PBKDF2',
                 false,
                 ['deriveKey']
             );
 
-            // Derive the actual AES-GCM key using serial as salt
             const key = await crypto.subtle.deriveKey(
-                {
-                    name: 'PBKDF2',
-                    salt: new TextEncoder().encode(serial), // Tag serial as salt
-                    iterations: 100000, // High iteration count for security
-                    hash: 'SHA-256'
-                },
+                { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
                 keyMaterial,
-                { name: 'AES-GCM', length: 256 }, // AES-256-GCM for strong encryption
+                { name: 'AES-GCM', length: 256 },
                 false,
                 ['encrypt', 'decrypt']
             );
-            debugLog('Encryption key derived successfully.', 'success');
+            debugLog('Passphrase key derived successfully.', 'success');
             return key;
         } catch (error) {
-            debugLog(`Error deriving encryption key: ${error.message}`, 'error');
-            throw new Error('Failed to derive encryption key.');
+            debugLog(`Error deriving passphrase key: ${error.message}`, 'error');
+            throw new Error('Failed to derive passphrase key.');
         }
     }
 
+    /**
+     * @returns {object} The AES-GCM parameters for SubtleCrypto encrypt/decrypt.
+     */
+    getCipherParams(cipher, iv, additionalData) {
+        const params = { name: cipher.name, iv: iv, tagLength: cipher.tagLength };
+        if (additionalData) {
+            params.additionalData = additionalData;
+        }
+        return params;
+    }
+
     /**
      * Encrypts data (Uint8Array or ArrayBuffer) using AES-GCM.
      * @param {ArrayBuffer|Uint8Array} data - The data to encrypt.
      * @param {CryptoKey} key - The encryption key.
+     * @param {object} [cipher] - Cipher parameters from a crypto header (defaults to the current ones).
+     * @param {Uint8Array|null} [additionalData=null] - Data authenticated but not encrypted; decryption needs the same bytes.
      * @returns {Promise<Uint8Array>} A promise that resolves to the combined IV + encrypted data.
      */
-    async encryptDataToBinary(data, key) {
+    async encryptDataToBinary(data, key, cipher = DEFAULT_CIPHER, additionalData = null) {
         debugLog(`Encrypting data to binary, original size: ${data.byteLength} bytes`);
         try {
-            const iv = crypto.getRandomValues(new Uint8Array(12)); // 96-bit IV for AES-GCM
+            const iv = crypto.getRandomValues(new Uint8Array(cipher.ivLength));
             const encrypted = await crypto.subtle.encrypt(
-                { name: 'AES-GCM', iv: iv },
+                this.getCipherParams(cipher, iv, additionalData),
                 key,
                 data
             );
@@ -79,21 +712,18 @@ export class EncryptionService {
      * Useful for storing encrypted transcripts in local storage or as part of a URL.
      * @param {string} data - The string data to encrypt.
      * @param {CryptoKey} key - The encryption key.
+     * @param {object} [cipher] - Cipher parameters from a crypto header (defaults to the current ones).
+     * @param {Uint8Array|null} [additionalData=null] - Data authenticated but not encrypted.
      * @returns {Promise<string>} A promise that resolves to the Base64 encoded encrypted string.
      */
-    async encryptDataToBase64(data, key) {
+    async encryptDataToBase64(data, key, cipher = DEFAULT_CIPHER, additionalData = null) {
         debugLog(`Encrypting string data to Base64, original length: ${data.length}`);
         try {
             const encodedData = new TextEncoder().encode(data); // Encode string to Uint8Array
-            const binaryResult = await this.encryptDataToBinary(encodedData, key);
-
-            // Convert Uint8Array to Base64 string
-            let base64String = '';
-            const chunk = 8192; // Process in chunks to avoid stack overflow for large data
-            for (let i = 0; i < binaryResult.length; i += chunk) {
-                const slice = binaryResult.slice(i, i + chunk);
-                base64String += btoa(String.fromCharCode.apply(null, slice));
-            }
+            const binaryResult = await this.encryptDataToBinary(encodedData, key, cipher, additionalData);
+
+            // One btoa over the whole result: encoding slices separately would pad each one mid-string
+            const base64String = bytesToBase64(binaryResult);
 
             debugLog(`String data encrypted to Base64: ${base64String.length} characters`, 'success');
             return base64String;
@@ -107,16 +737,18 @@ export class EncryptionService {
      * Decrypts binary data (IV + encrypted data) using AES-GCM.
      * @param {Uint8Array} encryptedData - The combined IV + encrypted data.
      * @param {CryptoKey} key - The decryption key.
+     * @param {object} [cipher] - Cipher parameters from the package's crypto header (defaults to the current ones).
+     * @param {Uint8Array|null} [additionalData=null] - The additional data given at encryption; any difference fails authentication.
      * @returns {Promise<ArrayBuffer>} A promise that resolves to the decrypted ArrayBuffer.
      */
-    async decryptFromBinary(encryptedData, key) {
+    async decryptFromBinary(encryptedData, key, cipher = DEFAULT_CIPHER, additionalData = null) {
         debugLog(`Decrypting binary data, size: ${encryptedData.length} bytes`);
         try {
-            const iv = encryptedData.slice(0, 12); // Extract IV (first 12 bytes)
-            const encrypted = encryptedData.slice(12); // Remaining bytes are the ciphertext
+            const iv = encryptedData.slice(0, cipher.ivLength); // IV prefix
+            const encrypted = encryptedData.slice(cipher.ivLength); // Remaining bytes are the ciphertext
 
             const decrypted = await crypto.subtle.decrypt(
-                { name: 'AES-GCM', iv: iv },
+                this.getCipherParams(cipher, iv, additionalData),
                 key,
                 encrypted
             );
@@ -129,13 +761,99 @@ export class EncryptionService {
         }
     }
 
+    /**
+     * Encrypts data as a chunked section: a random nonce prefix (7 bytes), then each chunk's ciphertext
+     * and tag. Every chunk but the last holds exactly cipher.chunkSize plaintext bytes; an empty input
+     * still gets one (empty) final chunk. Chunk i is encrypted with the nonce prefix || uint32 i ||
+     * final flag (1 on the last chunk, else 0), and with the section's additional data, so chunks
+     * cannot be reordered or moved between sections, and a section cut at a chunk boundary fails to
+     * decrypt because its last chunk is not marked final.
+     * @param {ArrayBuffer|Uint8Array} data - The data to encrypt.
+     * @param {CryptoKey} key - The encryption key.
+     * @param {object} cipher - Cipher parameters with a chunkSize.
+     * @param {Uint8Array|null} [additionalData=null] - Authenticated with every chunk.
+     * @param {object} [options]
+     * @param {function(number, number): void} [options.onProgress] - Called with (encrypted, total) plaintext bytes.
+     * @returns {Promise<Uint8Array>} The chunked section.
+     */
+    async encryptDataToChunks(data, key, cipher, additionalData = null, { onProgress } = {}) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        debugLog(`Encrypting ${bytes.length} bytes in ${cipher.chunkSize}-byte chunks`);
+        const chunkCount = Math.max(1, Math.ceil(bytes.length / cipher.chunkSize));
+        const noncePrefix = crypto.getRandomValues(new Uint8Array(CHUNK_NONCE_PREFIX_LENGTH));
+
+        // Chunks are written straight into the output, so no chunk list is concatenated at the end
+        const result = new Uint8Array(CHUNK_NONCE_PREFIX_LENGTH + bytes.length + chunkCount * cipher.tagLength / 8);
+        result.set(noncePrefix);
+        let offset = CHUNK_NONCE_PREFIX_LENGTH;
+        for (let index = 0; index < chunkCount; index++) {
+            const plaintext = bytes.subarray(index * cipher.chunkSize, (index + 1) * cipher.chunkSize);
+            const nonce = createChunkNonce(noncePrefix, index, index === chunkCount - 1);
+            const encrypted = new Uint8Array(await crypto.subtle.encrypt(this.getCipherParams(cipher, nonce, additionalData), key, plaintext));
+            result.set(encrypted, offset);
+            offset += encrypted.length;
+            if (onProgress) onProgress(Math.min((index + 1) * cipher.chunkSize, bytes.length), bytes.length);
+        }
+
+        debugLog(`Data encrypted in chunks: ${result.length} bytes`, 'success');
+        return result;
+    }
+
+    /**
+     * Decrypts a chunked section (see encryptDataToChunks), one chunk at a time. Each chunk is
+     * authenticated on its own; a missing, reordered or truncated chunk throws.
+     * @param {Uint8Array} encryptedData - The chunked section.
+     * @param {CryptoKey} key - The decryption key.
+     * @param {object} cipher - Cipher parameters from the package's crypto header, with a chunkSize.
+     * @param {Uint8Array|null} [additionalData=null] - The additional data given at encryption.
+     * @param {object} [options]
+     * @param {function(number, number): void} [options.onProgress] - Called with (decrypted, total) encrypted bytes.
+     * @returns {Promise<ArrayBuffer>} The decrypted data.
+     * @throws {Error} If a chunk fails authentication or the data ends early.
+     */
+    async decryptFromChunks(encryptedData, key, cipher, additionalData = null, { onProgress } = {}) {
+        debugLog(`Decrypting chunked data, size: ${encryptedData.length} bytes`);
+        const tagBytes = cipher.tagLength / 8;
+        const encryptedChunkSize = cipher.chunkSize + tagBytes;
+        const body = encryptedData.subarray(CHUNK_NONCE_PREFIX_LENGTH);
+        const chunkCount = Math.ceil(body.length / encryptedChunkSize);
+        // Every chunk, the last included, is at least a tag long
+        if (chunkCount === 0 || body.length - (chunkCount - 1) * encryptedChunkSize < tagBytes) {
+            throw new Error('Failed to decrypt chunked data: it ends early.');
+        }
+        const noncePrefix = encryptedData.subarray(0, CHUNK_NONCE_PREFIX_LENGTH);
+
+        const result = new Uint8Array(body.length - chunkCount * tagBytes);
+        let offset = 0;
+        for (let index = 0; index < chunkCount; index++) {
+            const isFinal = index === chunkCount - 1;
+            const encrypted = body.subarray(index * encryptedChunkSize, (index + 1) * encryptedChunkSize);
+            const nonce = createChunkNonce(noncePrefix, index, isFinal);
+            let plaintext;
+            try {
+                plaintext = new Uint8Array(await crypto.subtle.decrypt(this.getCipherParams(cipher, nonce, additionalData), key, encrypted));
+            } catch (error) {
+                debugLog(`Chunk ${index}${isFinal ? ' (final)' : ''} failed authentication`, 'error');
+                throw new Error(`Failed to decrypt chunk ${index}.`);
+            }
+            result.set(plaintext, offset);
+            offset += plaintext.length;
+            if (onProgress) onProgress(CHUNK_NONCE_PREFIX_LENGTH + Math.min((index + 1) * encryptedChunkSize, body.length), encryptedData.length);
+        }
+
+        debugLog(`Chunked decryption successful, result size: ${result.length} bytes`, 'success');
+        return result.buffer;
+    }
+
     /**
      * Decrypts Base64 encoded data and decodes it back to a string.
      * @param {string} encryptedData - The Base64 encoded encrypted string.
      * @param {CryptoKey} key - The decryption key.
+     * @param {object} [cipher] - Cipher parameters from the package's crypto header (defaults to the current ones).
+     * @param {Uint8Array|null} [additionalData=null] - The additional data given at encryption.
      * @returns {Promise<string>} A promise that resolves to the decrypted string.
      */
-    async decryptFromBase64(encryptedData, key) {
+    async decryptFromBase64(encryptedData, key, cipher = DEFAULT_CIPHER, additionalData = null) {
         debugLog(`Decrypting Base64 data, length: ${encryptedData.length}`);
         try {
             // Safely decode Base64 to binary string
@@ -156,7 +874,7 @@ export class EncryptionService {
                 data[i] = binaryString.charCodeAt(i);
             }
 
-            const decryptedBinary = await this.decryptFromBinary(data, key);
+            const decryptedBinary = await this.decryptFromBinary(data, key, cipher, additionalData);
             const decryptedString = new TextDecoder().decode(decryptedBinary); // Decode Uint8Array to string
 
             debugLog('Base64 decryption successful and decoded to string.', 'success');
@@ -167,3 +885,12 @@ export class EncryptionService {
         }
     }
 }
+
+function createChunkNonce(noncePrefix, chunkIndex, isFinal) {
+    if (chunkIndex > 0xffffffff) throw new Error('Too many chunks.');
+    const nonce = new Uint8Array(CHUNK_NONCE_LENGTH);
+    nonce.set(noncePrefix);
+    new DataView(nonce.buffer).setUint32(CHUNK_NONCE_PREFIX_LENGTH, chunkIndex);
+    nonce[CHUNK_NONCE_LENGTH - 1] = isFinal ? 1 : 0;
+    return nonce;
+}
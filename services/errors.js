@@ -0,0 +1,161 @@
+// services/errors.js
+
+/**
+ * Typed storage errors. Every failure from a storage backend or StorageService is a
+ * StorageError with a `code`, so callers can pick a recovery action without parsing messages.
+ *   'auth'      - Credentials missing or rejected
+ *   'quota'     - Storage plan full, or rate limited (429, retryable)
+ *   'too-large' - Package exceeds a size limit
+ *   'network'   - Unreachable, offline, or a server-side (5xx) failure
+ *   'timeout'   - No response in time
+ *   'not-found' - The package is not (or no longer) stored
+ *   'integrity' - Content does not hash to the requested CID
+ *   'unknown'   - Anything else
+ */
+export const STORAGE_ERROR_CODES = ['auth', 'quota', 'too-large', 'network', 'timeout', 'not-found', 'integrity', 'unknown'];
+
+export class StorageError extends Error {
+    /**
+     * @param {string} message - Error description.
+     * @param {object} [details]
+     * @param {string} [details.code='unknown'] - One of STORAGE_ERROR_CODES.
+     * @param {number|null} [details.status] - HTTP status, when the error came from a response.
+     * @param {boolean} [details.retryable] - Whether trying again may succeed; defaults from the code.
+     * @param {number|null} [details.retryAfterMs] - Server-requested delay before retrying (Retry-After).
+     * @param {Error} [details.cause] - The underlying error.
+     */
+    constructor(message, { code = 'unknown', status = null, retryable, retryAfterMs = null, cause } = {}) {
+        super(message);
+        this.name = 'StorageError';
+        this.code = code;
+        this.status = status;
+        this.retryable = retryable ?? (code === 'network' || code === 'timeout');
+        this.retryAfterMs = retryAfterMs;
+        if (cause) this.cause = cause;
+    }
+}
+
+export class AuthError extends StorageError {
+    constructor(message, details = {}) {
+        super(message, { ...details, code: 'auth' });
+        this.name = 'AuthError';
+    }
+}
+
+export class QuotaError extends StorageError {
+    constructor(message, details = {}) {
+        super(message, { ...details, code: 'quota' });
+        this.name = 'QuotaError';
+    }
+}
+
+export class TooLargeError extends StorageError {
+    constructor(message, details = {}) {
+        super(message, { ...details, code: 'too-large' });
+        this.name = 'TooLargeError';
+    }
+}
+
+export class NetworkError extends StorageError {
+    constructor(message, details = {}) {
+        super(message, { ...details, code: 'network' });
+        this.name = 'NetworkError';
+    }
+}
+
+export class TimeoutError extends StorageError {
+    constructor(message, details = {}) {
+        super(message, { ...details, code: 'timeout' });
+        this.name = 'TimeoutError';
+    }
+}
+
+export class NotFoundError extends StorageError {
+    constructor(message, details = {}) {
+        super(message, { ...details, code: 'not-found' });
+        this.name = 'NotFoundError';
+    }
+}
+
+/**
+ * Thrown when downloaded content does not hash to the CID it was requested by.
+ * Never retried against other sources: a mismatch means a gateway served wrong data.
+ */
+export class IntegrityError extends StorageError {
+    /**
+     * @param {string} message - Error description.
+     * @param {object} details
+     * @param {string} details.expectedCid - The CID that was requested.
+     * @param {string} details.computedCid - The CID computed from the received bytes.
+     * @param {string} details.source - The gateway that served the content.
+     */
+    constructor(message, { expectedCid, computedCid, source }) {
+        super(message, { code: 'integrity' });
+        this.name = 'IntegrityError';
+        this.expectedCid = expectedCid;
+        this.computedCid = computedCid;
+        this.source = source;
+    }
+}
+
+/**
+ * Parses a Retry-After header value (delay in seconds, or an HTTP date).
+ * @param {string|null} value - The header value.
+ * @returns {number|null} The delay in milliseconds, or null if absent or invalid.
+ */
+export function parseRetryAfter(value) {
+    if (!value) return null;
+    if (/^\d+$/.test(value.trim())) {
+        return parseInt(value, 10) * 1000;
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Builds the StorageError matching a failed HTTP response.
+ * @param {number} status - The HTTP status code.
+ * @param {string} message - Error description.
+ * @param {object} [options]
+ * @param {string|null} [options.retryAfter] - The response's Retry-After header.
+ * @returns {StorageError}
+ */
+export function storageErrorFromStatus(status, message, { retryAfter = null } = {}) {
+    const details = { status };
+
+    if (status === 429) {
+        return new QuotaError(message, { ...details, retryable: true, retryAfterMs: parseRetryAfter(retryAfter) });
+    }
+    if (status === 402 || (status === 403 && /quota|limit|plan|storage/i.test(message))) {
+        return new QuotaError(message, details);
+    }
+    if (status === 401 || status === 403) return new AuthError(message, details);
+    if (status === 404 || status === 410) return new NotFoundError(message, details);
+    if (status === 408 || status === 504) return new TimeoutError(message, details);
+    if (status === 413) return new TooLargeError(message, details);
+    if (status >= 500) {
+        return new NetworkError(message, { ...details, retryAfterMs: parseRetryAfter(retryAfter) });
+    }
+    return new StorageError(message, details);
+}
+
+/**
+ * Converts any error into a StorageError, classifying plain fetch/XHR failures.
+ * @param {Error} error - The error to convert.
+ * @returns {StorageError} The error itself if it already is one.
+ */
+export function toStorageError(error) {
+    if (error instanceof StorageError) return error;
+
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+        return new NetworkError(`Offline: ${error.message}`, { cause: error });
+    }
+    if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+        return new TimeoutError(error.message, { cause: error });
+    }
+    // fetch() rejects with a TypeError when the request never reached the server
+    if (error instanceof TypeError) {
+        return new NetworkError(error.message, { cause: error });
+    }
+    return new StorageError(error.message, { cause: error });
+}
@@ -0,0 +1,278 @@
+// services/gateways.js
+
+import { debugLog } from './utils.js';
+import { readBodyWithProgress } from './http.js';
+import { NetworkError, NotFoundError, TimeoutError, storageErrorFromStatus, toStorageError } from './errors.js';
+
+const SCORES_STORAGE_KEY = 'peebleGatewayScores';
+
+/**
+ * Default public IPFS gateways, in fallback order before any scores exist.
+ */
+export const DEFAULT_IPFS_GATEWAYS = [
+    'https://ipfs.io/ipfs/',
+    'https://cloudflare-ipfs.com/ipfs/',
+    'https://gateway.pinata.cloud/ipfs/'
+];
+
+/**
+ * Races IPFS gateways against each other with per-request timeouts.
+ * Attempts start staggered (or all at once when staggerMs is 0); the first gateway
+ * to answer with a successful response wins and the others are aborted.
+ * Every outcome updates a per-gateway success/latency score persisted in localStorage,
+ * which orders the gateways for future downloads.
+ */
+export class GatewayPool {
+    /**
+     * @param {object} [options]
+     * @param {string[]} [options.gateways] - Gateway base URLs; the CID is appended to each.
+     * @param {number} [options.timeoutMs=15000] - Per-request timeout, including the body download.
+     * @param {number} [options.staggerMs=500] - Delay between starting successive attempts (0 = fully parallel).
+     */
+    constructor({ gateways = DEFAULT_IPFS_GATEWAYS, timeoutMs = 15000, staggerMs = 500 } = {}) {
+        this.gateways = gateways;
+        this.timeoutMs = timeoutMs;
+        this.staggerMs = staggerMs;
+        this.scores = this.loadScores();
+    }
+
+    loadScores() {
+        try {
+            return JSON.parse(localStorage.getItem(SCORES_STORAGE_KEY) || '{}');
+        } catch {
+            return {};
+        }
+    }
+
+    saveScores() {
+        try {
+            localStorage.setItem(SCORES_STORAGE_KEY, JSON.stringify(this.scores));
+        } catch (error) {
+            debugLog(`Could not persist gateway scores: ${error.message}`, 'warning');
+        }
+    }
+
+    /**
+     * Records the outcome of a gateway attempt.
+     * Latency is tracked as an exponential moving average of successful attempts.
+     * @param {string} name - Gateway name.
+     * @param {boolean} success - Whether the attempt succeeded.
+     * @param {number} [latencyMs] - Time to complete, for successful attempts.
+     */
+    recordResult(name, success, latencyMs) {
+        const stats = this.scores[name] || { successes: 0, failures: 0, avgLatencyMs: null };
+        if (success) {
+            stats.successes++;
+            stats.avgLatencyMs = stats.avgLatencyMs === null
+                ? latencyMs
+                : Math.round(stats.avgLatencyMs * 0.7 + latencyMs * 0.3);
+        } else {
+            stats.failures++;
+        }
+        this.scores[name] = stats;
+        this.saveScores();
+    }
+
+    /**
+     * Scores a gateway: smoothed success rate divided by average latency in seconds.
+     * Gateways without history get a neutral score so they are still tried early.
+     * @param {string} name - Gateway name.
+     * @returns {number} Higher is better.
+     */
+    getScore(name) {
+        const stats = this.scores[name];
+        if (!stats) return 0.5;
+        const successRate = (stats.successes + 1) / (stats.successes + stats.failures + 2);
+        const latencySeconds = (stats.avgLatencyMs ?? 2000) / 1000;
+        return successRate / Math.max(latencySeconds, 0.1);
+    }
+
+    /**
+     * Orders candidates by score, keeping configured order among ties.
+     * @param {Array<{name: string}>} candidates
+     * @returns {Array<{name: string}>}
+     */
+    rankCandidates(candidates) {
+        return candidates
+            .map((candidate, index) => ({ candidate, index, score: this.getScore(candidate.name) }))
+            .sort((a, b) => (b.score - a.score) || (a.index - b.index))
+            .map(entry => entry.candidate);
+    }
+
+    /**
+     * Downloads a CID by racing the configured gateways plus any extra candidates.
+     * @param {string} cid - The IPFS hash (CID).
+     * @param {object} [options]
+     * @param {Array<{name: string, resolveUrl: function(string): Promise<string>}>} [options.extraCandidates] -
+     *        Additional sources whose URL is resolved on demand (e.g. a signed URL).
+     * @param {function(number, number|null): void} [options.onProgress] - Progress callback for the winning download.
+     * @returns {Promise<{bytes: ArrayBuffer, gateway: string}>} The downloaded bytes and the winning gateway.
+     * @throws {import('./errors.js').StorageError} 'not-found' or 'timeout' if every source failed that way, otherwise 'network'.
+     */
+    async fetch(cid, { extraCandidates = [], onProgress } = {}) {
+        const gatewayCandidates = this.gateways.map(baseUrl => ({
+            name: new URL(baseUrl).host,
+            resolveUrl: async () => `${baseUrl}${cid}`
+        }));
+
+        let remaining = this.rankCandidates([...extraCandidates, ...gatewayCandidates]);
+        const errors = [];
+        const failed = new Set();
+
+        debugLog(`🌐 Racing ${remaining.length} gateways: ${remaining.map(c => c.name).join(', ')}`, 'info');
+
+        while (remaining.length > 0) {
+            const winner = await this.race(remaining, errors, failed);
+            if (!winner) break;
+
+            try {
+                const bytes = await readBodyWithProgress(winner.response, onProgress);
+                winner.clearTimer();
+                const latencyMs = Date.now() - winner.startedAt;
+                this.recordResult(winner.candidate.name, true, latencyMs);
+                debugLog(`🎉 DOWNLOAD COMPLETE via ${winner.candidate.name} in ${latencyMs}ms`, 'success');
+                return { bytes, gateway: winner.candidate.name };
+            } catch (error) {
+                winner.clearTimer();
+                this.recordResult(winner.candidate.name, false);
+                errors.push({ source: winner.candidate.name, error: this.classifyAttemptError(error) });
+                debugLog(`❌ ${winner.candidate.name} failed while downloading body: ${error.message}`, 'error');
+                failed.add(winner.candidate);
+                remaining = remaining.filter(candidate => !failed.has(candidate));
+            }
+        }
+
+        throw this.createRaceError(errors);
+    }
+
+    /**
+     * Summarizes failed attempts as one StorageError. A package missing from every gateway
+     * is reported as not found, so the reader is not told to retry forever.
+     * @param {Array<{source: string, error: import('./errors.js').StorageError}>} errors
+     * @returns {import('./errors.js').StorageError}
+     */
+    createRaceError(errors) {
+        const message = `All download attempts failed: ${errors.map(({ source, error }) => `${source}: ${error.message}`).join('; ') || 'Unknown error'}`;
+        const codes = new Set(errors.map(({ error }) => error.code));
+
+        if (codes.size === 1 && codes.has('not-found')) return new NotFoundError(message);
+        if (codes.size === 1 && codes.has('timeout')) return new TimeoutError(message);
+        return new NetworkError(message);
+    }
+
+    /**
+     * @param {Error} error - A failed attempt's error.
+     * @returns {import('./errors.js').StorageError} The error, with aborts reported as timeouts.
+     */
+    classifyAttemptError(error) {
+        if (error.name === 'AbortError') {
+            return new TimeoutError(`timed out after ${this.timeoutMs}ms`, { cause: error });
+        }
+        return toStorageError(error);
+    }
+
+    /**
+     * Starts staggered attempts and resolves with the first successful response.
+     * A failed attempt immediately starts the next candidate instead of waiting for the stagger.
+     * Losing attempts are aborted. Resolves null if every attempt fails.
+     * @param {Array<{name: string, resolveUrl: function(string): Promise<string>}>} candidates
+     * @param {Array<{source: string, error: import('./errors.js').StorageError}>} errors - Collects failures.
+     * @param {Set<object>} failed - Collects candidates that failed.
+     * @returns {Promise<object|null>} The winning attempt.
+     */
+    race(candidates, errors, failed) {
+        return new Promise((resolve) => {
+            const attempts = [];
+            let settled = false;
+            let failures = 0;
+            let nextIndex = 0;
+            let staggerTimer = null;
+
+            const finish = (winner) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(staggerTimer);
+                for (const attempt of attempts) {
+                    if (attempt !== winner) attempt.cancel();
+                }
+                resolve(winner);
+            };
+
+            const launchNext = () => {
+                if (settled || nextIndex >= candidates.length) return;
+                const index = nextIndex++;
+                this.startAttempt(candidates[index], index, candidates.length, attempts, {
+                    onSuccess: finish,
+                    onFailure: (candidate, error) => {
+                        if (settled) return; // Aborted because another gateway won
+                        this.recordResult(candidate.name, false);
+                        failed.add(candidate);
+                        errors.push({ source: candidate.name, error });
+                        debugLog(`❌ GATEWAY ${candidate.name} FAILED: ${error.message}`, 'error');
+                        if (++failures === candidates.length) {
+                            finish(null);
+                        } else {
+                            launchNext();
+                        }
+                    }
+                });
+
+                clearTimeout(staggerTimer);
+                if (nextIndex < candidates.length) {
+                    staggerTimer = setTimeout(launchNext, this.staggerMs);
+                }
+            };
+
+            launchNext();
+        });
+    }
+
+    /**
+     * Starts a single gateway attempt with its own timeout and AbortController.
+     * @param {{name: string, resolveUrl: function(string): Promise<string>}} candidate
+     * @param {number} index - Position in the race, for logging.
+     * @param {number} count - Number of candidates in the race, for logging.
+     * @param {object[]} attempts - Collects the attempt so the race can cancel it.
+     * @param {object} callbacks
+     * @param {function(object): void} callbacks.onSuccess - Called with the attempt on a successful response.
+     * @param {function(object, import('./errors.js').StorageError): void} callbacks.onFailure - Called with the candidate and its error.
+     */
+    async startAttempt(candidate, index, count, attempts, { onSuccess, onFailure }) {
+        const attempt = {
+            candidate,
+            controller: new AbortController(),
+            startedAt: Date.now(),
+            timer: null,
+            response: null,
+            clearTimer() {
+                clearTimeout(this.timer);
+            },
+            cancel() {
+                clearTimeout(this.timer);
+                this.controller.abort();
+            }
+        };
+        attempt.timer = setTimeout(() => attempt.controller.abort(), this.timeoutMs);
+        attempts.push(attempt);
+
+        debugLog(`🌐 GATEWAY ${index + 1}/${count}: ${candidate.name}`, 'info');
+
+        try {
+            const url = await candidate.resolveUrl();
+            const response = await fetch(url, {
+                method: 'GET',
+                mode: 'cors',
+                cache: 'no-cache',
+                signal: attempt.controller.signal
+            });
+            if (!response.ok) {
+                throw storageErrorFromStatus(response.status, `HTTP ${response.status}: ${response.statusText}`);
+            }
+            attempt.response = response;
+            onSuccess(attempt);
+        } catch (error) {
+            attempt.clearTimer();
+            onFailure(candidate, this.classifyAttemptError(error));
+        }
+    }
+}
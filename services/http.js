@@ -0,0 +1,89 @@
+// services/http.js
+
+import { NetworkError } from './errors.js';
+
+/**
+ * HTTP helpers shared by the storage backends.
+ * fetch() cannot report upload progress, so uploads go through XMLHttpRequest;
+ * downloads stream the fetch() body to count received bytes.
+ */
+
+/**
+ * Sends a request with XMLHttpRequest and reports upload progress.
+ * @param {string} url - The request URL.
+ * @param {object} [options]
+ * @param {string} [options.method='POST'] - HTTP method.
+ * @param {object} [options.headers] - Request headers.
+ * @param {Blob|FormData|string|null} [options.body] - Request body.
+ * @param {function(number, number|null): void} [options.onUploadProgress] - Called with (loaded, total) bytes.
+ * @returns {Promise<{ok: boolean, status: number, statusText: string, headers: {get: function(string): string|null}, text: function(): Promise<string>, json: function(): Promise<any>}>}
+ *          A minimal fetch-like response.
+ */
+export function requestWithUploadProgress(url, { method = 'POST', headers = {}, body = null, onUploadProgress } = {}) {
+    return new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        xhr.open(method, url);
+        for (const [name, value] of Object.entries(headers)) {
+            xhr.setRequestHeader(name, value);
+        }
+
+        if (onUploadProgress) {
+            xhr.upload.onprogress = (event) => {
+                onUploadProgress(event.loaded, event.lengthComputable ? event.total : null);
+            };
+        }
+
+        xhr.onload = () => {
+            const responseText = xhr.responseText;
+            resolve({
+                ok: xhr.status >= 200 && xhr.status < 300,
+                status: xhr.status,
+                statusText: xhr.statusText,
+                headers: { get: (name) => xhr.getResponseHeader(name) },
+                text: async () => responseText,
+                json: async () => JSON.parse(responseText)
+            });
+        };
+        xhr.onerror = () => reject(new NetworkError('Network error during upload'));
+        xhr.onabort = () => reject(new NetworkError('Upload aborted'));
+
+        xhr.send(body);
+    });
+}
+
+/**
+ * Reads a fetch() response body to completion, reporting download progress.
+ * @param {Response} response - A successful fetch response.
+ * @param {function(number, number|null): void} [onProgress] - Called with (loaded, total) bytes.
+ * @returns {Promise<ArrayBuffer>} The complete body.
+ */
+export async function readBodyWithProgress(response, onProgress) {
+    const lengthHeader = response.headers.get('Content-Length');
+    const total = lengthHeader ? parseInt(lengthHeader, 10) : null;
+
+    if (!onProgress || !response.body) {
+        const buffer = await response.arrayBuffer();
+        if (onProgress) onProgress(buffer.byteLength, buffer.byteLength);
+        return buffer;
+    }
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        loaded += value.length;
+        onProgress(loaded, total);
+    }
+
+    const result = new Uint8Array(loaded);
+    let offset = 0;
+    for (const chunk of chunks) {
+        result.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return result.buffer;
+}
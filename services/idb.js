@@ -0,0 +1,72 @@
+// services/idb.js
+
+/**
+ * Minimal promise wrappers around IndexedDB, shared by the services that persist data.
+ */
+
+/**
+ * Opens (and if needed creates or upgrades) an IndexedDB database.
+ * @param {string} name - Database name.
+ * @param {number} version - Schema version.
+ * @param {function(IDBDatabase, number): void} upgrade - Called on upgrade with the database and old version.
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase(name, version, upgrade) {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available in this browser.'));
+            return;
+        }
+        const request = indexedDB.open(name, version);
+        request.onupgradeneeded = (event) => upgrade(request.result, event.oldVersion);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error(`IndexedDB '${name}' upgrade blocked by another tab.`));
+    });
+}
+
+/**
+ * Resolves with the result of an IDBRequest.
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+export function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Walks a cursor request to its end, calling `visit` with each cursor before it advances.
+ * @param {IDBRequest<IDBCursor|null>} request - From openCursor() or openKeyCursor().
+ * @param {function(IDBCursor): void} visit
+ * @returns {Promise<void>} Resolves after the last entry.
+ */
+export function iterateCursor(request, visit) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve();
+                return;
+            }
+            visit(cursor);
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Resolves when a transaction commits.
+ * @param {IDBTransaction} transaction
+ * @returns {Promise<void>}
+ */
+export function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
@@ -0,0 +1,58 @@
+// services/key-escrow.js
+
+import { debugLog } from './utils.js';
+import { openDatabase, promisifyRequest, transactionDone } from './idb.js';
+
+const DB_NAME = 'peeble-key-escrow';
+const DB_VERSION = 1;
+const KEY_STORE = 'keys';
+const ESCROW_KEY_ID = 'escrow';
+
+/**
+ * Per-device escrow key: a non-extractable AES-GCM key kept in IndexedDB. Each message's content
+ * key is also wrapped with it (see EncryptionService.createMessageKey) and the result kept in the
+ * local message history, so the sender can move a message to a new Peeble after the old one is
+ * lost. The wrapped keys are useless on any other device, or if the browser's storage is cleared.
+ */
+export class KeyEscrowService {
+    constructor() {
+        this.dbPromise = null;
+        this.keyPromise = null;
+    }
+
+    getDatabase() {
+        if (!this.dbPromise) {
+            this.dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+                db.createObjectStore(KEY_STORE, { keyPath: 'id' });
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Returns this device's escrow key, creating it on first use.
+     * @returns {Promise<CryptoKey>}
+     */
+    async getEscrowKey() {
+        if (!this.keyPromise) {
+            this.keyPromise = this.loadOrCreateKey().catch(error => {
+                this.keyPromise = null;
+                throw error;
+            });
+        }
+        return this.keyPromise;
+    }
+
+    async loadOrCreateKey() {
+        const db = await this.getDatabase();
+        const existing = await promisifyRequest(db.transaction(KEY_STORE).objectStore(KEY_STORE).get(ESCROW_KEY_ID));
+        if (existing) return existing.key;
+
+        const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+        const transaction = db.transaction(KEY_STORE, 'readwrite');
+        transaction.objectStore(KEY_STORE).put({ id: ESCROW_KEY_ID, key, created: new Date().toISOString() });
+        await transactionDone(transaction);
+        debugLog('🗝️ Key escrow created for this device', 'success');
+        return key;
+    }
+}
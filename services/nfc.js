@@ -1,10 +1,15 @@
 // services/nfc.js
 
-import { debugLog } from './utils.js';
+import { debugLog, bytesToBase64, base64ToBytes } from './utils.js';
+
+// MIME type of the NDEF record holding a message's tag secret, written after the URL record
+export const TAG_SECRET_MEDIA_TYPE = 'application/vnd.peeble.key';
 
 /**
  * Service for handling Web NFC API interactions (reading and writing).
  * Requires browser support for NDEFReader and NDEFWriter.
+ * Peeble tags hold a URL record and, for newer messages, a key record with the per-message
+ * tag secret. The secret never appears in the URL, so it cannot leak through links or history.
  */
 export class NFCService {
     constructor() {
@@ -69,26 +74,29 @@ export class NFCService {
 
                 const message = event.message;
                 let urlRecord = null;
+                let tagSecret = null;
 
                 // FIX: Better URL extraction with debugging
                 if (message && message.records) {
                     debugLog(`   Message has ${message.records.length} records`, 'info');
                     
-                    // Iterate through NDEF records to find a URL
+                    // Iterate through NDEF records to find the URL and the key record
                     for (let i = 0; i < message.records.length; i++) {
                         const record = message.records[i];
                         debugLog(`   Record ${i}: type=${record.recordType}, dataLength=${record.data ? record.data.byteLength : 'N/A'}`, 'info');
                         
-                        if (record.recordType === 'url') {
+                        if (record.recordType === 'url' && !urlRecord) {
                             try {
                                 // Decode URL record payload
                                 const decoder = new TextDecoder();
                                 urlRecord = decoder.decode(record.data);
                                 debugLog(`✅ URL EXTRACTED: ${urlRecord}`, 'success');
-                                break;
                             } catch (error) {
                                 debugLog(`❌ URL DECODE ERROR: ${error.message}`, 'error');
                             }
+                        } else if (record.recordType === 'mime' && record.mediaType === TAG_SECRET_MEDIA_TYPE && record.data) {
+                            tagSecret = bytesToBase64(new Uint8Array(record.data.buffer, record.data.byteOffset, record.data.byteLength));
+                            debugLog('✅ KEY RECORD EXTRACTED (tag secret present)', 'success');
                         }
                     }
                 } else {
@@ -104,11 +112,13 @@ export class NFCService {
                 debugLog(`🔍 FINAL SCAN RESULT:`, 'info');
                 debugLog(`   Serial: ${finalSerial}`, 'info');
                 debugLog(`   URL: ${urlRecord || 'NONE'}`, 'info');
+                debugLog(`   Tag secret: ${tagSecret ? 'PRESENT' : 'NONE'}`, 'info');
 
-                // Pass both the URL and the serial number to the callback
+                // Pass the URL, the serial number and the tag secret to the callback
                 this.onNfcTagScanned({ 
                     url: urlRecord, 
                     serial: finalSerial,
+                    tagSecret,
                     rawEvent: event // Include raw event for debugging
                 });
             };
@@ -141,32 +151,35 @@ export class NFCService {
     }
 
     /**
-     * Writes a URL to an NFC tag.
+     * Writes a URL to an NFC tag, followed by a key record when a tag secret is given.
      * IMPORTANT: This will *not* lock the tag in this prototype, as requested.
      * Tag locking usually requires specific NDEFRecord options or a separate operation.
      * @param {string} url - The URL to write to the NFC tag.
+     * @param {object} [options]
+     * @param {string|null} [options.tagSecret] - Base64 per-message secret for the key record.
      * @returns {Promise<void>}
      */
-    async writeUrl(url) {
+    async writeUrl(url, { tagSecret = null } = {}) {
         const support = this.isSupported();
         if (!support.write && !support.legacyWrite) {
             debugLog('Web NFC API (writing) not supported.', 'error');
             throw new Error('NFC writing is not supported on this device.');
         }
 
-        debugLog(`Attempting to write URL to NFC tag: ${url}`);
+        debugLog(`Attempting to write URL to NFC tag: ${url}${tagSecret ? ' (with key record)' : ''}`);
+        // The URL record comes first so phones open it when the tag is tapped outside the app
+        const records = [{ recordType: "url", data: url }];
+        if (tagSecret) {
+            records.push({ recordType: "mime", mediaType: TAG_SECRET_MEDIA_TYPE, data: base64ToBytes(tagSecret) });
+        }
         try {
             // Prefer the modern NDEFWriter if available
             if (support.write) {
                 this.ndefWriter = new NDEFWriter();
-                await this.ndefWriter.write({
-                    records: [{ recordType: "url", data: url }]
-                });
+                await this.ndefWriter.write({ records });
             } else if (support.legacyWrite && this.ndefReader) {
                 // Fallback to the legacy NDEFReader.write() method
-                await this.ndefReader.write({
-                    records: [{ recordType: "url", data: url }]
-                });
+                await this.ndefReader.write({ records });
             } else {
                 throw new Error('No supported NFC writing interface available.');
             }
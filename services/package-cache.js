@@ -0,0 +1,148 @@
+// services/package-cache.js
+
+import { debugLog } from './utils.js';
+import { openDatabase, promisifyRequest, transactionDone, iterateCursor } from './idb.js';
+
+const DB_NAME = 'peeble-package-cache';
+const DB_VERSION = 1;
+const STORE_NAME = 'packages';
+
+/**
+ * IndexedDB cache of downloaded message packages, keyed by CID.
+ * Packages are immutable, so a cached copy never goes stale. Only the still-encrypted
+ * package is stored - the physical Peeble is still required to play it.
+ * The total size is capped; least recently used packages are evicted first.
+ */
+export class PackageCache {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.maxBytes=52428800] - Total size cap (default 50MB).
+     */
+    constructor({ maxBytes = 50 * 1024 * 1024 } = {}) {
+        this.maxBytes = maxBytes;
+        this.dbPromise = null;
+    }
+
+    getDatabase() {
+        if (!this.dbPromise) {
+            this.dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+                const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                store.createIndex('lastAccessed', 'lastAccessed');
+            }).catch((error) => {
+                this.dbPromise = null; // Let the next call try to open it again
+                throw error;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Looks up a package and marks it as recently used.
+     * @param {string} id - The package CID.
+     * @returns {Promise<ArrayBuffer|null>} The cached bytes, or null on a miss or cache failure.
+     */
+    async get(id) {
+        try {
+            const db = await this.getDatabase();
+            const transaction = db.transaction(STORE_NAME, 'readwrite');
+            const store = transaction.objectStore(STORE_NAME);
+            const entry = await promisifyRequest(store.get(id));
+            if (!entry) return null;
+
+            entry.lastAccessed = Date.now();
+            store.put(entry);
+            await transactionDone(transaction);
+            return entry.bytes;
+        } catch (error) {
+            debugLog(`Package cache read failed: ${error.message}`, 'warning');
+            return null;
+        }
+    }
+
+    /**
+     * Checks for a package without touching its LRU position.
+     * @param {string} id - The package CID.
+     * @returns {Promise<boolean>}
+     */
+    async has(id) {
+        try {
+            const db = await this.getDatabase();
+            const count = await promisifyRequest(db.transaction(STORE_NAME).objectStore(STORE_NAME).count(id));
+            return count > 0;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Stores a package, then evicts least recently used packages over the size cap.
+     * @param {string} id - The package CID.
+     * @param {ArrayBuffer} bytes - The package bytes.
+     * @returns {Promise<void>}
+     */
+    async put(id, bytes) {
+        if (bytes.byteLength > this.maxBytes) {
+            debugLog(`Package ${id} (${bytes.byteLength} bytes) exceeds the cache cap, not caching.`, 'warning');
+            return;
+        }
+
+        try {
+            const db = await this.getDatabase();
+            const transaction = db.transaction(STORE_NAME, 'readwrite');
+            transaction.objectStore(STORE_NAME).put({
+                id,
+                bytes,
+                size: bytes.byteLength,
+                lastAccessed: Date.now()
+            });
+            await transactionDone(transaction);
+            debugLog(`📦 Cached package ${id} (${bytes.byteLength} bytes)`);
+            await this.evict();
+        } catch (error) {
+            debugLog(`Package cache write failed: ${error.message}`, 'warning');
+        }
+    }
+
+    /**
+     * Removes a package from the cache.
+     * @param {string} id - The package CID.
+     * @returns {Promise<void>}
+     */
+    async delete(id) {
+        try {
+            const db = await this.getDatabase();
+            const transaction = db.transaction(STORE_NAME, 'readwrite');
+            transaction.objectStore(STORE_NAME).delete(id);
+            await transactionDone(transaction);
+        } catch (error) {
+            debugLog(`Package cache delete failed: ${error.message}`, 'warning');
+        }
+    }
+
+    /**
+     * Evicts least recently used packages until the cache fits in maxBytes.
+     * @returns {Promise<void>}
+     */
+    async evict() {
+        const db = await this.getDatabase();
+        const transaction = db.transaction(STORE_NAME, 'readwrite');
+        const store = transaction.objectStore(STORE_NAME);
+
+        // Only ids and sizes are kept: the cursor holds one package's bytes at a time
+        const entries = [];
+        let totalBytes = 0;
+        await iterateCursor(store.index('lastAccessed').openCursor(), (cursor) => {
+            entries.push({ id: cursor.primaryKey, size: cursor.value.size });
+            totalBytes += cursor.value.size;
+        });
+
+        for (const entry of entries) { // Oldest first
+            if (totalBytes <= this.maxBytes) break;
+            store.delete(entry.id);
+            totalBytes -= entry.size;
+            debugLog(`📦 Evicted package ${entry.id} from cache (LRU)`);
+        }
+
+        await transactionDone(transaction);
+    }
+}
@@ -0,0 +1,216 @@
+// services/package-format.js
+
+import { bytesToBase64, base64ToBytes } from './utils.js';
+
+/**
+ * Binary container format for Peeble message packages.
+ *
+ * Layout (all integers big-endian):
+ *   magic            4 bytes   'PBLE'
+ *   format version   1 byte
+ *   header length    uint32
+ *   header           UTF-8 JSON { messageId, timestamp, metadata, crypto }
+ *   sections         repeated until end of data:
+ *     section type   1 byte
+ *     section length uint32
+ *     section data   raw bytes
+ *
+ * Unknown section types are skipped so newer writers stay readable by older readers.
+ * `crypto` is the crypto header (see encryption.js); packages written before it have none.
+ * When its cipher has aad 'package-header', each section is encrypted with the exact header
+ * bytes plus its section type as AES-GCM additional data, so editing the header breaks decryption.
+ * An optional SENDER_SIGNATURE section comes last and signs every byte before it (see sender-identity.js).
+ */
+
+export const PACKAGE_MAGIC = new Uint8Array([0x50, 0x42, 0x4C, 0x45]); // 'PBLE'
+export const PACKAGE_FORMAT_VERSION = 1;
+export const PACKAGE_MIME_TYPE = 'application/vnd.peeble.package';
+
+export const SECTION_TYPES = {
+    ENCRYPTED_AUDIO: 0x01,
+    ENCRYPTED_TRANSCRIPT: 0x02,
+    SENDER_SIGNATURE: 0x03 // UTF-8 JSON { keyId, name, publicKey, signature }
+};
+
+/**
+ * Checks whether the bytes start with the Peeble package magic.
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+export function isBinaryPackage(bytes) {
+    if (bytes.length < PACKAGE_MAGIC.length) return false;
+    return PACKAGE_MAGIC.every((value, i) => bytes[i] === value);
+}
+
+/**
+ * Encodes the header of a message package. Writers encrypt with these bytes as additional data
+ * before the package is assembled, so the encoding must stay deterministic.
+ * @param {object} messagePackage - At least messageId, timestamp, metadata and crypto.
+ * @returns {Uint8Array} The UTF-8 JSON header.
+ */
+export function encodePackageHeader(messagePackage) {
+    return new TextEncoder().encode(JSON.stringify({
+        messageId: messagePackage.messageId,
+        timestamp: messagePackage.timestamp,
+        metadata: messagePackage.metadata || {},
+        crypto: messagePackage.crypto || null
+    }));
+}
+
+/**
+ * Builds the AES-GCM additional data for one section: the header bytes followed by the section type,
+ * so sections cannot be swapped either.
+ * @param {Uint8Array} headerBytes - From encodePackageHeader, or `headerBytes` of a decoded package.
+ * @param {number} sectionType - One of SECTION_TYPES.
+ * @returns {Uint8Array}
+ */
+export function createAdditionalData(headerBytes, sectionType) {
+    if (!headerBytes) {
+        throw new Error('This package has no header to authenticate');
+    }
+    const additionalData = new Uint8Array(headerBytes.length + 1);
+    additionalData.set(headerBytes);
+    additionalData[headerBytes.length] = sectionType;
+    return additionalData;
+}
+
+/**
+ * Encodes a message package into the binary container format.
+ * @param {object} messagePackage
+ * @param {string} messagePackage.messageId - Unique message identifier.
+ * @param {number} messagePackage.timestamp - Creation timestamp.
+ * @param {Uint8Array} messagePackage.encryptedAudio - Encrypted audio data.
+ * @param {string} [messagePackage.encryptedTranscript] - Base64 encrypted transcript.
+ * @param {object} [messagePackage.metadata] - Additional metadata.
+ * @param {object} [messagePackage.crypto] - Crypto header describing the key derivation and cipher.
+ * @returns {Uint8Array} The encoded package.
+ */
+export function encodePackage(messagePackage) {
+    const header = encodePackageHeader(messagePackage);
+
+    const sections = [[SECTION_TYPES.ENCRYPTED_AUDIO, messagePackage.encryptedAudio]];
+    if (messagePackage.encryptedTranscript) {
+        sections.push([SECTION_TYPES.ENCRYPTED_TRANSCRIPT, base64ToBytes(messagePackage.encryptedTranscript)]);
+    }
+
+    const totalLength = PACKAGE_MAGIC.length + 1 + 4 + header.length +
+        sections.reduce((sum, [, data]) => sum + 1 + 4 + data.length, 0);
+
+    const result = new Uint8Array(totalLength);
+    const view = new DataView(result.buffer);
+    let offset = 0;
+
+    result.set(PACKAGE_MAGIC, offset);
+    offset += PACKAGE_MAGIC.length;
+    view.setUint8(offset, PACKAGE_FORMAT_VERSION);
+    offset += 1;
+    view.setUint32(offset, header.length);
+    offset += 4;
+    result.set(header, offset);
+    offset += header.length;
+
+    for (const [type, data] of sections) {
+        view.setUint8(offset, type);
+        offset += 1;
+        view.setUint32(offset, data.length);
+        offset += 4;
+        result.set(data, offset);
+        offset += data.length;
+    }
+
+    return result;
+}
+
+/**
+ * Appends a sender signature section to an encoded package.
+ * @param {Uint8Array} packageBytes - The encoded package; the signature must cover all of it.
+ * @param {{keyId: string, name: string, publicKey: string, signature: string}} senderSignature
+ * @returns {Uint8Array} The signed package.
+ */
+export function appendSignatureSection(packageBytes, senderSignature) {
+    const data = new TextEncoder().encode(JSON.stringify(senderSignature));
+    const result = new Uint8Array(packageBytes.length + 1 + 4 + data.length);
+    const view = new DataView(result.buffer);
+    result.set(packageBytes);
+    view.setUint8(packageBytes.length, SECTION_TYPES.SENDER_SIGNATURE);
+    view.setUint32(packageBytes.length + 1, data.length);
+    result.set(data, packageBytes.length + 5);
+    return result;
+}
+
+/**
+ * Decodes a binary container back into a message package.
+ * @param {Uint8Array} bytes - The encoded package.
+ * @returns {object} The message package, in the same shape accepted by encodePackage, plus the raw
+ *   `headerBytes` for createAdditionalData and `senderSignature` (with the `signedBytes` it covers) or null.
+ */
+export function decodePackage(bytes) {
+    if (!isBinaryPackage(bytes)) {
+        throw new Error('Not a Peeble binary package (bad magic bytes)');
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = PACKAGE_MAGIC.length;
+
+    const ensureAvailable = (length) => {
+        if (offset + length > bytes.length) {
+            throw new Error('Peeble package is truncated');
+        }
+    };
+
+    ensureAvailable(5);
+    const version = view.getUint8(offset);
+    offset += 1;
+    if (version > PACKAGE_FORMAT_VERSION) {
+        throw new Error(`Unsupported Peeble package version: ${version}`);
+    }
+
+    const headerLength = view.getUint32(offset);
+    offset += 4;
+    ensureAvailable(headerLength);
+    const headerBytes = bytes.slice(offset, offset + headerLength);
+    const header = JSON.parse(new TextDecoder().decode(headerBytes));
+    offset += headerLength;
+
+    const sections = new Map();
+    let senderSignature = null;
+    while (offset < bytes.length) {
+        const sectionStart = offset;
+        ensureAvailable(5);
+        const type = view.getUint8(offset);
+        offset += 1;
+        const length = view.getUint32(offset);
+        offset += 4;
+        ensureAvailable(length);
+        if (type === SECTION_TYPES.SENDER_SIGNATURE) {
+            if (offset + length !== bytes.length) {
+                throw new Error('Sender signature must be the last section of a Peeble package');
+            }
+            senderSignature = {
+                ...JSON.parse(new TextDecoder().decode(bytes.subarray(offset, offset + length))),
+                signedBytes: bytes.slice(0, sectionStart)
+            };
+        } else {
+            sections.set(type, bytes.slice(offset, offset + length));
+        }
+        offset += length;
+    }
+
+    const encryptedAudio = sections.get(SECTION_TYPES.ENCRYPTED_AUDIO);
+    if (!encryptedAudio) {
+        throw new Error('No encrypted audio data in package');
+    }
+
+    const transcriptBytes = sections.get(SECTION_TYPES.ENCRYPTED_TRANSCRIPT);
+
+    return {
+        messageId: header.messageId,
+        timestamp: header.timestamp,
+        encryptedAudio,
+        encryptedTranscript: transcriptBytes ? bytesToBase64(transcriptBytes) : null,
+        metadata: header.metadata,
+        crypto: header.crypto || null,
+        headerBytes,
+        senderSignature
+    };
+}
@@ -0,0 +1,375 @@
+// services/qr.js
+
+/**
+ * Minimal QR code encoder, used to show sender identity links that another phone's camera can open.
+ * Byte mode only, error correction level M, versions 1-40. The mask is chosen with the
+ * ISO/IEC 18004 penalty rules, so any standard scanner reads the result.
+ */
+
+// Error correction level M, indexed by version (index 0 unused)
+const ECC_CODEWORDS_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26,
+    26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28];
+const NUM_ECC_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16,
+    17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49];
+const ECC_LEVEL_M_FORMAT_BITS = 0;
+const MODE_BYTE = 0b0100;
+const PAD_BYTES = [0xEC, 0x11];
+
+// --- Reed-Solomon over GF(256), polynomial 0x11D ---
+
+function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+function reedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < result.length) result[j] ^= result[j + 1];
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return result;
+}
+
+function reedSolomonRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    for (const byte of data) {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= gfMultiply(coefficient, factor);
+        });
+    }
+    return result;
+}
+
+// --- Capacity ---
+
+function getNumRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const numAlign = Math.floor(version / 7) + 2;
+        result -= (25 * numAlign - 10) * numAlign - 55;
+        if (version >= 7) result -= 36;
+    }
+    return result;
+}
+
+function getNumDataCodewords(version) {
+    return Math.floor(getNumRawDataModules(version) / 8) - ECC_CODEWORDS_PER_BLOCK[version] * NUM_ECC_BLOCKS[version];
+}
+
+function getAlignmentPatternPositions(version) {
+    if (version === 1) return [];
+    const numAlign = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+    const result = [6];
+    for (let position = version * 4 + 10; result.length < numAlign; position -= step) {
+        result.splice(1, 0, position);
+    }
+    return result;
+}
+
+// --- Codewords ---
+
+function encodeDataCodewords(bytes, version) {
+    const bits = [];
+    const appendBits = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+
+    appendBits(MODE_BYTE, 4);
+    appendBits(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => appendBits(byte, 8));
+
+    const capacityBits = getNumDataCodewords(version) * 8;
+    appendBits(0, Math.min(4, capacityBits - bits.length));
+    appendBits(0, (8 - bits.length % 8) % 8);
+    for (let i = 0; bits.length < capacityBits; i++) {
+        appendBits(PAD_BYTES[i % 2], 8);
+    }
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    return codewords;
+}
+
+function addEccAndInterleave(data, version) {
+    const numBlocks = NUM_ECC_BLOCKS[version];
+    const blockEccLength = ECC_CODEWORDS_PER_BLOCK[version];
+    const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+    const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+    const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+    const divisor = reedSolomonDivisor(blockEccLength);
+
+    const blocks = [];
+    for (let i = 0, offset = 0; i < numBlocks; i++) {
+        const blockData = data.slice(offset, offset + shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1));
+        offset += blockData.length;
+        const ecc = reedSolomonRemainder(blockData, divisor);
+        // Short blocks get a placeholder so all blocks interleave by the same index
+        if (i < numShortBlocks) blockData.push(0);
+        blocks.push(blockData.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) {
+                result.push(block[i]);
+            }
+        });
+    }
+    return result;
+}
+
+// --- Matrix ---
+
+class QrMatrix {
+    constructor(version) {
+        this.version = version;
+        this.size = version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    }
+
+    setFunctionModule(x, y, isDark) {
+        this.modules[y][x] = isDark;
+        this.isFunction[y][x] = true;
+    }
+
+    drawFunctionPatterns() {
+        const { size } = this;
+        for (let i = 0; i < size; i++) {
+            this.setFunctionModule(6, i, i % 2 === 0);
+            this.setFunctionModule(i, 6, i % 2 === 0);
+        }
+
+        for (const [x, y] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    const xx = x + dx;
+                    const yy = y + dy;
+                    if (xx >= 0 && xx < size && yy >= 0 && yy < size) {
+                        this.setFunctionModule(xx, yy, distance !== 2 && distance !== 4);
+                    }
+                }
+            }
+        }
+
+        const positions = getAlignmentPatternPositions(this.version);
+        const last = positions.length - 1;
+        positions.forEach((x, i) => {
+            positions.forEach((y, j) => {
+                // Skip the three corners occupied by finder patterns
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        this.setFunctionModule(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        this.drawFormatBits(0); // Reserved now, overwritten once the mask is chosen
+        this.drawVersion();
+    }
+
+    drawFormatBits(mask) {
+        const { size } = this;
+        const data = (ECC_LEVEL_M_FORMAT_BITS << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = (i) => ((bits >>> i) & 1) !== 0;
+
+        for (let i = 0; i <= 5; i++) this.setFunctionModule(8, i, bit(i));
+        this.setFunctionModule(8, 7, bit(6));
+        this.setFunctionModule(8, 8, bit(7));
+        this.setFunctionModule(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.setFunctionModule(14 - i, 8, bit(i));
+
+        for (let i = 0; i < 8; i++) this.setFunctionModule(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.setFunctionModule(8, size - 15 + i, bit(i));
+        this.setFunctionModule(8, size - 8, true); // Always dark
+    }
+
+    drawVersion() {
+        if (this.version < 7) return;
+        let remainder = this.version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        }
+        const bits = (this.version << 12) | remainder;
+        for (let i = 0; i < 18; i++) {
+            const isDark = ((bits >>> i) & 1) !== 0;
+            const a = this.size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            this.setFunctionModule(a, b, isDark);
+            this.setFunctionModule(b, a, isDark);
+        }
+    }
+
+    drawCodewords(codewords) {
+        const { size } = this;
+        let i = 0;
+        // Zigzag through two-module columns from the bottom right, skipping the vertical timing column
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vertical = 0; vertical < size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vertical : vertical;
+                    if (!this.isFunction[y][x] && i < codewords.length * 8) {
+                        this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    applyMask(mask) {
+        const conditions = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+            (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+            (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+        ];
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.isFunction[y][x] && conditions[mask](x, y)) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+
+    getPenaltyScore() {
+        const { size, modules } = this;
+        let penalty = 0;
+        const finderLike = [true, false, true, true, true, false, true];
+
+        const scoreLine = (getModule) => {
+            let runColor = null;
+            let runLength = 0;
+            for (let i = 0; i < size; i++) {
+                const color = getModule(i);
+                if (color === runColor) {
+                    runLength++;
+                    if (runLength === 5) penalty += 3;
+                    else if (runLength > 5) penalty++;
+                } else {
+                    runColor = color;
+                    runLength = 1;
+                }
+
+                // 1:1:3:1:1 finder-like pattern with four light modules on one side
+                if (i + 7 <= size && finderLike.every((isDark, k) => getModule(i + k) === isDark)) {
+                    const lightBefore = [1, 2, 3, 4].every(k => i - k < 0 || !getModule(i - k));
+                    const lightAfter = [0, 1, 2, 3].every(k => i + 7 + k >= size || !getModule(i + 7 + k));
+                    if (lightBefore || lightAfter) penalty += 40;
+                }
+            }
+        };
+
+        for (let y = 0; y < size; y++) scoreLine(x => modules[y][x]);
+        for (let x = 0; x < size; x++) scoreLine(y => modules[y][x]);
+
+        let dark = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                if (x < size - 1 && y < size - 1) {
+                    const color = modules[y][x];
+                    if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                        penalty += 3;
+                    }
+                }
+            }
+        }
+
+        const total = size * size;
+        penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+        return penalty;
+    }
+}
+
+/**
+ * Encodes text as a QR code.
+ * @param {string} text - The text, encoded as UTF-8 bytes.
+ * @returns {{version: number, size: number, modules: boolean[][]}} modules[y][x] is true for dark modules.
+ * @throws {Error} If the text does not fit in a version 40 code.
+ */
+export function encodeQr(text) {
+    const bytes = Array.from(new TextEncoder().encode(text));
+
+    let version = 1;
+    for (; version <= 40; version++) {
+        const neededBits = 4 + (version < 10 ? 8 : 16) + bytes.length * 8;
+        if (neededBits <= getNumDataCodewords(version) * 8) break;
+    }
+    if (version > 40) {
+        throw new Error('Text is too long for a QR code.');
+    }
+
+    const matrix = new QrMatrix(version);
+    matrix.drawFunctionPatterns();
+    matrix.drawCodewords(addEccAndInterleave(encodeDataCodewords(bytes, version), version));
+
+    let bestMask = 0;
+    let bestPenalty = Infinity;
+    for (let mask = 0; mask < 8; mask++) {
+        matrix.applyMask(mask);
+        matrix.drawFormatBits(mask);
+        const penalty = matrix.getPenaltyScore();
+        if (penalty < bestPenalty) {
+            bestMask = mask;
+            bestPenalty = penalty;
+        }
+        matrix.applyMask(mask); // Masks are XOR, so applying again undoes it
+    }
+    matrix.applyMask(bestMask);
+    matrix.drawFormatBits(bestMask);
+
+    return { version, size: matrix.size, modules: matrix.modules };
+}
+
+/**
+ * Renders a QR code as an SVG string that scales to its container.
+ * @param {{size: number, modules: boolean[][]}} qr - From encodeQr.
+ * @param {object} [options]
+ * @param {number} [options.margin=4] - Quiet zone in modules (scanners expect 4).
+ * @returns {string} The SVG markup.
+ */
+export function qrToSvg({ size, modules }, { margin = 4 } = {}) {
+    const path = [];
+    modules.forEach((row, y) => {
+        row.forEach((isDark, x) => {
+            if (isDark) path.push(`M${x + margin},${y + margin}h1v1h-1z`);
+        });
+    });
+    const viewSize = size + margin * 2;
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${viewSize} ${viewSize}" shape-rendering="crispEdges">` +
+        `<rect width="${viewSize}" height="${viewSize}" fill="#fff"/>` +
+        `<path d="${path.join('')}" fill="#000"/></svg>`;
+}
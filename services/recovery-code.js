@@ -0,0 +1,71 @@
+// services/recovery-code.js
+
+// 256 short, distinct words: each word of a recovery code encodes one random byte
+const RECOVERY_WORDS = [
+    'acorn', 'actor', 'agent', 'alarm', 'album', 'alley', 'amber', 'angel',
+    'ankle', 'apple', 'apron', 'arrow', 'atlas', 'attic', 'award', 'bacon',
+    'badge', 'baker', 'bamboo', 'banjo', 'barn', 'basil', 'beach', 'beard',
+    'berry', 'bison', 'blade', 'blanket', 'bloom', 'board', 'bonnet', 'boot',
+    'bottle', 'bounce', 'brave', 'bread', 'brick', 'bridge', 'broom', 'bubble',
+    'bucket', 'bugle', 'butter', 'button', 'cabin', 'cactus', 'camel', 'candle',
+    'canoe', 'canyon', 'carpet', 'carrot', 'castle', 'cedar', 'chalk', 'cherry',
+    'chess', 'chimney', 'circus', 'cliff', 'clock', 'cloud', 'clover', 'cobra',
+    'cocoa', 'comet', 'coral', 'cotton', 'cousin', 'coyote', 'crayon', 'cricket',
+    'crown', 'crystal', 'cuckoo', 'cupcake', 'dancer', 'daisy', 'desert', 'diamond',
+    'dinner', 'dolphin', 'donkey', 'dragon', 'drum', 'eagle', 'earth', 'easel',
+    'echo', 'elbow', 'ember', 'engine', 'falcon', 'feather', 'fern', 'fiddle',
+    'finch', 'flag', 'flute', 'forest', 'fossil', 'fountain', 'fox', 'frog',
+    'garden', 'garlic', 'gecko', 'giant', 'ginger', 'giraffe', 'glove', 'goat',
+    'goose', 'grape', 'gravel', 'guitar', 'hammer', 'harbor', 'harp', 'hazel',
+    'hedge', 'helmet', 'hero', 'honey', 'hoop', 'horse', 'igloo', 'island',
+    'ivory', 'jacket', 'jaguar', 'jelly', 'jewel', 'jungle', 'kayak', 'kettle',
+    'kitten', 'koala', 'ladder', 'lagoon', 'lamp', 'lantern', 'lemon', 'lily',
+    'lion', 'lizard', 'lobster', 'locket', 'magnet', 'mango', 'maple', 'marble',
+    'meadow', 'melon', 'mermaid', 'mitten', 'monkey', 'moose', 'mosaic', 'muffin',
+    'museum', 'nectar', 'needle', 'nest', 'noodle', 'nutmeg', 'oasis', 'ocean',
+    'olive', 'onion', 'orange', 'orbit', 'otter', 'owl', 'paddle', 'panda',
+    'parrot', 'peach', 'pebble', 'pencil', 'penguin', 'pepper', 'piano', 'pickle',
+    'pillow', 'pirate', 'planet', 'plum', 'pocket', 'pony', 'poppy', 'potato',
+    'puddle', 'puffin', 'pumpkin', 'puppet', 'quail', 'quilt', 'rabbit', 'radish',
+    'rainbow', 'raven', 'ribbon', 'river', 'robin', 'rocket', 'saddle', 'salmon',
+    'sandal', 'scarf', 'seal', 'shadow', 'shell', 'silver', 'sketch', 'sled',
+    'snail', 'spider', 'spoon', 'squash', 'star', 'stone', 'sugar', 'summit',
+    'sunset', 'swan', 'teapot', 'tiger', 'toast', 'tomato', 'tractor', 'trumpet',
+    'tulip', 'tundra', 'turtle', 'umbrella', 'unicorn', 'valley', 'velvet', 'violin',
+    'volcano', 'waffle', 'walnut', 'walrus', 'wagon', 'water', 'whale', 'whistle',
+    'willow', 'window', 'winter', 'wizard', 'wolf', 'yogurt', 'zebra', 'zipper'
+];
+
+const WORD_INDEX = new Map(RECOVERY_WORDS.map((word, index) => [word, index]));
+
+// 10 words = 80 random bits, stretched with the package's PBKDF2 parameters before use
+export const RECOVERY_CODE_WORDS = 10;
+
+/**
+ * Generates a recovery code: random words to print or write down, which open the message
+ * together with its URL when its Peebles are lost (see EncryptionService.unwrapRecoveryKey).
+ * @returns {string} The code, lowercase words separated by single spaces.
+ */
+export function generateRecoveryCode() {
+    const bytes = crypto.getRandomValues(new Uint8Array(RECOVERY_CODE_WORDS));
+    return Array.from(bytes, byte => RECOVERY_WORDS[byte]).join(' ');
+}
+
+/**
+ * Normalizes a recovery code as typed by a person: any case, spaces, dashes, commas or line breaks
+ * between words, and the word numbers from the printed card.
+ * @param {string} text - The code as entered.
+ * @returns {string} The code in the form generateRecoveryCode returns.
+ * @throws {Error} If a word is not in the list or the number of words is wrong.
+ */
+export function normalizeRecoveryCode(text) {
+    const words = String(text || '').toLowerCase().split(/[^a-z]+/).filter(Boolean);
+    const unknown = words.find(word => !WORD_INDEX.has(word));
+    if (unknown) {
+        throw new Error(`"${unknown}" is not a recovery code word. Check the spelling on the card.`);
+    }
+    if (words.length !== RECOVERY_CODE_WORDS) {
+        throw new Error(`A recovery code has ${RECOVERY_CODE_WORDS} words; ${words.length} entered.`);
+    }
+    return words.join(' ');
+}
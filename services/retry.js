@@ -0,0 +1,73 @@
+// services/retry.js
+
+import { toStorageError } from './errors.js';
+
+/**
+ * Retry policy shared by immediate upload retries and the upload outbox.
+ * Delays double per attempt with ±20% jitter, capped at maxDelayMs. A server-requested
+ * Retry-After always wins; if it is longer than maxDelayMs the policy gives up instead
+ * of blocking, leaving the wait to the outbox.
+ */
+export class RetryPolicy {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.maxAttempts=3] - Total attempts, including the first.
+     * @param {number} [options.baseDelayMs=1000] - Delay before the first retry.
+     * @param {number} [options.maxDelayMs=30000] - Upper bound on the backoff delay.
+     */
+    constructor({ maxAttempts = 3, baseDelayMs = 1000, maxDelayMs = 30000 } = {}) {
+        this.maxAttempts = maxAttempts;
+        this.baseDelayMs = baseDelayMs;
+        this.maxDelayMs = maxDelayMs;
+    }
+
+    /**
+     * Computes the delay before the next attempt.
+     * @param {number} attempts - Attempts made so far.
+     * @param {import('./errors.js').StorageError} [error] - The last failure; its retryAfterMs is honored.
+     * @returns {number} Delay in milliseconds.
+     */
+    getDelay(attempts, error = null) {
+        if (error?.retryAfterMs != null) {
+            return error.retryAfterMs;
+        }
+        const delay = Math.min(this.baseDelayMs * 2 ** (attempts - 1), this.maxDelayMs);
+        return Math.round(delay * (0.8 + Math.random() * 0.4));
+    }
+
+    /**
+     * @param {import('./errors.js').StorageError} error - The last failure.
+     * @param {number} attempts - Attempts made so far.
+     * @returns {boolean} True if another attempt should be made now.
+     */
+    shouldRetry(error, attempts) {
+        if (!error.retryable || attempts >= this.maxAttempts) return false;
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) return false;
+        // The backoff is capped before jitter, so only a longer Retry-After can exceed maxDelayMs;
+        // checking a jittered getDelay() here would give up at random once the cap is reached
+        return (error.retryAfterMs ?? 0) <= this.maxDelayMs;
+    }
+
+    /**
+     * Runs an operation, retrying retryable failures.
+     * @param {function(number): Promise<any>} operation - Called with the attempt number (1-based).
+     * @param {object} [options]
+     * @param {function(StorageError, number, number): void} [options.onRetry] - Called with (error, attempts, delayMs) before each retry.
+     * @returns {Promise<any>} The operation's result.
+     * @throws {import('./errors.js').StorageError} The last failure, once retries are exhausted.
+     */
+    async execute(operation, { onRetry } = {}) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await operation(attempt);
+            } catch (error) {
+                const storageError = toStorageError(error);
+                if (!this.shouldRetry(storageError, attempt)) throw storageError;
+
+                const delay = this.getDelay(attempt, storageError);
+                if (onRetry) onRetry(storageError, attempt, delay);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+}
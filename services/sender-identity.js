@@ -0,0 +1,259 @@
+// services/sender-identity.js
+
+import { debugLog, bytesToBase64, base64ToBytes } from './utils.js';
+import { openDatabase, promisifyRequest, transactionDone } from './idb.js';
+import { appendSignatureSection } from './package-format.js';
+
+const DB_NAME = 'peeble-sender-identity';
+const DB_VERSION = 1;
+const IDENTITY_STORE = 'identity';
+const TRUSTED_STORE = 'trusted';
+const IDENTITY_KEY = 'self';
+
+const KEY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGNATURE_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+const P256_PUBLIC_KEY_LENGTH = 65; // Uncompressed point: 0x04 || x || y
+const MAX_SENDER_NAME_LENGTH = 40;
+
+export const SENDER_CARD_TYPE = 'peeble-sender';
+export const SENDER_CARD_VERSION = 1;
+
+/**
+ * Per-device sender identity: an ECDSA P-256 key pair kept in IndexedDB (the private key is
+ * not extractable), used to sign every package this device saves. Readers keep a list of
+ * trusted senders' public keys, exchanged as a sender card (QR link or file), and check
+ * signatures against it.
+ *
+ * Sender card: { type: 'peeble-sender', version: 1, name, publicKey } with publicKey the
+ * Base64 raw public key. Key ids are the first 8 bytes of SHA-256(publicKey) as hex; shown
+ * grouped, they double as the fingerprint people compare when exchanging cards.
+ */
+export class SenderIdentityService {
+    constructor() {
+        this.dbPromise = null;
+        this.identityPromise = null;
+    }
+
+    getDatabase() {
+        if (!this.dbPromise) {
+            this.dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+                db.createObjectStore(IDENTITY_STORE, { keyPath: 'id' });
+                db.createObjectStore(TRUSTED_STORE, { keyPath: 'keyId' });
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * @param {Uint8Array} publicKeyBytes - Raw P-256 public key.
+     * @returns {Promise<string>} The key id (16 hex characters).
+     */
+    async computeKeyId(publicKeyBytes) {
+        const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', publicKeyBytes));
+        return Array.from(digest.slice(0, 8), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * @param {string} keyId
+     * @returns {string} The key id in groups of four, for people to compare.
+     */
+    formatFingerprint(keyId) {
+        return keyId.toUpperCase().match(/.{1,4}/g).join(' ');
+    }
+
+    /**
+     * Returns this device's identity, creating the key pair on first use.
+     * @returns {Promise<{keyId: string, name: string, publicKey: string, privateKey: CryptoKey}>}
+     */
+    async getIdentity() {
+        if (!this.identityPromise) {
+            this.identityPromise = this.loadOrCreateIdentity().catch(error => {
+                this.identityPromise = null;
+                throw error;
+            });
+        }
+        return this.identityPromise;
+    }
+
+    async loadOrCreateIdentity() {
+        const db = await this.getDatabase();
+        const existing = await promisifyRequest(db.transaction(IDENTITY_STORE).objectStore(IDENTITY_STORE).get(IDENTITY_KEY));
+        if (existing) return existing;
+
+        const { privateKey, publicKey } = await crypto.subtle.generateKey(KEY_ALGORITHM, false, ['sign', 'verify']);
+        const publicKeyBytes = new Uint8Array(await crypto.subtle.exportKey('raw', publicKey));
+        const identity = {
+            id: IDENTITY_KEY,
+            keyId: await this.computeKeyId(publicKeyBytes),
+            name: '',
+            publicKey: bytesToBase64(publicKeyBytes),
+            privateKey,
+            created: new Date().toISOString()
+        };
+
+        const transaction = db.transaction(IDENTITY_STORE, 'readwrite');
+        transaction.objectStore(IDENTITY_STORE).put(identity);
+        await transactionDone(transaction);
+        debugLog(`🪪 Sender identity created: ${this.formatFingerprint(identity.keyId)}`, 'success');
+        return identity;
+    }
+
+    /**
+     * Sets the name this device signs as (shown to readers who have not trusted it yet).
+     * @param {string} name
+     * @returns {Promise<void>}
+     */
+    async setName(name) {
+        const identity = { ...await this.getIdentity(), name: this.normalizeName(name) };
+        const db = await this.getDatabase();
+        const transaction = db.transaction(IDENTITY_STORE, 'readwrite');
+        transaction.objectStore(IDENTITY_STORE).put(identity);
+        await transactionDone(transaction);
+        this.identityPromise = Promise.resolve(identity);
+    }
+
+    normalizeName(name) {
+        return String(name || '').trim().slice(0, MAX_SENDER_NAME_LENGTH);
+    }
+
+    /**
+     * @returns {Promise<object>} This device's sender card, to share with readers.
+     */
+    async getSenderCard() {
+        const { name, publicKey } = await this.getIdentity();
+        return { type: SENDER_CARD_TYPE, version: SENDER_CARD_VERSION, name, publicKey };
+    }
+
+    /**
+     * Validates a sender card from a file, a QR link or an object.
+     * @param {string|object} input - The card, or its JSON text.
+     * @returns {Promise<{keyId: string, name: string, publicKey: string}>}
+     * @throws {Error} If the card is malformed or its key is not a P-256 public key.
+     */
+    async parseSenderCard(input) {
+        let card = input;
+        if (typeof input === 'string') {
+            try {
+                card = JSON.parse(input);
+            } catch {
+                throw new Error('This is not a Peeble sender file.');
+            }
+        }
+        if (card?.type !== SENDER_CARD_TYPE || card.version !== SENDER_CARD_VERSION || typeof card.publicKey !== 'string') {
+            throw new Error('This is not a Peeble sender file.');
+        }
+
+        let publicKeyBytes;
+        try {
+            publicKeyBytes = base64ToBytes(card.publicKey);
+            if (publicKeyBytes.length !== P256_PUBLIC_KEY_LENGTH) throw new Error('bad length');
+            await crypto.subtle.importKey('raw', publicKeyBytes, KEY_ALGORITHM, false, ['verify']);
+        } catch {
+            throw new Error('The sender key in this file is invalid.');
+        }
+
+        return {
+            keyId: await this.computeKeyId(publicKeyBytes),
+            name: this.normalizeName(card.name),
+            publicKey: card.publicKey
+        };
+    }
+
+    /**
+     * Adds (or renames) a trusted sender.
+     * @param {string|object} card - A sender card (see parseSenderCard).
+     * @param {string} [name] - The reader's own name for the sender (e.g. "Mom"); defaults to the card's name.
+     * @returns {Promise<{keyId: string, name: string, publicKey: string, added: string}>}
+     */
+    async trustSender(card, name) {
+        const sender = await this.parseSenderCard(card);
+        const trusted = { ...sender, name: this.normalizeName(name) || sender.name || 'Unnamed sender', added: new Date().toISOString() };
+
+        const db = await this.getDatabase();
+        const transaction = db.transaction(TRUSTED_STORE, 'readwrite');
+        transaction.objectStore(TRUSTED_STORE).put(trusted);
+        await transactionDone(transaction);
+        debugLog(`🪪 Trusted sender '${trusted.name}' (${this.formatFingerprint(trusted.keyId)})`, 'success');
+        return trusted;
+    }
+
+    /**
+     * @returns {Promise<object[]>} Trusted senders, sorted by name.
+     */
+    async listTrustedSenders() {
+        const db = await this.getDatabase();
+        const senders = await promisifyRequest(db.transaction(TRUSTED_STORE).objectStore(TRUSTED_STORE).getAll());
+        return senders.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * @param {string} keyId
+     * @returns {Promise<void>}
+     */
+    async removeTrustedSender(keyId) {
+        const db = await this.getDatabase();
+        const transaction = db.transaction(TRUSTED_STORE, 'readwrite');
+        transaction.objectStore(TRUSTED_STORE).delete(keyId);
+        await transactionDone(transaction);
+    }
+
+    /**
+     * Signs an encoded package, appending the sender signature section.
+     * @param {Uint8Array} packageBytes - The encoded, unsigned package.
+     * @returns {Promise<Uint8Array>} The signed package.
+     */
+    async signPackage(packageBytes) {
+        const { keyId, name, publicKey, privateKey } = await this.getIdentity();
+        const signature = new Uint8Array(await crypto.subtle.sign(SIGNATURE_ALGORITHM, privateKey, packageBytes));
+        debugLog(`🪪 Package signed by ${this.formatFingerprint(keyId)}`, 'success');
+        return appendSignatureSection(packageBytes, { keyId, name, publicKey, signature: bytesToBase64(signature) });
+    }
+
+    /**
+     * Checks a decoded package's sender signature.
+     *   'verified' - signed by a trusted sender (name is the reader's name for them)
+     *   'self'     - signed by this device
+     *   'unknown'  - validly signed by a key that is not trusted (name is the sender's own claim)
+     *   'invalid'  - the signature does not match the package
+     *   'unsigned' - no signature
+     * @param {object} messagePackage - From decodePackage.
+     * @returns {Promise<{status: string, name: string|null, keyId: string|null}>}
+     */
+    async verifyPackage(messagePackage) {
+        const signed = messagePackage.senderSignature;
+        if (!signed) {
+            return { status: 'unsigned', name: null, keyId: null };
+        }
+
+        try {
+            const publicKeyBytes = base64ToBytes(signed.publicKey);
+            const keyId = await this.computeKeyId(publicKeyBytes);
+            const publicKey = await crypto.subtle.importKey('raw', publicKeyBytes, KEY_ALGORITHM, false, ['verify']);
+            const valid = keyId === signed.keyId && await crypto.subtle.verify(
+                SIGNATURE_ALGORITHM,
+                publicKey,
+                base64ToBytes(signed.signature),
+                signed.signedBytes
+            );
+            if (!valid) {
+                debugLog(`🚨 Sender signature does not match the package (claimed ${signed.keyId})`, 'error');
+                return { status: 'invalid', name: null, keyId: signed.keyId };
+            }
+
+            // The key id is a short hash, so trust needs the exact key that was exchanged
+            const db = await this.getDatabase();
+            const trusted = await promisifyRequest(db.transaction(TRUSTED_STORE).objectStore(TRUSTED_STORE).get(keyId));
+            if (trusted && trusted.publicKey === signed.publicKey) {
+                return { status: 'verified', name: trusted.name, keyId };
+            }
+            const identity = await this.getIdentity();
+            if (identity.keyId === keyId) {
+                return { status: 'self', name: identity.name || null, keyId };
+            }
+            return { status: 'unknown', name: this.normalizeName(signed.name) || null, keyId };
+        } catch (error) {
+            debugLog(`Sender signature check failed: ${error.message}`, 'error');
+            return { status: 'invalid', name: null, keyId: signed.keyId || null };
+        }
+    }
+}
@@ -0,0 +1,146 @@
+// services/sigv4.js
+
+/**
+ * AWS Signature Version 4 for S3-compatible object storage, computed with WebCrypto.
+ * Supports signed requests (Authorization header) and presigned URLs (query string).
+ * Object paths must already be encoded with encodeRfc3986; S3 does not double-encode them.
+ */
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+export const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+const encoder = new TextEncoder();
+
+function toHex(buffer) {
+    return Array.from(new Uint8Array(buffer), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function hmac(key, data) {
+    const cryptoKey = await crypto.subtle.importKey('raw', key, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    return crypto.subtle.sign('HMAC', cryptoKey, encoder.encode(data));
+}
+
+/**
+ * Percent-encodes a string as SigV4 requires: everything except A-Z a-z 0-9 - _ . ~
+ * @param {string} value
+ * @returns {string}
+ */
+export function encodeRfc3986(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * @param {string|ArrayBuffer|Uint8Array} data
+ * @returns {Promise<string>} The lowercase hex SHA-256 digest.
+ */
+export async function sha256Hex(data) {
+    const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+    return toHex(await crypto.subtle.digest('SHA-256', bytes));
+}
+
+/**
+ * @param {Date} date
+ * @returns {{amzDate: string, dateStamp: string}} e.g. 20130524T000000Z and 20130524
+ */
+function formatDate(date) {
+    const amzDate = date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    return { amzDate, dateStamp: amzDate.slice(0, 8) };
+}
+
+function canonicalQueryString(searchParams) {
+    return Array.from(searchParams, ([key, value]) => [encodeRfc3986(key), encodeRfc3986(value)])
+        .sort(([keyA, valueA], [keyB, valueB]) => (keyA < keyB ? -1 : keyA > keyB ? 1 : valueA < valueB ? -1 : valueA > valueB ? 1 : 0))
+        .map(([key, value]) => `${key}=${value}`)
+        .join('&');
+}
+
+/**
+ * Computes the signature for a request.
+ * @returns {Promise<{signature: string, signedHeaders: string, credentialScope: string}>}
+ */
+async function computeSignature({ method, url, headers, payloadHash, credentials, region, service, amzDate, dateStamp }) {
+    const headerEntries = Object.entries({ ...headers, host: url.host })
+        .map(([name, value]) => [name.toLowerCase(), String(value).trim().replace(/\s+/g, ' ')])
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    const signedHeaders = headerEntries.map(([name]) => name).join(';');
+
+    const canonicalRequest = [
+        method,
+        url.pathname || '/',
+        canonicalQueryString(url.searchParams),
+        headerEntries.map(([name, value]) => `${name}:${value}\n`).join(''),
+        signedHeaders,
+        payloadHash
+    ].join('\n');
+
+    const credentialScope = `${dateStamp}/${region}/${service}/aws4_request`;
+    const stringToSign = [ALGORITHM, amzDate, credentialScope, await sha256Hex(canonicalRequest)].join('\n');
+
+    let signingKey = encoder.encode(`AWS4${credentials.secretAccessKey}`);
+    for (const part of [dateStamp, region, service, 'aws4_request']) {
+        signingKey = await hmac(signingKey, part);
+    }
+
+    return { signature: toHex(await hmac(signingKey, stringToSign)), signedHeaders, credentialScope };
+}
+
+/**
+ * Signs a request, returning the headers to send with it (including the signed ones passed in).
+ * The host header is always signed; browsers set it from the URL.
+ * @param {object} options
+ * @param {string} options.method - HTTP method.
+ * @param {string} options.url - The request URL, with the path already encoded.
+ * @param {object} [options.headers] - Headers to sign (e.g. Content-Type, x-amz-meta-*).
+ * @param {string} [options.payloadHash] - Hex SHA-256 of the body, or UNSIGNED_PAYLOAD.
+ * @param {{accessKeyId: string, secretAccessKey: string}} options.credentials
+ * @param {string} options.region - e.g. us-east-1.
+ * @param {string} [options.service='s3']
+ * @param {Date} [options.date] - Signing time (defaults to now).
+ * @returns {Promise<object>} The headers for the request.
+ */
+export async function signRequest({ method, url, headers = {}, payloadHash = UNSIGNED_PAYLOAD, credentials, region, service = 's3', date = new Date() }) {
+    const { amzDate, dateStamp } = formatDate(date);
+    const signedInput = {
+        ...headers,
+        'x-amz-content-sha256': payloadHash,
+        'x-amz-date': amzDate
+    };
+
+    const { signature, signedHeaders, credentialScope } = await computeSignature({
+        method, url: new URL(url), headers: signedInput, payloadHash, credentials, region, service, amzDate, dateStamp
+    });
+
+    return {
+        ...signedInput,
+        'Authorization': `${ALGORITHM} Credential=${credentials.accessKeyId}/${credentialScope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+    };
+}
+
+/**
+ * Creates a presigned URL that can be fetched without any headers.
+ * @param {object} options
+ * @param {string} [options.method='GET'] - HTTP method the URL is valid for.
+ * @param {string} options.url - The object URL, with the path already encoded.
+ * @param {{accessKeyId: string, secretAccessKey: string}} options.credentials
+ * @param {string} options.region
+ * @param {string} [options.service='s3']
+ * @param {number} [options.expiresIn=900] - Validity in seconds (at most 604800).
+ * @param {Date} [options.date] - Signing time (defaults to now).
+ * @returns {Promise<string>} The presigned URL.
+ */
+export async function presignUrl({ method = 'GET', url, credentials, region, service = 's3', expiresIn = 900, date = new Date() }) {
+    const { amzDate, dateStamp } = formatDate(date);
+    const presigned = new URL(url);
+    presigned.searchParams.set('X-Amz-Algorithm', ALGORITHM);
+    presigned.searchParams.set('X-Amz-Credential', `${credentials.accessKeyId}/${dateStamp}/${region}/${service}/aws4_request`);
+    presigned.searchParams.set('X-Amz-Date', amzDate);
+    presigned.searchParams.set('X-Amz-Expires', String(expiresIn));
+    presigned.searchParams.set('X-Amz-SignedHeaders', 'host');
+
+    const { signature } = await computeSignature({
+        method, url: presigned, headers: {}, payloadHash: UNSIGNED_PAYLOAD, credentials, region, service, amzDate, dateStamp
+    });
+
+    // Rebuild the query with SigV4 encoding so the server sees exactly what was signed
+    return `${presigned.origin}${presigned.pathname}?${canonicalQueryString(presigned.searchParams)}&X-Amz-Signature=${signature}`;
+}
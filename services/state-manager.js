@@ -2,7 +2,67 @@
 
 import { eventBus } from './pubsub.js';
 import { debugLog, URLParser } from './utils.js';
-import { EncryptionService } from './encryption.js';
+import { EncryptionService, UnsupportedCryptoError, WrongPinError, MAX_RECIPIENTS } from './encryption.js';
+import { StorageError, NotFoundError } from './errors.js';
+import { encodePackageHeader, createAdditionalData, SECTION_TYPES } from './package-format.js';
+import { SENDER_CARD_TYPE, SENDER_CARD_VERSION } from './sender-identity.js';
+import { generateRecoveryCode, normalizeRecoveryCode } from './recovery-code.js';
+import { TimeLockService, TimeLockedError } from './time-lock.js';
+
+// Shortest PIN accepted for PIN-protected messages
+const MIN_PIN_LENGTH = 4;
+
+// A time-locked message on screen is retried when it unlocks, if that is within setTimeout's range;
+// when the time-lock server still refuses (its clock is behind this device's), it is retried after a pause
+const MAX_UNLOCK_TIMER_MS = 2 ** 31 - 1;
+const UNLOCK_RETRY_MS = 10000;
+
+// Upper bound for a message's plays per device
+const MAX_PLAYS_LIMIT = 1000;
+
+/**
+ * What to tell the user, and which action to offer, for each StorageError code.
+ * An action of 'retry' is resolved to the retry event of the flow that failed (save or load).
+ */
+const STORAGE_ERROR_RECOVERY = {
+    'auth': {
+        message: '🔑 The storage service rejected your credentials.',
+        action: { label: '🔑 Update credentials', event: 'credentials-required', payload: { rejected: true } }
+    },
+    'quota': {
+        message: '📦 Your storage plan is full. Delete old messages or upgrade your plan.',
+        action: { label: '🗂️ Manage stored messages', event: 'open-message-manager' }
+    },
+    'too-large': {
+        message: '📏 This recording is too large to store.',
+        action: { label: '🎤 Record a shorter message', event: 'retry-recording' }
+    },
+    'network': {
+        message: '📡 Could not reach the storage service.',
+        action: 'retry'
+    },
+    'timeout': {
+        message: '⏱️ The storage service took too long to respond.',
+        action: 'retry'
+    },
+    'not-found': {
+        message: '🔍 This message is no longer stored. Ask the sender to record it again.',
+        action: null
+    },
+    'integrity': {
+        message: '🚨 Downloaded message failed its integrity check. It was not played.',
+        action: 'retry'
+    },
+    'unknown': {
+        message: '⚠️ Something went wrong with the storage service.',
+        action: 'retry'
+    }
+};
+
+const RATE_LIMITED_RECOVERY = {
+    message: '⏳ The storage service is busy. Please try again in a moment.',
+    action: 'retry'
+};
 
 /**
  * A centralized, reactive State Manager that coordinates the entire application flow.
@@ -13,17 +73,18 @@ class StateManager {
         this._state = {
             // App state
             appMode: 'CREATOR', // 'CREATOR' or 'READER'
-            currentStep: 'waiting', // 'waiting', 'recording', 'editing', 'success', 'loading', 'playing', 'error'
-            
-            // API credentials - will be set by main.js based on development mode
-            pinataApiKey: '',
-            pinataSecret: '',
+            currentStep: 'waiting', // 'waiting', 'recording', 'editing', 'success', 'identity', 'transfer', 'loading', 'playing', 'pin-required', 'recover', 'locked', 'expired', 'error'
             
             // NFC/Security state
             tagSerial: null,
-            physicalKeyTimestamp: null,
+            tagSecret: null, // Secret from the tag's key record, read together with the serial
+            recipientSerials: [], // Further tags that can open the message being created, besides tagSerial
+            addingRecipient: false, // The next tag scanned is added to recipientSerials
             nfcWriteMode: false,
             writeUrlQueue: null,
+            writeTagSecret: null, // Secret written as a key record alongside writeUrlQueue, to any tag
+            writeTagSecrets: null, // Serial -> secret for each recipient tag still to be written
+            writeKeptPeebles: null, // { count, lostSerial } for a moved message: its other Peebles still hold the old URL and keep their secret
             
             // Message creation state
             audioBlob: null,
@@ -31,6 +92,7 @@ class StateManager {
             currentTranscript: '',
             isRecording: false,
             isProcessing: false,
+            recoveryCode: null, // { messageId, code } for the message just saved; shown until the next one, never stored
             
             // Message playback state
             messageId: null,
@@ -40,25 +102,56 @@ class StateManager {
             decryptedTranscript: '',
             audioUrl: null,
             isPlaying: false,
+            messageSender: null, // { status, name, keyId } from SenderIdentityService.verifyPackage
+            lockedUntil: null, // Unlock date (ISO) of the time-locked message at the 'locked' step
+            expiredReason: null, // 'date' or 'plays' at the 'expired' step
+            playsLeft: null, // Plays left on this device for the message being played, when it has maxPlays
             
             // UI state
             statusMessage: '🔒 Loading secure Peeble app...',
             statusType: 'info',
             errorMessage: null,
+            errorType: null, // A StorageError code, 'decryption' or 'unsupported-crypto' when currentStep is 'error'; 'wrong-pin' at 'pin-required'; 'recovery-code' at 'recover'
+            recoveryAction: null, // { label, event, payload } offered after a storage failure
             
+            // Offline upload state
+            pendingMessages: [], // Local history entries still waiting to be uploaded or written to a tag
+            outboxEntries: [], // Retry info from the upload outbox
+
+            // Message management state
+            managedMessages: [], // Uploaded local history entries, with `stored` from the backend pin list
+
+            // Message transfer state: moving a message to a replacement Peeble
+            messageTransfer: null, // { messageId, stage: 'old-tag'|'new-tag'|'ready', canUseEscrow, oldTag: {serial, tagSecret}|null, newSerial, lostPeebles }
+
+            // Sender identity state
+            senderIdentityInfo: null, // { keyId, fingerprint, name, trustUrl, card } for this device
+            trustedSenders: [],
+            pendingTrustedSender: null, // { publicKey, name } from a trust link or file, waiting for confirmation
+
             // Services (will be injected)
             storageService: null,
-            encryptionService: new EncryptionService()
+            uploadOutbox: null,
+            senderIdentity: null,
+            keyEscrow: null,
+            timeLock: new TimeLockService(), // Replaced by one with a server when enforced time locks are configured
+            encryptionService: new EncryptionService({ workerUrl: new URL('./crypto-worker.js', import.meta.url) })
         };
+        this.unlockTimer = null;
+        this.unpinningExpired = false;
         
         this.setupEventListeners();
         this.initializeFromUrl();
+        this.refreshPendingMessages();
     }
 
     setupEventListeners() {
         // NFC Events
         eventBus.subscribe('nfc-tag-scanned', (data) => this.handleNfcTagScanned(data));
         eventBus.subscribe('blank-nfc-scanned', (serial) => this.handleBlankNfcScanned(serial));
+        eventBus.subscribe('add-recipient-tag', () => this.handleAddRecipientTag());
+        eventBus.subscribe('cancel-add-recipient-tag', () => this.setState({ addingRecipient: false, statusMessage: 'Ready to record.' }));
+        eventBus.subscribe('remove-recipient-tag', (serial) => this.handleRemoveRecipientTag(serial));
         
         // Recording Events
         eventBus.subscribe('start-recording', () => this.handleStartRecording());
@@ -68,91 +161,87 @@ class StateManager {
         eventBus.subscribe('transcript-update', (transcript) => this.handleTranscriptUpdate(transcript));
         
         // Message creation events
-        eventBus.subscribe('save-secure-message', (transcript) => this.handleSaveSecureMessage(transcript));
+        eventBus.subscribe('save-secure-message', (request) => this.handleSaveSecureMessage(request));
         eventBus.subscribe('retry-recording', () => this.handleRetryRecording());
         eventBus.subscribe('create-another', () => this.handleCreateAnother());
+        eventBus.subscribe('precache-messages', () => this.handlePrecacheMessages());
+        
+        // Message management events
+        eventBus.subscribe('open-message-manager', () => this.handleOpenMessageManager());
+        eventBus.subscribe('close-message-manager', () => this.handleCloseMessageManager());
+        eventBus.subscribe('delete-stored-message', (messageId) => this.handleDeleteStoredMessage(messageId));
+        eventBus.subscribe('cleanup-stored-messages', (retentionDays) => this.handleCleanupStoredMessages(retentionDays));
+        eventBus.subscribe('start-message-transfer', (messageId) => this.handleStartMessageTransfer(messageId));
+        eventBus.subscribe('use-escrowed-key', () => this.handleUseEscrowedKey());
+        eventBus.subscribe('confirm-message-transfer', (request) => this.handleConfirmMessageTransfer(request));
+        eventBus.subscribe('cancel-message-transfer', () => this.handleCancelMessageTransfer());
+
+        // Sender identity events
+        eventBus.subscribe('open-sender-identity', () => this.handleOpenSenderIdentity());
+        eventBus.subscribe('close-sender-identity', () => this.handleCloseSenderIdentity());
+        eventBus.subscribe('save-sender-name', (name) => this.handleSaveSenderName(name));
+        eventBus.subscribe('import-sender-card', (text) => this.handleImportSenderCard(text));
+        eventBus.subscribe('trust-sender', ({ card, name }) => this.handleTrustSender(card, name));
+        eventBus.subscribe('dismiss-trusted-sender', () => this.setState({ pendingTrustedSender: null }));
+        eventBus.subscribe('remove-trusted-sender', (keyId) => this.handleRemoveTrustedSender(keyId));
         
         // Playback events
         eventBus.subscribe('load-secure-message', () => this.handleLoadSecureMessage());
+        eventBus.subscribe('submit-message-pin', (pin) => this.handleLoadSecureMessage({ pin }));
+        eventBus.subscribe('open-recovery', () => this.handleOpenRecovery());
+        eventBus.subscribe('close-recovery', () => this.handleCloseRecovery());
+        eventBus.subscribe('submit-recovery-code', (request) => this.handleSubmitRecoveryCode(request));
         eventBus.subscribe('toggle-playback', () => this.handleTogglePlayback());
         eventBus.subscribe('close-player', () => this.handleClosePlayer());
         
         // NFC Write events
-        eventBus.subscribe('start-nfc-write', (url) => this.handleStartNfcWrite(url));
+        eventBus.subscribe('start-nfc-write', ({ url, tagSecret, tagSecrets, keptPeebles }) => this.handleStartNfcWrite(url, { tagSecret, tagSecrets, keptPeebles }));
         eventBus.subscribe('stop-nfc-write', () => this.handleStopNfcWrite());
-        eventBus.subscribe('nfc-write-complete', () => this.handleNfcWriteComplete());
+        eventBus.subscribe('nfc-write-complete', (data) => this.handleNfcWriteComplete(data));
+        
+        // Upload outbox events
+        eventBus.subscribe('outbox-changed', (entries) => this.setState({ outboxEntries: entries }));
+        eventBus.subscribe('outbox-upload-complete', (data) => this.handleOutboxUploadComplete(data));
+        eventBus.subscribe('outbox-upload-failed', (data) => this.handleOutboxUploadFailed(data));
+        eventBus.subscribe('retry-pending-upload', (messageId) => this._state.uploadOutbox?.retry(messageId));
+        eventBus.subscribe('write-pending-message', (messageId) => this.handleWritePendingMessage(messageId));
+        eventBus.subscribe('credentials-unlocked', () => this.unpinExpiredMessages());
     }
 
     initializeFromUrl() {
+        const trustParams = URLParser.getTrustSenderParams();
+        if (trustParams) {
+            debugLog('🪪 Trust link found, asking to trust the sender');
+            // The card is in the hash only; drop it so a reload does not offer it again
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+            this.setState({
+                currentStep: 'identity',
+                pendingTrustedSender: trustParams,
+                statusMessage: '🪪 Someone shared their Peeble sender card with you.',
+                statusType: 'info'
+            });
+            return;
+        }
+
         const params = URLParser.getParams();
-        if (params.messageId && params.ipfsHash) {
-            debugLog('🔒 SECURITY: URL parameters found, switching to READER mode');
+        if (params.messageId && params.packageId) {
+            debugLog(`🔒 SECURITY: URL parameters found (${params.objectKey ? 'object key' : 'IPFS hash'}), switching to READER mode`);
+            // ipfsHash holds the package id for every backend; S3 URLs carry it as objectKey
             this.setState({
                 appMode: 'READER',
                 messageId: params.messageId,
-                ipfsHash: params.ipfsHash,
+                ipfsHash: params.packageId,
                 currentStep: 'waiting',
                 statusMessage: '🔒 Waiting for physical Peeble scan...'
             });
-            
-            // Try to restore physical key
-            this.restorePhysicalKey();
+            // Older versions handed the physical key over in sessionStorage
+            sessionStorage.removeItem('peeble-physical-key');
             
             // Check if we can auto-load (in case storage service is already available)
             this.checkAndTriggerAutoLoad();
         }
     }
 
-    restorePhysicalKey() {
-        try {
-            const keyDataStr = sessionStorage.getItem('peeble-physical-key');
-            if (!keyDataStr) {
-                debugLog('🔒 SECURITY: No physical key found in sessionStorage');
-                return;
-            }
-
-            const keyData = JSON.parse(keyDataStr);
-            const age = Date.now() - keyData.timestamp;
-            
-            debugLog(`🔒 SECURITY: Found physical key, age: ${age}ms, serial: ${keyData.serial}`);
-            
-            if (age > 60000) { // Increased to 60 seconds max age
-                debugLog('🔒 SECURITY: Physical key expired (>60s), removing');
-                sessionStorage.removeItem('peeble-physical-key');
-                return;
-            }
-
-            // FIX: More flexible URL matching - compare the core parameters instead of full URLs
-            const storedUrl = new URL(keyData.url);
-            const currentUrl = new URL(window.location.href);
-            const storedParams = new URLSearchParams(storedUrl.hash.substring(1));
-            const currentParams = new URLSearchParams(currentUrl.hash.substring(1));
-            
-            const storedMessageId = storedParams.get('messageId');
-            const storedIpfsHash = storedParams.get('ipfsHash');
-            const currentMessageId = currentParams.get('messageId');
-            const currentIpfsHash = currentParams.get('ipfsHash');
-            
-            if (storedMessageId !== currentMessageId || storedIpfsHash !== currentIpfsHash) {
-                debugLog(`🔒 SECURITY: URL mismatch - stored: ${storedMessageId}/${storedIpfsHash}, current: ${currentMessageId}/${currentIpfsHash}`);
-                sessionStorage.removeItem('peeble-physical-key');
-                return;
-            }
-
-            debugLog(`🔒 SECURITY: Physical key restored successfully: ${keyData.serial}`, 'success');
-            this.setState({
-                tagSerial: keyData.serial,
-                physicalKeyTimestamp: keyData.timestamp
-            });
-            
-            // Check if we can now auto-load
-            this.checkAndTriggerAutoLoad();
-        } catch (error) {
-            debugLog(`🔒 SECURITY: Error restoring physical key: ${error.message}`, 'error');
-            sessionStorage.removeItem('peeble-physical-key');
-        }
-    }
-
     // New method to check if all conditions are met for auto-loading
     checkAndTriggerAutoLoad() {
         const { appMode, tagSerial, messageId, ipfsHash, storageService, currentStep } = this._state;
@@ -165,13 +254,10 @@ class StateManager {
             ipfsHash && 
             storageService && 
             currentStep !== 'loading' && 
-            currentStep !== 'playing') {
+            currentStep !== 'playing' &&
+            currentStep !== 'pin-required') {
             
             debugLog('🔒 AUTO-LOAD: All conditions met - triggering automatic load!', 'success');
-            
-            // Clear the physical key now that we're about to use it
-            sessionStorage.removeItem('peeble-physical-key');
-            
             eventBus.publish('load-secure-message');
         } else {
             debugLog('🔒 AUTO-LOAD: Not ready yet, waiting for missing components...');
@@ -197,8 +283,39 @@ class StateManager {
         
         // PRIORITY 1: Check if we're in NFC write mode (ALWAYS check this first!)
         if (this._state.nfcWriteMode && this._state.writeUrlQueue) {
+            const { writeTagSecrets } = this._state;
+            if (this.isKeptPeeble(data)) {
+                debugLog(`🔒 SECURITY: Tag ${data.serial} still holds the moved message - rewriting its URL with its own key record`);
+                eventBus.publish('nfc-write-url', { url: this._state.writeUrlQueue, serial: data.serial, tagSecret: data.tagSecret });
+                return;
+            }
+            // Each recipient tag gets its own secret, so only the tags the message was made for can be written
+            if (writeTagSecrets && !Object.hasOwn(writeTagSecrets, data.serial)) {
+                debugLog(`🔒 SECURITY: Tag ${data.serial} is not a recipient of this message - not writing`, 'warning');
+                this.setState({
+                    statusMessage: '🔒 This Peeble is not one of the message\'s Peebles, or is already written.',
+                    statusType: 'warning'
+                });
+                return;
+            }
             debugLog(`🔒 SECURITY: In write mode - attempting to write URL to tag with serial: ${data.serial}`);
-            eventBus.publish('nfc-write-url', { url: this._state.writeUrlQueue, serial: data.serial });
+            eventBus.publish('nfc-write-url', {
+                url: this._state.writeUrlQueue,
+                serial: data.serial,
+                tagSecret: writeTagSecrets ? writeTagSecrets[data.serial] : this._state.writeTagSecret
+            });
+            return;
+        }
+        
+        // Moving a message to a new Peeble: the old and new tags are scanned in turn
+        if (this._state.messageTransfer) {
+            this.handleTransferTagScanned(data);
+            return;
+        }
+        
+        // Adding another recipient tag to the message being created
+        if (this._state.addingRecipient) {
+            this.handleRecipientTagScanned(data.serial);
             return;
         }
         
@@ -207,12 +324,9 @@ class StateManager {
             debugLog(`🔒 SECURITY: Tag contains secure Peeble URL - processing with serial: ${data.serial}`);
             
             // Parse the URL to get message parameters
-            let urlObj, params, messageId, ipfsHash;
+            let messageId, ipfsHash;
             try {
-                urlObj = new URL(data.url);
-                params = new URLSearchParams(urlObj.hash.substring(1));
-                messageId = params.get('messageId');
-                ipfsHash = params.get('ipfsHash');
+                ({ messageId, packageId: ipfsHash } = URLParser.getParams(new URL(data.url).hash));
                 debugLog(`🔍 URL PARSING: MessageId=${messageId}, IpfsHash=${ipfsHash}`);
             } catch (error) {
                 debugLog(`❌ URL PARSING ERROR: ${error.message}`, 'error');
@@ -226,15 +340,21 @@ class StateManager {
             if (messageId && ipfsHash) {
                 // Check if we're already on the same message URL
                 const currentParams = URLParser.getParams();
-                debugLog(`🔍 URL COMPARISON: Current MessageId=${currentParams.messageId}, Current Hash=${currentParams.ipfsHash}`);
+                debugLog(`🔍 URL COMPARISON: Current MessageId=${currentParams.messageId}, Current Hash=${currentParams.packageId}`);
+                const isSameMessage = currentParams.messageId === messageId && currentParams.packageId === ipfsHash;
+                // Another message of this app only changes the hash, so the physical key never leaves memory
+                const targetUrl = new URL(data.url);
+                const isThisApp = targetUrl.origin === window.location.origin && targetUrl.pathname === window.location.pathname;
                 
-                if (currentParams.messageId === messageId && currentParams.ipfsHash === ipfsHash) {
-                    debugLog('🔒 SECURITY: Same message URL - using physical key directly', 'success');
+                if (isSameMessage || isThisApp) {
+                    if (!isSameMessage) history.pushState(null, '', data.url);
+                    debugLog('🔒 SECURITY: Message URL of this app - using physical key directly', 'success');
                     debugLog(`🔍 SETTING SERIAL IN STATE: ${data.serial}`, 'info');
                     
                     this.setState({
                         appMode: 'READER',
                         tagSerial: data.serial,  // FIX: Make sure this is actually being set
+                        tagSecret: data.tagSecret || null,
                         messageId: messageId,
                         ipfsHash: ipfsHash,
                         currentStep: 'waiting',
@@ -255,31 +375,11 @@ class StateManager {
                 }
             }
             
-            // Different URL - store for navigation
-            debugLog(`🔒 SECURITY: Different URL detected, storing physical key for navigation`);
-            try {
-                const keyData = {
-                    serial: data.serial,
-                    timestamp: Date.now(),
-                    url: data.url,
-                    messageId: messageId,
-                    ipfsHash: ipfsHash
-                };
-                sessionStorage.setItem('peeble-physical-key', JSON.stringify(keyData));
-                debugLog(`🔒 SECURITY: Physical key stored for navigation - Serial: ${data.serial}, MessageId: ${messageId}`, 'success');
-                
-                // Navigate to the URL (this will trigger a page reload)
-                debugLog('🔒 SECURITY: Navigating to secure message URL');
-                window.location.href = data.url;
-                return;
-            } catch (error) {
-                debugLog(`🔒 SECURITY: Error storing physical key: ${error.message}`, 'error');
-                this.setState({
-                    statusMessage: '🔒 Failed to store physical key',
-                    statusType: 'error'
-                });
-                return;
-            }
+            // Another app's URL: the serial and tag secret are not carried over in web storage,
+            // so the reader taps the Peeble again once that page has loaded
+            debugLog('🔒 SECURITY: Peeble URL of another app - navigating without the physical key');
+            window.location.href = data.url;
+            return;
         }
         
         // PRIORITY 3: Blank tag - only for creation mode if not in write mode
@@ -292,6 +392,7 @@ class StateManager {
         this.setState({
             appMode: 'CREATOR',
             tagSerial: serial,
+            recipientSerials: [],
             currentStep: 'waiting',
             statusMessage: '🔒 Physical key captured. Ready to record.',
             statusType: 'success'
@@ -302,6 +403,48 @@ class StateManager {
         debugLog(`🔍 BLANK TAG STATE VERIFICATION: tagSerial = ${currentState.tagSerial}`, currentState.tagSerial === serial ? 'success' : 'error');
     }
 
+    // Waits for another blank tag that should also open the message being created
+    handleAddRecipientTag() {
+        if (!this._state.tagSerial) return;
+        if (1 + this._state.recipientSerials.length >= MAX_RECIPIENTS) {
+            this.setState({
+                statusMessage: `A message can be shared by at most ${MAX_RECIPIENTS} Peebles.`,
+                statusType: 'warning'
+            });
+            return;
+        }
+        this.setState({
+            addingRecipient: true,
+            statusMessage: '➕ Tap another blank Peeble to add it.',
+            statusType: 'info'
+        });
+    }
+
+    handleRecipientTagScanned(serial) {
+        const { tagSerial, recipientSerials } = this._state;
+        if (serial === tagSerial || recipientSerials.includes(serial)) {
+            this.setState({
+                addingRecipient: false,
+                statusMessage: `This Peeble (${serial}) is already on the message.`,
+                statusType: 'warning'
+            });
+            return;
+        }
+        debugLog(`🔒 SECURITY: Added recipient tag ${serial}`, 'success');
+        this.setState({
+            addingRecipient: false,
+            recipientSerials: [...recipientSerials, serial],
+            statusMessage: `🔒 Peeble ${serial} added. The message will open with any of its ${recipientSerials.length + 2} Peebles.`,
+            statusType: 'success'
+        });
+    }
+
+    handleRemoveRecipientTag(serial) {
+        this.setState({
+            recipientSerials: this._state.recipientSerials.filter(recipientSerial => recipientSerial !== serial)
+        });
+    }
+
     // Recording Event Handlers
     handleStartRecording() {
         if (!this._state.tagSerial) {
@@ -348,7 +491,20 @@ class StateManager {
     }
 
     // Message Creation Event Handlers
-    async handleSaveSecureMessage(transcript) {
+
+    /**
+     * Encrypts, packages and uploads the recorded message.
+     * @param {object} request
+     * @param {string} request.transcript - The edited transcript.
+     * @param {string|null} [request.pin] - Optional PIN the reader must enter after scanning.
+     * @param {boolean} [request.withRecoveryCode] - Also wrap the key with a recovery code, shown once to print.
+     * @param {string|null} [request.unlockAt] - Optional unlock date (ISO) before which the message does not play.
+     * @param {boolean} [request.enforceUnlock] - Also lock the key on the time-lock server until unlockAt.
+     * @param {string|null} [request.expiresAt] - Optional date (ISO) after which the message no longer plays, and is unpinned.
+     * @param {number|null} [request.maxPlays] - Optional number of times each device may play the message.
+     */
+    async handleSaveSecureMessage({ transcript, pin = null, withRecoveryCode = false, unlockAt = null, enforceUnlock = false,
+                                    expiresAt = null, maxPlays = null }) {
         if (!this._state.tagSerial || !this._state.audioBlob || !this._state.storageService) {
             this.setState({
                 statusMessage: 'Missing required data for secure save.',
@@ -357,8 +513,50 @@ class StateManager {
             return;
         }
 
+        if (pin && pin.length < MIN_PIN_LENGTH) {
+            this.setState({
+                statusMessage: `🔢 The PIN needs at least ${MIN_PIN_LENGTH} characters.`,
+                statusType: 'warning'
+            });
+            return;
+        }
+
+        if (unlockAt && !(Date.parse(unlockAt) > Date.now())) {
+            this.setState({
+                statusMessage: '🎁 The unlock date must be in the future.',
+                statusType: 'warning'
+            });
+            return;
+        }
+
+        if (expiresAt && !(Date.parse(expiresAt) > Math.max(Date.now(), unlockAt ? Date.parse(unlockAt) : 0))) {
+            this.setState({
+                statusMessage: unlockAt ? '⌛ The expiry date must be after the unlock date.' : '⌛ The expiry date must be in the future.',
+                statusType: 'warning'
+            });
+            return;
+        }
+
+        if (maxPlays !== null && !(Number.isInteger(maxPlays) && maxPlays >= 1 && maxPlays <= MAX_PLAYS_LIMIT)) {
+            this.setState({
+                statusMessage: `🔥 The number of plays must be between 1 and ${MAX_PLAYS_LIMIT}.`,
+                statusType: 'warning'
+            });
+            return;
+        }
+
+        if (!this._state.storageService.isReadyToUpload()) {
+            this.setState({
+                statusMessage: '🔑 Unlock your storage credentials before saving.',
+                statusType: 'warning'
+            });
+            eventBus.publish('credentials-required');
+            return;
+        }
+
         this.setState({
             isProcessing: true,
+            recoveryAction: null,
             statusMessage: '🔒 Creating secure message package...'
         });
 
@@ -366,42 +564,56 @@ class StateManager {
             const messageId = this.generateMessageId();
             const timestamp = Date.now();
             
-            // Derive encryption key
-            const encryptionKey = await this._state.encryptionService.deriveEncryptionKey(
-                this._state.tagSerial, 
-                timestamp
-            );
-            
-            // Encrypt audio and transcript
-            const audioBuffer = await this._state.audioBlob.arrayBuffer();
-            const encryptedAudio = await this._state.encryptionService.encryptDataToBinary(audioBuffer, encryptionKey);
-            const encryptedTranscript = await this._state.encryptionService.encryptDataToBase64(transcript, encryptionKey);
-            
-            // Create package
-            const messagePackage = {
+            // Each tag gets its own secret for real entropy; secrets go onto the tags only, never into the URL or package
+            const tags = this.createRecipientTags([this._state.tagSerial, ...this._state.recipientSerials]);
+            const tagSecrets = Object.fromEntries(tags.map(({ serial, tagSecret }) => [serial, tagSecret]));
+            const recoveryCode = withRecoveryCode ? { messageId, code: generateRecoveryCode() } : null;
+            const metadata = {
+                duration: this._state.recordingDuration,
+                created: new Date().toISOString(),
+                version: 'secure-v1',
+                pinProtected: !!pin, // The reader asks for the PIN after scanning
+                ...(unlockAt ? { unlockAt } : {}), // The reader sees a countdown until then
+                ...(expiresAt ? { expiresAt } : {}), // Readers refuse to play it afterwards; this device unpins it
+                ...(maxPlays ? { maxPlays } : {}) // Counted per reader device
+            };
+            // The server's share is part of the key, so the message cannot be decrypted before the server releases it
+            const timeLock = unlockAt && enforceUnlock ? await this._state.timeLock.createLock(unlockAt) : null;
+            const { messagePackage, escrowedKey } = await this.encryptMessagePackage({
                 messageId,
                 timestamp,
-                encryptedAudio,
-                encryptedTranscript,
-                metadata: {
-                    duration: this._state.recordingDuration,
-                    created: new Date().toISOString(),
-                    version: 'secure-v1'
-                }
-            };
+                metadata,
+                audioBuffer: await this._state.audioBlob.arrayBuffer(),
+                transcript,
+                tags,
+                pin,
+                recoveryCode: recoveryCode?.code,
+                timeLock
+            });
             
-            // Upload to IPFS
-            const ipfsHash = await this._state.storageService.uploadMessagePackage(messagePackage);
+            const sealedTagSecrets = await this.sealTagSecrets(tagSecrets);
+
+            // Upload through the configured storage backend; queue in the outbox if that fails transiently
+            const packageBytes = await this.signPackage(this._state.storageService.encodeMessagePackage(messagePackage));
+            let ipfsHash;
+            try {
+                ipfsHash = await this._state.storageService.uploadPackageBytes(messageId, packageBytes);
+            } catch (error) {
+                if (!error.retryable || !this._state.uploadOutbox) throw error;
+                await this.queueFailedUpload({ messageId, packageBytes, transcript, timestamp, sealedTagSecrets, escrowedKey, expiresAt, recoveryCode, error });
+                return;
+            }
             
             // Generate secure URL
-            const secureUrl = URLParser.createSecureNfcUrl({ messageId, ipfsHash });
+            const secureUrl = URLParser.createSecureNfcUrl({ messageId, ...this._state.storageService.getPackageUrlParams(ipfsHash) });
             
             // Save local reference
-            this.saveLocalMessageReference({ messageId, ipfsHash, transcript, timestamp });
+            this.saveLocalMessageReference({ messageId, ipfsHash, transcript, timestamp, sealedTagSecrets, escrowedKey, expiresAt });
             
             this.setState({
                 messageId,
                 ipfsHash,
+                recoveryCode,
                 isProcessing: false,
                 currentStep: 'success',
                 statusMessage: '🔒 Message encrypted and secured!',
@@ -410,10 +622,23 @@ class StateManager {
             
             // Start NFC write mode
             debugLog(`🔒 STATE: Message saved successfully, starting NFC write mode with URL: ${secureUrl.substring(0, 50)}...`);
-            eventBus.publish('start-nfc-write', secureUrl);
+            eventBus.publish('start-nfc-write', { url: secureUrl, tagSecrets });
             
         } catch (error) {
             debugLog(`🔒 SECURITY: Save failed: ${error.message}`, 'error');
+            if (error instanceof StorageError) {
+                const recovery = this.getStorageRecovery(error, { label: '🔄 Try again', event: 'save-secure-message', payload: {
+                    transcript, pin, withRecoveryCode, unlockAt, enforceUnlock, expiresAt, maxPlays
+                } });
+                this.setState({
+                    isProcessing: false,
+                    errorMessage: error.message,
+                    recoveryAction: recovery.action,
+                    statusMessage: recovery.message,
+                    statusType: 'error'
+                });
+                return;
+            }
             this.setState({
                 isProcessing: false,
                 statusMessage: `Save failed: ${error.message}`,
@@ -422,140 +647,1335 @@ class StateManager {
         }
     }
 
-    // Message Loading Event Handler
-    async handleLoadSecureMessage() {
-        const { tagSerial, messageId, ipfsHash, storageService, encryptionService } = this._state;
-        
-        debugLog(`🔍 LOAD MESSAGE: Starting with serial=${tagSerial}, messageId=${messageId}, hash=${ipfsHash}, storage=${!!storageService}`);
-        
-        if (!tagSerial || !messageId || !ipfsHash || !storageService) {
-            debugLog('🔒 SECURITY: Missing parameters for secure load', 'warning');
-            debugLog(`🔒 PARAMS: Serial=${!!tagSerial}, MessageId=${!!messageId}, Hash=${!!ipfsHash}, Storage=${!!storageService}`);
-            
-            // FIX: Show more specific error message
-            let missingParams = [];
-            if (!tagSerial) missingParams.push('Physical Key');
-            if (!messageId) missingParams.push('Message ID');
-            if (!ipfsHash) missingParams.push('IPFS Hash');
-            if (!storageService) missingParams.push('Storage Service');
-            
-            this.setState({
-                statusMessage: `🔒 Missing: ${missingParams.join(', ')}`,
-                statusType: 'warning'
-            });
-            return;
-        }
+    /**
+     * Pairs each recipient tag serial with a fresh tag secret.
+     * @param {string[]} serials
+     * @returns {Array<{serial: string, tagSecret: string}>}
+     */
+    createRecipientTags(serials) {
+        return serials.map(serial => ({ serial, tagSecret: this._state.encryptionService.generateTagSecret() }));
+    }
 
-        this.setState({
-            currentStep: 'loading',
-            statusMessage: '🔒 Downloading and decrypting message...',
-            statusType: 'info'
+    /**
+     * Encrypts a message for its recipient tags with the current crypto parameters: creates a content key
+     * wrapped for every tag (and escrowed on this device when possible), fixes the package header, then
+     * encrypts each section with the header as additional data.
+     * @param {object} message
+     * @param {string} message.messageId
+     * @param {number} message.timestamp
+     * @param {object} message.metadata - Package metadata.
+     * @param {ArrayBuffer} message.audioBuffer - The recording.
+     * @param {string} message.transcript
+     * @param {Array<{serial: string, tagSecret: string}>} message.tags - From createRecipientTags.
+     * @param {string|null} message.pin
+     * @param {string|null} [message.recoveryCode] - From generateRecoveryCode, to also wrap the content key with.
+     * @param {object|null} [message.timeLock] - From TimeLockService.createLock.
+     * @param {{key: CryptoKey, cryptoHeader: object}|null} [message.messageKey] - From transferMessageKey, to keep the
+     *   message's content key; tags, pin, recoveryCode and timeLock are then ignored.
+     * @returns {Promise<{messagePackage: object, escrowedKey: string|null}>} The package to encode, and the escrowed content key
+     *   (null when messageKey is given: the existing escrowed key still applies).
+     */
+    async encryptMessagePackage({ messageId, timestamp, metadata, audioBuffer, transcript, tags, pin, recoveryCode = null, timeLock = null, messageKey = null }) {
+        const { encryptionService, storageService } = this._state;
+
+        this.reportProgressStage('deriving-key');
+        const { key, cryptoHeader, escrowedKey = null } = messageKey || await encryptionService.createMessageKey(tags, timestamp, {
+            pin,
+            escrowKey: await this.getEscrowKey(),
+            recoveryCode,
+            timeLock
         });
+        const headerBytes = encodePackageHeader({ messageId, timestamp, metadata, crypto: cryptoHeader });
+
+        // Encrypt audio (in chunks, see cipher.chunkSize) and transcript
+        this.reportProgressStage('encrypting');
+        const encryptedAudio = await encryptionService.encryptDataToChunks(
+            audioBuffer, key, cryptoHeader.cipher,
+            createAdditionalData(headerBytes, SECTION_TYPES.ENCRYPTED_AUDIO),
+            { onProgress: storageService.createProgressReporter('encrypting') }
+        );
+        const encryptedTranscript = await encryptionService.encryptDataToBase64(
+            transcript, key, cryptoHeader.cipher,
+            createAdditionalData(headerBytes, SECTION_TYPES.ENCRYPTED_TRANSCRIPT)
+        );
+
+        return {
+            messagePackage: {
+                messageId,
+                timestamp,
+                encryptedAudio,
+                encryptedTranscript,
+                metadata,
+                crypto: cryptoHeader
+            },
+            escrowedKey
+        };
+    }
 
+    // Escrow is best effort: without it, moving a message to a new Peeble needs the old one
+    async getEscrowKey() {
+        const { keyEscrow } = this._state;
+        if (!keyEscrow) return null;
         try {
-            // Download package
-            debugLog(`🔍 DOWNLOADING: Using serial ${tagSerial} to decrypt message ${messageId}`);
-            const messagePackage = await storageService.downloadMessagePackage(ipfsHash);
-            
-            // Verify message ID
-            if (messagePackage.messageId !== messageId) {
-                throw new Error('Message ID mismatch');
-            }
-            
-            // Derive decryption key
-            const decryptionKey = await encryptionService.deriveEncryptionKey(tagSerial, messagePackage.timestamp);
-            
-            // Decrypt audio
-            const decryptedAudio = await encryptionService.decryptFromBinary(messagePackage.encryptedAudio, decryptionKey);
-            const audioBlob = new Blob([decryptedAudio], { type: 'audio/webm' });
-            const audioUrl = URL.createObjectURL(audioBlob);
-            
-            // Decrypt transcript
-            let decryptedTranscript = 'Transcript not available.';
-            if (messagePackage.encryptedTranscript) {
-                try {
-                    decryptedTranscript = await encryptionService.decryptFromBase64(messagePackage.encryptedTranscript, decryptionKey);
-                } catch (error) {
-                    debugLog(`Transcript decryption failed: ${error.message}`, 'warning');
-                }
-            }
-            
-            this.setState({
-                messagePackage,
-                decryptedAudio,
-                decryptedTranscript,
-                audioUrl,
-                currentStep: 'playing',
-                statusMessage: '🔒 Message decrypted successfully!',
-                statusType: 'success'
-            });
-            
-            // Auto-play
-            eventBus.publish('auto-play-audio');
-            
+            return await keyEscrow.getEscrowKey();
         } catch (error) {
-            debugLog(`🔒 SECURITY: Load failed: ${error.message}`, 'error');
-            this.setState({
-                currentStep: 'error',
-                errorMessage: error.message,
-                statusMessage: '🔒 Decryption failed. Wrong physical key?',
-                statusType: 'error'
-            });
+            debugLog(`🗝️ Key escrow unavailable, saving without it: ${error.message}`, 'warning');
+            return null;
         }
     }
 
-    // Playback Event Handlers
-    handleTogglePlayback() {
-        eventBus.publish('audio-toggle-playback');
+    /**
+     * Seals tag secrets with this device's escrow key for the local history, which keeps them
+     * until each tag is written (possibly after a reload) but never as plain text.
+     * @param {Object<string, string>} tagSecrets - Serial -> tag secret.
+     * @returns {Promise<Object<string, string>|null>} Serial -> sealed secret, or null without an escrow key.
+     */
+    async sealTagSecrets(tagSecrets) {
+        const escrowKey = await this.getEscrowKey();
+        if (!escrowKey) {
+            debugLog('🗝️ Tag secrets not kept: Peebles left unwritten cannot be written after a reload', 'warning');
+            return null;
+        }
+        const { encryptionService } = this._state;
+        return Object.fromEntries(await Promise.all(Object.entries(tagSecrets).map(async ([serial, tagSecret]) => (
+            [serial, await encryptionService.encryptDataToBase64(tagSecret, escrowKey)]
+        ))));
     }
 
-    handleClosePlayer() {
-        // Clean up audio resources
-        if (this._state.audioUrl) {
-            URL.revokeObjectURL(this._state.audioUrl);
+    /**
+     * Opens the tag secrets sealed in a local history entry (see sealTagSecrets).
+     * @param {object} reference - The local history entry.
+     * @returns {Promise<{tagSecret: string|null, tagSecrets: Object<string, string>|null}>}
+     *          Entries from before multi-recipient messages have a single tagSecret, for any tag.
+     */
+    async openTagSecrets({ sealedTagSecret = null, sealedTagSecrets = null, tagSecret = null, tagSecrets = null }) {
+        // Plain text secrets are only left from older versions on devices without a key escrow
+        if (!sealedTagSecret && !sealedTagSecrets) return { tagSecret, tagSecrets };
+        const escrowKey = await this.getEscrowKey();
+        if (!escrowKey) throw new Error('This device\'s key escrow is unavailable, so its Peeble secrets cannot be opened.');
+
+        const { encryptionService } = this._state;
+        const open = (sealed) => encryptionService.decryptFromBase64(sealed, escrowKey);
+        return {
+            tagSecret: sealedTagSecret ? await open(sealedTagSecret) : null,
+            tagSecrets: sealedTagSecrets
+                ? Object.fromEntries(await Promise.all(Object.entries(sealedTagSecrets).map(async ([serial, sealed]) => [serial, await open(sealed)])))
+                : null
+        };
+    }
+
+    // Older versions kept tag secrets in the local history as plain text; seal them in place
+    async sealPlainTagSecrets() {
+        const plain = this.getLocalMessageReferences().filter(message => message.tagSecret || message.tagSecrets);
+        if (plain.length === 0) return;
+        const escrowKey = await this.getEscrowKey();
+        if (!escrowKey) return;
+
+        const seal = (tagSecret) => this._state.encryptionService.encryptDataToBase64(tagSecret, escrowKey);
+        for (const { messageId, tagSecret, tagSecrets } of plain) {
+            this.updateLocalMessageReference(messageId, {
+                tagSecret: undefined,
+                tagSecrets: undefined,
+                sealedTagSecret: tagSecret ? await seal(tagSecret) : undefined,
+                sealedTagSecrets: tagSecrets ? await this.sealTagSecrets(tagSecrets) : undefined
+            });
         }
-        
-        // Clear any remaining physical key
-        sessionStorage.removeItem('peeble-physical-key');
-        
-        this.setState({
-            appMode: 'CREATOR',
-            tagSerial: null,
-            messageId: null,
-            ipfsHash: null,
-            messagePackage: null,
-            decryptedAudio: null,
-            decryptedTranscript: '',
-            audioUrl: null,
-            currentStep: 'waiting',
-            statusMessage: 'Ready to create a new secure message.'
-        });
+        debugLog(`🗝️ Sealed the Peeble secrets of ${plain.length} saved message(s)`, 'success');
     }
 
-    // NFC Write Event Handlers
-    handleStartNfcWrite(url) {
-        debugLog(`🔒 STATE: Starting NFC write mode with URL: ${url.substring(0, 50)}...`);
-        this.setState({
-            nfcWriteMode: true,
-            writeUrlQueue: url,
-            statusMessage: '🔒 Ready to write. Tap a blank Peeble.'
-        });
+    /**
+     * Returns the additional data a section was encrypted with: packages with cipher.aad authenticate
+     * their header, so any edit to it fails decryption.
+     */
+    getSectionAdditionalData(messagePackage, cryptoHeader, sectionType) {
+        return cryptoHeader.cipher.aad ? createAdditionalData(messagePackage.headerBytes, sectionType) : null;
     }
 
-    handleStopNfcWrite() {
-        debugLog('🔒 STATE: Stopping NFC write mode');
-        this.setState({
-            nfcWriteMode: false,
-            writeUrlQueue: null
-        });
+    /**
+     * Decrypts a downloaded package's audio section.
+     * @returns {Promise<ArrayBuffer>}
+     */
+    async decryptMessageAudio(messagePackage, key, cryptoHeader) {
+        const { encryptionService, storageService } = this._state;
+        const additionalData = this.getSectionAdditionalData(messagePackage, cryptoHeader, SECTION_TYPES.ENCRYPTED_AUDIO);
+        this.reportProgressStage('decrypting');
+        return cryptoHeader.cipher.chunkSize
+            ? encryptionService.decryptFromChunks(
+                messagePackage.encryptedAudio, key, cryptoHeader.cipher, additionalData,
+                { onProgress: storageService.createProgressReporter('decrypting') }
+            )
+            : encryptionService.decryptFromBinary(messagePackage.encryptedAudio, key, cryptoHeader.cipher, additionalData);
     }
 
-    handleNfcWriteComplete() {
-        debugLog('🔒 STATE: NFC write completed successfully');
-        this.setState({
-            nfcWriteMode: false,
-            writeUrlQueue: null,
-            statusMessage: '🔒 Secure Peeble created! Safe to share.',
+    /**
+     * Decrypts a downloaded package's transcript; a missing or unreadable transcript is not fatal.
+     * @returns {Promise<string>}
+     */
+    async decryptMessageTranscript(messagePackage, key, cryptoHeader) {
+        if (!messagePackage.encryptedTranscript) return 'Transcript not available.';
+        try {
+            return await this._state.encryptionService.decryptFromBase64(
+                messagePackage.encryptedTranscript, key, cryptoHeader.cipher,
+                this.getSectionAdditionalData(messagePackage, cryptoHeader, SECTION_TYPES.ENCRYPTED_TRANSCRIPT)
+            );
+        } catch (error) {
+            debugLog(`Transcript decryption failed: ${error.message}`, 'warning');
+            return 'Transcript not available.';
+        }
+    }
+
+    /**
+     * Signs an encoded package with this device's sender identity. Signing is best effort:
+     * without an identity the package is saved unsigned and readers see "Unsigned".
+     * @param {Uint8Array} packageBytes
+     * @returns {Promise<Uint8Array>}
+     */
+    async signPackage(packageBytes) {
+        const { senderIdentity } = this._state;
+        if (!senderIdentity) return packageBytes;
+        try {
+            return await senderIdentity.signPackage(packageBytes);
+        } catch (error) {
+            debugLog(`🪪 Could not sign the package, saving it unsigned: ${error.message}`, 'warning');
+            return packageBytes;
+        }
+    }
+
+    async queueFailedUpload({ messageId, packageBytes, transcript, timestamp, sealedTagSecrets, escrowedKey, expiresAt = null, recoveryCode = null, error }) {
+        debugLog(`📤 STATE: Upload failed (${error.message}), queueing ${messageId} in the outbox`, 'warning');
+        await this._state.uploadOutbox.enqueue(messageId, packageBytes, error);
+
+        this.saveLocalMessageReference({ messageId, ipfsHash: null, transcript, timestamp, sealedTagSecrets, escrowedKey, expiresAt, status: 'pending-upload' });
+
+        this.setState({
+            messageId,
+            ipfsHash: null,
+            recoveryCode,
+            isProcessing: false,
+            currentStep: 'pending',
+            statusMessage: '⏳ Saved on this device. It will upload automatically when the connection is back.',
+            statusType: 'warning'
+        });
+    }
+
+    // A queued upload finished: record the CID, then write the tag if the creator is idle
+    handleOutboxUploadComplete({ messageId, ipfsHash }) {
+        this.updateLocalMessageReference(messageId, { ipfsHash, status: 'awaiting-nfc-write' });
+
+        const { appMode, currentStep, nfcWriteMode } = this._state;
+        const isIdle = appMode === 'CREATOR' && !nfcWriteMode && (currentStep === 'waiting' || currentStep === 'pending');
+        if (isIdle) {
+            this.handleWritePendingMessage(messageId);
+        } else {
+            this.setState({
+                statusMessage: `📤 Message ${messageId} uploaded. Write it to its Peeble from the pending list.`,
+                statusType: 'info'
+            });
+        }
+    }
+
+    // A queued upload failed in a way retrying cannot fix; it stays queued until the user retries it
+    handleOutboxUploadFailed({ messageId, message }) {
+        this.setState({
+            statusMessage: `Upload of ${messageId} failed: ${message}. Fix the storage settings, then try again from the pending list.`,
+            statusType: 'error'
+        });
+    }
+
+    /**
+     * Whether a tag scanned in write mode is one of a moved message's other Peebles: it holds the message's
+     * old URL and the key record its recipient entry was made with, so only the URL needs writing again.
+     * The lost Peeble is refused, although its entry is gone and it would open nothing anyway.
+     */
+    isKeptPeeble({ serial, url, tagSecret }) {
+        const { writeKeptPeebles, writeTagSecrets, writeUrlQueue, messageId } = this._state;
+        if (!writeKeptPeebles?.count || !tagSecret || !url || url === writeUrlQueue) return false;
+        if (serial === writeKeptPeebles.lostSerial || Object.hasOwn(writeTagSecrets || {}, serial)) return false;
+        if (!this.isSecurePeebleUrl(url)) return false;
+        return URLParser.getParams(new URL(url).hash).messageId === messageId;
+    }
+
+    /**
+     * Starts the deferred NFC write for a message whose upload has completed.
+     * @param {string} messageId - The message identifier.
+     * @param {object} [secrets] - The tag secrets, if still in memory; otherwise they are opened from the local history.
+     */
+    async handleWritePendingMessage(messageId, secrets = null) {
+        const reference = this.getLocalMessageReferences().find(message => message.messageId === messageId);
+        if (!reference || !reference.ipfsHash) {
+            debugLog(`📤 STATE: Cannot write ${messageId} yet - no CID`, 'warning');
+            return;
+        }
+
+        let tagSecret, tagSecrets;
+        try {
+            ({ tagSecret = null, tagSecrets = null } = secrets || await this.openTagSecrets(reference));
+        } catch (error) {
+            debugLog(`📤 STATE: Cannot open the Peeble secrets of ${messageId}: ${error.message}`, 'error');
+            this.setState({
+                statusMessage: `Cannot write ${messageId}: its Peeble secrets could not be opened on this device.`,
+                statusType: 'error'
+            });
+            return;
+        }
+
+        const secureUrl = URLParser.createSecureNfcUrl({
+            messageId,
+            ...this._state.storageService.getPackageUrlParams(reference.ipfsHash)
+        });
+        this.setState({
+            appMode: 'CREATOR',
+            messageId,
+            ipfsHash: reference.ipfsHash,
+            currentStep: 'success',
+            statusMessage: `📤 Message ${messageId} uploaded! Tap its Peeble to write the secure URL.`,
+            statusType: 'success'
+        });
+        // Entries saved before multi-recipient messages have a single secret for whichever tag is tapped
+        eventBus.publish('start-nfc-write', {
+            url: secureUrl,
+            tagSecret,
+            tagSecrets,
+            keptPeebles: reference.keptPeebles || null
+        });
+    }
+
+    // Downloads every message in the local history into the offline cache
+    async handlePrecacheMessages() {
+        const { storageService } = this._state;
+        if (!storageService) {
+            this.setState({
+                statusMessage: 'Storage is not configured yet.',
+                statusType: 'warning'
+            });
+            return;
+        }
+
+        const ipfsHashes = this.getLocalMessageReferences()
+            .filter(message => message.status !== 'deleted')
+            .map(message => message.ipfsHash)
+            .filter(Boolean);
+        if (ipfsHashes.length === 0) {
+            this.setState({
+                statusMessage: 'No saved Peebles to make available offline.',
+                statusType: 'info'
+            });
+            return;
+        }
+
+        this.setState({
+            statusMessage: `📥 Saving ${ipfsHashes.length} Peebles for offline use...`,
+            statusType: 'info'
+        });
+
+        try {
+            const { cached, failed } = await storageService.precachePackages(ipfsHashes);
+            this.setState({
+                statusMessage: failed.length
+                    ? `📥 ${cached} of ${ipfsHashes.length} Peebles available offline (${failed.length} could not be downloaded).`
+                    : `📥 All ${cached} Peebles available offline.`,
+                statusType: failed.length ? 'warning' : 'success'
+            });
+        } catch (error) {
+            debugLog(`Pre-cache failed: ${error.message}`, 'error');
+            this.setState({
+                statusMessage: `Offline save failed: ${error.message}`,
+                statusType: 'error'
+            });
+        }
+    }
+
+    // Message Management Event Handlers
+    async handleOpenMessageManager() {
+        const { storageService } = this._state;
+
+        this.setState({
+            currentStep: 'manage',
+            managedMessages: this.getManagedMessages(null),
+            recoveryAction: null,
+            statusMessage: '🗂️ Checking which messages are still stored...',
+            statusType: 'info'
+        });
+
+        if (!storageService || !storageService.isReadyToUpload()) {
+            this.setState({
+                statusMessage: '🔑 Unlock your storage credentials to manage stored messages.',
+                statusType: 'warning'
+            });
+            eventBus.publish('credentials-required');
+            return;
+        }
+
+        if (!storageService.canListPackages()) {
+            this.setState({
+                statusMessage: `🗂️ The '${storageService.backend.name}' backend cannot list stored messages; showing this device's history.`,
+                statusType: 'info'
+            });
+            return;
+        }
+
+        try {
+            await this.unpinExpiredMessages();
+            const storedPackages = await storageService.listMessagePackages();
+            const managedMessages = this.getManagedMessages(new Set(storedPackages.map(stored => stored.id)));
+            const untracked = storedPackages.length - managedMessages.filter(message => message.stored).length;
+            this.setState({
+                managedMessages,
+                statusMessage: `🗂️ ${storedPackages.length} messages stored` +
+                    (untracked > 0 ? ` (${untracked} created on other devices).` : '.'),
+                statusType: 'info'
+            });
+        } catch (error) {
+            debugLog(`Listing stored messages failed: ${error.message}`, 'error');
+            const recovery = this.getStorageRecovery(error, { label: '🔄 Try again', event: 'open-message-manager' });
+            this.setState({
+                recoveryAction: recovery.action,
+                statusMessage: recovery.message,
+                statusType: 'error'
+            });
+        }
+    }
+
+    handleCloseMessageManager() {
+        this.setState({
+            currentStep: 'waiting',
+            managedMessages: [],
+            recoveryAction: null,
+            statusMessage: 'Ready to create a new secure message.',
+            statusType: 'info'
+        });
+    }
+
+    async handleOpenSenderIdentity() {
+        const { senderIdentity } = this._state;
+        this.setState({ currentStep: 'identity', recoveryAction: null });
+        if (!senderIdentity) {
+            this.setState({ statusMessage: '🪪 Loading sender identity...', statusType: 'info' });
+            return;
+        }
+
+        try {
+            await this.refreshSenderIdentity();
+            this.setState({
+                statusMessage: this._state.pendingTrustedSender
+                    ? '🪪 Someone shared their Peeble sender card with you.'
+                    : '🪪 Share your card so readers can verify your messages.',
+                statusType: 'info'
+            });
+        } catch (error) {
+            debugLog(`Loading sender identity failed: ${error.message}`, 'error');
+            this.setState({ statusMessage: `🪪 Sender identity unavailable: ${error.message}`, statusType: 'error' });
+        }
+    }
+
+    async refreshSenderIdentity() {
+        const { senderIdentity } = this._state;
+        const identity = await senderIdentity.getIdentity();
+        const card = await senderIdentity.getSenderCard();
+        this.setState({
+            senderIdentityInfo: {
+                keyId: identity.keyId,
+                fingerprint: senderIdentity.formatFingerprint(identity.keyId),
+                name: identity.name,
+                trustUrl: URLParser.createTrustSenderUrl(card),
+                card
+            },
+            trustedSenders: (await senderIdentity.listTrustedSenders()).map(sender => ({
+                ...sender,
+                fingerprint: senderIdentity.formatFingerprint(sender.keyId)
+            }))
+        });
+    }
+
+    handleCloseSenderIdentity() {
+        this.setState({
+            currentStep: 'waiting',
+            pendingTrustedSender: null,
+            statusMessage: 'Ready to create a new secure message.',
+            statusType: 'info'
+        });
+    }
+
+    async handleSaveSenderName(name) {
+        try {
+            await this._state.senderIdentity.setName(name);
+            await this.refreshSenderIdentity();
+            this.setState({ statusMessage: '🪪 Sender name saved. Share your card again so readers see it.', statusType: 'success' });
+        } catch (error) {
+            this.setState({ statusMessage: `Could not save the name: ${error.message}`, statusType: 'error' });
+        }
+    }
+
+    async handleImportSenderCard(text) {
+        try {
+            const sender = await this._state.senderIdentity.parseSenderCard(text);
+            this.setState({
+                pendingTrustedSender: { publicKey: sender.publicKey, name: sender.name },
+                statusMessage: `🪪 Check the fingerprint with the sender before trusting: ${this._state.senderIdentity.formatFingerprint(sender.keyId)}`,
+                statusType: 'info'
+            });
+        } catch (error) {
+            this.setState({ statusMessage: `🪪 ${error.message}`, statusType: 'error' });
+        }
+    }
+
+    async handleTrustSender(card, name) {
+        const { senderIdentity } = this._state;
+        try {
+            const trusted = await senderIdentity.trustSender({
+                type: SENDER_CARD_TYPE,
+                version: SENDER_CARD_VERSION,
+                ...card
+            }, name);
+            await this.refreshSenderIdentity();
+            this.setState({
+                pendingTrustedSender: null,
+                statusMessage: `🪪 Messages from ${trusted.name} will now show as verified.`,
+                statusType: 'success'
+            });
+        } catch (error) {
+            this.setState({ statusMessage: `🪪 ${error.message}`, statusType: 'error' });
+        }
+    }
+
+    async handleRemoveTrustedSender(keyId) {
+        try {
+            await this._state.senderIdentity.removeTrustedSender(keyId);
+            await this.refreshSenderIdentity();
+            this.setState({ statusMessage: '🪪 Sender removed.', statusType: 'info' });
+        } catch (error) {
+            this.setState({ statusMessage: `Could not remove the sender: ${error.message}`, statusType: 'error' });
+        }
+    }
+
+    // Moving a message to a new Peeble: read the old tag (or use the escrowed key), scan the new tag, then re-encrypt
+    handleStartMessageTransfer(messageId) {
+        const reference = this.getLocalMessageReferences().find(message => message.messageId === messageId);
+        if (!reference || !reference.ipfsHash) {
+            debugLog(`🔁 No stored package for ${messageId}`, 'warning');
+            return;
+        }
+
+        this.setState({
+            currentStep: 'transfer',
+            messageTransfer: {
+                messageId,
+                stage: 'old-tag',
+                canUseEscrow: !!reference.escrowedKey && !!this._state.keyEscrow,
+                oldTag: null,
+                newSerial: null,
+                lostPeebles: 0 // Other Peebles that stop working, once the user has been asked to accept that
+            },
+            recoveryAction: null,
+            statusMessage: '🔁 Tap the old Peeble of this message.',
+            statusType: 'info'
+        });
+    }
+
+    handleUseEscrowedKey() {
+        const { messageTransfer } = this._state;
+        if (!messageTransfer?.canUseEscrow) return;
+        this.setState({
+            messageTransfer: { ...messageTransfer, stage: messageTransfer.newSerial ? 'ready' : 'new-tag', oldTag: null },
+            statusMessage: '🔁 Using the key saved on this device. Now tap the new Peeble.',
+            statusType: 'info'
+        });
+    }
+
+    handleTransferTagScanned({ serial, url, tagSecret }) {
+        const { messageTransfer } = this._state;
+
+        if (messageTransfer.stage === 'old-tag') {
+            const { messageId } = url && this.isSecurePeebleUrl(url) ? URLParser.getParams(new URL(url).hash) : {};
+            if (messageId !== messageTransfer.messageId) {
+                this.setState({
+                    statusMessage: '🔁 This Peeble does not hold this message. Tap its old Peeble.',
+                    statusType: 'warning'
+                });
+                return;
+            }
+            debugLog(`🔁 Old Peeble ${serial} read for ${messageId}`, 'success');
+            this.setState({
+                messageTransfer: { ...messageTransfer, stage: 'new-tag', oldTag: { serial, tagSecret: tagSecret || null } },
+                statusMessage: '🔁 Old Peeble read. Now tap the new Peeble.',
+                statusType: 'success'
+            });
+            return;
+        }
+
+        if (serial === messageTransfer.oldTag?.serial) {
+            this.setState({ statusMessage: '🔁 That is the old Peeble. Tap the new one.', statusType: 'warning' });
+            return;
+        }
+        debugLog(`🔁 New Peeble ${serial} for ${messageTransfer.messageId}`, 'success');
+        this.setState({
+            messageTransfer: { ...messageTransfer, stage: 'ready', newSerial: serial },
+            statusMessage: `🔁 New Peeble ${serial} ready. Confirm to move the message.`,
+            statusType: 'success'
+        });
+    }
+
+    /**
+     * Re-encrypts a message for the new Peeble: decrypts it with the old tag or the escrowed key, wraps
+     * its content key for the new tag in place of the old one, uploads the new package, deletes the old
+     * one (so the lost Peeble can no longer download it) and starts writing the new tag. Readers that already
+     * played the message keep the old package in their PackageCache, and the lost Peeble still plays it there. The message's other Peebles
+     * (once rewritten with the new URL) and time lock keep working. The printed recovery card holds the old
+     * URL, so a message with a recovery code gets a new one, shown once like at creation. With the escrowed key the lost Peeble's entry cannot be
+     * told apart from the others, so when there are others the user must first accept that they stop working.
+     * @param {object} [request]
+     * @param {string|null} [request.pin=null] - The message's PIN; it stays the same on the new Peeble.
+     * @param {boolean} [request.acceptLosses=false] - The user accepted that the message's other Peebles stop working.
+     */
+    async handleConfirmMessageTransfer({ pin = null, acceptLosses = false } = {}) {
+        const { messageTransfer, storageService, encryptionService, keyEscrow } = this._state;
+        if (!messageTransfer || messageTransfer.stage !== 'ready' || this._state.isProcessing) return;
+
+        if (!storageService.isReadyToUpload()) {
+            this.setState({
+                statusMessage: '🔑 Unlock your storage credentials before moving the message.',
+                statusType: 'warning'
+            });
+            eventBus.publish('credentials-required');
+            return;
+        }
+
+        const { messageId, oldTag, newSerial } = messageTransfer;
+        const reference = this.getLocalMessageReferences().find(message => message.messageId === messageId);
+        this.setState({
+            isProcessing: true,
+            recoveryAction: null,
+            statusMessage: '🔁 Downloading the message...',
+            statusType: 'info'
+        });
+
+        try {
+            const oldPackage = await storageService.downloadMessagePackage(reference.ipfsHash);
+            if (oldPackage.messageId !== messageId) {
+                throw new Error('Message ID mismatch');
+            }
+            if (oldPackage.metadata?.pinProtected && !pin) {
+                this.setState({
+                    isProcessing: false,
+                    statusMessage: '🔢 This message has a PIN. Enter it to move the message.',
+                    statusType: 'warning'
+                });
+                return;
+            }
+
+            const cryptoHeader = encryptionService.resolveCryptoHeader(oldPackage.crypto);
+            const otherPeebles = (cryptoHeader.recipients?.length || 1) - 1;
+            if (!oldTag && otherPeebles > 0 && !acceptLosses) {
+                this.setState({
+                    isProcessing: false,
+                    messageTransfer: { ...messageTransfer, lostPeebles: otherPeebles },
+                    statusMessage: `🔁 This message is also on ${otherPeebles} other Peeble(s). Without the old Peeble, they will stop playing it.`,
+                    statusType: 'warning'
+                });
+                return;
+            }
+
+            this.reportProgressStage('deriving-key');
+            // An enforced time lock binds this device too, and the new package keeps it
+            const timeLockShare = cryptoHeader.timeLock ? await this._state.timeLock.releaseShare(cryptoHeader.timeLock) : null;
+            const escrowKey = oldTag ? null : await keyEscrow.getEscrowKey();
+
+            // Same message id, timestamp and content key; only the new Peeble's entry is new. Packages
+            // from before recipient entries had a single Peeble and no recovery code, so they get fresh keys
+            const tags = this.createRecipientTags([newSerial]);
+            const newTagSecrets = { [newSerial]: tags[0].tagSecret };
+            const recoveryCode = cryptoHeader.recovery ? { messageId, code: generateRecoveryCode() } : null;
+            const messageKey = cryptoHeader.recipients
+                ? await encryptionService.transferMessageKey(cryptoHeader, oldPackage.timestamp, tags[0], {
+                    oldTag,
+                    escrowedKey: reference.escrowedKey,
+                    escrowKey,
+                    pin,
+                    timeLockShare,
+                    recoveryCode: recoveryCode?.code
+                })
+                : null;
+            let oldKey = messageKey?.key;
+            if (!oldKey) {
+                oldKey = oldTag
+                    ? await encryptionService.deriveMessageKey(oldTag.serial, oldPackage.timestamp, cryptoHeader, { tagSecret: oldTag.tagSecret, pin, timeLockShare })
+                    : await encryptionService.unwrapEscrowedKey(reference.escrowedKey, escrowKey, { cryptoHeader, timeLockShare });
+            }
+            const audioBuffer = await this.decryptMessageAudio(oldPackage, oldKey, cryptoHeader);
+            const transcript = await this.decryptMessageTranscript(oldPackage, oldKey, cryptoHeader);
+
+            const { messagePackage, escrowedKey } = await this.encryptMessagePackage({
+                messageId,
+                timestamp: oldPackage.timestamp,
+                metadata: {
+                    ...oldPackage.metadata,
+                    pinProtected: messageKey ? !!messageKey.cryptoHeader.kdf.pin : !!pin,
+                    transferred: new Date().toISOString()
+                },
+                audioBuffer,
+                transcript,
+                tags,
+                pin,
+                messageKey
+            });
+            const packageBytes = await this.signPackage(storageService.encodeMessagePackage(messagePackage));
+            const ipfsHash = await storageService.uploadPackageBytes(messageId, packageBytes);
+
+            // A kept content key keeps its escrowed key; fresh keys replace it (or drop it)
+            this.updateLocalMessageReference(messageId, {
+                ipfsHash,
+                status: 'awaiting-nfc-write',
+                tagSecrets: undefined,
+                sealedTagSecrets: await this.sealTagSecrets(newTagSecrets) || undefined,
+                // Its other Peebles still hold the old URL; they are written again with the key record they carry
+                keptPeebles: messageKey?.keptRecipients ? { count: messageKey.keptRecipients, lostSerial: oldTag.serial } : undefined,
+                escrowedKey: messageKey ? reference.escrowedKey : escrowedKey || undefined,
+                transferred: new Date().toISOString()
+            });
+            debugLog(`🔁 ${messageId} moved to Peeble ${newSerial} (package ${ipfsHash}), keeping ${messageKey?.keptRecipients || 0} other Peeble(s)`, 'success');
+
+            // Without the old package, the lost Peeble only plays on readers that cached it. Best effort: the new package is already safe.
+            // Backends name packages by content, but never delete the package just uploaded if one does not
+            if (ipfsHash === reference.ipfsHash) {
+                debugLog(`🔁 The backend kept the package id ${ipfsHash}; not deleting it`, 'warning');
+            } else {
+                try {
+                    await storageService.deleteMessagePackage(reference.ipfsHash);
+                } catch (error) {
+                    debugLog(`🔁 Could not delete the old package ${reference.ipfsHash}: ${error.message}`, 'warning');
+                }
+            }
+
+            this.setState({ isProcessing: false, messageTransfer: null, recoveryCode });
+            await this.handleWritePendingMessage(messageId, { tagSecrets: newTagSecrets });
+        } catch (error) {
+            debugLog(`🔁 Moving ${messageId} failed: ${error.message}`, 'error');
+            if (error instanceof StorageError) {
+                const recovery = this.getStorageRecovery(error, { label: '🔄 Try again', event: 'confirm-message-transfer', payload: { pin, acceptLosses } });
+                this.setState({
+                    isProcessing: false,
+                    recoveryAction: recovery.action,
+                    statusMessage: recovery.message,
+                    statusType: 'error'
+                });
+                return;
+            }
+            this.setState({
+                isProcessing: false,
+                statusMessage: error instanceof WrongPinError
+                    ? '🔢 Wrong PIN for this message.'
+                    : error instanceof TimeLockedError
+                        ? `⏳ This message is time-locked until ${new Date(error.unlockAt).toLocaleString()}. It can be moved after that.`
+                        : `🔁 Could not move the message: ${error.message}`,
+                statusType: 'error'
+            });
+        }
+    }
+
+    handleCancelMessageTransfer() {
+        this.setState({ messageTransfer: null });
+        this.handleOpenMessageManager();
+    }
+
+    async handleDeleteStoredMessage(messageId) {
+        const reference = this.getLocalMessageReferences().find(message => message.messageId === messageId);
+        if (!reference || !reference.ipfsHash) {
+            debugLog(`🗂️ No stored package for ${messageId}`, 'warning');
+            return;
+        }
+
+        this.setState({
+            isProcessing: true,
+            statusMessage: `🗑️ Deleting message from ${new Date(reference.timestamp).toLocaleDateString()}...`,
+            statusType: 'info'
+        });
+
+        try {
+            await this._state.storageService.deleteMessagePackage(reference.ipfsHash);
+            this.updateLocalMessageReference(messageId, { status: 'deleted', deleted: new Date().toISOString() });
+            this.setState({
+                isProcessing: false,
+                managedMessages: this._state.managedMessages.filter(message => message.messageId !== messageId),
+                statusMessage: '🗑️ Message deleted from storage.',
+                statusType: 'success'
+            });
+        } catch (error) {
+            debugLog(`Deleting ${messageId} failed: ${error.message}`, 'error');
+            const recovery = this.getStorageRecovery(error, { label: '🔄 Try again', event: 'delete-stored-message', payload: messageId });
+            this.setState({
+                isProcessing: false,
+                recoveryAction: recovery.action,
+                statusMessage: recovery.message,
+                statusType: 'error'
+            });
+        }
+    }
+
+    async handleCleanupStoredMessages(retentionDays) {
+        this.setState({
+            isProcessing: true,
+            statusMessage: `🧹 Deleting messages older than ${retentionDays} days...`,
+            statusType: 'info'
+        });
+
+        try {
+            const { deleted, failed } = await this._state.storageService.deletePackagesOlderThan(retentionDays * 24 * 60 * 60 * 1000);
+
+            const deletedHashes = new Set(deleted);
+            for (const message of this.getLocalMessageReferences()) {
+                if (deletedHashes.has(message.ipfsHash)) {
+                    this.updateLocalMessageReference(message.messageId, { status: 'deleted', deleted: new Date().toISOString() });
+                }
+            }
+
+            this.setState({
+                isProcessing: false,
+                managedMessages: this._state.managedMessages.filter(message => !deletedHashes.has(message.ipfsHash)),
+                statusMessage: failed.length
+                    ? `🧹 Deleted ${deleted.length} old messages (${failed.length} could not be deleted).`
+                    : `🧹 Deleted ${deleted.length} old messages.`,
+                statusType: failed.length ? 'warning' : 'success'
+            });
+        } catch (error) {
+            debugLog(`Cleanup failed: ${error.message}`, 'error');
+            const recovery = this.getStorageRecovery(error, { label: '🔄 Try again', event: 'cleanup-stored-messages', payload: retentionDays });
+            this.setState({
+                isProcessing: false,
+                recoveryAction: recovery.action,
+                statusMessage: recovery.message,
+                statusType: 'error'
+            });
+        }
+    }
+
+    // Message Loading Event Handler
+
+    /**
+     * Downloads and decrypts the message for the scanned tag. PIN-protected messages stop at the
+     * 'pin-required' step; submitting the PIN calls this again with the already downloaded package.
+     * With a recovery code, the message opens without its tag (and without its PIN).
+     * Time-locked messages stop at the 'locked' step until their unlock date; expired messages,
+     * or messages already played maxPlays times on this device, stop at the 'expired' step.
+     * @param {object} [options]
+     * @param {string|null} [options.pin] - The PIN entered by the reader.
+     * @param {string|null} [options.recoveryCode] - A normalized recovery code, instead of the tag.
+     */
+    async handleLoadSecureMessage({ pin = null, recoveryCode = null } = {}) {
+        const { tagSerial, tagSecret, messageId, ipfsHash, storageService, encryptionService, senderIdentity, timeLock } = this._state;
+        
+        debugLog(`🔍 LOAD MESSAGE: Starting with serial=${tagSerial}, tagSecret=${tagSecret ? 'present' : 'none'}, messageId=${messageId}, hash=${ipfsHash}, storage=${!!storageService}`);
+        
+        if ((!tagSerial && !recoveryCode) || !messageId || !ipfsHash || !storageService) {
+            debugLog('🔒 SECURITY: Missing parameters for secure load', 'warning');
+            debugLog(`🔒 PARAMS: Serial=${!!tagSerial}, MessageId=${!!messageId}, Hash=${!!ipfsHash}, Storage=${!!storageService}`);
+            
+            // FIX: Show more specific error message
+            let missingParams = [];
+            if (!tagSerial && !recoveryCode) missingParams.push('Physical Key');
+            if (!messageId) missingParams.push('Message ID');
+            if (!ipfsHash) missingParams.push('IPFS Hash');
+            if (!storageService) missingParams.push('Storage Service');
+            
+            this.setState({
+                statusMessage: `🔒 Missing: ${missingParams.join(', ')}`,
+                statusType: 'warning'
+            });
+            return;
+        }
+
+        this.setState({
+            currentStep: 'loading',
+            recoveryAction: null,
+            statusMessage: '🔒 Downloading and decrypting message...',
+            statusType: 'info'
+        });
+
+        try {
+            // Download package through the configured storage backend (unless a PIN prompt already did)
+            let messagePackage = this._state.messagePackage;
+            if ((!pin && !recoveryCode) || messagePackage?.messageId !== messageId) {
+                debugLog(`🔍 DOWNLOADING: Using ${recoveryCode ? 'a recovery code' : `serial ${tagSerial}`} to decrypt message ${messageId}`);
+                messagePackage = await storageService.downloadMessagePackage(ipfsHash);
+            }
+            
+            // Verify message ID
+            if (messagePackage.messageId !== messageId) {
+                throw new Error('Message ID mismatch');
+            }
+            
+            // Expiry is checked with this device's clock and play count, before anything is decrypted
+            const expiredReason = this.getExpiredReason(messagePackage);
+            if (expiredReason) {
+                await this.showExpired(messagePackage, expiredReason);
+                return;
+            }
+            
+            // The date check uses this device's clock; enforced time locks are checked again by their server below
+            const unlockAt = messagePackage.metadata?.unlockAt;
+            if (unlockAt && Date.now() < Date.parse(unlockAt)) {
+                this.showTimeLocked(messagePackage, unlockAt, { recoveryCode });
+                return;
+            }
+            
+            if (messagePackage.metadata?.pinProtected && !pin && !recoveryCode) {
+                debugLog('🔢 Message is PIN protected, asking the reader for the PIN', 'info');
+                this.setState({
+                    messagePackage,
+                    currentStep: 'pin-required',
+                    errorType: null,
+                    statusMessage: '🔢 This message is protected with a PIN.',
+                    statusType: 'info'
+                });
+                return;
+            }
+            
+            // Derive decryption key with the parameters the package was written with.
+            // For PIN-protected messages this also checks the tag, so a failure here means a wrong tag.
+            this.reportProgressStage('deriving-key');
+            const cryptoHeader = encryptionService.resolveCryptoHeader(messagePackage.crypto);
+            let timeLockShare = null;
+            if (cryptoHeader.timeLock) {
+                try {
+                    timeLockShare = await timeLock.releaseShare(cryptoHeader.timeLock);
+                } catch (error) {
+                    if (error instanceof StorageError) {
+                        debugLog(`⏳ Time-lock server failed: ${error.message}`, 'error');
+                        this.setState({
+                            currentStep: 'error',
+                            errorMessage: error.message,
+                            errorType: error.code,
+                            recoveryAction: this.getStorageRecovery(error, { label: '🔄 Try again', event: 'load-secure-message' }).action,
+                            statusMessage: '⏳ Could not reach the time-lock server that holds part of this message\'s key.',
+                            statusType: 'error'
+                        });
+                        return;
+                    }
+                    if (!(error instanceof TimeLockedError)) throw error;
+                    debugLog(`⏳ Time-lock server refused: ${error.message}`, 'warning');
+                    this.showTimeLocked(messagePackage, error.unlockAt || cryptoHeader.timeLock.unlockAt, { recoveryCode });
+                    return;
+                }
+            }
+            let decryptionKey;
+            let decryptedAudio;
+            if (recoveryCode) {
+                try {
+                    decryptionKey = await encryptionService.unwrapRecoveryKey(recoveryCode, cryptoHeader, { timeLockShare });
+                } catch (error) {
+                    debugLog(`🧩 Recovery failed: ${error.message}`, 'warning');
+                    this.setState({
+                        messagePackage,
+                        currentStep: 'recover',
+                        errorType: 'recovery-code',
+                        errorMessage: error.message,
+                        statusMessage: `🧩 ${error.message}`,
+                        statusType: 'error'
+                    });
+                    return;
+                }
+            }
+            try {
+                if (!recoveryCode) {
+                    decryptionKey = await encryptionService.deriveMessageKey(tagSerial, messagePackage.timestamp, cryptoHeader, { tagSecret, pin, timeLockShare });
+                }
+                decryptedAudio = await this.decryptMessageAudio(messagePackage, decryptionKey, cryptoHeader);
+            } catch (error) {
+                // Multi-recipient keys report a wrong PIN while unwrapping; with older PIN headers the tag
+                // is already verified, so an audio decryption failure means a wrong PIN
+                const isWrongPin = error instanceof WrongPinError ||
+                    (decryptionKey && cryptoHeader.kdf.pin && !cryptoHeader.recipients);
+                if (!isWrongPin) throw error;
+                debugLog('🔢 Wrong PIN for this message', 'warning');
+                this.setState({
+                    messagePackage,
+                    currentStep: 'pin-required',
+                    errorType: 'wrong-pin',
+                    statusMessage: '🔢 Wrong PIN. Please try again.',
+                    statusType: 'error'
+                });
+                return;
+            }
+            const audioBlob = new Blob([decryptedAudio], { type: 'audio/webm' });
+            const audioUrl = URL.createObjectURL(audioBlob);
+            
+            // Check who signed the message (only after it decrypted with the tag)
+            const messageSender = senderIdentity
+                ? await senderIdentity.verifyPackage(messagePackage)
+                : { status: messagePackage.senderSignature ? 'unknown' : 'unsigned', name: null, keyId: null };
+            
+            const decryptedTranscript = await this.decryptMessageTranscript(messagePackage, decryptionKey, cryptoHeader);
+            
+            const maxPlays = messagePackage.metadata?.maxPlays;
+            const playsLeft = maxPlays ? Math.max(0, maxPlays - this.recordPlay(messageId)) : null;
+            
+            this.setState({
+                messagePackage,
+                decryptedAudio,
+                decryptedTranscript,
+                audioUrl,
+                messageSender,
+                playsLeft,
+                currentStep: 'playing',
+                statusMessage: '🔒 Message decrypted successfully!',
+                statusType: 'success'
+            });
+            
+            // Auto-play
+            eventBus.publish('auto-play-audio');
+            
+        } catch (error) {
+            debugLog(`🔒 SECURITY: Load failed: ${error.message}`, 'error');
+            if (error instanceof StorageError) {
+                const recovery = this.getStorageRecovery(error, { label: '🔄 Try again', event: 'load-secure-message' });
+                this.setState({
+                    currentStep: 'error',
+                    errorMessage: error.message,
+                    errorType: error.code,
+                    recoveryAction: recovery.action,
+                    statusMessage: recovery.message,
+                    statusType: 'error'
+                });
+                return;
+            }
+            if (error instanceof UnsupportedCryptoError) {
+                this.setState({
+                    currentStep: 'error',
+                    errorMessage: error.message,
+                    errorType: 'unsupported-crypto',
+                    recoveryAction: null,
+                    statusMessage: '⬆️ This message needs a newer version of Peeble.',
+                    statusType: 'error'
+                });
+                return;
+            }
+            this.setState({
+                currentStep: 'error',
+                errorMessage: error.message,
+                errorType: 'decryption',
+                recoveryAction: null,
+                statusMessage: '🔒 Decryption failed. Wrong physical key?',
+                statusType: 'error'
+            });
+        }
+    }
+
+    /**
+     * Shows the countdown of a time-locked message, and tries again when it unlocks.
+     * @param {object} messagePackage - The downloaded package.
+     * @param {string} unlockAt - The unlock date (ISO).
+     * @param {object} loadOptions - The handleLoadSecureMessage options to try again with.
+     */
+    showTimeLocked(messagePackage, unlockAt, loadOptions) {
+        debugLog(`⏳ ${messagePackage.messageId} is time-locked until ${unlockAt}`, 'info');
+        this.setState({
+            messagePackage,
+            lockedUntil: unlockAt,
+            currentStep: 'locked',
+            errorType: null,
+            statusMessage: `🎁 This message opens on ${new Date(unlockAt).toLocaleString()}.`,
+            statusType: 'info'
+        });
+
+        clearTimeout(this.unlockTimer);
+        const delay = Date.parse(unlockAt) - Date.now();
+        if (delay > MAX_UNLOCK_TIMER_MS) return;
+        this.unlockTimer = setTimeout(() => {
+            this.unlockTimer = null;
+            const { currentStep, messageId } = this._state;
+            if (currentStep === 'locked' && messageId === messagePackage.messageId) {
+                this.handleLoadSecureMessage(loadOptions);
+            }
+        }, delay > 0 ? delay + 1000 : UNLOCK_RETRY_MS);
+    }
+
+    /**
+     * Checks a package's expiry rules: its expiry date against this device's clock, and its
+     * play limit against the plays counted on this device.
+     * @param {object} messagePackage - The downloaded package.
+     * @returns {'date'|'plays'|null} Why the message no longer plays, or null if it still does.
+     */
+    getExpiredReason(messagePackage) {
+        const { expiresAt, maxPlays } = messagePackage.metadata || {};
+        if (expiresAt && Date.now() >= Date.parse(expiresAt)) return 'date';
+        if (maxPlays && this.getPlayCount(messagePackage.messageId) >= maxPlays) return 'plays';
+        return null;
+    }
+
+    /**
+     * Shows the 'expired' step and drops the package from this device's offline cache.
+     * @param {object} messagePackage - The downloaded package.
+     * @param {'date'|'plays'} expiredReason - From getExpiredReason.
+     */
+    async showExpired(messagePackage, expiredReason) {
+        debugLog(`⌛ ${messagePackage.messageId} has expired (${expiredReason})`, 'info');
+        this.setState({
+            messagePackage,
+            expiredReason,
+            currentStep: 'expired',
+            errorType: null,
+            statusMessage: expiredReason === 'date'
+                ? `⌛ This message expired on ${new Date(messagePackage.metadata.expiresAt).toLocaleString()}.`
+                : '🔥 This message has been played as many times as its sender allowed.',
+            statusType: 'warning'
+        });
+
+        try {
+            await this._state.storageService.evictCachedPackage(this._state.ipfsHash);
+        } catch (error) {
+            debugLog(`⌛ Could not drop the expired package from the cache: ${error.message}`, 'warning');
+        }
+    }
+
+    // Plays per message on this device, for messages with maxPlays
+    getPlayCount(messageId) {
+        const playCounts = JSON.parse(localStorage.getItem('peeblePlayCounts') || '{}');
+        return playCounts[messageId] || 0;
+    }
+
+    recordPlay(messageId) {
+        const playCounts = JSON.parse(localStorage.getItem('peeblePlayCounts') || '{}');
+        playCounts[messageId] = (playCounts[messageId] || 0) + 1;
+        localStorage.setItem('peeblePlayCounts', JSON.stringify(playCounts));
+        return playCounts[messageId];
+    }
+
+    /**
+     * Unpins this device's messages whose expiry date has passed, so storage is freed without
+     * waiting for the message manager. Runs whenever storage credentials become available;
+     * packages that cannot be deleted yet are tried again next time.
+     */
+    async unpinExpiredMessages() {
+        const { storageService } = this._state;
+        if (this.unpinningExpired || !storageService || !storageService.isReadyToUpload()) return;
+
+        const now = Date.now();
+        const expired = this.getLocalMessageReferences().filter(message => (
+            message.ipfsHash && message.expiresAt && message.status !== 'deleted' && now >= Date.parse(message.expiresAt)
+        ));
+        if (expired.length === 0) return;
+
+        this.unpinningExpired = true;
+        const unpinnedHashes = new Set();
+        try {
+            for (const message of expired) {
+                try {
+                    await storageService.deleteMessagePackage(message.ipfsHash);
+                } catch (error) {
+                    if (!(error instanceof NotFoundError)) {
+                        debugLog(`⌛ Unpinning expired ${message.messageId} failed: ${error.message}`, 'warning');
+                        continue;
+                    }
+                }
+                this.updateLocalMessageReference(message.messageId, { status: 'deleted', deleted: new Date().toISOString(), expired: true });
+                unpinnedHashes.add(message.ipfsHash);
+            }
+        } finally {
+            this.unpinningExpired = false;
+        }
+
+        if (unpinnedHashes.size > 0) {
+            debugLog(`⌛ Unpinned ${unpinnedHashes.size} expired messages`, 'success');
+            this.setState({
+                managedMessages: this._state.managedMessages.filter(message => !unpinnedHashes.has(message.ipfsHash))
+            });
+        }
+    }
+
+    // Playback Event Handlers
+    handleTogglePlayback() {
+        eventBus.publish('audio-toggle-playback');
+    }
+
+    handleClosePlayer() {
+        // Clean up audio resources
+        if (this._state.audioUrl) {
+            URL.revokeObjectURL(this._state.audioUrl);
+        }
+
+        clearTimeout(this.unlockTimer);
+        this.unlockTimer = null;
+        
+        this.setState({
+            appMode: 'CREATOR',
+            tagSerial: null,
+            tagSecret: null,
+            messageId: null,
+            ipfsHash: null,
+            messagePackage: null,
+            decryptedAudio: null,
+            decryptedTranscript: '',
+            audioUrl: null,
+            messageSender: null,
+            lockedUntil: null,
+            expiredReason: null,
+            playsLeft: null,
+            errorType: null,
+            recoveryAction: null,
+            currentStep: 'waiting',
+            statusMessage: 'Ready to create a new secure message.'
+        });
+    }
+
+    // Recovery Event Handlers
+
+    // Opens the recovery code screen; the message URL is asked for unless the page was opened from it
+    handleOpenRecovery() {
+        this.setState({
+            appMode: 'READER',
+            tagSerial: null, // A blank creator tag must not be taken for this message's Peeble
+            tagSecret: null,
+            currentStep: 'recover',
+            errorType: null,
+            errorMessage: null,
+            recoveryAction: null,
+            statusMessage: '🧩 Enter the recovery code printed for this message.',
+            statusType: 'info'
+        });
+    }
+
+    handleCloseRecovery() {
+        const params = URLParser.getParams();
+        if (!params.messageId || !params.packageId) {
+            this.handleClosePlayer();
+            return;
+        }
+        // Back to waiting for the Peeble of the message this page was opened for
+        this.setState({
+            messageId: params.messageId,
+            ipfsHash: params.packageId,
+            messagePackage: null,
+            errorType: null,
+            errorMessage: null,
+            currentStep: 'waiting',
+            statusMessage: '🔒 Waiting for physical Peeble scan...',
+            statusType: 'info'
+        });
+    }
+
+    /**
+     * Opens a message with its recovery code instead of its Peeble.
+     * @param {object} request
+     * @param {string} request.code - The recovery code as typed.
+     * @param {string|null} [request.url] - The message URL, when the page was not opened from it.
+     */
+    handleSubmitRecoveryCode({ code, url = null }) {
+        const showProblem = (message) => this.setState({
+            currentStep: 'recover',
+            errorType: 'recovery-code',
+            errorMessage: message,
+            statusMessage: `🧩 ${message}`,
+            statusType: 'warning'
+        });
+
+        let recoveryCode;
+        try {
+            recoveryCode = normalizeRecoveryCode(code);
+        } catch (error) {
+            showProblem(error.message);
+            return;
+        }
+
+        if (url) {
+            let params = {};
+            try {
+                params = URLParser.getParams(new URL(url.trim()).hash);
+            } catch (error) {
+                debugLog(`🧩 Not a URL: ${error.message}`, 'warning');
+            }
+            if (!params.messageId || !params.packageId) {
+                showProblem('This is not a Peeble message URL. Copy it from the recovery card.');
+                return;
+            }
+            this.setState({ messageId: params.messageId, ipfsHash: params.packageId });
+        }
+
+        this.handleLoadSecureMessage({ recoveryCode });
+    }
+
+    // NFC Write Event Handlers
+    handleStartNfcWrite(url, { tagSecret = null, tagSecrets = null, keptPeebles = null } = {}) {
+        const tagCount = (tagSecrets ? Object.keys(tagSecrets).length : 1) + (keptPeebles?.count || 0);
+        debugLog(`🔒 STATE: Starting NFC write mode with URL: ${url.substring(0, 50)}...${tagSecret || tagSecrets ? ' (with key record)' : ''}`);
+        this.setState({
+            nfcWriteMode: true,
+            writeUrlQueue: url,
+            writeTagSecret: tagSecret,
+            writeTagSecrets: tagSecrets,
+            writeKeptPeebles: keptPeebles,
+            statusMessage: tagCount > 1
+                ? `🔒 Ready to write. Tap each of the ${tagCount} Peebles.`
+                : '🔒 Ready to write. Tap a blank Peeble.'
+        });
+    }
+
+    handleStopNfcWrite() {
+        debugLog('🔒 STATE: Stopping NFC write mode');
+        this.setState({
+            nfcWriteMode: false,
+            writeUrlQueue: null,
+            writeTagSecret: null,
+            writeTagSecrets: null,
+            writeKeptPeebles: null
+        });
+    }
+
+    /**
+     * Records a written tag. Multi-recipient messages stay in write mode until every tag is written.
+     * @param {object} [data]
+     * @param {string} [data.serial] - Serial of the tag that was written.
+     */
+    handleNfcWriteComplete({ serial } = {}) {
+        debugLog(`🔒 STATE: NFC write completed successfully${serial ? ` on ${serial}` : ''}`);
+        const { messageId, writeTagSecrets, writeKeptPeebles } = this._state;
+
+        if (writeTagSecrets && serial) {
+            // The tag now holds its secret; drop the local copy
+            const remainingSecrets = { ...writeTagSecrets };
+            let keptPeebles = writeKeptPeebles;
+            if (Object.hasOwn(remainingSecrets, serial)) {
+                delete remainingSecrets[serial];
+            } else if (keptPeebles?.count) {
+                keptPeebles = { ...keptPeebles, count: keptPeebles.count - 1 };
+            }
+            const remainingCount = Object.keys(remainingSecrets).length + (keptPeebles?.count || 0);
+            if (remainingCount > 0) {
+                const reference = messageId && this.getLocalMessageReferences().find(message => message.messageId === messageId);
+                if (reference) {
+                    const sealedTagSecrets = { ...reference.sealedTagSecrets };
+                    delete sealedTagSecrets[serial];
+                    this.updateLocalMessageReference(messageId, {
+                        sealedTagSecrets: reference.sealedTagSecrets ? sealedTagSecrets : undefined,
+                        keptPeebles: keptPeebles || undefined
+                    });
+                }
+                this.setState({
+                    writeTagSecrets: remainingSecrets,
+                    writeKeptPeebles: keptPeebles,
+                    statusMessage: `🔒 Peeble ${serial} written! Tap the next one (${remainingCount} left).`,
+                    statusType: 'success'
+                });
+                return;
+            }
+        }
+
+        if (messageId) {
+            // Every tag holds its secret now; drop the local copies (undefined is left out of the JSON)
+            this.updateLocalMessageReference(messageId, {
+                status: 'written',
+                tagSecret: undefined,
+                tagSecrets: undefined,
+                sealedTagSecret: undefined,
+                sealedTagSecrets: undefined,
+                keptPeebles: undefined
+            });
+        }
+        this.setState({
+            nfcWriteMode: false,
+            writeUrlQueue: null,
+            writeTagSecret: null,
+            writeTagSecrets: null,
+            writeKeptPeebles: null,
+            statusMessage: '🔒 Secure Peeble created! Safe to share.',
             statusType: 'success'
         });
     }
@@ -566,6 +1986,8 @@ class StateManager {
             audioBlob: null,
             recordingDuration: 0,
             currentTranscript: '',
+            recoveryCode: null,
+            recoveryAction: null,
             currentStep: 'waiting',
             statusMessage: 'Ready to record again.'
         });
@@ -576,11 +1998,36 @@ class StateManager {
         eventBus.publish('stop-nfc-write');
     }
 
+    /**
+     * Maps a StorageError to a user-facing message and recovery action.
+     * @param {StorageError} error - The failure.
+     * @param {{label: string, event: string, payload?: any}} retryAction - How to retry the flow that failed.
+     * @returns {{message: string, action: {label: string, event: string, payload?: any}|null}}
+     */
+    getStorageRecovery(error, retryAction) {
+        const recovery = error.code === 'quota' && error.retryable
+            ? RATE_LIMITED_RECOVERY
+            : STORAGE_ERROR_RECOVERY[error.code] || STORAGE_ERROR_RECOVERY.unknown;
+        return {
+            message: recovery.message,
+            action: recovery.action === 'retry' ? retryAction : recovery.action
+        };
+    }
+
+    /**
+     * Publishes a 'progress-update' for a crypto stage before its byte-level progress starts.
+     * Byte-level progress is published through StorageService.createProgressReporter.
+     * @param {'deriving-key'|'encrypting'|'decrypting'} stage
+     */
+    reportProgressStage(stage) {
+        eventBus.publish('progress-update', { stage, loaded: null, total: null, percent: null });
+    }
+
     isSecurePeebleUrl(url) {
         try {
             const urlObj = new URL(url);
-            const params = new URLSearchParams(urlObj.hash.substring(1));
-            return params.has('messageId') && params.has('ipfsHash') && !params.has('serial');
+            const { messageId, packageId } = URLParser.getParams(urlObj.hash);
+            return !!(messageId && packageId) && !new URLSearchParams(urlObj.hash.substring(1)).has('serial');
         } catch {
             return false;
         }
@@ -590,19 +2037,55 @@ class StateManager {
         return 'PBL-' + Math.random().toString(36).substr(2, 8).toUpperCase();
     }
 
-    saveLocalMessageReference({ messageId, ipfsHash, transcript, timestamp }) {
+    saveLocalMessageReference({ messageId, ipfsHash, transcript, timestamp, sealedTagSecrets = null, escrowedKey = null, expiresAt = null, status = 'awaiting-nfc-write' }) {
         const localMessageData = {
             messageId,
             ipfsHash,
             timestamp,
+            status, // 'pending-upload', 'awaiting-nfc-write', 'written' or 'deleted' (also once expired, with `expired`)
+            sealedTagSecrets, // Serial -> secret sealed by sealTagSecrets, kept only until each tag is written
+            escrowedKey, // Content key wrapped with this device's escrow key, to move the message to a new Peeble
+            expiresAt, // The package is unpinned by unpinExpiredMessages after this date
             originalTranscript: transcript,
             duration: this._state.recordingDuration,
             created: new Date().toISOString()
         };
 
-        const savedMessages = JSON.parse(localStorage.getItem('peebleMessages') || '[]');
+        const savedMessages = this.getLocalMessageReferences();
         savedMessages.push(localMessageData);
         localStorage.setItem('peebleMessages', JSON.stringify(savedMessages));
+        this.refreshPendingMessages();
+    }
+
+    updateLocalMessageReference(messageId, changes) {
+        const savedMessages = this.getLocalMessageReferences().map(message => (
+            message.messageId === messageId ? { ...message, ...changes } : message
+        ));
+        localStorage.setItem('peebleMessages', JSON.stringify(savedMessages));
+        this.refreshPendingMessages();
+    }
+
+    refreshPendingMessages() {
+        const pendingMessages = this.getLocalMessageReferences().filter(message => (
+            message.status === 'pending-upload' || message.status === 'awaiting-nfc-write'
+        ));
+        this.setState({ pendingMessages });
+    }
+
+    /**
+     * Builds the message manager list from the local history: uploaded, not deleted, newest first.
+     * @param {Set<string>|null} storedIds - Package ids from the backend, or null if unknown.
+     * @returns {object[]} History entries with `stored` set to true, false or null (unknown).
+     */
+    getManagedMessages(storedIds) {
+        return this.getLocalMessageReferences()
+            .filter(message => message.ipfsHash && message.status !== 'deleted')
+            .map(message => ({ ...message, stored: storedIds ? storedIds.has(message.ipfsHash) : null }))
+            .sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    getLocalMessageReferences() {
+        return JSON.parse(localStorage.getItem('peebleMessages') || '[]');
     }
 
     // Public methods
@@ -651,12 +2134,39 @@ class StateManager {
         }
     }
 
+    setUploadOutbox(outbox) {
+        debugLog('📤 OUTBOX: UploadOutbox set in StateManager');
+        this.setState({ uploadOutbox: outbox });
+    }
+
+    setSenderIdentity(service) {
+        debugLog('🪪 IDENTITY: SenderIdentityService set in StateManager');
+        this.setState({ senderIdentity: service });
+
+        // A trust link may have opened the identity screen before the service existed
+        if (this._state.currentStep === 'identity') {
+            this.handleOpenSenderIdentity();
+        }
+    }
+
+    setKeyEscrow(service) {
+        debugLog('🗝️ ESCROW: KeyEscrowService set in StateManager');
+        this.setState({ keyEscrow: service });
+        this.sealPlainTagSecrets().catch(error => debugLog(`🗝️ Could not seal saved Peeble secrets: ${error.message}`, 'error'));
+    }
+
+    setTimeLock(service) {
+        debugLog(`⏳ TIME LOCK: TimeLockService set in StateManager${service.isConfigured() ? ` (server ${service.serverUrl})` : ''}`);
+        this.setState({ timeLock: service });
+    }
+
     setStorageService(service) {
         debugLog('🔒 STORAGE: StorageService set in StateManager');
         this.setState({ storageService: service });
         
         // Check if we can now auto-load
         this.checkAndTriggerAutoLoad();
+        this.unpinExpiredMessages();
     }
 }
 
@@ -1,107 +1,149 @@
 // services/storage.js
 
-import { debugLog } from './utils.js';
+import { debugLog, bytesToBase64, base64ToBytes } from './utils.js';
+import { eventBus } from './pubsub.js';
+import { encodePackage, decodePackage, isBinaryPackage, PACKAGE_MIME_TYPE } from './package-format.js';
+import { PinataBackend } from './backends/pinata.js';
+import { MemoryBackend } from './backends/memory.js';
+import { LocalHttpBackend } from './backends/local-http.js';
+import { RelayBackend } from './backends/relay.js';
+import { KuboBackend } from './backends/kubo.js';
+import { S3Backend } from './backends/s3.js';
+import { StorageError, TooLargeError, toStorageError } from './errors.js';
+import { RetryPolicy } from './retry.js';
+
+// Pin metadata that marks packages uploaded by this app
+const MESSAGE_PACKAGE_APP = 'peeble-secure';
 
 /**
- * Service for interacting with Pinata IPFS for storing and retrieving encrypted messages.
+ * Creates a storage backend from configuration.
+ * Every backend implements the same interface:
+ *   uploadPackage(blob, { name, keyvalues, onProgress }) -> Promise<string>  (package id / CID)
+ *   downloadPackage(id, { onProgress })                 -> Promise<ArrayBuffer>
+ *   deletePackage(id)                                   -> Promise<void>
+ *   healthCheck()                                       -> Promise<boolean>
+ *   listPackages({ keyvalues })                         -> Promise<Array<{ id, name, size, createdAt, keyvalues }>>
+ * Backends that need secrets set `requiresCredentials` and implement setCredentials() / hasCredentials().
+ * Backends whose ids are not IPFS hashes set `packageIdParam`, the NFC URL parameter that carries them.
+ * onProgress is called with (loaded, total) byte counts; total is null when unknown.
+ * @param {object} config
+ * @param {'pinata'|'memory'|'local-http'|'kubo'|'s3'} config.backend - Which backend to use.
+ * @param {string[]} [config.gateways] - IPFS gateway base URLs to race (pinata backend).
+ * @param {number} [config.gatewayTimeoutMs] - Per-gateway request timeout (pinata backend).
+ * @param {number} [config.gatewayStaggerMs] - Delay between gateway attempts, 0 for fully parallel (pinata backend).
+ * @param {string} [config.localHttpUrl] - Base URL of the local package store (local-http backend).
+ * @param {string} [config.kuboApiUrl] - Base URL of the Kubo RPC API (kubo backend).
+ * @param {boolean} [config.kuboBasicAuth] - Whether the Kubo RPC API needs basic auth credentials (kubo backend).
+ * @param {object} [config.s3] - Endpoint, bucket, region and options for the s3 backend (see S3Backend).
+ * @param {string|null} [config.relayUrl] - When set, uploads and deletes go through this relay instead of
+ *                                          the browser calling the provider; downloads still use the backend.
+ * @returns {object} The storage backend.
+ */
+export function createStorageBackend(config) {
+    if (config.relayUrl) {
+        return new RelayBackend({
+            relayUrl: config.relayUrl,
+            downloadBackend: createStorageBackend({ ...config, relayUrl: null })
+        });
+    }
+
+    switch (config.backend) {
+        case 'pinata':
+            return new PinataBackend({
+                gateways: config.gateways,
+                gatewayTimeoutMs: config.gatewayTimeoutMs,
+                gatewayStaggerMs: config.gatewayStaggerMs
+            });
+        case 'memory':
+            return new MemoryBackend();
+        case 'local-http':
+            return new LocalHttpBackend({ baseUrl: config.localHttpUrl });
+        case 'kubo':
+            return new KuboBackend({ apiUrl: config.kuboApiUrl, basicAuth: config.kuboBasicAuth });
+        case 's3':
+            return new S3Backend(config.s3);
+        default:
+            throw new Error(`Unknown storage backend: ${config.backend}`);
+    }
+}
+
+/**
+ * Service for storing and retrieving encrypted Peeble message packages.
+ * Serializes packages and delegates the actual transfer to a pluggable backend.
+ * Every failure surfaces as a StorageError (see errors.js) with a code the UI can act on.
  * SECURITY: Stores complete encrypted packages but NEVER stores the tag serial.
  */
 export class StorageService {
     /**
-     * @param {string} apiKey - Pinata API Key.
-     * @param {string} secret - Pinata Secret API Key.
+     * @param {object} backend - A storage backend (see createStorageBackend).
+     * @param {object} [options]
+     * @param {import('./package-cache.js').PackageCache} [options.cache] - Offline cache, consulted before the backend.
+     * @param {RetryPolicy} [options.retryPolicy] - Immediate retries for uploads before giving up.
      */
-    constructor(apiKey, secret) {
-        this.apiKey = apiKey;
-        this.secret = secret;
-        this.pinataApiUrl = 'https://api.pinata.cloud/pinning/pinFileToIPFS';
-        this.pinataGatewayUrl = 'https://gateway.pinata.cloud/ipfs/';
+    constructor(backend, { cache = null, retryPolicy = new RetryPolicy() } = {}) {
+        this.backend = backend;
+        this.cache = cache;
+        this.retryPolicy = retryPolicy;
+        debugLog(`StorageService using '${backend.name}' backend${cache ? ' with offline cache' : ''}.`);
     }
 
     /**
-     * Sets the Pinata API credentials.
-     * @param {string} apiKey
-     * @param {string} secret
+     * Creates a byte progress callback that publishes 'progress-update' events.
+     * Events are only published when the whole percentage changes, to keep the bus quiet.
+     * @param {'uploading'|'downloading'|'encrypting'|'decrypting'} stage - The stage being reported.
+     * @returns {function(number, number|null): void} The progress callback.
      */
-    setCredentials(apiKey, secret) {
-        this.apiKey = apiKey;
-        this.secret = secret;
-        debugLog('Pinata credentials updated in StorageService.');
+    createProgressReporter(stage) {
+        let lastPercent = -1;
+        return (loaded, total) => {
+            const percent = total ? Math.floor((loaded / total) * 100) : null;
+            if (percent !== null && percent === lastPercent) return;
+            lastPercent = percent;
+            eventBus.publish('progress-update', { stage, loaded, total, percent });
+        };
     }
 
     /**
-     * Tests the connection to the Pinata API.
-     * @returns {Promise<boolean>} True if connection is successful, false otherwise.
+     * Sets the API credentials on backends that use them.
+     * @param {object|null} credentials - Decrypted vault credentials, or null to forget them.
      */
-    async testConnection() {
-        debugLog('Testing Pinata API connection...');
-        if (!this.apiKey || !this.secret) {
-            debugLog('Pinata API credentials are not set.', 'error');
-            throw new Error('Pinata API credentials are required.');
-        }
-
-        try {
-            const response = await fetch('https://api.pinata.cloud/data/testAuthentication', {
-                headers: {
-                    'pinata_api_key': this.apiKey,
-                    'pinata_secret_api_key': this.secret
-                }
-            });
-
-            const data = await response.json();
-            if (response.ok && data.message === 'Congratulations! You are communicating with the Pinata API!') {
-                debugLog('Pinata API authentication successful.', 'success');
-                return true;
-            } else {
-                debugLog(`Pinata API authentication failed: ${data.error || data.message || 'Unknown error'}`, 'error');
-                return false;
-            }
-        } catch (error) {
-            debugLog(`Error testing Pinata API connection: ${error.message}`, 'error');
-            throw new Error(`Failed to connect to Pinata: ${error.message}`);
+    setCredentials(credentials) {
+        if (!this.backend.requiresCredentials) {
+            debugLog(`Backend '${this.backend.name}' does not use credentials.`, 'warning');
+            return;
         }
+        this.backend.setCredentials(credentials);
+        debugLog(`Credentials ${credentials ? 'updated' : 'cleared'} for '${this.backend.name}' backend.`);
     }
-    
+
     /**
-     * Requests a temporary, signed URL from Pinata for a specific IPFS hash.
-     * This URL can bypass CORS issues and is a more reliable way to download content.
-     * @param {string} ipfsHash - The IPFS hash (CID) of the package to download.
-     * @returns {Promise<string>} A promise that resolves to the signed URL.
+     * @returns {boolean} True if the backend can upload (it needs no credentials, or they are unlocked).
      */
-    async getSignedDownloadUrl(ipfsHash) {
-        if (!this.apiKey || !this.secret) {
-            throw new Error('Pinata API credentials are required to get a signed URL.');
-        }
-        
-        const apiUrl = 'https://api.pinata.cloud/signed-url';
-        const body = JSON.stringify({ ipfsPinHash: ipfsHash });
-
-        try {
-            const response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'pinata_api_key': this.apiKey,
-                    'pinata_secret_api_key': this.secret
-                },
-                body: body
-            });
+    isReadyToUpload() {
+        return !this.backend.requiresCredentials || this.backend.hasCredentials();
+    }
 
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`Pinata signed URL failed: HTTP ${response.status} - ${errorText}`);
-            }
+    /**
+     * Returns the NFC URL parameter for a package id: `ipfsHash`, or the backend's own
+     * parameter (e.g. `objectKey` for S3).
+     * @param {string} packageId - The package identifier returned by an upload.
+     * @returns {object} A single-entry object to spread into URLParser.createSecureNfcUrl().
+     */
+    getPackageUrlParams(packageId) {
+        return { [this.backend.packageIdParam || 'ipfsHash']: packageId };
+    }
 
-            const result = await response.json();
-            return result.signedUrl;
-        } catch (error) {
-            debugLog(`Error getting signed URL from Pinata: ${error.message}`, 'error');
-            throw new Error(`Failed to get signed URL: ${error.message}`);
-        }
+    /**
+     * Tests the connection to the storage backend.
+     * @returns {Promise<boolean>} True if connection is successful, false otherwise.
+     */
+    async testConnection() {
+        debugLog(`Testing '${this.backend.name}' storage backend connection...`);
+        return this.backend.healthCheck();
     }
 
     /**
-     * Uploads a complete encrypted Peeble package to IPFS.
+     * Uploads a complete encrypted Peeble package.
      * SECURITY: Package contains everything EXCEPT the tag serial (encryption key).
      * @param {object} messagePackage - The complete message package.
      * @param {string} messagePackage.messageId - Unique message identifier.
@@ -109,230 +151,291 @@ export class StorageService {
      * @param {Uint8Array} messagePackage.encryptedAudio - Encrypted audio data.
      * @param {string} messagePackage.encryptedTranscript - Base64 encrypted transcript.
      * @param {object} messagePackage.metadata - Additional metadata (duration, etc.).
-     * @returns {Promise<string>} A promise that resolves to the IPFS hash (CID).
+     * @param {object} [messagePackage.crypto] - Crypto header (see EncryptionService.createCryptoHeader).
+     * @returns {Promise<string>} A promise that resolves to the package identifier (IPFS hash for IPFS backends).
      */
     async uploadMessagePackage(messagePackage) {
-        debugLog(`Starting secure package upload: ${messagePackage.messageId}`);
-
-        if (!this.apiKey || !this.secret) {
-            debugLog('Pinata API credentials are not set. Cannot upload.', 'error');
-            throw new Error('Pinata API credentials are required for upload.');
-        }
+        const packageBytes = this.encodeMessagePackage(messagePackage);
+        return this.uploadPackageBytes(messagePackage.messageId, packageBytes);
+    }
 
+    /**
+     * Encodes a message package into its binary container, enforcing the size limit.
+     * @param {object} messagePackage - The complete message package (see uploadMessagePackage).
+     * @returns {Uint8Array} The encoded package.
+     * @throws {TooLargeError} If the audio exceeds the size limit.
+     */
+    encodeMessagePackage(messagePackage) {
         // Check file size limits
         const audioSize = messagePackage.encryptedAudio.length;
         if (audioSize > 25 * 1024 * 1024) { // 25MB limit
             debugLog(`Audio file too large: ${audioSize} bytes. Maximum 25MB allowed.`, 'error');
-            throw new Error('Audio file too large. Please record a shorter message.');
+            throw new TooLargeError('Audio file too large. Please record a shorter message.');
         }
 
-        try {
-            // Create a JSON representation of the package
-            // FIX: Using a more robust conversion method for binary to Base64
-            debugLog(`Converting encrypted audio to base64 (${messagePackage.encryptedAudio.length} bytes)...`);
-            const audioBase64 = this.binToBase64(messagePackage.encryptedAudio);
-            debugLog(`Base64 conversion complete (${audioBase64.length} characters)`);
-
-            const packageData = {
-                messageId: messagePackage.messageId,
-                timestamp: messagePackage.timestamp,
-                encryptedTranscript: messagePackage.encryptedTranscript,
-                metadata: messagePackage.metadata,
-                encryptedAudio: audioBase64
-            };
+        const packageBytes = encodePackage(messagePackage);
+        debugLog(`Binary package encoded (${packageBytes.length} bytes)`);
+        return packageBytes;
+    }
 
-            const jsonString = JSON.stringify(packageData);
-            debugLog(`Package JSON created (${jsonString.length} characters)`);
-            
-            const blob = new Blob([jsonString], { type: 'application/json' });
+    /**
+     * Uploads an already encoded package, retrying transient failures per the retry policy.
+     * @param {string} messageId - The message identifier, used for the file name and metadata.
+     * @param {Uint8Array} packageBytes - The encoded package.
+     * @returns {Promise<string>} The package identifier.
+     * @throws {import('./errors.js').StorageError} Once retries are exhausted; check `retryable` to queue it for later.
+     */
+    async uploadPackageBytes(messageId, packageBytes) {
+        debugLog(`Starting secure package upload: ${messageId}`);
 
-            const formData = new FormData();
-            formData.append('file', blob, `${messagePackage.messageId}-package.json`);
+        try {
+            const blob = new Blob([packageBytes], { type: PACKAGE_MIME_TYPE });
 
-            const metadata = JSON.stringify({
-                name: `${messagePackage.messageId}-package.json`,
+            const packageId = await this.retryPolicy.execute(() => this.backend.uploadPackage(blob, {
+                name: `${messageId}.peeble`,
                 keyvalues: {
-                    app: 'peeble-secure',
+                    app: MESSAGE_PACKAGE_APP,
                     type: 'encrypted-package',
-                    messageId: messagePackage.messageId,
+                    messageId,
                     created: new Date().toISOString()
+                },
+                onProgress: this.createProgressReporter('uploading')
+            }), {
+                onRetry: (error, attempts, delayMs) => {
+                    debugLog(`⚠️ Upload attempt ${attempts} failed (${error.code}), retrying in ${Math.round(delayMs / 1000)}s...`, 'warning');
                 }
             });
-            formData.append('pinataMetadata', metadata);
-
-            const options = JSON.stringify({
-                cidVersion: 0,
-            });
-            formData.append('pinataOptions', options);
 
-            const response = await fetch(this.pinataApiUrl, {
-                method: 'POST',
-                headers: {
-                    'pinata_api_key': this.apiKey,
-                    'pinata_secret_api_key': this.secret
-                },
-                body: formData
-            });
+            debugLog(`Secure package uploaded! Package ID: ${packageId}`, 'success');
 
-            if (!response.ok) {
-                const errorText = await response.text();
-                debugLog(`Pinata package upload failed: ${errorText}`, 'error');
-                let errorMessage;
-                try {
-                    const errorJson = JSON.parse(errorText);
-                    errorMessage = errorJson.error || errorJson.message || `HTTP ${response.status}`;
-                } catch {
-                    errorMessage = `HTTP ${response.status}: ${errorText}`;
-                }
-                throw new Error(`Pinata upload failed: ${errorMessage}`);
+            if (this.cache) {
+                await this.cache.put(packageId, packageBytes.slice().buffer);
             }
 
-            const result = await response.json();
-            debugLog(`Secure package uploaded! IPFS Hash: ${result.IpfsHash}`, 'success');
-            return result.IpfsHash;
+            return packageId;
         } catch (error) {
-            debugLog(`Error uploading package to Pinata: ${error.message}`, 'error');
-            throw new Error(`Failed to upload to IPFS: ${error.message}`);
+            const storageError = toStorageError(error);
+            debugLog(`Error uploading package to '${this.backend.name}' (${storageError.code}): ${storageError.message}`, 'error');
+            throw storageError;
         }
     }
 
     /**
-     * Downloads a complete encrypted message package from IPFS.
-     * This updated version first tries to get a signed URL from Pinata to avoid CORS issues.
-     * It then falls back to public gateways if the signed URL attempt fails.
-     * @param {string} ipfsHash - The IPFS hash (CID) of the package to download.
+     * Downloads a complete encrypted message package, from the offline cache when possible.
+     * @param {string} ipfsHash - The package identifier (IPFS hash for IPFS backends).
      * @returns {Promise<object>} A promise that resolves to the message package.
      */
     async downloadMessagePackage(ipfsHash) {
         debugLog(`🔽 STARTING SECURE DOWNLOAD`, 'info');
         debugLog(`📋 Package Hash: ${ipfsHash}`, 'info');
-        
-        let lastError = null;
-        let packageData;
 
-        // NEW: Step 1 - Try downloading with a signed URL first
-        try {
-            debugLog('🌐 GATEWAY 1/4: Attempting to get Pinata Signed URL...', 'info');
-            const signedUrl = await this.getSignedDownloadUrl(ipfsHash);
-            
-            debugLog('🌐 GATEWAY 2/4: Downloading using Signed URL', 'info');
-            const response = await fetch(signedUrl);
-
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
+        const bytes = new Uint8Array(await this.fetchPackageBytes(ipfsHash));
+
+        if (isBinaryPackage(bytes)) {
+            debugLog(`✅ Binary package detected (${bytes.length} bytes)`, 'success');
+            return decodePackage(bytes);
+        }
 
-            packageData = await response.json();
-            debugLog(`✅ JSON parsed from signed URL`, 'success');
-            debugLog(`🎉 IPFS DOWNLOAD COMPLETE using signed URL!`, 'success');
+        debugLog('Legacy JSON package detected, decoding secure-v1 format...', 'info');
+        return this.decodeLegacyJsonPackage(bytes);
+    }
 
+    /**
+     * Returns raw package bytes, cache-first, caching anything fetched from the backend.
+     * @param {string} ipfsHash - The package identifier.
+     * @returns {Promise<ArrayBuffer>} The raw package bytes.
+     */
+    async fetchPackageBytes(ipfsHash) {
+        const reportProgress = this.createProgressReporter('downloading');
+
+        if (this.cache) {
+            const cached = await this.cache.get(ipfsHash);
+            if (cached) {
+                debugLog(`📦 CACHE HIT: ${ipfsHash} (${cached.byteLength} bytes)`, 'success');
+                reportProgress(cached.byteLength, cached.byteLength);
+                return cached;
+            }
+            debugLog(`📦 CACHE MISS: ${ipfsHash}, downloading from '${this.backend.name}'`, 'info');
+        }
+
+        let bytes;
+        try {
+            bytes = await this.backend.downloadPackage(ipfsHash, { onProgress: reportProgress });
         } catch (error) {
-            lastError = error;
-            debugLog(`❌ Signed URL download failed: ${error.message}`, 'error');
-            debugLog('🔄 Trying public gateways as fallback...', 'info');
+            throw toStorageError(error);
         }
 
-        // ORIGINAL: Step 2 - Fallback to public gateways if signed URL fails
-        if (!packageData) {
-            const gateways = [
-                `https://ipfs.io/ipfs/${ipfsHash}`,
-                `https://cloudflare-ipfs.com/ipfs/${ipfsHash}`,
-                `${this.pinataGatewayUrl}${ipfsHash}`
-            ];
-            
-            for (let i = 0; i < gateways.length; i++) {
-                const url = gateways[i];
-                const gatewayName = url.includes('ipfs.io') ? 'IPFS.IO' : 
-                                  url.includes('cloudflare') ? 'CLOUDFLARE' : 'PINATA';
-                
-                debugLog(`🌐 GATEWAY ${i + 3}/${gateways.length + 2}: ${gatewayName}`, 'info');
-
-                try {
-                    const response = await fetch(url, {
-                        method: 'GET',
-                        mode: 'cors',
-                        headers: { 'Accept': 'application/json' },
-                        cache: 'no-cache'
-                    });
-                    
-                    if (!response.ok) {
-                        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-                    }
-
-                    packageData = await response.json();
-                    debugLog(`✅ JSON parsed from ${gatewayName}`, 'success');
-                    debugLog(`🎉 IPFS DOWNLOAD COMPLETE using public gateway!`, 'success');
-                    break; // Exit the loop if successful
-                } catch (error) {
-                    lastError = error;
-                    debugLog(`❌ GATEWAY ${i + 3} FAILED: ${error.message}`, 'error');
-                }
+        if (this.cache) {
+            await this.cache.put(ipfsHash, bytes);
+        }
+
+        return bytes;
+    }
+
+    /**
+     * Downloads packages into the offline cache ahead of time, skipping ones already cached.
+     * @param {string[]} ipfsHashes - The package identifiers to cache.
+     * @returns {Promise<{cached: number, failed: string[]}>} How many are now cached, and which failed.
+     */
+    async precachePackages(ipfsHashes) {
+        if (!this.cache) {
+            throw new Error('Offline cache is not enabled.');
+        }
+
+        let cached = 0;
+        const failed = [];
+
+        for (const ipfsHash of ipfsHashes) {
+            if (await this.cache.has(ipfsHash)) {
+                cached++;
+                continue;
+            }
+            try {
+                await this.cache.put(ipfsHash, await this.backend.downloadPackage(ipfsHash));
+                cached++;
+            } catch (error) {
+                debugLog(`Pre-cache failed for ${ipfsHash}: ${error.message}`, 'warning');
+                failed.push(ipfsHash);
             }
         }
 
-        if (!packageData) {
-            throw new Error(`All download attempts failed: ${lastError?.message || 'Unknown error'}`);
+        debugLog(`📦 Pre-cache complete: ${cached}/${ipfsHashes.length} packages available offline`, failed.length ? 'warning' : 'success');
+        return { cached, failed };
+    }
+
+    /**
+     * Decodes a legacy 'secure-v1' JSON package with base64-encoded audio.
+     * @param {Uint8Array} bytes - The raw package bytes.
+     * @returns {object} The message package.
+     */
+    decodeLegacyJsonPackage(bytes) {
+        let packageData;
+        try {
+            packageData = JSON.parse(new TextDecoder().decode(bytes));
+        } catch (error) {
+            throw new Error(`Downloaded package is neither a binary package nor valid JSON: ${error.message}`);
         }
 
-        // FINAL STEP: Process the downloaded package
-        debugLog(`🔄 Converting base64 audio back to binary...`, 'info');
         const audioBase64 = packageData.encryptedAudio;
         if (!audioBase64) {
             throw new Error('No encrypted audio data in package');
         }
-        
+
         try {
-            // FIX: Correctly converting from base64 string to Uint8Array
-            const binaryString = atob(audioBase64);
-            const encryptedAudio = new Uint8Array(binaryString.length);
-            for (let i = 0; i < binaryString.length; i++) {
-                encryptedAudio[i] = binaryString.charCodeAt(i);
-            }
-            
-            const messagePackage = {
+            return {
                 messageId: packageData.messageId,
                 timestamp: packageData.timestamp,
-                encryptedAudio: encryptedAudio,
+                encryptedAudio: base64ToBytes(audioBase64),
                 encryptedTranscript: packageData.encryptedTranscript,
-                metadata: packageData.metadata
+                metadata: packageData.metadata,
+                crypto: null,
+                headerBytes: null,
+                senderSignature: null
             };
-
-            return messagePackage;
-
         } catch (error) {
             debugLog(`❌ Error converting base64 audio: ${error.message}`, 'error');
             throw new Error(`Failed to process downloaded audio: ${error.message}`);
         }
     }
+
+    /**
+     * Removes (unpins) a message package from the backend.
+     * @param {string} ipfsHash - The package identifier (IPFS hash for IPFS backends).
+     * @returns {Promise<void>}
+     */
+    async deleteMessagePackage(ipfsHash) {
+        debugLog(`Deleting package ${ipfsHash} from '${this.backend.name}' backend...`);
+        try {
+            await this.backend.deletePackage(ipfsHash);
+        } catch (error) {
+            throw toStorageError(error);
+        }
+        if (this.cache) {
+            await this.cache.delete(ipfsHash);
+        }
+        debugLog(`Package ${ipfsHash} deleted.`, 'success');
+    }
+
+    /**
+     * Drops a package from the offline cache only, e.g. an expired message on a reader's device.
+     * @param {string} ipfsHash - The package identifier.
+     * @returns {Promise<void>}
+     */
+    async evictCachedPackage(ipfsHash) {
+        if (this.cache) {
+            await this.cache.delete(ipfsHash);
+        }
+    }
     
+    /**
+     * @returns {boolean} True if the backend can list stored packages.
+     */
+    canListPackages() {
+        return typeof this.backend.listPackages === 'function';
+    }
+
+    /**
+     * Lists stored message packages, identified by their pin metadata.
+     * @param {object} [options]
+     * @param {string} [options.app='peeble-secure'] - The app metadata value to filter on.
+     * @returns {Promise<Array<{id: string, name: string|null, size: number, createdAt: number, keyvalues: object}>>}
+     *          Packages, oldest first.
+     */
+    async listMessagePackages({ app = MESSAGE_PACKAGE_APP } = {}) {
+        if (!this.canListPackages()) {
+            throw new StorageError(`Backend '${this.backend.name}' cannot list stored packages.`);
+        }
+
+        try {
+            const packages = await this.backend.listPackages({ keyvalues: { app } });
+            debugLog(`Found ${packages.length} stored '${app}' packages on '${this.backend.name}'.`);
+            return packages.sort((a, b) => a.createdAt - b.createdAt);
+        } catch (error) {
+            throw toStorageError(error);
+        }
+    }
+
+    /**
+     * Deletes every stored message package older than the retention period.
+     * Individual failures do not stop the cleanup; they are reported in the result.
+     * @param {number} retentionMs - Packages created longer ago than this are deleted.
+     * @returns {Promise<{deleted: string[], failed: string[]}>} Identifiers deleted, and those that failed.
+     */
+    async deletePackagesOlderThan(retentionMs) {
+        const cutoff = Date.now() - retentionMs;
+        const expired = (await this.listMessagePackages()).filter(stored => stored.createdAt < cutoff);
+
+        const deleted = [];
+        const failed = [];
+        for (const stored of expired) {
+            try {
+                await this.deleteMessagePackage(stored.id);
+                deleted.push(stored.id);
+            } catch (error) {
+                debugLog(`Cleanup failed for ${stored.id}: ${error.message}`, 'warning');
+                failed.push(stored.id);
+            }
+        }
+
+        debugLog(`🧹 Cleanup removed ${deleted.length} of ${expired.length} expired packages`, failed.length ? 'warning' : 'success');
+        return { deleted, failed };
+    }
+
     /**
      * @param {Uint8Array} binary
      * @returns {string}
      */
     binToBase64(binary) {
-        let binaryString = '';
-        const len = binary.byteLength;
-        for (let i = 0; i < len; i++) {
-            binaryString += String.fromCharCode(binary[i]);
-        }
-        return btoa(binaryString);
+        return bytesToBase64(binary);
     }
 
     // Legacy methods kept for backward compatibility (not used in secure flow)
     async uploadToPinata(data, filename) {
         debugLog('Warning: Using legacy upload method. Consider using uploadMessagePackage for security.', 'warning');
-        
-        if (!this.apiKey || !this.secret) {
-            debugLog('Pinata API credentials are not set. Cannot upload.', 'error');
-            throw new Error('Pinata API credentials are required for upload.');
-        }
 
         try {
-            const formData = new FormData();
             const blob = data instanceof Blob ? data : new Blob([data], { type: 'application/octet-stream' });
-            formData.append('file', blob, filename);
-
-            const metadata = JSON.stringify({
+            return await this.backend.uploadPackage(blob, {
                 name: filename,
                 keyvalues: {
                     app: 'peeble-legacy',
@@ -340,25 +443,8 @@ export class StorageService {
                     created: new Date().toISOString()
                 }
             });
-            formData.append('pinataMetadata', metadata);
-
-            const response = await fetch(this.pinataApiUrl, {
-                method: 'POST',
-                headers: {
-                    'pinata_api_key': this.apiKey,
-                    'pinata_secret_api_key': this.secret
-                },
-                body: formData
-            });
-
-            if (!response.ok) {
-                throw new Error(`Upload failed: ${response.status}`);
-            }
-
-            const result = await response.json();
-            return result.IpfsHash;
         } catch (error) {
-            throw new Error(`Failed to upload to IPFS: ${error.message}`);
+            throw toStorageError(error);
         }
     }
 
@@ -366,16 +452,9 @@ export class StorageService {
         debugLog('Warning: Using legacy download method. Consider using downloadMessagePackage for security.', 'warning');
         
         try {
-            const url = `${this.pinataGatewayUrl}${ipfsHash}`;
-            const response = await fetch(url);
-
-            if (!response.ok) {
-                throw new Error(`Failed to download from IPFS: ${response.status} ${response.statusText}`);
-            }
-
-            return new Uint8Array(await response.arrayBuffer());
+            return new Uint8Array(await this.backend.downloadPackage(ipfsHash));
         } catch (error) {
-            throw new Error(`Failed to download from IPFS: ${error.message}`);
+            throw toStorageError(error);
         }
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,107 @@
+// services/time-lock.js
+
+import { debugLog } from './utils.js';
+import { storageErrorFromStatus, toStorageError, TimeoutError } from './errors.js';
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * Thrown when a time-locked message is opened before its unlock date.
+ */
+export class TimeLockedError extends Error {
+    /**
+     * @param {string} message - Error description.
+     * @param {string} unlockAt - The unlock date (ISO).
+     */
+    constructor(message, unlockAt) {
+        super(message);
+        this.name = 'TimeLockedError';
+        this.unlockAt = unlockAt;
+    }
+}
+
+/**
+ * Client for a time-lock server (see tools/timelock-stub.mjs), which hands out a key share when
+ * a message is created and releases it again only after the unlock date, by the server's clock.
+ * The share is mixed into the message key (see EncryptionService.createMessageKey), so a
+ * cryptographically time-locked message cannot be decrypted early, even with its Peeble.
+ *
+ * Creators lock on the server configured here; readers ask the server named in the package,
+ * so they need no configuration.
+ */
+export class TimeLockService {
+    /**
+     * @param {object} [options]
+     * @param {string|null} [options.serverUrl=null] - Server new locks are made on; null = date-only locks.
+     * @param {number} [options.timeoutMs=10000] - Per-request timeout.
+     */
+    constructor({ serverUrl = null, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+        this.serverUrl = serverUrl ? serverUrl.replace(/\/+$/, '') : null;
+        this.timeoutMs = timeoutMs;
+    }
+
+    /**
+     * @returns {boolean} Whether new messages can be locked cryptographically.
+     */
+    isConfigured() {
+        return !!this.serverUrl;
+    }
+
+    /**
+     * Creates a lock on the configured server.
+     * @param {string} unlockAt - The unlock date (ISO).
+     * @returns {Promise<{server: string, lockId: string, unlockAt: string, share: string}>} The lock, with
+     *   the Base64 key share. Everything but the share goes into the crypto header.
+     * @throws {StorageError} If the server cannot be reached or refuses the date.
+     */
+    async createLock(unlockAt) {
+        if (!this.serverUrl) {
+            throw new Error('No time-lock server is configured.');
+        }
+        const { lockId, unlockAt: lockedUntil, share } = await this.request(`${this.serverUrl}/locks`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ unlockAt })
+        });
+        debugLog(`⏳ Time lock ${lockId} created until ${lockedUntil}`, 'success');
+        return { server: this.serverUrl, lockId, unlockAt: lockedUntil, share };
+    }
+
+    /**
+     * Asks a lock's server for its key share.
+     * @param {{server: string, lockId: string, unlockAt: string}} lock - From the crypto header.
+     * @returns {Promise<string>} The Base64 key share.
+     * @throws {TimeLockedError} If the server's clock has not reached the unlock date yet.
+     * @throws {StorageError} If the server cannot be reached.
+     */
+    async releaseShare({ server, lockId, unlockAt }) {
+        const url = `${server}/locks/${encodeURIComponent(lockId)}?${new URLSearchParams({ unlockAt })}`;
+        const { share } = await this.request(url, { method: 'GET' });
+        debugLog(`⏳ Time lock ${lockId} released`, 'success');
+        return share;
+    }
+
+    async request(url, init) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+        try {
+            const response = await fetch(url, { ...init, signal: controller.signal });
+            const body = await response.json().catch(() => ({}));
+            if (response.status === 423) {
+                throw new TimeLockedError(`Locked until ${body.unlockAt}`, body.unlockAt);
+            }
+            if (!response.ok) {
+                throw storageErrorFromStatus(response.status, `Time-lock server error: ${body.error || `HTTP ${response.status}`}`);
+            }
+            return body;
+        } catch (error) {
+            if (error instanceof TimeLockedError) throw error;
+            if (error.name === 'AbortError') {
+                throw new TimeoutError(`Time-lock server timed out after ${this.timeoutMs}ms`, { cause: error });
+            }
+            throw toStorageError(error);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
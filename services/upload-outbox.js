@@ -0,0 +1,222 @@
+// services/upload-outbox.js
+
+import { debugLog } from './utils.js';
+import { openDatabase, promisifyRequest, transactionDone } from './idb.js';
+import { RetryPolicy } from './retry.js';
+import { toStorageError } from './errors.js';
+
+const DB_NAME = 'peeble-outbox';
+const DB_VERSION = 1;
+const STORE_NAME = 'uploads';
+
+/**
+ * Persistent outbox for message packages that could not be uploaded.
+ * Entries hold the already encrypted package (never the tag serial) and survive reloads.
+ * They are retried with the shared retry policy's backoff (honoring Retry-After), and immediately
+ * whenever the browser comes back online. Failures that retrying cannot fix (rejected credentials,
+ * a package too large...) mark the entry failed instead: it keeps its package but is only tried
+ * again by retry(), or by processQueue({ retryFailed: true }) once credentials are unlocked.
+ *
+ * Publishes on the event bus:
+ *   'outbox-changed'         - Array of { messageId, attempts, lastError, errorCode, failed, nextAttemptAt }
+ *   'outbox-upload-complete' - { messageId, ipfsHash }
+ *   'outbox-upload-failed'   - { messageId, code, message } when an entry is marked failed
+ */
+export class UploadOutbox {
+    /**
+     * @param {object} services
+     * @param {import('./storage.js').StorageService} services.storageService - Used to upload queued packages.
+     * @param {object} services.eventBus - The application event bus.
+     * @param {object} [options]
+     * @param {number} [options.baseDelayMs=5000] - Delay before the first retry.
+     * @param {number} [options.maxDelayMs=600000] - Upper bound on the retry delay (10 minutes).
+     */
+    constructor({ storageService, eventBus }, { baseDelayMs = 5000, maxDelayMs = 10 * 60 * 1000 } = {}) {
+        this.storageService = storageService;
+        this.eventBus = eventBus;
+        this.retryPolicy = new RetryPolicy({ maxAttempts: Infinity, baseDelayMs, maxDelayMs });
+        this.dbPromise = null;
+        this.retryTimer = null;
+        this.isProcessing = false;
+        this.onlineHandler = null;
+    }
+
+    getDatabase() {
+        if (!this.dbPromise) {
+            this.dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+                db.createObjectStore(STORE_NAME, { keyPath: 'messageId' });
+            }).catch((error) => {
+                this.dbPromise = null; // Let the next call try to open it again
+                throw error;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Starts processing: retries anything left from a previous session and
+     * listens for connectivity changes. Calling it again does not add another listener.
+     */
+    start() {
+        if (!this.onlineHandler) {
+            this.onlineHandler = () => {
+                debugLog('📤 OUTBOX: Back online, retrying pending uploads now.', 'info');
+                this.processQueue({ force: true });
+            };
+            window.addEventListener('online', this.onlineHandler);
+        }
+        this.processQueue();
+    }
+
+    /**
+     * Queues an encoded package for upload.
+     * @param {string} messageId - The message identifier.
+     * @param {Uint8Array} packageBytes - The encoded, encrypted package.
+     * @param {import('./errors.js').StorageError} [error] - Why the immediate upload failed.
+     * @returns {Promise<void>}
+     */
+    async enqueue(messageId, packageBytes, error = null) {
+        const db = await this.getDatabase();
+        const transaction = db.transaction(STORE_NAME, 'readwrite');
+        transaction.objectStore(STORE_NAME).put({
+            messageId,
+            packageBytes,
+            queuedAt: Date.now(),
+            attempts: 1,
+            lastError: error?.message ?? null,
+            errorCode: error?.code ?? null,
+            failed: false,
+            nextAttemptAt: Date.now() + this.retryPolicy.getDelay(1, error)
+        });
+        await transactionDone(transaction);
+
+        debugLog(`📤 OUTBOX: Queued ${messageId} (${packageBytes.length} bytes) for upload.`, 'warning');
+        await this.publishChanged();
+        this.scheduleNextAttempt();
+    }
+
+    /**
+     * Tries a failed entry again now, e.g. after the user fixed what made it fail.
+     * @param {string} messageId - The message identifier.
+     * @returns {Promise<void>}
+     */
+    async retry(messageId) {
+        try {
+            const db = await this.getDatabase();
+            const entry = await promisifyRequest(db.transaction(STORE_NAME).objectStore(STORE_NAME).get(messageId));
+            if (!entry) return;
+
+            entry.failed = false;
+            entry.nextAttemptAt = Date.now();
+            const transaction = db.transaction(STORE_NAME, 'readwrite');
+            transaction.objectStore(STORE_NAME).put(entry);
+            await transactionDone(transaction);
+        } catch (error) {
+            debugLog(`📤 OUTBOX: Could not retry ${messageId}: ${error.message}`, 'error');
+            return;
+        }
+        await this.processQueue();
+    }
+
+    /**
+     * @returns {Promise<object[]>} All queued entries.
+     */
+    async getEntries() {
+        const db = await this.getDatabase();
+        return promisifyRequest(db.transaction(STORE_NAME).objectStore(STORE_NAME).getAll());
+    }
+
+    /**
+     * Uploads every entry whose retry time has come.
+     * @param {object} [options]
+     * @param {boolean} [options.force=false] - Ignore backoff and try every entry now.
+     * @param {boolean} [options.retryFailed=false] - Also try entries marked failed.
+     * @returns {Promise<void>} Never rejects; failures are logged.
+     */
+    async processQueue({ force = false, retryFailed = false } = {}) {
+        if (this.isProcessing) return;
+        this.isProcessing = true;
+        clearTimeout(this.retryTimer);
+
+        try {
+            const entries = await this.getEntries();
+            const due = entries.filter(entry => (entry.failed
+                ? retryFailed
+                : force || entry.nextAttemptAt <= Date.now()));
+
+            for (const entry of due) {
+                if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+                    debugLog('📤 OUTBOX: Offline, waiting for connectivity.', 'info');
+                    break;
+                }
+                await this.attemptUpload(entry);
+            }
+        } catch (error) {
+            debugLog(`📤 OUTBOX: Processing failed: ${error.message}`, 'error');
+        } finally {
+            this.isProcessing = false;
+            await this.publishChanged();
+            this.scheduleNextAttempt();
+        }
+    }
+
+    async attemptUpload(entry) {
+        debugLog(`📤 OUTBOX: Uploading ${entry.messageId} (attempt ${entry.attempts + 1})...`, 'info');
+        const db = await this.getDatabase();
+
+        try {
+            const ipfsHash = await this.storageService.uploadPackageBytes(entry.messageId, entry.packageBytes);
+
+            const transaction = db.transaction(STORE_NAME, 'readwrite');
+            transaction.objectStore(STORE_NAME).delete(entry.messageId);
+            await transactionDone(transaction);
+
+            debugLog(`📤 OUTBOX: ${entry.messageId} uploaded as ${ipfsHash}`, 'success');
+            this.eventBus.publish('outbox-upload-complete', { messageId: entry.messageId, ipfsHash });
+        } catch (error) {
+            const storageError = toStorageError(error);
+            entry.attempts++;
+            entry.lastError = storageError.message;
+            entry.errorCode = storageError.code;
+            // Retrying cannot fix these (e.g. rejected credentials or a package too large), so stop until asked
+            entry.failed = !storageError.retryable;
+            entry.nextAttemptAt = entry.failed ? null : Date.now() + this.retryPolicy.getDelay(entry.attempts, storageError);
+
+            const transaction = db.transaction(STORE_NAME, 'readwrite');
+            transaction.objectStore(STORE_NAME).put(entry);
+            await transactionDone(transaction);
+
+            if (entry.failed) {
+                debugLog(`📤 OUTBOX: ${entry.messageId} failed (${storageError.code}), not retrying automatically`, 'error');
+                this.eventBus.publish('outbox-upload-failed', { messageId: entry.messageId, code: storageError.code, message: storageError.message });
+                return;
+            }
+            debugLog(`📤 OUTBOX: ${entry.messageId} failed again, next retry in ${Math.round((entry.nextAttemptAt - Date.now()) / 1000)}s`, 'warning');
+        }
+    }
+
+    // Called without awaiting (from timers and event handlers too), so it never rejects
+    async scheduleNextAttempt() {
+        clearTimeout(this.retryTimer);
+        try {
+            const entries = (await this.getEntries()).filter(entry => !entry.failed);
+            if (entries.length === 0) return;
+
+            const nextAttemptAt = Math.min(...entries.map(entry => entry.nextAttemptAt));
+            this.retryTimer = setTimeout(() => this.processQueue(), Math.max(0, nextAttemptAt - Date.now()));
+        } catch (error) {
+            debugLog(`📤 OUTBOX: Could not schedule the next retry: ${error.message}`, 'error');
+        }
+    }
+
+    async publishChanged() {
+        try {
+            const entries = await this.getEntries();
+            this.eventBus.publish('outbox-changed', entries.map(({ messageId, attempts, lastError, errorCode, failed, nextAttemptAt }) => (
+                { messageId, attempts, lastError, errorCode: errorCode ?? null, failed: !!failed, nextAttemptAt }
+            )));
+        } catch (error) {
+            debugLog(`📤 OUTBOX: Could not read the queue: ${error.message}`, 'error');
+        }
+    }
+}
@@ -15,10 +15,11 @@ export function debugLog(message, type = 'info') {
     console.log(logMessage);
 
     // Dispatch a custom event for the debug-console web component to pick up
+    // (in the crypto worker, the worker forwards it to the page; Node, e.g. under tests, has no listener)
     const event = new CustomEvent('debug-log', {
         detail: { message: logMessage, type: type }
     });
-    window.dispatchEvent(event);
+    globalThis.dispatchEvent?.(event);
 }
 
 /**
@@ -31,19 +32,26 @@ export function generateMessageId() {
 
 /**
  * Utility for parsing and creating Peeble-specific URLs.
- * SECURITY: URLs now only contain messageId and ipfsHash - NO serial number!
+ * SECURITY: URLs now only contain messageId and the package location - NO serial number!
+ * The package is located by `ipfsHash` (IPFS backends) or `objectKey` (S3 backend).
  */
 export const URLParser = {
     /**
-     * Extracts Peeble parameters from the current URL's hash.
-     * SECURE: Only returns messageId and ipfsHash - serial comes from NFC scan only
-     * @returns {{messageId: string|null, ipfsHash: string|null}}
+     * Extracts Peeble parameters from a URL hash (the current URL's by default).
+     * SECURE: Only returns messageId and the package location - serial comes from NFC scan only
+     * @param {string} [hash=window.location.hash] - The URL hash, with or without the leading '#'.
+     * @returns {{messageId: string|null, ipfsHash: string|null, objectKey: string|null, packageId: string|null}}
+     *          packageId is whichever of ipfsHash / objectKey is present.
      */
-    getParams() {
-        const urlParams = new URLSearchParams(window.location.hash.substring(1));
+    getParams(hash = window.location.hash) {
+        const urlParams = new URLSearchParams(hash.replace(/^#/, ''));
+        const ipfsHash = urlParams.get('ipfsHash');
+        const objectKey = urlParams.get('objectKey');
         return {
             messageId: urlParams.get('messageId'),
-            ipfsHash: urlParams.get('ipfsHash')
+            ipfsHash,
+            objectKey,
+            packageId: ipfsHash || objectKey
         };
     },
 
@@ -52,13 +60,68 @@ export const URLParser = {
      * SECURITY: Serial number is NEVER included in URLs - only comes from physical NFC scan
      * @param {object} params - The parameters for the URL.
      * @param {string} params.messageId - The message ID.
-     * @param {string} params.ipfsHash - The IPFS hash containing encrypted data.
+     * @param {string} [params.ipfsHash] - The IPFS hash containing encrypted data.
+     * @param {string} [params.objectKey] - The S3 object key containing encrypted data (instead of ipfsHash).
      * @returns {string} The secure Peeble URL (no encryption key exposed).
      */
-    createSecureNfcUrl({ messageId, ipfsHash }) {
+    createSecureNfcUrl({ messageId, ipfsHash, objectKey }) {
         const baseUrl = window.location.origin + window.location.pathname;
-        const url = `${baseUrl}#messageId=${messageId}&ipfsHash=${ipfsHash}`;
+        const location = objectKey
+            ? `objectKey=${encodeURIComponent(objectKey)}`
+            : `ipfsHash=${ipfsHash}`;
+        const url = `${baseUrl}#messageId=${messageId}&${location}`;
         debugLog(`Generated SECURE NFC URL (no serial): ${url}`);
         return url;
+    },
+
+    /**
+     * Extracts a shared sender card from a URL hash (see createTrustSenderUrl).
+     * @param {string} [hash=window.location.hash] - The URL hash, with or without the leading '#'.
+     * @returns {{publicKey: string, name: string}|null} The card's key and name, or null if the URL has none.
+     */
+    getTrustSenderParams(hash = window.location.hash) {
+        const urlParams = new URLSearchParams(hash.replace(/^#/, ''));
+        const publicKey = urlParams.get('trustSender');
+        return publicKey ? { publicKey, name: urlParams.get('senderName') || '' } : null;
+    },
+
+    /**
+     * Creates a link that opens the app and offers to trust a sender. Shown as a QR code for the reader's camera.
+     * @param {{publicKey: string, name: string}} card - The sender card.
+     * @returns {string} The link (public information only).
+     */
+    createTrustSenderUrl({ publicKey, name }) {
+        const baseUrl = window.location.origin + window.location.pathname;
+        return `${baseUrl}#${new URLSearchParams({ trustSender: publicKey, senderName: name || '' })}`;
     }
-};
\ No newline at end of file
+};
+
+/**
+ * Encodes bytes to a Base64 string.
+ * Processes the input in chunks so large buffers neither overflow the stack nor
+ * build the string one character at a time.
+ * @param {Uint8Array} bytes - The bytes to encode.
+ * @returns {string} The Base64 string.
+ */
+export function bytesToBase64(bytes) {
+    let binaryString = '';
+    const chunk = 8192;
+    for (let i = 0; i < bytes.length; i += chunk) {
+        binaryString += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+    }
+    return btoa(binaryString);
+}
+
+/**
+ * Decodes a Base64 string to bytes.
+ * @param {string} base64 - The Base64 string.
+ * @returns {Uint8Array} The decoded bytes.
+ */
+export function base64ToBytes(base64) {
+    const binaryString = atob(base64);
+    const bytes = new Uint8Array(binaryString.length);
+    for (let i = 0; i < binaryString.length; i++) {
+        bytes[i] = binaryString.charCodeAt(i);
+    }
+    return bytes;
+}
@@ -0,0 +1,83 @@
+// tests/chunk-encryption.test.mjs
+// Run with: node --experimental-default-type=module --test tests/
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { EncryptionService } from '../services/encryption.js';
+
+const CHUNK_SIZE = 1024;
+const TAG_BYTES = 16;
+const ENCRYPTED_CHUNK_SIZE = CHUNK_SIZE + TAG_BYTES;
+const NONCE_PREFIX_BYTES = 7;
+const cipher = { name: 'AES-GCM', keyLength: 256, ivLength: 12, tagLength: 128, ivLayout: 'prefix', chunkSize: CHUNK_SIZE };
+const additionalData = new Uint8Array([1, 2, 3]);
+
+const encryptionService = new EncryptionService();
+let key;
+
+before(async () => {
+    key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+});
+
+const encrypt = (data) => encryptionService.encryptDataToChunks(data, key, cipher, additionalData);
+const decrypt = async (data, aad = additionalData) => (
+    new Uint8Array(await encryptionService.decryptFromChunks(data, key, cipher, aad))
+);
+
+test('round-trips data around chunk boundaries', async () => {
+    for (const length of [0, 1, CHUNK_SIZE - 1, CHUNK_SIZE, CHUNK_SIZE + 1, 4 * CHUNK_SIZE, 5000]) {
+        const data = crypto.getRandomValues(new Uint8Array(length));
+        const encrypted = await encrypt(data);
+        const chunkCount = Math.max(1, Math.ceil(length / CHUNK_SIZE));
+        assert.equal(encrypted.length, NONCE_PREFIX_BYTES + length + chunkCount * TAG_BYTES, `length ${length}`);
+        assert.deepEqual(await decrypt(encrypted), data, `length ${length}`);
+    }
+});
+
+test('uses a fresh nonce prefix for every section', async () => {
+    const data = new Uint8Array(100);
+    const [first, second] = [await encrypt(data), await encrypt(data)];
+    assert.notDeepEqual(first.subarray(0, NONCE_PREFIX_BYTES), second.subarray(0, NONCE_PREFIX_BYTES));
+});
+
+test('reports progress per chunk', async () => {
+    const calls = [];
+    const data = new Uint8Array(2500);
+    const encrypted = await encryptionService.encryptDataToChunks(data, key, cipher, null, {
+        onProgress: (done, total) => calls.push([done, total])
+    });
+    assert.deepEqual(calls, [[1024, 2500], [2048, 2500], [2500, 2500]]);
+
+    calls.length = 0;
+    await encryptionService.decryptFromChunks(encrypted, key, cipher, null, {
+        onProgress: (done, total) => calls.push([done, total])
+    });
+    assert.deepEqual(calls.at(-1), [encrypted.length, encrypted.length]);
+    assert.equal(calls.length, 3);
+});
+
+test('rejects a section truncated at a chunk boundary', async () => {
+    const encrypted = await encrypt(crypto.getRandomValues(new Uint8Array(4 * CHUNK_SIZE)));
+    await assert.rejects(decrypt(encrypted.slice(0, NONCE_PREFIX_BYTES + 3 * ENCRYPTED_CHUNK_SIZE)), /Failed to decrypt chunk 2/);
+});
+
+test('rejects a section truncated inside a chunk', async () => {
+    const encrypted = await encrypt(crypto.getRandomValues(new Uint8Array(4 * CHUNK_SIZE)));
+    await assert.rejects(decrypt(encrypted.slice(0, NONCE_PREFIX_BYTES + 3 * ENCRYPTED_CHUNK_SIZE - 5)), /Failed to decrypt chunk 2/);
+    await assert.rejects(decrypt(encrypted.slice(0, NONCE_PREFIX_BYTES + 3 * ENCRYPTED_CHUNK_SIZE + 5)), /ends early/);
+    await assert.rejects(decrypt(encrypted.slice(0, NONCE_PREFIX_BYTES + 4)), /ends early/);
+    await assert.rejects(decrypt(new Uint8Array(0)), /ends early/);
+});
+
+test('rejects reordered chunks, extra bytes and other additional data', async () => {
+    const encrypted = await encrypt(crypto.getRandomValues(new Uint8Array(4 * CHUNK_SIZE)));
+
+    const swapped = new Uint8Array(encrypted);
+    swapped.set(encrypted.subarray(NONCE_PREFIX_BYTES, NONCE_PREFIX_BYTES + ENCRYPTED_CHUNK_SIZE), NONCE_PREFIX_BYTES + ENCRYPTED_CHUNK_SIZE);
+    swapped.set(encrypted.subarray(NONCE_PREFIX_BYTES + ENCRYPTED_CHUNK_SIZE, NONCE_PREFIX_BYTES + 2 * ENCRYPTED_CHUNK_SIZE), NONCE_PREFIX_BYTES);
+    await assert.rejects(decrypt(swapped), /Failed to decrypt chunk 0/);
+
+    await assert.rejects(decrypt(new Uint8Array([...encrypted, ...new Uint8Array(TAG_BYTES)])), /Failed to decrypt chunk 3/);
+    await assert.rejects(decrypt(new Uint8Array([...encrypted, 0, 0])), /ends early/);
+    await assert.rejects(decrypt(encrypted, new Uint8Array([9])), /Failed to decrypt chunk 0/);
+});
@@ -0,0 +1,59 @@
+// tests/cid.test.mjs
+// Run with: node --experimental-default-type=module --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeCid, parseCid, verifyCid } from '../services/cid.js';
+
+// Expected CIDs are what `ipfs add` (and ipfs-unixfs-importer) assign with default chunking
+const HELLO = new TextEncoder().encode('hello world\n');
+const HELLO_CID_V0 = 'QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o';
+const HELLO_CID_V1 = 'bafkreifjjcie6lypi6ny7amxnfftagclbuxndqonfipmb64f2km2devei4';
+
+// One byte past a chunk, so the file has two leaves under a root node
+const twoChunks = () => new Uint8Array(262145).map((_, i) => (i * 31 + 7) & 255);
+
+test('computes CIDv0 of single-chunk files', async () => {
+    assert.equal(await computeCid(new Uint8Array(0)), 'QmbFMke1KXqnYyBBWxB74N4c5SBnJMVAiMNRcGu6x1AwQH');
+    assert.equal(await computeCid(HELLO), HELLO_CID_V0);
+});
+
+test('computes CIDv1 of a single chunk as a raw block', async () => {
+    assert.equal(await computeCid(HELLO, { version: 1 }), HELLO_CID_V1);
+});
+
+test('computes CIDs of files spanning several chunks', async () => {
+    const data = twoChunks();
+    assert.equal(await computeCid(data), 'QmS7fy4bE586ZCgYuxrdNEhggP1Cm5FBuZaqmgtfSqFizr');
+    assert.equal(await computeCid(data, { version: 1 }), 'bafybeif4z4ikxldcsjhv2l4sxmk57abnwjkwpa57gopqjvdhkyxddhmzf4');
+});
+
+test('parses CIDv0 and CIDv1 strings', () => {
+    const v0 = parseCid(HELLO_CID_V0);
+    assert.equal(v0.version, 0);
+    assert.equal(v0.codec, 0x70);
+    assert.equal(v0.hashCode, 0x12);
+    assert.equal(v0.digest.length, 32);
+
+    const v1 = parseCid(HELLO_CID_V1);
+    assert.equal(v1.version, 1);
+    assert.equal(v1.codec, 0x55);
+    assert.equal(v1.hashCode, 0x12);
+    assert.equal(v1.digest.length, 32);
+
+    assert.throws(() => parseCid('xyz'), /Unsupported CID encoding/);
+});
+
+test('verifies content against its CID', async () => {
+    assert.deepEqual(await verifyCid(HELLO, HELLO_CID_V0), { valid: true, computedCid: HELLO_CID_V0 });
+    assert.deepEqual(await verifyCid(HELLO, HELLO_CID_V1), { valid: true, computedCid: HELLO_CID_V1 });
+    assert.equal((await verifyCid(twoChunks(), 'bafybeif4z4ikxldcsjhv2l4sxmk57abnwjkwpa57gopqjvdhkyxddhmzf4')).valid, true);
+});
+
+test('rejects content that does not match its CID', async () => {
+    const tampered = new TextEncoder().encode('hello world!');
+    const v0 = await verifyCid(tampered, HELLO_CID_V0);
+    assert.equal(v0.valid, false);
+    assert.notEqual(v0.computedCid, HELLO_CID_V0);
+    assert.equal((await verifyCid(tampered, HELLO_CID_V1)).valid, false);
+});
@@ -0,0 +1,123 @@
+// tests/package-format.test.mjs
+// Run with: node --experimental-default-type=module --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    PACKAGE_MAGIC,
+    PACKAGE_FORMAT_VERSION,
+    SECTION_TYPES,
+    isBinaryPackage,
+    encodePackageHeader,
+    createAdditionalData,
+    encodePackage,
+    appendSignatureSection,
+    decodePackage
+} from '../services/package-format.js';
+import { EncryptionService } from '../services/encryption.js';
+
+const messagePackage = {
+    messageId: 'PBL-TEST',
+    timestamp: 1700000000000,
+    encryptedAudio: new Uint8Array([1, 2, 3, 4, 5]),
+    encryptedTranscript: 'AAECAw==',
+    metadata: { duration: 3 },
+    crypto: { version: 7, cipher: { aad: 'package-header' } }
+};
+
+// Appends a section by hand, as a newer writer would
+function withSection(packageBytes, type, data) {
+    const result = new Uint8Array(packageBytes.length + 5 + data.length);
+    const view = new DataView(result.buffer);
+    result.set(packageBytes);
+    view.setUint8(packageBytes.length, type);
+    view.setUint32(packageBytes.length + 1, data.length);
+    result.set(data, packageBytes.length + 5);
+    return result;
+}
+
+test('round-trips a package', () => {
+    const bytes = encodePackage(messagePackage);
+    assert.ok(isBinaryPackage(bytes));
+    assert.deepEqual(bytes.subarray(0, 4), PACKAGE_MAGIC);
+    assert.equal(bytes[4], PACKAGE_FORMAT_VERSION);
+
+    const decoded = decodePackage(bytes);
+    assert.equal(decoded.messageId, messagePackage.messageId);
+    assert.equal(decoded.timestamp, messagePackage.timestamp);
+    assert.deepEqual(decoded.encryptedAudio, messagePackage.encryptedAudio);
+    assert.equal(decoded.encryptedTranscript, messagePackage.encryptedTranscript);
+    assert.deepEqual(decoded.metadata, messagePackage.metadata);
+    assert.deepEqual(decoded.crypto, messagePackage.crypto);
+    assert.equal(decoded.senderSignature, null);
+});
+
+test('round-trips an encrypted transcript longer than 8 KiB', async () => {
+    const encryptionService = new EncryptionService();
+    const { key, cryptoHeader } = await encryptionService.createMessageKey(
+        [{ serial: '04:AA:BB', tagSecret: encryptionService.generateTagSecret() }], messagePackage.timestamp);
+    const transcript = 'A long message. '.repeat(1000);
+    const encryptedTranscript = await encryptionService.encryptDataToBase64(transcript, key, cryptoHeader.cipher, null);
+    assert.ok(encryptedTranscript.length > 8192 * 4 / 3);
+
+    const decoded = decodePackage(encodePackage({ ...messagePackage, encryptedTranscript, crypto: cryptoHeader }));
+    assert.equal(decoded.encryptedTranscript, encryptedTranscript);
+    assert.equal(await encryptionService.decryptFromBase64(decoded.encryptedTranscript, key, cryptoHeader.cipher, null), transcript);
+});
+
+test('decodes the exact header bytes the sections were encrypted with', () => {
+    const decoded = decodePackage(encodePackage(messagePackage));
+    assert.deepEqual(decoded.headerBytes, encodePackageHeader(messagePackage));
+
+    const additionalData = createAdditionalData(decoded.headerBytes, SECTION_TYPES.ENCRYPTED_AUDIO);
+    assert.equal(additionalData.length, decoded.headerBytes.length + 1);
+    assert.equal(additionalData.at(-1), SECTION_TYPES.ENCRYPTED_AUDIO);
+    assert.throws(() => createAdditionalData(null, SECTION_TYPES.ENCRYPTED_AUDIO), /no header/);
+});
+
+test('leaves out an empty transcript and defaults a missing crypto header', () => {
+    const decoded = decodePackage(encodePackage({ ...messagePackage, encryptedTranscript: null, crypto: undefined }));
+    assert.equal(decoded.encryptedTranscript, null);
+    assert.equal(decoded.crypto, null);
+});
+
+test('skips unknown sections', () => {
+    const bytes = withSection(encodePackage(messagePackage), 0x7f, new Uint8Array([9, 9]));
+    assert.deepEqual(decodePackage(bytes).encryptedAudio, messagePackage.encryptedAudio);
+});
+
+test('returns the sender signature with the bytes it covers', () => {
+    const packageBytes = encodePackage(messagePackage);
+    const senderSignature = { keyId: 'k1', name: 'Ann', publicKey: 'pub', signature: 'sig' };
+    const decoded = decodePackage(appendSignatureSection(packageBytes, senderSignature));
+    const { signedBytes, ...signature } = decoded.senderSignature;
+    assert.deepEqual(signature, senderSignature);
+    assert.deepEqual(signedBytes, packageBytes);
+});
+
+test('refuses a sender signature that is not the last section', () => {
+    const signed = appendSignatureSection(encodePackage(messagePackage), { keyId: 'k1', name: 'Ann', publicKey: 'pub', signature: 'sig' });
+    const bytes = withSection(signed, SECTION_TYPES.ENCRYPTED_TRANSCRIPT, new Uint8Array([1]));
+    assert.throws(() => decodePackage(bytes), /must be the last section/);
+});
+
+test('refuses bad magic, newer versions and missing audio', () => {
+    const bytes = encodePackage(messagePackage);
+    assert.equal(isBinaryPackage(new Uint8Array([0x50, 0x42])), false);
+    assert.throws(() => decodePackage(new TextEncoder().encode('{"messageId":"x"}')), /bad magic bytes/);
+
+    const newer = bytes.slice();
+    newer[4] = PACKAGE_FORMAT_VERSION + 1;
+    assert.throws(() => decodePackage(newer), /Unsupported Peeble package version/);
+
+    const header = encodePackageHeader(messagePackage);
+    const headerOnly = bytes.slice(0, 9 + header.length);
+    assert.throws(() => decodePackage(headerOnly), /No encrypted audio/);
+});
+
+test('refuses truncated packages', () => {
+    const bytes = encodePackage(messagePackage);
+    for (const length of [6, 20, bytes.length - 1]) {
+        assert.throws(() => decodePackage(bytes.subarray(0, length)), /truncated/, `length ${length}`);
+    }
+});
@@ -0,0 +1,54 @@
+// tests/recovery-code.test.mjs
+// Run with: node --experimental-default-type=module --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateRecoveryCode, normalizeRecoveryCode, RECOVERY_CODE_WORDS } from '../services/recovery-code.js';
+import { EncryptionService } from '../services/encryption.js';
+
+const encryptionService = new EncryptionService();
+
+test('generates codes of random listed words', () => {
+    const codes = Array.from({ length: 20 }, generateRecoveryCode);
+    for (const code of codes) {
+        assert.match(code, /^[a-z]+( [a-z]+)*$/);
+        assert.equal(code.split(' ').length, RECOVERY_CODE_WORDS);
+        assert.equal(normalizeRecoveryCode(code), code);
+    }
+    assert.equal(new Set(codes).size, codes.length);
+});
+
+test('normalizes codes as typed from the printed card', () => {
+    const code = 'acorn actor agent alarm album alley amber angel ankle apple';
+    assert.equal(normalizeRecoveryCode('ACORN-actor, agent\nalarm  album alley amber angel ankle apple'), code);
+    assert.equal(normalizeRecoveryCode('1. acorn 2. actor 3. agent 4. alarm 5. album 6. alley 7. amber 8. angel 9. ankle 10. apple'), code);
+});
+
+test('refuses unknown words and wrong lengths', () => {
+    assert.throws(() => normalizeRecoveryCode('acorn actor agent alarm album alley amber angel ankle apples'), /"apples" is not a recovery code word/);
+    assert.throws(() => normalizeRecoveryCode('acorn actor agent'), /has 10 words; 3 entered/);
+    assert.throws(() => normalizeRecoveryCode(''), /has 10 words; 0 entered/);
+});
+
+test('opens a message with its recovery code only', async () => {
+    const tag = { serial: '04:AA:BB', tagSecret: encryptionService.generateTagSecret() };
+    const timestamp = Date.now();
+    const recoveryCode = generateRecoveryCode();
+    const { key, cryptoHeader } = await encryptionService.createMessageKey([tag], timestamp, { recoveryCode });
+    const encrypted = await encryptionService.encryptDataToBase64('hello', key, cryptoHeader.cipher, null);
+
+    const recoveryKey = await encryptionService.unwrapRecoveryKey(recoveryCode, cryptoHeader);
+    assert.equal(await encryptionService.decryptFromBase64(encrypted, recoveryKey, cryptoHeader.cipher, null), 'hello');
+
+    await assert.rejects(encryptionService.unwrapRecoveryKey(generateRecoveryCode(), cryptoHeader), /Wrong recovery code/);
+    const { recovery, ...withoutRecovery } = cryptoHeader;
+    await assert.rejects(encryptionService.unwrapRecoveryKey(recoveryCode, withoutRecovery), /without a recovery code/);
+
+    // Moving the message to a new Peeble replaces the code
+    const newTag = { serial: '04:CC:DD', tagSecret: encryptionService.generateTagSecret() };
+    const newCode = generateRecoveryCode();
+    const moved = await encryptionService.transferMessageKey(cryptoHeader, timestamp, newTag, { oldTag: tag, recoveryCode: newCode });
+    const newRecoveryKey = await encryptionService.unwrapRecoveryKey(newCode, moved.cryptoHeader);
+    assert.equal(await encryptionService.decryptFromBase64(encrypted, newRecoveryKey, moved.cryptoHeader.cipher, null), 'hello');
+    await assert.rejects(encryptionService.unwrapRecoveryKey(recoveryCode, moved.cryptoHeader), /Wrong recovery code/);
+});
@@ -0,0 +1,143 @@
+// tests/relay.test.mjs
+// Run with: node --experimental-default-type=module --test tests/
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+const TOKEN = 'test-relay-token-0123456789';
+const SERVER = new URL('../relay/server.mjs', import.meta.url).pathname;
+
+let workDir;
+const relays = [];
+
+/**
+ * Starts relay/server.mjs with the disk backend on its own port.
+ * @returns {Promise<string>} The relay's base URL.
+ */
+async function startRelay(port, env = {}) {
+    const child = spawn(process.execPath, [SERVER], {
+        env: { ...process.env, PORT: String(port), RELAY_TOKEN: TOKEN, RELAY_BACKEND: 'disk', ...env },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    relays.push(child);
+    let output = '';
+    child.stderr.on('data', chunk => { output += chunk; });
+    await new Promise((resolve, reject) => {
+        child.stdout.on('data', chunk => {
+            if (String(chunk).includes('listening')) resolve();
+        });
+        child.once('exit', () => reject(new Error(`Relay exited: ${output}`)));
+    });
+    return `http://127.0.0.1:${port}`;
+}
+
+let appRelay;
+let staticRelay;
+
+before(async () => {
+    workDir = await mkdtemp(path.join(tmpdir(), 'peeble-relay-'));
+    appRelay = await startRelay(18791, { DISK_STORE_DIR: path.join(workDir, 'store') });
+
+    await mkdir(path.join(workDir, 'site', 'data'), { recursive: true });
+    await writeFile(path.join(workDir, 'site', 'page.html'), '<p>hi</p>');
+    await writeFile(path.join(workDir, 'site', '.env'), 'SECRET=1');
+    await writeFile(path.join(workDir, 'site', 'data', 'stored.json'), '{}');
+    staticRelay = await startRelay(18792, {
+        STATIC_DIR: path.join(workDir, 'site'),
+        DISK_STORE_DIR: path.join(workDir, 'site', 'data')
+    });
+});
+
+after(async () => {
+    for (const child of relays) {
+        child.kill();
+        if (child.exitCode === null) await once(child, 'exit');
+    }
+    await rm(workDir, { recursive: true, force: true });
+});
+
+const auth = (token = TOKEN) => ({ 'Authorization': `Bearer ${token}` });
+
+function upload(headers) {
+    return fetch(`${appRelay}/relay/packages`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/octet-stream', ...headers },
+        body: new Uint8Array([1, 2, 3])
+    });
+}
+
+test('refuses to start without RELAY_TOKEN', async () => {
+    const child = spawn(process.execPath, [SERVER], {
+        env: { ...process.env, PORT: '18793', RELAY_TOKEN: '', RELAY_BACKEND: 'disk' },
+        stdio: 'ignore'
+    });
+    const [code] = await once(child, 'exit');
+    assert.equal(code, 1);
+});
+
+test('uploads need the token', async () => {
+    assert.equal((await upload({})).status, 401);
+    assert.equal((await upload(auth('wrong-token-0123456789'))).status, 401);
+    assert.equal((await upload({ 'Authorization': TOKEN })).status, 401);
+
+    const response = await upload(auth());
+    assert.equal(response.status, 201);
+    const { id } = await response.json();
+    assert.match(id, /^[0-9a-f]{64}$/);
+});
+
+test('downloads stay public, deletes need the token', async () => {
+    const { id } = await (await upload(auth())).json();
+
+    const download = await fetch(`${appRelay}/relay/packages/${id}`);
+    assert.equal(download.status, 200);
+    assert.deepEqual(new Uint8Array(await download.arrayBuffer()), new Uint8Array([1, 2, 3]));
+
+    assert.equal((await fetch(`${appRelay}/relay/packages/${id}`, { method: 'DELETE' })).status, 401);
+    assert.equal((await fetch(`${appRelay}/relay/packages/${id}`, { method: 'DELETE', headers: auth() })).status, 204);
+    assert.equal((await fetch(`${appRelay}/relay/packages/${id}`)).status, 404);
+});
+
+test('listing needs the token', async () => {
+    await upload({ ...auth(), 'X-Package-Keyvalues': JSON.stringify({ app: 'peeble-secure' }) });
+
+    assert.equal((await fetch(`${appRelay}/relay/packages?app=peeble-secure`)).status, 401);
+    assert.equal((await fetch(`${appRelay}/relay/packages?app=peeble-secure`, { headers: auth('wrong-token-0123456789') })).status, 401);
+
+    const response = await fetch(`${appRelay}/relay/packages?app=peeble-secure`, { headers: auth() });
+    assert.equal(response.status, 200);
+    const { packages } = await response.json();
+    assert.equal(packages.length, 1);
+    assert.equal(packages[0].keyvalues.app, 'peeble-secure');
+});
+
+test('health needs the token', async () => {
+    assert.equal((await fetch(`${appRelay}/relay/health`)).status, 401);
+    assert.equal((await fetch(`${appRelay}/relay/health`, { headers: auth() })).status, 200);
+});
+
+test('serves only the app files by default', async () => {
+    for (const pathname of ['/', '/index.html', '/main.js', '/services/cid.js', '/components/peeble-app.js']) {
+        assert.equal((await fetch(`${appRelay}${pathname}`)).status, 200, pathname);
+    }
+    for (const pathname of ['/.git/config', '/requests.jsonl', '/.gitignore', '/kid.html',
+        '/tools/kubo-stub.mjs', '/services/../.git/config', '/%2e%2e/etc/passwd', '/services/%2e%2e/.git/config']) {
+        assert.equal((await fetch(`${appRelay}${pathname}`)).status, 404, pathname);
+    }
+});
+
+test('never serves dotfiles or the disk store from STATIC_DIR', async () => {
+    assert.equal((await fetch(`${staticRelay}/page.html`)).status, 200);
+    assert.equal((await fetch(`${staticRelay}/.env`)).status, 404);
+    assert.equal((await fetch(`${staticRelay}/data/stored.json`)).status, 404);
+});
+
+test('answers malformed percent-encoding with 400', async () => {
+    assert.equal((await fetch(`${appRelay}/%E0%A4%A`)).status, 400);
+    assert.equal((await fetch(`${appRelay}/relay/packages/%E0%A4%A`)).status, 400);
+});
@@ -0,0 +1,40 @@
+// tests/retry.test.mjs
+// Run with: node --experimental-default-type=module --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RetryPolicy } from '../services/retry.js';
+import { AuthError, NetworkError } from '../services/errors.js';
+
+test('keeps retrying at the capped delay whatever the jitter', (t) => {
+    const policy = new RetryPolicy({ maxAttempts: 10, baseDelayMs: 1000, maxDelayMs: 4000 });
+    t.mock.method(Math, 'random', () => 0.999);
+    assert.ok(policy.getDelay(5) > policy.maxDelayMs);
+    assert.equal(policy.shouldRetry(new NetworkError('Offline'), 5), true);
+});
+
+test('gives up on failures that are not retryable, too many attempts or a long Retry-After', () => {
+    const policy = new RetryPolicy({ maxAttempts: 3, maxDelayMs: 30000 });
+    assert.equal(policy.shouldRetry(new AuthError('Credentials rejected'), 1), false);
+    assert.equal(policy.shouldRetry(new NetworkError('Offline'), 3), false);
+    assert.equal(policy.shouldRetry(new NetworkError('Slow down', { retryAfterMs: 30000 }), 1), true);
+    assert.equal(policy.shouldRetry(new NetworkError('Slow down', { retryAfterMs: 60000 }), 1), false);
+});
+
+test('sleeps the delay it reports', async (t) => {
+    const policy = new RetryPolicy({ maxAttempts: 3, baseDelayMs: 5 });
+    const sleeps = [];
+    t.mock.method(globalThis, 'setTimeout', (resolve, delay) => {
+        sleeps.push(delay);
+        resolve();
+    });
+    const retries = [];
+    const result = await policy.execute(async (attempt) => {
+        if (attempt < 3) throw new NetworkError('Offline');
+        return 'done';
+    }, { onRetry: (error, attempts, delay) => retries.push(delay) });
+
+    assert.equal(result, 'done');
+    assert.equal(retries.length, 2);
+    assert.deepEqual(sleeps, retries);
+});
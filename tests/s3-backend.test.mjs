@@ -0,0 +1,95 @@
+// tests/s3-backend.test.mjs
+// Run with: node --experimental-default-type=module --test tests/
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { once } from 'node:events';
+import { S3Backend } from '../services/backends/s3.js';
+import { StorageService } from '../services/storage.js';
+import { RetryPolicy } from '../services/retry.js';
+
+// Uploads go through XMLHttpRequest for progress events (see http.js); Node only has fetch
+globalThis.XMLHttpRequest ??= class {
+    upload = {};
+    requestHeaders = {};
+    open(method, url) {
+        this.method = method;
+        this.url = url;
+    }
+    setRequestHeader(name, value) {
+        this.requestHeaders[name] = value;
+    }
+    getResponseHeader(name) {
+        return this.responseHeaders.get(name);
+    }
+    send(body) {
+        fetch(this.url, { method: this.method, headers: this.requestHeaders, body }).then(async (response) => {
+            this.status = response.status;
+            this.statusText = response.statusText;
+            this.responseHeaders = response.headers;
+            this.responseText = await response.text();
+            this.onload();
+        }, () => this.onerror());
+    }
+};
+
+// A bucket that, like S3, stores each PUT under its path and overwrites what was there
+const objects = new Map();
+let server;
+let endpoint;
+
+before(async () => {
+    server = createServer(async (request, response) => {
+        const chunks = [];
+        for await (const chunk of request) chunks.push(chunk);
+        const key = decodeURIComponent(new URL(request.url, 'http://bucket').pathname);
+        if (request.method === 'PUT') {
+            objects.set(key, Buffer.concat(chunks));
+            response.writeHead(200).end();
+        } else if (request.method === 'GET' && objects.has(key)) {
+            response.writeHead(200).end(objects.get(key));
+        } else if (request.method === 'GET') {
+            response.writeHead(404).end('<Error><Code>NoSuchKey</Code><Message>The specified key does not exist.</Message></Error>');
+        } else if (request.method === 'DELETE') {
+            objects.delete(key);
+            response.writeHead(204).end();
+        } else {
+            response.writeHead(405).end();
+        }
+    });
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    endpoint = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+function createStorage() {
+    const backend = new S3Backend({ endpoint, bucket: 'peebles', region: 'us-east-1', pathStyle: true });
+    backend.setCredentials({ s3AccessKeyId: 'AKIDEXAMPLE', s3SecretAccessKey: 'secret' });
+    return new StorageService(backend, { retryPolicy: new RetryPolicy({ maxAttempts: 1 }) });
+}
+
+test('names objects by their content', async () => {
+    const storage = createStorage();
+    const bytes = new Uint8Array([1, 2, 3]);
+    const key = await storage.uploadPackageBytes('PBL-1', bytes);
+    assert.match(key, /^peeble\/[0-9a-f]{32}-PBL-1\.peeble$/);
+    assert.equal(await storage.uploadPackageBytes('PBL-1', bytes), key);
+    assert.deepEqual(new Uint8Array(await storage.fetchPackageBytes(key)), bytes);
+});
+
+test('a message uploaded again keeps playing once its old package is deleted', async () => {
+    const storage = createStorage();
+    const oldKey = await storage.uploadPackageBytes('PBL-2', new Uint8Array([1, 1, 1]));
+
+    // As handleConfirmMessageTransfer does: upload the re-encrypted package, then delete the old one
+    const newKey = await storage.uploadPackageBytes('PBL-2', new Uint8Array([2, 2, 2]));
+    assert.notEqual(newKey, oldKey);
+    await storage.deleteMessagePackage(oldKey);
+
+    const reader = createStorage();
+    assert.deepEqual(new Uint8Array(await reader.fetchPackageBytes(newKey)), new Uint8Array([2, 2, 2]));
+    await assert.rejects(reader.fetchPackageBytes(oldKey), { code: 'not-found' });
+});
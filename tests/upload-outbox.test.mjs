@@ -0,0 +1,169 @@
+// tests/upload-outbox.test.mjs
+// Run with: node --experimental-default-type=module --test tests/
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { UploadOutbox } from '../services/upload-outbox.js';
+import { AuthError, NetworkError } from '../services/errors.js';
+
+// Just enough of IndexedDB for idb.js: requests and transactions settle on later macrotasks, as in browsers
+class FakeIndexedDB {
+    databases = new Map();
+    failOpen = false;
+
+    open(name) {
+        const request = {};
+        setTimeout(() => {
+            if (this.failOpen) {
+                request.error = new Error('The database is unavailable');
+                request.onerror?.();
+                return;
+            }
+            const isNew = !this.databases.has(name);
+            if (isNew) this.databases.set(name, new FakeDatabase());
+            request.result = this.databases.get(name);
+            if (isNew) request.onupgradeneeded?.({ oldVersion: 0 });
+            request.onsuccess?.();
+        });
+        return request;
+    }
+}
+
+class FakeDatabase {
+    stores = new Map();
+
+    createObjectStore(name, { keyPath }) {
+        this.stores.set(name, { keyPath, records: new Map() });
+    }
+
+    transaction(name) {
+        const store = this.stores.get(name);
+        const transaction = {};
+        let pending = 0;
+        const settle = (operation) => {
+            const request = {};
+            pending++;
+            setTimeout(() => {
+                request.result = operation();
+                request.onsuccess?.();
+                if (--pending === 0) setTimeout(() => transaction.oncomplete?.());
+            });
+            return request;
+        };
+        transaction.objectStore = () => ({
+            get: (key) => settle(() => structuredClone(store.records.get(key))),
+            getAll: () => settle(() => [...store.records.values()].map(record => structuredClone(record))),
+            put: (record) => settle(() => store.records.set(record[store.keyPath], structuredClone(record))),
+            delete: (key) => settle(() => store.records.delete(key))
+        });
+        return transaction;
+    }
+}
+
+// Records what the outbox publishes
+function createEventBus() {
+    const events = [];
+    return { events, publish: (name, data) => events.push({ name, data }) };
+}
+
+// A storage service whose uploads fail with the given errors, in turn, and then succeed
+function createStorageService(...errors) {
+    const uploads = [];
+    return {
+        uploads,
+        async uploadPackageBytes(messageId) {
+            uploads.push(messageId);
+            const error = errors.shift();
+            if (error) throw error;
+            return `Qm${messageId}`;
+        }
+    };
+}
+
+let outbox;
+
+afterEach(() => clearTimeout(outbox?.retryTimer));
+
+test('retries transient failures later', async () => {
+    globalThis.indexedDB = new FakeIndexedDB();
+    const eventBus = createEventBus();
+    const storageService = createStorageService(new NetworkError('Offline'));
+    outbox = new UploadOutbox({ storageService, eventBus });
+
+    await outbox.enqueue('PBL-1', new Uint8Array([1, 2, 3]), new NetworkError('Offline'));
+    await outbox.processQueue({ force: true });
+
+    const [entry] = await outbox.getEntries();
+    assert.equal(entry.attempts, 2);
+    assert.equal(entry.failed, false);
+    assert.ok(entry.nextAttemptAt > Date.now());
+    assert.ok(outbox.retryTimer, 'a retry is scheduled');
+
+    await outbox.processQueue({ force: true });
+    assert.deepEqual(await outbox.getEntries(), []);
+    assert.deepEqual(eventBus.events.find(event => event.name === 'outbox-upload-complete').data, { messageId: 'PBL-1', ipfsHash: 'QmPBL-1' });
+});
+
+test('stops retrying an upload that retrying cannot fix', async () => {
+    globalThis.indexedDB = new FakeIndexedDB();
+    const eventBus = createEventBus();
+    const storageService = createStorageService(new AuthError('Credentials rejected', { status: 403 }));
+    outbox = new UploadOutbox({ storageService, eventBus });
+
+    await outbox.enqueue('PBL-2', new Uint8Array([1, 2, 3]), new NetworkError('Offline'));
+    await outbox.processQueue({ force: true });
+
+    const [entry] = await outbox.getEntries();
+    assert.equal(entry.failed, true);
+    assert.equal(entry.errorCode, 'auth');
+    assert.equal(entry.nextAttemptAt, null);
+    assert.deepEqual(eventBus.events.find(event => event.name === 'outbox-upload-failed').data,
+        { messageId: 'PBL-2', code: 'auth', message: 'Credentials rejected' });
+    assert.equal(eventBus.events.at(-1).name, 'outbox-changed');
+    assert.equal(eventBus.events.at(-1).data[0].failed, true);
+
+    // Neither the schedule nor coming back online tries it again
+    outbox.retryTimer = null;
+    await outbox.scheduleNextAttempt();
+    assert.equal(outbox.retryTimer, null);
+    await outbox.processQueue({ force: true });
+    assert.equal(storageService.uploads.length, 1);
+
+    // Until credentials are unlocked, or the user asks
+    await outbox.processQueue({ force: true, retryFailed: true });
+    assert.equal(storageService.uploads.length, 2);
+    assert.deepEqual(await outbox.getEntries(), []);
+});
+
+test('retries a failed upload when asked', async () => {
+    globalThis.indexedDB = new FakeIndexedDB();
+    const storageService = createStorageService(new AuthError('Credentials rejected', { status: 401 }));
+    outbox = new UploadOutbox({ storageService, eventBus: createEventBus() });
+
+    await outbox.enqueue('PBL-3', new Uint8Array([1]), new NetworkError('Offline'));
+    await outbox.processQueue({ force: true });
+    await outbox.retry('PBL-3');
+    assert.equal(storageService.uploads.length, 2);
+    assert.deepEqual(await outbox.getEntries(), []);
+});
+
+test('logs instead of rejecting when the database cannot open', async () => {
+    globalThis.indexedDB = new FakeIndexedDB();
+    globalThis.indexedDB.failOpen = true;
+    outbox = new UploadOutbox({ storageService: createStorageService(), eventBus: createEventBus() });
+
+    const unhandled = [];
+    const onUnhandled = (reason) => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+    try {
+        await outbox.processQueue();
+        await outbox.scheduleNextAttempt();
+        await outbox.publishChanged();
+        await outbox.retry('PBL-4');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    } finally {
+        process.off('unhandledRejection', onUnhandled);
+    }
+    assert.deepEqual(unhandled, []);
+    await assert.rejects(outbox.enqueue('PBL-4', new Uint8Array([1])), /unavailable/);
+});
@@ -0,0 +1,126 @@
+// tools/kubo-stub.mjs
+
+/**
+ * In-memory stand-in for the Kubo RPC API, for trying the 'kubo' backend without an IPFS node.
+ * Implements the endpoints KuboBackend uses, computes real CIDv0 hashes with services/cid.js,
+ * and answers CORS preflights so the app can be served from another origin.
+ *
+ *   node tools/kubo-stub.mjs
+ *   KUBO_STUB_AUTH=user:pass node tools/kubo-stub.mjs   (require basic auth)
+ *
+ * Environment:
+ *   PORT            - Listen port (default 5001)
+ *   KUBO_STUB_AUTH  - "username:password" to require basic auth
+ */
+
+import { createServer } from 'node:http';
+import { computeCid } from '../services/cid.js';
+
+const port = parseInt(process.env.PORT || '5001', 10);
+const basicAuth = process.env.KUBO_STUB_AUTH
+    ? `Basic ${Buffer.from(process.env.KUBO_STUB_AUTH).toString('base64')}`
+    : null;
+
+const blocks = new Map(); // cid -> Buffer
+const pins = new Set();
+
+function sendJson(response, status, body) {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+}
+
+// Kubo reports errors as HTTP 500 with { Message, Code, Type }
+function sendRpcError(response, message) {
+    sendJson(response, 500, { Message: message, Code: 0, Type: 'error' });
+}
+
+async function readBody(request) {
+    const chunks = [];
+    for await (const chunk of request) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+const routes = {
+    async '/api/v0/version'(request, response) {
+        sendJson(response, 200, { Version: '0.0.0-stub', Commit: '', Repo: '0', System: 'stub', Golang: '' });
+    },
+
+    async '/api/v0/add'(request, response) {
+        const body = await readBody(request);
+        const formData = await new Response(body, {
+            headers: { 'Content-Type': request.headers['content-type'] || '' }
+        }).formData();
+
+        const file = formData.get('file');
+        if (!file || typeof file === 'string') {
+            return sendRpcError(response, 'file argument \'path\' is required');
+        }
+
+        const bytes = Buffer.from(await file.arrayBuffer());
+        const cid = await computeCid(new Uint8Array(bytes), { version: 0 });
+        blocks.set(cid, bytes);
+        pins.add(cid);
+        console.log(`add ${file.name} (${bytes.length} bytes) -> ${cid}`);
+
+        response.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+        response.end(JSON.stringify({ Name: file.name, Hash: cid, Size: String(bytes.length) }) + '\n');
+    },
+
+    async '/api/v0/cat'(request, response, searchParams) {
+        const cid = searchParams.get('arg');
+        const bytes = blocks.get(cid);
+        if (!bytes) {
+            return sendRpcError(response, `block was not found locally (offline): ipld: could not find ${cid}`);
+        }
+        response.writeHead(200, { 'Content-Type': 'text/plain', 'Content-Length': bytes.length });
+        response.end(bytes);
+    },
+
+    async '/api/v0/pin/rm'(request, response, searchParams) {
+        const cid = searchParams.get('arg');
+        if (!pins.delete(cid)) {
+            return sendRpcError(response, 'not pinned or pinned indirectly');
+        }
+        blocks.delete(cid); // A real node frees the blocks on its next garbage collection
+        console.log(`pin/rm ${cid}`);
+        sendJson(response, 200, { Pins: [cid] });
+    }
+};
+
+const server = createServer(async (request, response) => {
+    response.setHeader('Access-Control-Allow-Origin', request.headers.origin || '*');
+    response.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+    response.setHeader('Access-Control-Allow-Methods', 'POST');
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204);
+        return response.end();
+    }
+
+    const { pathname, searchParams } = new URL(request.url, 'http://kubo.local');
+    const route = routes[pathname];
+
+    if (basicAuth && request.headers.authorization !== basicAuth) {
+        response.writeHead(401, { 'WWW-Authenticate': 'Basic realm="kubo"' });
+        return response.end('Unauthorized');
+    }
+    if (!route) {
+        response.writeHead(404);
+        return response.end('404 page not found');
+    }
+    // Like Kubo, the RPC API only accepts POST
+    if (request.method !== 'POST') {
+        response.writeHead(405);
+        return response.end('405 - Method Not Allowed');
+    }
+
+    try {
+        await route(request, response, searchParams);
+    } catch (error) {
+        console.error(`${pathname} failed:`, error);
+        sendRpcError(response, error.message);
+    }
+});
+
+server.listen(port, () => {
+    console.log(`Kubo RPC stub listening on http://127.0.0.1:${port}${basicAuth ? ' (basic auth required)' : ''}`);
+});
@@ -0,0 +1,119 @@
+// tools/timelock-stub.mjs
+
+/**
+ * Local stand-in for a time-lock server, for cryptographically time-locked messages
+ * (see services/time-lock.js). The creator asks for a lock on an unlock date and gets a random
+ * key share; the app mixes that share into the message key. Readers get the same share back
+ * only once the server's clock has passed the unlock date, so changing the phone's clock does
+ * not open the message early.
+ *
+ * Stateless: a share is HMAC-SHA256(secret, lockId || unlockAt), so nothing is stored per lock,
+ * but every lock depends on the secret. Without TIMELOCK_SECRET a random one is used and the
+ * locks made before a restart can never be opened.
+ *
+ *   node tools/timelock-stub.mjs
+ *   TIMELOCK_SECRET=$(openssl rand -hex 32) node tools/timelock-stub.mjs
+ *
+ * Environment:
+ *   PORT             - Listen port (default 8788)
+ *   TIMELOCK_SECRET  - Hex server secret (at least 32 bytes)
+ *
+ * Endpoints:
+ *   POST /locks { unlockAt }          -> 201 { lockId, unlockAt, share }
+ *   GET  /locks/:lockId?unlockAt=...  -> 200 { share } | 423 { error: 'locked', unlockAt, now }
+ *   GET  /health                      -> { ok: true, now }
+ */
+
+import { createServer } from 'node:http';
+import { createHmac, randomBytes } from 'node:crypto';
+
+const port = parseInt(process.env.PORT || '8788', 10);
+const secret = process.env.TIMELOCK_SECRET ? Buffer.from(process.env.TIMELOCK_SECRET, 'hex') : randomBytes(32);
+if (secret.length < 32) {
+    console.error('TIMELOCK_SECRET must be at least 32 bytes of hex.');
+    process.exit(1);
+}
+
+// Unlock dates further away are refused, so a typo does not lock a message for centuries
+const MAX_LOCK_MS = 100 * 365 * 24 * 60 * 60 * 1000;
+const MAX_BODY_BYTES = 1024;
+
+function sendJson(response, status, body) {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+}
+
+async function readJson(request) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of request) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) throw new Error('Request body too large');
+        chunks.push(chunk);
+    }
+    return JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+}
+
+// ISO date (or epoch milliseconds) -> milliseconds, or null if invalid
+function parseUnlockAt(value) {
+    const ms = typeof value === 'number' ? value : Date.parse(value);
+    return Number.isFinite(ms) ? ms : null;
+}
+
+function computeShare(lockId, unlockAtMs) {
+    return createHmac('sha256', secret).update(`${lockId}|${unlockAtMs}`).digest('base64');
+}
+
+const server = createServer(async (request, response) => {
+    response.setHeader('Access-Control-Allow-Origin', request.headers.origin || '*');
+    response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    response.setHeader('Access-Control-Allow-Methods', 'GET, POST');
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204);
+        return response.end();
+    }
+
+    const { pathname, searchParams } = new URL(request.url, 'http://timelock.local');
+    const now = Date.now();
+
+    try {
+        if (request.method === 'GET' && pathname === '/health') {
+            return sendJson(response, 200, { ok: true, now: new Date(now).toISOString() });
+        }
+
+        if (request.method === 'POST' && pathname === '/locks') {
+            const unlockAtMs = parseUnlockAt((await readJson(request)).unlockAt);
+            if (unlockAtMs === null || unlockAtMs <= now || unlockAtMs - now > MAX_LOCK_MS) {
+                return sendJson(response, 400, { error: 'unlockAt must be a date in the future' });
+            }
+            const lockId = randomBytes(16).toString('base64url');
+            const unlockAt = new Date(unlockAtMs).toISOString();
+            console.log(`lock ${lockId} until ${unlockAt}`);
+            return sendJson(response, 201, { lockId, unlockAt, share: computeShare(lockId, unlockAtMs) });
+        }
+
+        const match = pathname.match(/^\/locks\/([\w-]{1,64})$/);
+        if (request.method === 'GET' && match) {
+            const unlockAtMs = parseUnlockAt(searchParams.get('unlockAt'));
+            if (unlockAtMs === null) {
+                return sendJson(response, 400, { error: 'unlockAt is required' });
+            }
+            const unlockAt = new Date(unlockAtMs).toISOString();
+            if (now < unlockAtMs) {
+                console.log(`release ${match[1]} refused, locked until ${unlockAt}`);
+                return sendJson(response, 423, { error: 'locked', unlockAt, now: new Date(now).toISOString() });
+            }
+            console.log(`release ${match[1]}`);
+            return sendJson(response, 200, { share: computeShare(match[1], unlockAtMs) });
+        }
+
+        sendJson(response, 404, { error: 'not found' });
+    } catch (error) {
+        console.error(`${pathname} failed:`, error);
+        sendJson(response, 400, { error: error.message });
+    }
+});
+
+server.listen(port, () => {
+    console.log(`Time-lock stub listening on http://127.0.0.1:${port}${process.env.TIMELOCK_SECRET ? '' : ' (random secret: locks do not survive a restart)'}`);
+});